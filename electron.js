@@ -1,694 +1,376 @@
-const { app, BrowserWindow, Menu, Tray, nativeImage, dialog, Notification, ipcMain } = require("electron");
-const path = require("path");
-const isDev = process.argv.includes("--dev") || !app.isPackaged;
-
-// Get server URL - Supports both domain and IP addresses
-// Priority: ELECTRON_SERVER_URL > ELECTRON_SERVER_DOMAIN > ELECTRON_SERVER_IP
-// For production domain: Set ELECTRON_SERVER_URL=https://task.ocslive.com
-// For LAN deployment: Set ELECTRON_SERVER_IP and ELECTRON_SERVER_PORT
-function getServerURL() {
-  // 1. Check full URL environment variable first (highest priority - for production domain)
-  if (process.env.ELECTRON_SERVER_URL) {
-    const url = process.env.ELECTRON_SERVER_URL.trim();
-    // Ensure URL ends with /
-    return url.endsWith('/') ? url : `${url}/`;
-  }
-  
-  // 2. Check for domain name (for production HTTPS)
-  if (process.env.ELECTRON_SERVER_DOMAIN) {
-    const domain = process.env.ELECTRON_SERVER_DOMAIN.trim();
-    const protocol = process.env.ELECTRON_SERVER_PROTOCOL || 'https';
-    // Remove protocol if already included
-    const cleanDomain = domain.replace(/^https?:\/\//, '');
-    return `${protocol}://${cleanDomain}/`;
-  }
-  
-  // 3. Use configurable server IP and port (for LAN deployments)
-  const serverIP = process.env.ELECTRON_SERVER_IP || "192.168.90.177";
-  const port = process.env.ELECTRON_SERVER_PORT || "5000";
-  const protocol = process.env.ELECTRON_SERVER_PROTOCOL || "http";
-  
-  // Warn if using default hardcoded IP (should be set via environment variable in production)
-  if (!process.env.ELECTRON_SERVER_IP && !process.env.ELECTRON_SERVER_URL && !process.env.ELECTRON_SERVER_DOMAIN) {
-    console.warn('⚠️ No server URL configured. Using default IP. For production, set:');
-    console.warn('   ELECTRON_SERVER_URL=https://task.ocslive.com');
-    console.warn('   OR');
-    console.warn('   ELECTRON_SERVER_DOMAIN=task.ocslive.com');
-  }
-  
-  // Return server URL
-  return `${protocol}://${serverIP}:${port}/`;
-}
-
-const SERVER_URL = getServerURL();
-
 // ============================================
-// HELPER FUNCTION: Get icon path (centralized)
+// MAIN PROCESS ENTRY
 // ============================================
-// This function searches for icons in order of preference
-// Returns the first valid icon path found, or null if none exist
-function getIconPath() {
-  const fs = require("fs");
-  const possiblePaths = [
-    path.join(__dirname, "icon.png"),
-    path.join(__dirname, "icon.ico"),
-    path.join(__dirname, "..", "public", "favicon.ico"),
-    path.join(__dirname, "..", "build", "favicon.ico")
-  ];
-  
-  for (const iconPath of possiblePaths) {
-    if (fs.existsSync(iconPath)) {
-      return iconPath;
-    }
-  }
-  
-  return null; // No icon found
+// Bootstrap and wiring only - the work happens in main/:
+//   config.js         stores, server URL, icon path
+//   windows.js        main window, navigation, server settings/updates windows
+//   tray.js           tray icon, badge and menu
+//   storage.js        token/user storage, accounts, offline cache
+//   notifications.js  desktop notifications and reminders
+//   updater.js        auto-updates
+//   quick-add.js      global shortcut quick add window
+//   security.js       origin allowlist, IPC sender checks, navigation guards, CSP
+//   settings.js       versioned user settings (settings window)
+//   menu.js           application menu
+//   lifecycle.js      close to tray, start hidden, launch at login, quit
+//   realtime.js       server event connection (WebSocket / SSE / long-poll)
+//   logger.js         JSON log files (main console, renderers, crashes)
+//   support.js        "Report a problem" zip, renderer log channel
+//   crash-recovery.js crash dumps, crash loop guard, hang dialog
+//   downloads.js      attachment downloads: folders, progress, history
+//   attachments.js    dropped files and pasted screenshots uploaded to tasks
+//   time-tracker.js   task timer, idle detection, time entry sync
+// Every IPC channel is declared in main/ipc-contract.js.
+
+const { app, BrowserWindow, Notification, globalShortcut } = require("electron");
+const path = require("path");
+
+// Only one instance: a second launch forwards its command line (e.g. a deep link)
+// to the running instance through "second-instance" and quits - right away,
+// before any setup, so it never touches the running instance's logs or stores
+const gotSingleInstanceLock = app.requestSingleInstanceLock();
+if (!gotSingleInstanceLock) {
+  app.quit();
+} else {
+  startMainProcess();
 }
 
-// Initialize electron-store for persistent token storage (Asana-style)
-let store = null;
-try {
-  const Store = require("electron-store");
-  store = new Store({
-    name: "ocs-taskmanager",
-    defaults: {
-      token: null,
-      accessToken: null,
-      user: null,
-      workspaceId: null,
-      workspaceSlug: null
+// Everything else: only in the instance that holds the lock
+function startMainProcess() {
+  // Log to a file from the start: console output of every module lands there
+  const logger = require("./main/logger");
+  logger.init({
+    directory: app.getPath("logs"),
+    level: process.argv.includes("--dev") || !app.isPackaged ? "debug" : "info"
+  });
+
+  // Native crash dumps, kept locally for support (see main/crash-recovery.js)
+  const crashRecovery = require("./main/crash-recovery");
+  crashRecovery.startCrashReporter();
+
+  const config = require("./main/config");
+  const ipc = require("./main/ipc");
+  const { EVENTS } = require("./main/ipc-contract");
+  const secureStorage = require("./main/secure-storage");
+  const accounts = require("./main/accounts");
+  const api = require("./main/api");
+  const offline = require("./main/offline");
+  const trayState = require("./main/tray-state");
+  const deepLinks = require("./main/deep-links");
+  const serverProfiles = require("./main/server-profiles");
+  const updater = require("./main/updater");
+  const windows = require("./main/windows");
+  const storage = require("./main/storage");
+  const notifications = require("./main/notifications");
+  const quickAdd = require("./main/quick-add");
+  const tray = require("./main/tray");
+  const security = require("./main/security");
+  const settings = require("./main/settings");
+  const menu = require("./main/menu");
+  const lifecycle = require("./main/lifecycle");
+  const support = require("./main/support");
+  const realtime = require("./main/realtime");
+  const downloads = require("./main/downloads");
+  const attachments = require("./main/attachments");
+  const timeTracker = require("./main/time-tracker");
+
+  const { isDev, store } = config;
+
+  // ============================================
+  // WIRING
+  // ============================================
+
+  // User settings (migrated to the current schema here); every change is
+  // pushed to the open windows
+  settings.init({
+    store,
+    onChange: (key, value, previous) => {
+      windows.broadcast(EVENTS.SETTINGS_CHANGED, { key, value, previous, settings: settings.getAll() });
     }
   });
-  console.log("✅ Electron store initialized for persistent token storage");
-} catch (error) {
-  console.warn("⚠️ electron-store not available:", error.message);
-  console.warn("⚠️ Token will only be stored in localStorage (may not persist)");
-}
 
-// Try to load electron-updater, but don't crash if it's not available
-let autoUpdater = null;
-try {
-  autoUpdater = require("electron-updater").autoUpdater;
-} catch (error) {
-  console.warn("⚠️ electron-updater not available:", error.message);
-  console.warn("⚠️ Auto-update functionality will be disabled");
-}
+  // Content allowed to load in our windows and use IPC: the configured server,
+  // the dev server in development, the React build and the bundled pages
+  security.init({
+    getServerURL: config.getServerURL,
+    getDevURL: () => (isDev ? config.getDevURL() : null),
+    localRoots: [config.BUILD_DIR, path.join(config.APP_ROOT, "pages")]
+  });
 
-let mainWindow;
-let tray = null;
-
-function createWindow() {
-  // Get icon path using centralized helper
-  const iconPath = getIconPath();
-
-  mainWindow = new BrowserWindow({
-    width: 1500,
-    height: 900,
-    minWidth: 1200,
-    minHeight: 700,
-    title: "OCS Task Manager",
-    icon: iconPath,
-    webPreferences: {
-      contextIsolation: true,
-      nodeIntegration: false,
-      sandbox: false,  // Disabled to fix notification click events
-      webSecurity: true,
-      preload: path.join(__dirname, "preload.js")
-    },
-    show: false, // Don't show until ready
-    backgroundColor: "#ffffff"
+  // Main-process API client (token of the active account, current server)
+  api.init({
+    getToken: () => accounts.getToken(),
+    getServerURL: config.getServerURL
   });
 
-  // Show window when ready to prevent visual flash
-  mainWindow.once("ready-to-show", () => {
-    mainWindow.show();
-    if (isDev) {
-      mainWindow.webContents.openDevTools();
+  storage.init({
+    store,
+    offlineStore: config.offlineStore,
+    onChange: () => {
+      tray.buildTrayMenu();
+      menu.setApplicationMenu(); // "Log out of <account>"
+      realtime.refresh(); // logged in, out or switched account
+      attachments.setOpenTask(null); // belonged to the previous account
+      timeTracker.syncEntries().catch(() => {}); // entries waiting for this account
     }
   });
 
-  // Function to get user's workspace URL
-  const getUserWorkspaceURL = () => {
-    try {
-      // Try to read localStorage from a preload script or use a default
-      // For now, we'll let the React app handle the redirect
-      // But we can try to load directly to workspace if available
-      return null; // Let React app handle routing
-    } catch (error) {
-      return null;
+  // Close to tray, launch at login and the quitting flag
+  lifecycle.init();
+
+  windows.init({
+    canHideToTray: () => tray.isAvailable(),
+    onHiddenToTray: () => tray.showBackgroundHint(),
+    onMainWindowShown: () => tray.updateTrayBadge(), // Windows overlay icon lives on the window
+    onMainWindowClosed: () => {
+      quickAdd.destroyWindow();
+      // Renderer no longer pushes tray updates - fetch them ourselves
+      trayState.poll();
     }
-  };
-
-  // Load the app
-  if (isDev) {
-    // Development: Try React dev server first, fallback to backend-served app
-    const devURL = process.env.ELECTRON_DEV_URL || "http://localhost:3000";
-    mainWindow.loadURL(devURL);
-    console.log(`🔧 Development mode: Loading from ${devURL}`);
-    console.log("💡 Make sure your React dev server is running: npm start");
-    console.log("💡 Or set ELECTRON_DEV_URL to load from a different URL");
-    
-    // Handle dev server not ready
-    mainWindow.webContents.on("did-fail-load", (event, errorCode, errorDescription) => {
-      if (errorCode === -106) {
-        console.log("⚠️ Dev server not ready. Trying backend-served app...");
-        mainWindow.loadURL(`${SERVER_URL}`);
-      }
-    });
-  } else {
-    // Production: Load from built files
-    const buildPath = path.join(__dirname, "..", "build", "index.html");
-    if (require("fs").existsSync(buildPath)) {
-      mainWindow.loadFile(buildPath);
-      console.log("📦 Production mode: Loading from build files");
-      console.log(`🌐 Server URL: ${SERVER_URL}`);
-      
-      // Inject server URL into the page so React app can use it
-      mainWindow.webContents.on("did-finish-load", () => {
-        mainWindow.webContents.executeJavaScript(`
-          (function() {
-            const correctServerURL = "${SERVER_URL}";
-            window.ELECTRON_SERVER_URL = correctServerURL;
-            if (window.localStorage) {
-              // Always update to the correct server URL (overwrites any cached wrong IP)
-              window.localStorage.setItem('ELECTRON_SERVER_URL', correctServerURL);
-              console.log('🌐 Server URL set to:', correctServerURL);
-            }
-          })();
-        `).catch(err => console.error("Error injecting server URL:", err));
-      });
-    } else {
-      // Fallback: Load from backend server
-      console.log("⚠️ Build files not found. Loading from backend server...");
-      console.log(`🌐 Server URL: ${SERVER_URL}`);
-      mainWindow.loadURL(`${SERVER_URL}`);
-    }
-  }
-
-  // Handle window closed
-  mainWindow.on("closed", () => {
-    mainWindow = null;
   });
 
-  // Handle external links
-  mainWindow.webContents.setWindowOpenHandler(({ url }) => {
-    require("electron").shell.openExternal(url);
-    return { action: "deny" };
+  notifications.init({
+    store,
+    onChange: () => tray.buildTrayMenu()
   });
 
-}
-
-// Create system tray
-function createTray() {
-  try {
-    // Get icon path using centralized helper
-    const iconPath = getIconPath();
-    
-    let icon;
-    if (iconPath) {
-      icon = nativeImage.createFromPath(iconPath);
-    } else {
-      icon = nativeImage.createEmpty();
-    }
-    
-    // Create tray with icon (or empty if none found)
-    tray = new Tray(icon);
-
-    const contextMenu = Menu.buildFromTemplate([
-      {
-        label: "Open OCS Task Manager",
-        click: () => {
-          if (mainWindow) {
-            mainWindow.show();
-            mainWindow.focus();
-          } else {
-            createWindow();
-          }
-        }
-      },
-      {
-        label: "Quit",
-        click: () => {
-          app.quit();
-        }
+  // Live server events, also while the window is closed: notifications are
+  // shown from here, every event is passed on to the renderer
+  realtime.init({
+    store,
+    getToken: () => accounts.getToken(),
+    getServerURL: config.getServerURL,
+    getAccountId: storage.getActiveAccountId,
+    onEvent: (event) => {
+      if (event.type === "notification") {
+        notifications.deliverRealtimeNotification(event);
       }
-    ]);
-
-    tray.setToolTip("OCS Task Manager");
-    tray.setContextMenu(contextMenu);
+      windows.sendToMainWindow(EVENTS.REALTIME_EVENT, event);
+    },
+    onStatusChange: (status) => windows.sendToMainWindow(EVENTS.REALTIME_STATUS_CHANGED, status)
+  });
 
-    tray.on("click", () => {
-      if (mainWindow) {
-        mainWindow.show();
-        mainWindow.focus();
-      } else {
-        createWindow();
+  // Attachment downloads: the list goes to the windows, overall progress to
+  // the taskbar/dock
+  downloads.init({
+    store,
+    getWindow: windows.getMainWindow,
+    onChange: (list) => windows.broadcast(EVENTS.DOWNLOADS_CHANGED, list),
+    onProgress: (progress) => {
+      const mainWindow = windows.getMainWindow();
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.setProgressBar(progress);
       }
-    });
-  } catch (error) {
-    console.log("⚠️ System tray not available:", error.message);
-  }
-}
-
-// App event handlers
-app.whenReady().then(() => {
-  createWindow();
-  createTray();
-
-  app.on("activate", () => {
-    if (BrowserWindow.getAllWindows().length === 0) {
-      createWindow();
-    } else if (mainWindow) {
-      mainWindow.show();
-      mainWindow.focus();
     }
   });
-});
 
-app.on("window-all-closed", () => {
-  // On macOS, keep app running even when all windows are closed
-  if (process.platform !== "darwin") {
-    app.quit();
-  }
-});
+  // Dropped files and pasted screenshots: upload progress and new tasks go to
+  // the renderer like quick add's
+  attachments.init({
+    onProgress: (progress) => windows.sendToMainWindow(EVENTS.UPLOAD_PROGRESS, progress),
+    onTaskCreated: (task) => {
+      windows.sendToMainWindow(EVENTS.TASK_CREATED, { task, source: "attachments" });
+      offline.refreshCache().catch(() => {});
+    }
+  });
 
-// Security: Prevent new window creation
-app.on("web-contents-created", (event, contents) => {
-  contents.on("new-window", (navigationEvent, navigationURL) => {
-    navigationEvent.preventDefault();
-    require("electron").shell.openExternal(navigationURL);
+  // Task timer: shown in the tray and pushed to the renderer on every change
+  timeTracker.init({
+    store,
+    getAccountId: storage.getActiveAccountId,
+    onChange: (status) => {
+      tray.showTimer(status);
+      windows.sendToMainWindow(EVENTS.TIMER_CHANGED, status);
+    }
   });
-});
 
-// ============================================
-// IPC HANDLERS FOR PERSISTENT TOKEN STORAGE
-// ============================================
-// These handlers allow the renderer process to save/load tokens
-// in electron-store, which persists across app restarts
-
-// Save token to persistent storage
-ipcMain.handle("save-token", (event, token) => {
-  try {
-    if (store) {
-      store.set("token", token);
-      store.set("accessToken", token); // Also save as accessToken for compatibility
-      console.log("✅ Token saved to persistent storage");
-      return { success: true };
-    } else {
-      console.warn("⚠️ Store not available, token not persisted");
-      return { success: false, error: "Store not available" };
+  quickAdd.init({
+    onShortcutChange: () => {
+      tray.buildTrayMenu();
+      menu.setApplicationMenu();
     }
-  } catch (error) {
-    console.error("❌ Error saving token:", error);
-    return { success: false, error: error.message };
-  }
-});
-
-// Get token from persistent storage
-ipcMain.handle("get-token", () => {
-  try {
-    if (store) {
-      const token = store.get("token") || store.get("accessToken");
-      return { success: true, token };
-    } else {
-      return { success: false, token: null };
+  });
+
+  tray.init();
+
+  // Rebindable menu shortcuts
+  menu.init();
+
+  // Server profile switched or edited: reload against the new server
+  config.init({
+    hasMainWindow: () => !!windows.getMainWindow(),
+    onServerChange: () => {
+      updater.configureFeed();
+      tray.buildTrayMenu();
+      offline.refreshCache().catch(() => {});
+      realtime.refresh();
+      windows.reloadMainContent();
     }
-  } catch (error) {
-    console.error("❌ Error getting token:", error);
-    return { success: false, token: null, error: error.message };
-  }
-});
-
-// Save user data to persistent storage
-ipcMain.handle("save-user", (event, userData) => {
-  try {
-    if (store) {
-      store.set("user", userData);
-      if (userData.token) {
-        store.set("token", userData.token);
-        store.set("accessToken", userData.token);
+  });
+
+  // Update channels, staged rollout and update state for the in-app UI
+  updater.init({
+    store,
+    getServerURL: config.getServerURL,
+    onStateChange: (state) => {
+      windows.broadcast(EVENTS.UPDATE_STATE_CHANGED, state);
+      // Kept for renderers listening to the old percent-only event
+      if (state.status === "downloading" && state.progress) {
+        windows.sendToMainWindow(EVENTS.UPDATE_DOWNLOAD_PROGRESS, state.progress.percent);
       }
-      if (userData.workspaceId) {
-        store.set("workspaceId", userData.workspaceId);
+      // Ready to install: one desktop notification per version, unless deferred
+      if (state.status === "downloaded" && !updater.isDeferred()) {
+        notifications.notifyUpdateReady(state.availableVersion);
       }
-      if (userData.workspaceSlug) {
-        store.set("workspaceSlug", userData.workspaceSlug);
+      if (["downloaded", "skipped", "not-available", "available", "error"].includes(state.status)) {
+        tray.buildTrayMenu();
       }
-      console.log("✅ User data saved to persistent storage");
-      return { success: true };
-    } else {
-      return { success: false, error: "Store not available" };
     }
-  } catch (error) {
-    console.error("❌ Error saving user:", error);
-    return { success: false, error: error.message };
-  }
-});
-
-// Get user data from persistent storage
-ipcMain.handle("get-user", () => {
-  try {
-    if (store) {
-      const user = store.get("user");
-      return { success: true, user };
-    } else {
-      return { success: false, user: null };
+  });
+
+  function registerIpcHandlers() {
+    config.registerIpcHandlers({ onProfilesChanged: () => tray.buildTrayMenu() });
+    windows.registerIpcHandlers();
+    storage.registerIpcHandlers();
+    notifications.registerIpcHandlers();
+    updater.registerIpcHandlers();
+    quickAdd.registerIpcHandlers();
+    tray.registerIpcHandlers();
+    support.registerIpcHandlers();
+    realtime.registerIpcHandlers();
+    downloads.registerIpcHandlers();
+    attachments.registerIpcHandlers();
+    timeTracker.registerIpcHandlers();
+
+    const unhandled = ipc.getUnhandledChannels();
+    if (unhandled.length > 0) {
+      console.warn("⚠️ IPC channels without a handler:", unhandled.join(", "));
     }
-  } catch (error) {
-    console.error("❌ Error getting user:", error);
-    return { success: false, user: null, error: error.message };
+    console.log("✅ IPC handlers setup complete");
   }
-});
-
-// Clear all stored data (logout)
-ipcMain.handle("clear-storage", () => {
-  try {
-    if (store) {
-      store.clear();
-      console.log("✅ Storage cleared");
-      return { success: true };
+
+  // ============================================
+  // APP LIFECYCLE
+  // ============================================
+
+  // Deep links: register ocs-taskmanager:// and listen before "ready" (macOS cold start)
+  deepLinks.registerProtocolClient();
+
+  // macOS delivers links through "open-url" (also on cold start, before "ready")
+  app.on("open-url", (event, url) => {
+    event.preventDefault();
+    if (app.isReady()) {
+      windows.handleDeepLink(url);
     } else {
-      return { success: false, error: "Store not available" };
+      app.whenReady().then(() => windows.handleDeepLink(url));
     }
-  } catch (error) {
-    console.error("❌ Error clearing storage:", error);
-    return { success: false, error: error.message };
-  }
-});
-
-// Auto-updater configuration (only if available)
-if (autoUpdater) {
-  // Remove trailing slash from SERVER_URL for update URL construction
-  const baseUrl = SERVER_URL.endsWith('/') ? SERVER_URL.slice(0, -1) : SERVER_URL;
-  const updateUrl = `${baseUrl}/desktop/updates`;
-  
-  // ⚠️ WARNING: Electron auto-updater requires HTTPS
-  // HTTP (LAN IP) will cause silent failures
-  if (!updateUrl.startsWith('https://')) {
-    console.warn('⚠️ Auto-updater requires HTTPS. Current URL is HTTP:', updateUrl);
-    console.warn('⚠️ Auto-updates will fail silently. Use HTTPS or disable auto-updater.');
-  }
-  
-  autoUpdater.setFeedURL({
-    provider: "generic",
-    url: updateUrl
   });
 
-// Auto-updater events
-autoUpdater.on("checking-for-update", () => {
-  console.log("🔍 Checking for updates...");
-});
-
-autoUpdater.on("update-available", (info) => {
-  console.log("✅ Update available:", info.version);
-  if (mainWindow) {
-    dialog.showMessageBox(mainWindow, {
-      type: "info",
-      title: "Update Available",
-      message: `A new version (${info.version}) is available.`,
-      detail: "The update will be downloaded in the background. You'll be notified when it's ready to install.",
-      buttons: ["OK"]
-    });
-  }
-});
-
-autoUpdater.on("update-not-available", (info) => {
-  console.log("✅ App is up to date:", info.version);
-});
-
-autoUpdater.on("error", (err) => {
-  console.error("❌ Update error:", err);
-  // Don't show error to user in production - just log it
-  if (isDev) {
-    if (mainWindow) {
-      dialog.showErrorBox("Update Error", err.message || "An error occurred while checking for updates.");
+  // A second launch (e.g. a link clicked on Windows/Linux) lands here
+  app.on("second-instance", (event, argv) => {
+    const link = deepLinks.findDeepLinkInArgv(argv, config.getServerURL());
+    if (link) {
+      windows.handleDeepLink(link);
+      return;
     }
-  }
-});
-
-autoUpdater.on("download-progress", (progressObj) => {
-  const percent = Math.round(progressObj.percent);
-  console.log(`📥 Download progress: ${percent}%`);
-  // You can send this to the renderer process to show a progress bar
-  if (mainWindow) {
-    mainWindow.webContents.send("update-download-progress", percent);
-  }
-});
-
-autoUpdater.on("update-downloaded", (info) => {
-  console.log("✅ Update downloaded:", info.version);
-  if (mainWindow) {
-    dialog.showMessageBox(mainWindow, {
-      type: "info",
-      title: "Update Ready",
-      message: "Update downloaded successfully!",
-      detail: `Version ${info.version} is ready to install. The app will restart to apply the update.`,
-      buttons: ["Restart Now", "Later"],
-      defaultId: 0,
-      cancelId: 1
-    }).then((result) => {
-      if (result.response === 0) {
-        // User clicked "Restart Now"
-        autoUpdater.quitAndInstall(false, true);
-      }
-    });
-  } else {
-    // If window is closed, install on next app start
-    autoUpdater.quitAndInstall(false, true);
-  }
-});
-
-// Check for updates on app start (only in production)
-if (!isDev && app.isPackaged) {
-  // Check immediately
-  autoUpdater.checkForUpdates();
-  
-  // Then check every 4 hours
-  setInterval(() => {
-    autoUpdater.checkForUpdates();
-  }, 4 * 60 * 60 * 1000); // 4 hours
-  }
-} else {
-  console.log("ℹ️ Auto-updater is disabled (electron-updater not available)");
-}
-
-// ============================================
-// NOTIFICATION DEDUPLICATION
-// ============================================
-// Prevents duplicate notifications from both new and legacy APIs
-const recentNotifications = new Map(); // tag -> timestamp
-const DEDUP_WINDOW_MS = 2000; // 2 seconds
-
-function isDuplicateNotification(tag) {
-  if (!tag) return false;
-  const now = Date.now();
-  const lastShown = recentNotifications.get(tag);
-  
-  if (lastShown && (now - lastShown) < DEDUP_WINDOW_MS) {
-    return true; // Duplicate within time window
-  }
-  
-  // Update timestamp
-  recentNotifications.set(tag, now);
-  
-  // Cleanup old entries (keep map from growing)
-  if (recentNotifications.size > 100) {
-    const cutoff = now - DEDUP_WINDOW_MS * 2;
-    for (const [key, timestamp] of recentNotifications.entries()) {
-      if (timestamp < cutoff) {
-        recentNotifications.delete(key);
-      }
+    if (app.isReady()) {
+      windows.showMainWindow();
     }
-  }
-  
-  return false;
-}
-
-// Setup IPC handlers
-function setupIPC() {
-  console.log('🔧 Setting up IPC handlers...');
-  
-  // Handle opening external URLs
-  ipcMain.handle('open-external', async (event, url) => {
-    const { shell } = require('electron');
-    await shell.openExternal(url);
-    return true;
   });
 
-  // Handle desktop notifications (new simplified API)
-  ipcMain.handle('show-desktop-notification', async (event, data) => {
-    try {
-      console.log('🔔 IPC: show-desktop-notification called with:', {
-        title: data.title,
-        body: data.body,
-        hasData: !!data.data
-      });
-
-      if (!Notification.isSupported()) {
-        console.log('⚠️ Notifications not supported on this platform');
-        return false;
-      }
+  // App event handlers
+  app.whenReady().then(() => {
+    registerIpcHandlers();
+    menu.setApplicationMenu();
+
+    // safeStorage only works after "ready" - encrypt credentials left by older versions
+    secureStorage.migratePlaintextSecrets();
+    accounts.migrateLegacySession();
+    offline.start();
+    quickAdd.registerQuickAddShortcut();
+    trayState.startPolling();
+    notifications.start();
+    realtime.start();
+    updater.start();
+
+    lifecycle.start();
+    lifecycle.syncLaunchAtLogin();
+
+    // Tray first: starting hidden needs it to bring the window back
+    tray.createTray();
+
+    // After the tray: a timer left running shows there right away
+    timeTracker.start();
+
+    // First run: ask which server to use before loading anything
+    if (!isDev && serverProfiles.needsSetup()) {
+      windows.openServerSettingsWindow({ firstRun: true });
+    } else {
+      windows.createWindow({ hidden: lifecycle.shouldStartHidden() && tray.isAvailable() });
+    }
 
-      // Prevent duplicate notifications
-      const tag = data.data?.tag || `notification-${data.title}-${data.body}-${Date.now()}`;
-      if (isDuplicateNotification(tag)) {
-        console.log('⚠️ Duplicate notification prevented:', tag);
-        return false;
-      }
+    // Windows/Linux cold start: the link is on our own command line
+    const launchLink = deepLinks.findDeepLinkInArgv(process.argv, config.getServerURL());
+    if (launchLink) {
+      windows.handleDeepLink(launchLink);
+    }
 
-      // Get icon path using centralized helper
-      const iconPath = getIconPath();
-      let icon = null;
-      if (iconPath) {
-        icon = nativeImage.createFromPath(iconPath);
-        if (!icon.isEmpty()) {
-          console.log('✅ Found notification icon at:', iconPath);
-        }
+    // Request notification permission (required on macOS)
+    if (process.platform === "darwin") {
+      if (Notification.isSupported()) {
+        console.log("🔔 Desktop notifications supported on macOS");
       }
+    } else if (process.platform === "win32") {
+      console.log("🔔 Desktop notifications enabled on Windows");
+    }
 
-      // Create notification - always show even if app is open
-      const notification = new Notification({
-        title: data.title || 'OCS Task Manager',
-        body: data.body || '',
-        icon: icon || undefined,
-        silent: false,
-        tag: tag // Use tag for deduplication
-      });
-
-      console.log('✅ Notification object created, showing...');
-
-      // Handle notification click - focus window and navigate
-      // SINGLE UNIFIED FLOW: Only use IPC, React handles navigation
-      notification.on('click', () => {
-        console.log('🔔 Notification clicked');
-        if (!mainWindow) return;
-        
-        // Always show and focus the window first
-        if (mainWindow.isMinimized()) {
-          mainWindow.restore();
-        }
+    app.on("activate", () => {
+      const mainWindow = windows.getMainWindow();
+      if (BrowserWindow.getAllWindows().length === 0) {
+        windows.createWindow();
+      } else if (mainWindow) {
         mainWindow.show();
         mainWindow.focus();
-        
-        // Wait for window to be focused, then send navigation data via IPC
-        // React App.js will handle the navigation
-        setTimeout(() => {
-          if (data.data) {
-            console.log('📨 Sending notification-clicked event to renderer:', data.data);
-            mainWindow.webContents.send('notification-clicked', {
-              taskId: data.data.taskId,
-              projectId: data.data.projectId,
-              roomId: data.data.roomId,
-              workspaceSlug: data.data.workspaceSlug,
-              type: data.data.type,
-              entityType: data.data.entityType,
-              entityId: data.data.entityId
-            });
-          }
-        }, 100); // Small delay to ensure window is focused
-      });
-
-      // Show notification - this works even when app is open
-      notification.show();
-      
-      console.log('✅ Desktop notification shown successfully:', data.title);
-      return true;
-    } catch (error) {
-      console.error('❌ Error showing notification:', error);
-      console.error('❌ Error stack:', error.stack);
-      return false;
-    }
+      }
+    });
   });
 
-  // Handle desktop notifications (legacy API - kept for backward compatibility)
-  ipcMain.handle('show-notification', async (event, options) => {
-    try {
-      if (!Notification.isSupported()) {
-        console.log('⚠️ Notifications not supported on this platform');
-        return false;
-      }
+  app.on("will-quit", () => {
+    globalShortcut.unregisterAll();
+    realtime.stop();
+    timeTracker.stop();
+  });
 
-      // Prevent duplicate notifications
-      const tag = options.tag || `notification-${options.title}-${options.body}-${Date.now()}`;
-      if (isDuplicateNotification(tag)) {
-        console.log('⚠️ Duplicate notification prevented (legacy API):', tag);
-        return false;
-      }
+  // Only reached when the main window really closed (closeToTray off, or no tray):
+  // the main window otherwise hides instead of closing
+  app.on("window-all-closed", () => {
+    // On macOS, keep app running even when all windows are closed
+    if (process.platform !== "darwin") {
+      app.quit();
+    }
+  });
 
-      // Get icon path using centralized helper
-      const iconPath = getIconPath();
-      let icon = null;
-      if (iconPath) {
-        icon = nativeImage.createFromPath(iconPath);
-      }
+  // Security: no new windows, no navigation outside the allowlist, no <webview>
+  app.on("web-contents-created", (event, contents) => {
+    security.guardWebContents(contents);
+    logger.forwardConsole(contents);
+  });
 
-      // Create notification
-      const notification = new Notification({
-        title: options.title || 'OCS Task Manager',
-        body: options.body || '',
-        icon: icon || undefined,
-        silent: options.silent || false,
-        tag: options.tag || `notification-${Date.now()}`,
-        urgency: options.urgency || 'normal'
-      });
-
-      // Handle notification click - SINGLE UNIFIED FLOW
-      // Only use IPC, React handles navigation (removed executeJavaScript fallback)
-      notification.on('click', () => {
-        console.log('🔔 Legacy notification clicked');
-        if (!mainWindow) return;
-        
-        // Always show and focus the window first
-        if (mainWindow.isMinimized()) {
-          mainWindow.restore();
-        }
-        mainWindow.show();
-        mainWindow.focus();
-        
-        // Wait for window to be focused, then send navigation data via IPC
-        // React App.js will handle the navigation
-        setTimeout(() => {
-          if (options.data) {
-            console.log('📨 Sending notification-clicked event to renderer:', options.data);
-            mainWindow.webContents.send('notification-clicked', {
-              taskId: options.data.taskId,
-              projectId: options.data.projectId,
-              roomId: options.data.roomId,
-              workspaceSlug: options.data.workspaceSlug,
-              type: options.data.type,
-              entityType: options.data.entityType,
-              entityId: options.data.entityId
-            });
-          }
-        }, 100); // Small delay to ensure window is focused
-      });
-
-      // Show notification
-      notification.show();
-      
-      console.log('🔔 Desktop notification shown:', options.title);
-      return true;
-    } catch (error) {
-      console.error('❌ Error showing notification:', error);
-      return false;
-    }
+  // Crashes end up in the log file (source "crash")
+  app.on("render-process-gone", (event, contents, details) => {
+    logger.crash(`Renderer process gone: ${details.reason}`, { exitCode: details.exitCode, url: contents.getURL() });
   });
-  
-  console.log('✅ IPC handlers setup complete');
-}
 
-// Request notification permission and setup IPC
-app.whenReady().then(() => {
-  // Setup IPC handlers
-  setupIPC();
-  
-  // Request notification permission (required on macOS)
-  if (process.platform === "darwin") {
-    if (Notification.isSupported()) {
-      console.log("🔔 Desktop notifications supported on macOS");
-    }
-  } else if (process.platform === "win32") {
-    console.log("🔔 Desktop notifications enabled on Windows");
-  }
-});
+  app.on("child-process-gone", (event, details) => {
+    logger.crash(`${details.type} process gone: ${details.reason}`, details);
+  });
+
+  // Monitor only: Electron still reports the exception as it would without us
+  process.on("uncaughtExceptionMonitor", (error) => {
+    logger.crash(`Uncaught exception in the main process: ${error.message}`, { stack: error.stack });
+  });
 
+  process.on("unhandledRejection", (reason) => {
+    logger.crash("Unhandled promise rejection in the main process", { reason: reason instanceof Error ? reason.stack : String(reason) });
+  });
+}
@@ -0,0 +1,267 @@
+// ============================================
+// ACCOUNTS (MULTI-ACCOUNT / MULTI-WORKSPACE SESSIONS)
+// ============================================
+// Each account is one logged-in session (user + workspace) with:
+//   - its own token/user secrets in secure storage (token:<id>, user:<id>)
+//   - its own persisted session partition for the BrowserWindow, so
+//     localStorage, cookies and cache never mix between accounts
+//
+// The first account (and the one migrated from older single-account
+// versions) uses the default session (partition: null). Accounts added
+// later get a "persist:account-<id>" partition.
+
+const crypto = require("crypto");
+const { session } = require("electron");
+const secureStorage = require("./secure-storage");
+
+let store = null;
+let onAccountRemoved = () => {};
+
+// Partition the main window is using while no account is active yet
+// (fresh install, after logout, or while adding an account)
+let pendingPartition = null;
+
+function init(options) {
+  store = options.store || null;
+  onAccountRemoved = options.onAccountRemoved || onAccountRemoved;
+}
+
+function tokenKey(id) {
+  return `token:${id}`;
+}
+
+function userKey(id) {
+  return `user:${id}`;
+}
+
+function getAccountsMap() {
+  if (!store) return {};
+  return store.get("accounts") || {};
+}
+
+function saveAccountsMap(accounts) {
+  store.set("accounts", accounts);
+}
+
+function listAccounts() {
+  const activeId = store ? store.get("activeAccountId") : null;
+  return Object.values(getAccountsMap())
+    .sort((a, b) => (b.lastUsedAt || "").localeCompare(a.lastUsedAt || ""))
+    .map((account) => ({ ...account, active: account.id === activeId }));
+}
+
+function getAccount(id) {
+  return getAccountsMap()[id] || null;
+}
+
+function getActiveAccount() {
+  if (!store) return null;
+  const activeId = store.get("activeAccountId");
+  return activeId ? getAccount(activeId) : null;
+}
+
+// Session partition the main window should use right now
+function getActivePartition() {
+  const account = getActiveAccount();
+  return account ? account.partition : pendingPartition;
+}
+
+// Human readable name for menus: "Jane Doe - acme"
+function buildLabel(user, workspaceSlug) {
+  const name = user ? (user.name || user.fullName || user.email || user.username) : null;
+  const base = name || "Unnamed account";
+  return workspaceSlug ? `${base} - ${workspaceSlug}` : base;
+}
+
+// Keep the legacy single-account keys pointing at the active account
+function syncLegacyKeys(account) {
+  store.set("workspaceId", account ? account.workspaceId || null : null);
+  store.set("workspaceSlug", account ? account.workspaceSlug || null : null);
+}
+
+// Active account, creating one for the current partition if needed
+// (called when the renderer saves a token/user for a fresh login)
+function ensureActiveAccount() {
+  const active = getActiveAccount();
+  if (active) return active;
+
+  const accounts = getAccountsMap();
+  const id = crypto.randomUUID();
+  const now = new Date().toISOString();
+  accounts[id] = {
+    id,
+    label: "New account",
+    partition: pendingPartition,
+    userId: null,
+    email: null,
+    workspaceId: null,
+    workspaceSlug: null,
+    createdAt: now,
+    lastUsedAt: now
+  };
+  saveAccountsMap(accounts);
+  store.set("activeAccountId", id);
+  pendingPartition = null;
+  console.log(`👤 Account created: ${id}`);
+  return accounts[id];
+}
+
+// No token (logout) only clears the active account's token, it never creates one
+function setToken(token) {
+  if (!token) {
+    const active = getActiveAccount();
+    if (active) secureStorage.deleteSecret(tokenKey(active.id));
+    return active;
+  }
+  const account = ensureActiveAccount();
+  secureStorage.setSecret(tokenKey(account.id), token);
+  return account;
+}
+
+function getToken() {
+  const account = getActiveAccount();
+  return account ? secureStorage.getSecret(tokenKey(account.id)) : null;
+}
+
+// Token for a specific account (e.g. background work for a non-active account)
+function getAccountToken(id) {
+  return secureStorage.getSecret(tokenKey(id));
+}
+
+// Save the user object and update the account's identity from it
+function setUser(userData) {
+  const account = ensureActiveAccount();
+  secureStorage.setSecret(userKey(account.id), userData);
+  if (userData.token) {
+    secureStorage.setSecret(tokenKey(account.id), userData.token);
+  }
+
+  const accounts = getAccountsMap();
+  const record = accounts[account.id];
+  record.userId = userData.id || userData._id || userData.userId || record.userId;
+  record.email = userData.email || record.email;
+  record.workspaceId = userData.workspaceId || record.workspaceId;
+  record.workspaceSlug = userData.workspaceSlug || record.workspaceSlug;
+  record.label = buildLabel(userData, record.workspaceSlug);
+  record.lastUsedAt = new Date().toISOString();
+
+  // Logging in again to an identity we already have replaces the old session
+  const duplicate = Object.values(accounts).find((other) =>
+    other.id !== record.id &&
+    other.userId && other.userId === record.userId &&
+    String(other.workspaceId || "") === String(record.workspaceId || "")
+  );
+  saveAccountsMap(accounts);
+  if (duplicate) {
+    console.log(`👤 Replacing duplicate account ${duplicate.id} with ${record.id}`);
+    removeAccount(duplicate.id).catch((error) => {
+      console.error(`❌ Error removing duplicate account ${duplicate.id}:`, error);
+    });
+  }
+
+  syncLegacyKeys(record);
+  return record;
+}
+
+function getUser() {
+  const account = getActiveAccount();
+  return account ? secureStorage.getSecret(userKey(account.id)) : null;
+}
+
+function setActiveAccount(id) {
+  const accounts = getAccountsMap();
+  const account = accounts[id];
+  if (!account) {
+    throw new Error("Account not found");
+  }
+  account.lastUsedAt = new Date().toISOString();
+  saveAccountsMap(accounts);
+  store.set("activeAccountId", id);
+  pendingPartition = null;
+  syncLegacyKeys(account);
+  return account;
+}
+
+// Prepare a fresh partition for logging in to another account
+// The account record is created once the renderer saves a token
+function beginAddAccount() {
+  store.set("activeAccountId", null);
+  pendingPartition = `persist:account-${crypto.randomUUID()}`;
+  syncLegacyKeys(null);
+  return pendingPartition;
+}
+
+// Remove one account: its secrets, its record and its session data
+// Other accounts are left untouched
+async function removeAccount(id) {
+  const accounts = getAccountsMap();
+  const account = accounts[id];
+  if (!account) {
+    throw new Error("Account not found");
+  }
+
+  secureStorage.deleteSecret(tokenKey(id));
+  secureStorage.deleteSecret(userKey(id));
+  delete accounts[id];
+  saveAccountsMap(accounts);
+
+  const wasActive = store.get("activeAccountId") === id;
+  if (wasActive) {
+    store.set("activeAccountId", null);
+    // Keep showing the same (now empty) session so the user lands on the login page
+    pendingPartition = account.partition;
+    syncLegacyKeys(null);
+  }
+
+  const accountSession = account.partition ? session.fromPartition(account.partition) : session.defaultSession;
+  try {
+    await accountSession.clearStorageData();
+  } catch (error) {
+    console.warn(`⚠️ Could not clear session data for account ${id}:`, error.message);
+  }
+
+  onAccountRemoved(id);
+  console.log(`👤 Account removed: ${account.label}`);
+  return { wasActive };
+}
+
+// Move the single token/user of older versions into an account record
+function migrateLegacySession() {
+  if (!store || Object.keys(getAccountsMap()).length > 0) {
+    return false;
+  }
+
+  const token = secureStorage.getSecret("token");
+  const user = secureStorage.getSecret("user");
+  if (!token && !user) {
+    return false;
+  }
+
+  pendingPartition = null; // legacy data lives in the default session
+  if (user) {
+    setUser(token && !user.token ? { ...user, token } : user);
+  } else {
+    setToken(token);
+  }
+  secureStorage.deleteSecret("token");
+  secureStorage.deleteSecret("user");
+  console.log("👤 Migrated existing login to multi-account storage");
+  return true;
+}
+
+module.exports = {
+  init,
+  listAccounts,
+  getAccount,
+  getActiveAccount,
+  getActivePartition,
+  setToken,
+  getToken,
+  getAccountToken,
+  setUser,
+  getUser,
+  setActiveAccount,
+  beginAddAccount,
+  removeAccount,
+  migrateLegacySession
+};
@@ -0,0 +1,179 @@
+// ============================================
+// SERVER API CLIENT
+// ============================================
+// Authenticated JSON requests from the main process to the OCS server,
+// using the active account's stored token and the current SERVER_URL.
+// Used by background features that must work without the renderer
+// (offline sync, quick add, notification actions, attachments...).
+
+const { net } = require("electron");
+const crypto = require("crypto");
+
+const REQUEST_TIMEOUT_MS = 15 * 1000;
+const UPLOAD_TIMEOUT_MS = 5 * 60 * 1000;
+const UPLOAD_CHUNK_BYTES = 64 * 1024;
+
+// Server endpoints (relative to SERVER_URL)
+const API_PATHS = {
+  tasks: "api/tasks/my",
+  projects: "api/projects",
+  createTask: "api/tasks",
+  task: (id) => `api/tasks/${encodeURIComponent(id)}`,
+  taskAttachments: (id) => `api/tasks/${encodeURIComponent(id)}/attachments`,
+  timeEntries: "api/time-entries",
+  roomMessages: (roomId) => `api/rooms/${encodeURIComponent(roomId)}/messages`
+};
+
+let getToken = () => null;
+let getServerURL = () => null;
+
+function init(options) {
+  getToken = options.getToken;
+  getServerURL = options.getServerURL;
+}
+
+// True when the active account has a token (i.e. requests can be made)
+function hasToken() {
+  return !!getToken();
+}
+
+function apiURL(apiPath) {
+  const base = getServerURL();
+  return `${base.endsWith("/") ? base : `${base}/`}${apiPath}`;
+}
+
+// Fetch JSON from the server with the stored token
+// Network failures reject with error.offline = true,
+// HTTP errors with error.status and error.data
+function request(method, apiPath, body, options = {}) {
+  return send(method, apiPath, {
+    headers: body ? { "Content-Type": "application/json" } : {},
+    body: body ? JSON.stringify(body) : undefined
+  }, options);
+}
+
+// Multipart upload of files ([{ name, type, data }]) as the "files" field.
+// onProgress(sent, total) follows the body going out; same errors as request()
+function upload(apiPath, files, options = {}) {
+  const boundary = `----ocs-${crypto.randomUUID()}`;
+  const body = buildMultipartBody(boundary, files);
+  const onProgress = options.onProgress || (() => {});
+  let sent = 0;
+  // No buffering ahead (highWaterMark 0): a chunk is only asked for once the
+  // one before was taken by the network, so progress counts bytes sent.
+  // All of it is only reported once the server has answered.
+  const stream = new ReadableStream({
+    pull(controller) {
+      if (sent >= body.length) {
+        controller.close();
+        return;
+      }
+      onProgress(sent, body.length);
+      const chunk = body.subarray(sent, sent + UPLOAD_CHUNK_BYTES);
+      sent += chunk.length;
+      controller.enqueue(chunk);
+    }
+  }, { highWaterMark: 0 });
+  return send("POST", apiPath, {
+    headers: { "Content-Type": `multipart/form-data; boundary=${boundary}` },
+    body: stream,
+    duplex: "half"
+  }, { timeout: UPLOAD_TIMEOUT_MS, ...options }).then((data) => {
+    onProgress(body.length, body.length);
+    return data;
+  });
+}
+
+function buildMultipartBody(boundary, files) {
+  const parts = [];
+  for (const file of files) {
+    const filename = String(file.name).replace(/[\r\n]/g, " ").replace(/"/g, "%22");
+    parts.push(Buffer.from(
+      `--${boundary}\r\n` +
+      `Content-Disposition: form-data; name="files"; filename="${filename}"\r\n` +
+      `Content-Type: ${file.type || "application/octet-stream"}\r\n\r\n`
+    ));
+    parts.push(Buffer.from(file.data), Buffer.from("\r\n"));
+  }
+  parts.push(Buffer.from(`--${boundary}--\r\n`));
+  return Buffer.concat(parts);
+}
+
+// Shared by request() and upload(): token, timeout, JSON answer and errors
+async function send(method, apiPath, init, options) {
+  const token = options.token || getToken();
+  if (!token) {
+    const error = new Error("Not logged in");
+    error.status = 401;
+    throw error;
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), options.timeout || REQUEST_TIMEOUT_MS);
+  let response;
+  try {
+    response = await net.fetch(apiURL(apiPath), {
+      ...init,
+      method,
+      headers: {
+        "Authorization": `Bearer ${token}`,
+        "Accept": "application/json",
+        ...init.headers
+      },
+      signal: controller.signal
+    });
+  } catch (error) {
+    error.offline = true;
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const text = await response.text();
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch (error) {
+    data = text;
+  }
+
+  if (!response.ok) {
+    const error = new Error((data && data.message) || `HTTP ${response.status}`);
+    error.status = response.status;
+    error.data = data;
+    throw error;
+  }
+  return data;
+}
+
+// Worth trying again later rather than giving up on: offline, token
+// expired, or the server busy or failing
+function isTemporaryError(error) {
+  return !!error.offline || [401, 408, 429].includes(error.status) || error.status >= 500;
+}
+
+// Accept [..], { data: [..] } or { tasks: [..] } style responses
+function unwrapList(data, key) {
+  if (Array.isArray(data)) return data;
+  if (data && Array.isArray(data.data)) return data.data;
+  if (data && Array.isArray(data[key])) return data[key];
+  return [];
+}
+
+function unwrapItem(data, key) {
+  if (data && data.data && typeof data.data === "object") return data.data;
+  if (data && data[key] && typeof data[key] === "object") return data[key];
+  return data;
+}
+
+module.exports = {
+  API_PATHS,
+  init,
+  hasToken,
+  apiURL,
+  request,
+  upload,
+  isTemporaryError,
+  unwrapList,
+  unwrapItem
+};
@@ -0,0 +1,260 @@
+// ============================================
+// ATTACHMENTS: FILES AND SCREENSHOTS TO TASKS
+// ============================================
+// Files dropped on the main window or on the tray icon (macOS), and images
+// pasted from the clipboard, become a new task - or are attached to a task:
+// the one given (options.taskId), or with attachToOpenTask the one the
+// renderer reported as open (setOpenTask). With openTaskOnly nothing is
+// uploaded unless a task is open.
+//
+// The main process reads the files and uploads them with the stored token
+// (main/api.js). Limits, checked before anything is sent:
+//   - at most MAX_FILES files per upload, MAX_FILE_BYTES each
+// Upload progress (bytes sent) goes to the main window as "upload-progress".
+//
+// The preload handles drops and pastes the page leaves alone (see
+// preload.js) by attaching them to the open task only; those and tray
+// drops report the outcome in a desktop notification (options.notify)
+// since no page may be listening.
+
+const { clipboard, Notification } = require("electron");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const api = require("./api");
+const ipc = require("./ipc");
+const { CHANNELS } = require("./ipc-contract");
+const windows = require("./windows");
+
+const MAX_FILES = 10;
+const MAX_FILE_BYTES = 25 * 1024 * 1024;
+
+const MIME_TYPES = {
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".svg": "image/svg+xml",
+  ".pdf": "application/pdf",
+  ".txt": "text/plain",
+  ".md": "text/markdown",
+  ".csv": "text/csv",
+  ".json": "application/json",
+  ".zip": "application/zip",
+  ".doc": "application/msword",
+  ".docx": "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ".xls": "application/vnd.ms-excel",
+  ".xlsx": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  ".ppt": "application/vnd.ms-powerpoint",
+  ".pptx": "application/vnd.openxmlformats-officedocument.presentationml.presentation"
+};
+
+let openTaskId = null;
+let onProgress = () => {};
+let onTaskCreated = () => {};
+
+// onProgress(progress): an upload started, progressed or finished
+// onTaskCreated(task): a task was created for dropped/pasted files
+function init(options) {
+  onProgress = options.onProgress || onProgress;
+  onTaskCreated = options.onTaskCreated || onTaskCreated;
+}
+
+// The task open in the renderer (null: none)
+function setOpenTask(taskId) {
+  openTaskId = taskId === undefined || taskId === "" ? null : taskId;
+}
+
+function getOpenTask() {
+  return openTaskId;
+}
+
+function getMimeType(name) {
+  return MIME_TYPES[path.extname(name).toLowerCase()] || "application/octet-stream";
+}
+
+// Reason a file can't be attached, or null
+function checkFile(name, size, accepted) {
+  if (size > MAX_FILE_BYTES) return `Larger than ${MAX_FILE_BYTES / 1024 / 1024} MB`;
+  if (accepted >= MAX_FILES) return `At most ${MAX_FILES} files at a time`;
+  return null;
+}
+
+// Read the files that are within the limits (checked before reading, off
+// the main thread): { files: [{ name, type, size, data }], rejected: [{ name, reason }] }
+async function readFiles(paths) {
+  const files = [];
+  const rejected = [];
+  for (const filePath of paths) {
+    const name = path.basename(String(filePath));
+    let stats = null;
+    try {
+      stats = await fs.promises.stat(filePath);
+    } catch (error) {
+      rejected.push({ name, reason: "File not found" });
+      continue;
+    }
+    const reason = stats.isFile() ? checkFile(name, stats.size, files.length) : "Folders can't be attached";
+    if (reason) {
+      rejected.push({ name, reason });
+      continue;
+    }
+    try {
+      files.push({ name, type: getMimeType(name), size: stats.size, data: await fs.promises.readFile(filePath) });
+    } catch (error) {
+      rejected.push({ name, reason: `Couldn't read the file: ${error.message}` });
+    }
+  }
+  return { files, rejected };
+}
+
+// "report" for one file, "report and 2 more files" for several
+function buildTitle(files) {
+  const first = path.basename(files[0].name, path.extname(files[0].name));
+  if (files.length === 1) return first;
+  return `${first} and ${files.length - 1} more ${files.length === 2 ? "file" : "files"}`;
+}
+
+function resolveTaskId(options) {
+  if (options.taskId !== undefined && options.taskId !== null) return options.taskId;
+  return options.attachToOpenTask || options.openTaskOnly ? openTaskId : null;
+}
+
+// Upload to an existing task, or create one first. Returns
+// { success, taskId, task, created, attachments, rejected, error }
+async function submit(files, rejected, options) {
+  if (!api.hasToken()) {
+    return { success: false, error: "Log in to OCS Task Manager first", rejected };
+  }
+  if (files.length === 0) {
+    return { success: false, error: rejected.length > 0 ? `${rejected[0].name}: ${rejected[0].reason}` : "No files to attach", rejected };
+  }
+
+  let taskId = resolveTaskId(options);
+  let task = null;
+  if (taskId === null && options.openTaskOnly) {
+    return { success: false, error: "Open a task to attach files to it", rejected };
+  }
+  if (taskId === null) {
+    try {
+      const payload = { title: options.title || buildTitle(files), projectId: options.projectId || null };
+      task = api.unwrapItem(await api.request("POST", api.API_PATHS.createTask, payload), "task");
+      taskId = task.id || task._id;
+      console.log("✅ Task created for attachments:", payload.title);
+      onTaskCreated(task);
+    } catch (error) {
+      console.error("❌ Error creating a task for attachments:", error.message);
+      return { success: false, error: error.offline ? "You're offline. Try again once connected" : error.message, rejected };
+    }
+  }
+
+  const progress = {
+    uploadId: crypto.randomUUID(),
+    taskId,
+    fileNames: files.map((file) => file.name),
+    loaded: 0,
+    total: 0,
+    state: "uploading",
+    error: null
+  };
+  let reportedPercent = -1;
+  onProgress({ ...progress });
+
+  try {
+    const data = await api.upload(api.API_PATHS.taskAttachments(taskId), files, {
+      onProgress: (loaded, total) => {
+        progress.loaded = loaded;
+        progress.total = total;
+        // Every whole percent is plenty for a progress bar
+        const percent = Math.floor((loaded / total) * 100);
+        if (percent !== reportedPercent) {
+          reportedPercent = percent;
+          onProgress({ ...progress });
+        }
+      }
+    });
+    onProgress({ ...progress, state: "done" });
+    console.log(`📎 Attached ${files.length} file(s) to task ${taskId}`);
+    return { success: true, taskId, task, created: !!task, attachments: api.unwrapList(data, "attachments"), rejected };
+  } catch (error) {
+    const message = error.offline ? "The upload failed: the server can't be reached" : error.message;
+    onProgress({ ...progress, state: "error", error: message });
+    console.error("❌ Error uploading attachments:", error.message);
+    return { success: false, error: message, taskId, task, created: !!task, rejected };
+  }
+}
+
+// Outcome of drops and pastes nobody else shows; clicking opens the task
+function notifyResult(result) {
+  if (!Notification.isSupported()) return;
+  const count = result.attachments ? result.attachments.length : 0;
+  const notification = new Notification(result.success
+    ? {
+      title: result.created ? "Task created" : "Files attached",
+      body: `${count} ${count === 1 ? "file" : "files"} attached${result.task && result.task.title ? ` to "${result.task.title}"` : ""}`
+    }
+    : { title: "Couldn't attach the files", body: result.error });
+  if (result.taskId) {
+    notification.on("click", () => windows.openInMainWindow({ type: "task", taskId: String(result.taskId) }));
+  }
+  notification.show();
+}
+
+// Files by path (the preload turns dropped File objects into paths)
+// options: { taskId, attachToOpenTask, openTaskOnly, title, projectId, notify }
+async function createTaskFromFiles(paths, options = {}) {
+  const { files, rejected } = await readFiles(paths.filter((filePath) => typeof filePath === "string"));
+  const result = await submit(files, rejected, options);
+  if (options.notify) notifyResult(result);
+  return result;
+}
+
+// The image on the clipboard as a PNG screenshot
+async function createTaskFromClipboard(options = {}) {
+  const image = clipboard.readImage();
+  let result;
+  if (image.isEmpty()) {
+    result = { success: false, error: "There is no image on the clipboard", rejected: [] };
+  } else {
+    const stamp = new Date().toISOString().slice(0, 19).replace("T", " ").replace(/:/g, ".");
+    const data = image.toPNG();
+    const file = { name: `Screenshot ${stamp}.png`, type: "image/png", size: data.length, data };
+    const reason = checkFile(file.name, file.size, 0);
+    result = reason
+      ? await submit([], [{ name: file.name, reason }], options)
+      : await submit([file], [], options);
+  }
+  if (options.notify) notifyResult(result);
+  return result;
+}
+
+// Dropped on the tray icon (macOS): attach to the open task, else a new one
+function handleTrayDrop(paths) {
+  createTaskFromFiles(paths, { attachToOpenTask: true, notify: true }).catch((error) => {
+    console.error("❌ Error handling files dropped on the tray:", error);
+  });
+}
+
+function registerIpcHandlers() {
+  ipc.handle(CHANNELS.CREATE_TASK_FROM_FILES, (event, paths, options) => createTaskFromFiles(paths, options || {}));
+  ipc.handle(CHANNELS.CREATE_TASK_FROM_CLIPBOARD, (event, options) => createTaskFromClipboard(options || {}));
+  ipc.handle(CHANNELS.SET_OPEN_TASK, (event, taskId) => {
+    setOpenTask(taskId);
+    return true;
+  });
+}
+
+module.exports = {
+  MAX_FILES,
+  MAX_FILE_BYTES,
+  init,
+  setOpenTask,
+  getOpenTask,
+  readFiles,
+  buildTitle,
+  createTaskFromFiles,
+  createTaskFromClipboard,
+  handleTrayDrop,
+  registerIpcHandlers
+};
@@ -0,0 +1,268 @@
+// ============================================
+// CONFIG: STORES, SERVER URL, APP PATHS
+// ============================================
+// Created once when first required:
+//   - store: electron-store for tokens, accounts, preferences (null if unavailable)
+//   - offlineStore: cached tasks/projects and queued changes (see main/offline.js)
+//   - the server URL: environment variables > active server profile > default IP
+//   - IPC for server profiles and application settings (main/settings.js)
+//
+// The server URL changes at runtime when the user switches server profile;
+// init({ onServerChange }) is told so windows, tray and updater can follow.
+
+const { app } = require("electron");
+const fs = require("fs");
+const path = require("path");
+const ipc = require("./ipc");
+const { CHANNELS } = require("./ipc-contract");
+const serverProfiles = require("./server-profiles");
+const settings = require("./settings");
+
+const APP_ROOT = path.join(__dirname, "..");
+const BUILD_DIR = path.join(APP_ROOT, "..", "build"); // React production build
+const isDev = process.argv.includes("--dev") || !app.isPackaged;
+
+// React dev server loaded in development (ELECTRON_DEV_URL > settings > default)
+function getDevURL() {
+  return process.env.ELECTRON_DEV_URL || settings.get("devServerURL") || "http://localhost:3000";
+}
+
+let onServerChange = () => {};
+let hasMainWindow = () => false;
+
+// ============================================
+// HELPER FUNCTION: Get icon path (centralized)
+// ============================================
+// This function searches for icons in order of preference
+// Returns the first valid icon path found, or null if none exist
+function getIconPath() {
+  const possiblePaths = [
+    path.join(APP_ROOT, "icon.png"),
+    path.join(APP_ROOT, "icon.ico"),
+    path.join(APP_ROOT, "..", "public", "favicon.ico"),
+    path.join(APP_ROOT, "..", "build", "favicon.ico")
+  ];
+
+  for (const iconPath of possiblePaths) {
+    if (fs.existsSync(iconPath)) {
+      return iconPath;
+    }
+  }
+
+  return null; // No icon found
+}
+
+// Initialize electron-store for persistent token storage (Asana-style)
+let store = null;
+let offlineStore = null; // cached tasks/projects and queued changes - see main/offline.js
+try {
+  const Store = require("electron-store");
+  store = new Store({
+    name: "ocs-taskmanager",
+    defaults: {
+      secrets: {}, // encrypted token/user - see main/secure-storage.js
+      settings: {}, // user-facing settings, versioned - see main/settings.js
+      accounts: {}, // id -> { label, partition, workspaceId, ... } - see main/accounts.js
+      activeAccountId: null,
+      workspaceId: null, // mirrors the active account
+      workspaceSlug: null,
+      serverProfiles: [],
+      activeServerProfileId: null,
+      windowState: null, // { bounds, isMaximized, isFullScreen, displayId } - see main/window-state.js
+      backgroundHintShown: false, // "still running in the tray" shown once - see main/tray.js
+      notificationHistory: [], // see main/notification-center.js
+      notificationPreferences: {},
+      notificationQueue: [], // ids held back by do-not-disturb
+      snoozedNotifications: [],
+      reminders: [], // due-date reminders - see main/reminders.js
+      updates: { skippedVersion: null, deferredUntil: null } // see main/updater.js
+    }
+  });
+  offlineStore = new Store({
+    name: "ocs-offline",
+    defaults: {
+      cache: {},
+      outbox: [],
+      conflicts: []
+    }
+  });
+  console.log("✅ Electron store initialized for persistent token storage");
+} catch (error) {
+  console.warn("⚠️ electron-store not available:", error.message);
+  console.warn("⚠️ Token will only be stored in localStorage (may not persist)");
+}
+
+// Resolve server URL: environment variables > active server profile > default IP
+serverProfiles.init({ store });
+let serverURL = serverProfiles.getServerURL();
+
+function init(options) {
+  onServerChange = options.onServerChange || onServerChange;
+  hasMainWindow = options.hasMainWindow || hasMainWindow;
+}
+
+function getServerURL() {
+  return serverURL;
+}
+
+// ============================================
+// SERVER SWITCHING
+// ============================================
+
+// Re-resolve the server URL and let the rest of the app follow, without restarting
+function applyServerChange() {
+  const previousURL = serverURL;
+  serverURL = serverProfiles.getServerURL();
+  console.log(`🌐 Server changed: ${previousURL} -> ${serverURL}`);
+  onServerChange(serverURL, previousURL);
+}
+
+// Switch to another saved server profile
+function switchServerProfile(id) {
+  const profile = serverProfiles.setActiveProfile(id);
+  console.log(`🔁 Switching server profile to: ${profile.name}`);
+  applyServerChange();
+  return profile;
+}
+
+// ============================================
+// IPC HANDLERS FOR SERVER PROFILES
+// ============================================
+// Used by the server settings window (pages/server-settings.html)
+// and by the main window to show the current server
+// onProfilesChanged: tray rebuild for changes that don't switch the server
+
+function registerIpcHandlers({ onProfilesChanged }) {
+  // List saved profiles, the active one and any environment override
+  ipc.handle(CHANNELS.LIST_SERVER_PROFILES, () => {
+    try {
+      const activeProfile = serverProfiles.getActiveProfile();
+      return {
+        success: true,
+        profiles: serverProfiles.listProfiles(),
+        activeId: activeProfile ? activeProfile.id : null,
+        envOverride: serverProfiles.getEnvOverrideName(),
+        envURL: serverProfiles.getEnvServerURL(),
+        serverURL
+      };
+    } catch (error) {
+      console.error("❌ Error listing server profiles:", error);
+      return { success: false, profiles: [], error: error.message };
+    }
+  });
+
+  // Add or update a server profile
+  ipc.handle(CHANNELS.SAVE_SERVER_PROFILE, (event, profile) => {
+    try {
+      const wasActive = serverProfiles.getActiveProfile();
+      const saved = serverProfiles.saveProfile(profile);
+      const active = serverProfiles.getActiveProfile();
+      console.log("✅ Server profile saved:", saved.name);
+
+      // Reload if the saved profile is (now) the one in use
+      if (active && active.id === saved.id && (!wasActive || wasActive.url !== saved.url || !hasMainWindow())) {
+        applyServerChange();
+      } else {
+        onProfilesChanged();
+      }
+      return { success: true, profile: saved };
+    } catch (error) {
+      console.error("❌ Error saving server profile:", error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Delete a server profile
+  ipc.handle(CHANNELS.REMOVE_SERVER_PROFILE, (event, id) => {
+    try {
+      const wasActive = serverProfiles.getActiveProfile();
+      serverProfiles.removeProfile(id);
+      if (wasActive && wasActive.id === id && hasMainWindow()) {
+        applyServerChange();
+      } else {
+        onProfilesChanged();
+      }
+      return { success: true };
+    } catch (error) {
+      console.error("❌ Error removing server profile:", error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Make a profile active and reload the main window
+  ipc.handle(CHANNELS.SWITCH_SERVER_PROFILE, (event, id) => {
+    try {
+      const profile = switchServerProfile(id);
+      return { success: true, profile, serverURL };
+    } catch (error) {
+      console.error("❌ Error switching server profile:", error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Check reachability and TLS for a server URL
+  ipc.handle(CHANNELS.VALIDATE_SERVER_URL, (event, url) => {
+    return serverProfiles.validateServerURL(url);
+  });
+
+  // Current server URL for the main window
+  ipc.handle(CHANNELS.GET_SERVER_URL, () => {
+    return serverURL;
+  });
+
+  registerSettingsHandlers();
+}
+
+// ============================================
+// IPC HANDLERS FOR APPLICATION SETTINGS
+// ============================================
+// Settings window (pages/settings.html) and electronAPI.getSettings()/setSetting()
+// Changes are broadcast as "settings-changed" (see electron.js)
+
+function registerSettingsHandlers() {
+  ipc.handle(CHANNELS.GET_SETTINGS, () => {
+    return {
+      success: true,
+      settings: settings.getAll(),
+      schema: settings.getSchema(),
+      version: settings.SCHEMA_VERSION,
+      devMode: isDev
+    };
+  });
+
+  ipc.handle(CHANNELS.SET_SETTING, (event, key, value) => {
+    try {
+      const result = settings.set(key, value);
+      return result.success ? { ...result, settings: settings.getAll() } : result;
+    } catch (error) {
+      console.error("❌ Error changing setting:", error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // One setting, or all of them when key is omitted
+  ipc.handle(CHANNELS.RESET_SETTINGS, (event, key) => {
+    try {
+      const result = settings.reset(key || undefined);
+      return result.success ? { ...result, settings: settings.getAll() } : result;
+    } catch (error) {
+      console.error("❌ Error resetting settings:", error);
+      return { success: false, error: error.message };
+    }
+  });
+}
+
+module.exports = {
+  APP_ROOT,
+  BUILD_DIR,
+  isDev,
+  store,
+  offlineStore,
+  init,
+  getIconPath,
+  getDevURL,
+  getServerURL,
+  applyServerChange,
+  switchServerProfile,
+  registerIpcHandlers
+};
@@ -0,0 +1,94 @@
+// ============================================
+// CONNECTION ERRORS
+// ============================================
+// Turns Chromium net error codes from "did-fail-load" into something a
+// user can act on, and computes the retry backoff for the error page.
+// Codes: https://source.chromium.org/chromium/chromium/src/+/main:net/base/net_error_list.h
+
+const RETRY_BASE_MS = 5 * 1000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+
+const CATEGORIES = {
+  dns: {
+    title: "Server not found",
+    message: "The server name could not be resolved. Check the address in your server settings and your internet connection."
+  },
+  refused: {
+    title: "Connection refused",
+    message: "The server was reached but refused the connection. It may be down for maintenance or running on a different port."
+  },
+  tls: {
+    title: "Secure connection failed",
+    message: "The server's security certificate is not trusted or the secure connection could not be established. Contact your administrator."
+  },
+  timeout: {
+    title: "Connection timed out",
+    message: "The server did not respond in time. It may be overloaded or blocked by a firewall or VPN."
+  },
+  offline: {
+    title: "You are offline",
+    message: "This computer is not connected to a network. The app will reconnect automatically."
+  },
+  unreachable: {
+    title: "Server unreachable",
+    message: "The server cannot be reached from this network. If it is on your office network, check your VPN connection."
+  },
+  unknown: {
+    title: "Could not load OCS Task Manager",
+    message: "Something went wrong while connecting to the server."
+  }
+};
+
+function categorize(errorCode) {
+  switch (errorCode) {
+    case -105: // NAME_NOT_RESOLVED
+    case -137: // NAME_RESOLUTION_FAILED
+      return "dns";
+    case -102: // CONNECTION_REFUSED
+    case -101: // CONNECTION_RESET
+    case -100: // CONNECTION_CLOSED
+    case -324: // EMPTY_RESPONSE
+      return "refused";
+    case -7: // TIMED_OUT
+    case -118: // CONNECTION_TIMED_OUT
+      return "timeout";
+    case -106: // INTERNET_DISCONNECTED
+    case -21: // NETWORK_CHANGED
+      return "offline";
+    case -109: // ADDRESS_UNREACHABLE
+    case -104: // CONNECTION_FAILED
+      return "unreachable";
+    case -107: // SSL_PROTOCOL_ERROR
+    case -113: // SSL_VERSION_OR_CIPHER_MISMATCH
+      return "tls";
+    default:
+      // -200 to -299 are certificate errors
+      if (errorCode <= -200 && errorCode > -300) {
+        return "tls";
+      }
+      return "unknown";
+  }
+}
+
+// { category, title, message, errorCode, errorDescription }
+function describeLoadError(errorCode, errorDescription) {
+  const category = categorize(errorCode);
+  return {
+    category,
+    ...CATEGORIES[category],
+    errorCode,
+    errorDescription: errorDescription || null
+  };
+}
+
+// Exponential backoff with a little jitter: 5s, 10s, 20s ... capped at 5 min
+function getRetryDelay(attempt) {
+  const delay = Math.min(RETRY_BASE_MS * Math.pow(2, attempt), RETRY_MAX_MS);
+  const jitter = Math.round(delay * 0.1 * Math.random());
+  return delay + jitter;
+}
+
+module.exports = {
+  describeLoadError,
+  getRetryDelay
+};
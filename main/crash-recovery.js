@@ -0,0 +1,139 @@
+// ============================================
+// CRASH AND HANG RECOVERY
+// ============================================
+// What happens when the main window's renderer crashes or hangs (wired in
+// main/windows.js):
+//   - crashed: reload right away at the route the user was on
+//   - hung ("unresponsive"): ask "Reload" / "Wait"; the dialog goes away by
+//     itself if the page recovers
+//   - crash loop (CRASH_LOOP_LIMIT crashes within CRASH_LOOP_WINDOW_MS): stop
+//     reloading and show pages/crash.html, which offers to try again or to
+//     save a problem report
+//
+// Native crash dumps are written locally by crashReporter (never uploaded)
+// to app.getPath("crashDumps"); the problem report zip includes the latest.
+
+const { app, crashReporter, dialog } = require("electron");
+const fs = require("fs");
+const path = require("path");
+
+const CRASH_LOOP_LIMIT = 3;
+const CRASH_LOOP_WINDOW_MS = 5 * 60 * 1000;
+const MAX_REPORTED_DUMPS = 5;
+
+let crashTimes = [];
+let lastCrash = null; // { reason, exitCode, at }
+let lastRoute = null;
+
+// Call before "ready" so the main process is covered too
+function startCrashReporter() {
+  try {
+    crashReporter.start({
+      uploadToServer: false,
+      compress: true,
+      globalExtra: { appVersion: app.getVersion() }
+    });
+    console.log(`🧯 Crash dumps kept locally in ${getCrashDumpsPath()}`);
+  } catch (error) {
+    console.error("❌ Could not start the crash reporter:", error);
+  }
+}
+
+function getCrashDumpsPath() {
+  return app.getPath("crashDumps");
+}
+
+// Newest first, at most `limit`: [{ file, size, modifiedAt }]
+function listCrashDumps(limit = MAX_REPORTED_DUMPS) {
+  const dumps = [];
+  const walk = (directory, depth) => {
+    let entries = [];
+    try {
+      entries = fs.readdirSync(directory, { withFileTypes: true });
+    } catch (error) {
+      return; // no dumps yet
+    }
+    for (const entry of entries) {
+      const file = path.join(directory, entry.name);
+      if (entry.isDirectory() && depth < 2) {
+        walk(file, depth + 1);
+      } else if (entry.isFile() && entry.name.endsWith(".dmp")) {
+        const stats = fs.statSync(file);
+        dumps.push({ file, size: stats.size, modifiedAt: stats.mtime.toISOString() });
+      }
+    }
+  };
+  walk(getCrashDumpsPath(), 0);
+  return dumps.sort((a, b) => b.modifiedAt.localeCompare(a.modifiedAt)).slice(0, limit);
+}
+
+// ---------- crash loop guard ----------
+
+// A renderer crash ("render-process-gone" details). Returns { count, crashLoop }
+function recordCrash(details, now = Date.now()) {
+  crashTimes = crashTimes.filter((time) => now - time < CRASH_LOOP_WINDOW_MS).concat(now);
+  lastCrash = {
+    reason: details.reason || "unknown",
+    exitCode: details.exitCode !== undefined ? details.exitCode : null,
+    at: new Date(now).toISOString()
+  };
+  return { count: crashTimes.length, crashLoop: crashTimes.length >= CRASH_LOOP_LIMIT };
+}
+
+// "Try again" on the crash page starts the count over
+function resetCrashes() {
+  crashTimes = [];
+}
+
+function getCrashInfo() {
+  return {
+    lastCrash,
+    recentCrashes: crashTimes.length,
+    crashLoopLimit: CRASH_LOOP_LIMIT,
+    crashLoopMinutes: CRASH_LOOP_WINDOW_MS / 60000,
+    crashDumpsPath: getCrashDumpsPath()
+  };
+}
+
+// ---------- route ----------
+
+// Where the user is in the app (URL of the main frame, including the route)
+function rememberRoute(url) {
+  lastRoute = url;
+}
+
+function getLastRoute() {
+  return lastRoute;
+}
+
+// ---------- hang ----------
+
+// Resolves "reload" or "wait" ("wait" as well when signal aborts: the page recovered)
+async function askAboutHang(window, signal) {
+  const { response } = await dialog.showMessageBox(window, {
+    type: "warning",
+    title: "OCS Task Manager is not responding",
+    message: "The window is not responding",
+    detail: "You can wait for it to recover, or reload it. Reloading brings you back to the same page but loses unsaved input.",
+    buttons: ["Reload", "Wait"],
+    defaultId: 1,
+    cancelId: 1,
+    noLink: true,
+    signal
+  });
+  return response === 0 ? "reload" : "wait";
+}
+
+module.exports = {
+  CRASH_LOOP_LIMIT,
+  CRASH_LOOP_WINDOW_MS,
+  startCrashReporter,
+  getCrashDumpsPath,
+  listCrashDumps,
+  recordCrash,
+  resetCrashes,
+  getCrashInfo,
+  rememberRoute,
+  getLastRoute,
+  askAboutHang
+};
@@ -0,0 +1,145 @@
+// ============================================
+// DEEP LINKS (ocs-taskmanager:// and server links)
+// ============================================
+// Parses links into the same navigation payload that notification clicks
+// send over "notification-clicked":
+//   { taskId, projectId, roomId, workspaceSlug, type, entityType, entityId }
+//
+// Supported forms (workspace slug is optional):
+//   ocs-taskmanager://acme/tasks/123
+//   ocs-taskmanager://acme/projects/45/tasks/123
+//   ocs-taskmanager://acme/rooms/9
+//   ocs-taskmanager://task/123?workspace=acme
+//   https://task.ocslive.com/acme/tasks/123   (server links, see isServerLink)
+
+const path = require("path");
+const { app } = require("electron");
+
+const PROTOCOL = "ocs-taskmanager";
+
+// Path keyword -> payload field
+const ENTITY_KEYWORDS = {
+  task: "taskId",
+  tasks: "taskId",
+  project: "projectId",
+  projects: "projectId",
+  room: "roomId",
+  rooms: "roomId",
+  chat: "roomId"
+};
+
+// Register the app as the OS handler for ocs-taskmanager:// links
+// (packaged builds also declare it in the electron-builder "protocols" config)
+function registerProtocolClient() {
+  if (process.defaultApp && process.argv.length >= 2) {
+    // Running via "electron ." - the OS must pass the app path back to Electron
+    return app.setAsDefaultProtocolClient(PROTOCOL, process.execPath, [path.resolve(process.argv[1])]);
+  }
+  return app.setAsDefaultProtocolClient(PROTOCOL);
+}
+
+function isProtocolLink(url) {
+  return typeof url === "string" && url.toLowerCase().startsWith(`${PROTOCOL}:`);
+}
+
+// Links on the configured server (e.g. https://task.ocslive.com/...)
+function isServerLink(url, serverURL) {
+  if (!serverURL || typeof url !== "string") return false;
+  try {
+    const link = new URL(url);
+    const server = new URL(serverURL);
+    return (link.protocol === "https:" || link.protocol === "http:") && link.host === server.host;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Parse a link into a navigation payload, or null if it doesn't point anywhere
+function parseDeepLink(url, options = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  let segments;
+  if (isProtocolLink(url)) {
+    // ocs-taskmanager://acme/tasks/1 -> host "acme", path "/tasks/1"
+    segments = [parsed.hostname, ...parsed.pathname.split("/")];
+  } else if (isServerLink(url, options.serverURL)) {
+    // Strip the server's own base path (if it's served under a sub path)
+    const basePath = new URL(options.serverURL).pathname.replace(/\/$/, "");
+    segments = parsed.pathname.slice(basePath.length).split("/");
+  } else {
+    return null;
+  }
+  try {
+    segments = segments.filter(Boolean).map((segment) => decodeURIComponent(segment));
+  } catch (error) {
+    return null; // malformed escape, e.g. "%E0%A4%A"
+  }
+
+  const payload = {
+    taskId: null,
+    projectId: null,
+    roomId: null,
+    workspaceSlug: null
+  };
+
+  for (let i = 0; i < segments.length; i++) {
+    const field = ENTITY_KEYWORDS[segments[i].toLowerCase()];
+    if (field && segments[i + 1]) {
+      payload[field] = segments[i + 1];
+      i++;
+    } else if (i === 0 && !field) {
+      payload.workspaceSlug = segments[i];
+    }
+  }
+
+  // Query parameters win over the path
+  const query = parsed.searchParams;
+  payload.workspaceSlug = query.get("workspace") || query.get("workspaceSlug") || payload.workspaceSlug;
+  payload.taskId = query.get("taskId") || payload.taskId;
+  payload.projectId = query.get("projectId") || payload.projectId;
+  payload.roomId = query.get("roomId") || payload.roomId;
+
+  // Most specific entity decides where to navigate
+  let entityType = null;
+  let entityId = null;
+  if (payload.taskId) {
+    entityType = "task";
+    entityId = payload.taskId;
+  } else if (payload.roomId) {
+    entityType = "room";
+    entityId = payload.roomId;
+  } else if (payload.projectId) {
+    entityType = "project";
+    entityId = payload.projectId;
+  }
+
+  if (!entityType && !payload.workspaceSlug) {
+    return null;
+  }
+
+  return {
+    ...payload,
+    type: entityType || "workspace",
+    entityType,
+    entityId
+  };
+}
+
+// First ocs-taskmanager:// link (or server link) on a command line
+function findDeepLinkInArgv(argv, serverURL) {
+  return (argv || []).find((arg) => isProtocolLink(arg) || isServerLink(arg, serverURL)) || null;
+}
+
+module.exports = {
+  PROTOCOL,
+  registerProtocolClient,
+  isProtocolLink,
+  isServerLink,
+  parseDeepLink,
+  findDeepLinkInArgv
+};
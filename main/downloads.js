@@ -0,0 +1,372 @@
+// ============================================
+// DOWNLOADS
+// ============================================
+// Files downloaded in the main window (task attachments) are handled here
+// instead of by Chromium's default "will-download" behavior. Each account
+// session is attached from main/windows.js.
+//   - saved to the download folder (setting downloadsFolder, blank: the
+//     system Downloads folder), in a subfolder per workspace
+//     (downloadsPerWorkspace) - or wherever the user picks when
+//     downloadsAskWhereToSave is on
+//   - existing files are kept: the new one becomes "report (1).pdf"
+//   - dangerous file types (programs, scripts, installers) are paused and
+//     only kept once the user confirms; they always go to the download folder
+//   - progress goes to the renderers ("downloads-changed", throttled) and to
+//     the taskbar/dock progress bar (onProgress)
+//   - the last HISTORY_LIMIT downloads are kept in the store ("downloads")
+//     for the downloads window (pages/downloads.html): open, show in
+//     folder, retry
+//
+// Download states: progressing | paused | completed | cancelled |
+// interrupted | blocked (a dangerous file the user didn't keep)
+
+const { app, dialog, session, shell } = require("electron");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const ipc = require("./ipc");
+const { CHANNELS } = require("./ipc-contract");
+const settings = require("./settings");
+const accounts = require("./accounts");
+
+const HISTORY_LIMIT = 100;
+const PROGRESS_INTERVAL_MS = 250;
+
+// Extensions that run code when opened, or mount/point to something that does
+const DANGEROUS_EXTENSIONS = new Set([
+  ".exe", ".msi", ".msix", ".msp", ".com", ".scr", ".pif", ".cpl", ".msc", ".dll",
+  ".appx", ".appxbundle", ".xll", ".gadget", ".inf",
+  ".bat", ".cmd", ".ps1", ".ps1xml", ".psm1", ".vbs", ".vbe", ".js", ".jse", ".mjs", ".wsf", ".wsh", ".hta",
+  ".py", ".pl",
+  ".reg", ".lnk", ".url", ".scf", ".jar", ".app", ".dmg", ".pkg", ".command", ".sh", ".run",
+  ".iso", ".img", ".vhd",
+  ".deb", ".rpm", ".appimage"
+]);
+
+let store = null;
+let getWindow = () => null;
+let onChange = () => {};
+let onProgress = () => {};
+
+let history = []; // newest first
+const activeItems = new Map(); // download id -> DownloadItem
+const attachedSessions = new WeakSet();
+let changeTimer = null;
+
+// getWindow: parent for the "keep this file?" dialog
+// onChange(downloads): the list changed (throttled while downloading)
+// onProgress(progress): for BrowserWindow.setProgressBar - 0..1, -1 when
+// nothing is downloading, 2 (indeterminate) when a size is unknown
+function init(options) {
+  store = options.store || null;
+  getWindow = options.getWindow || getWindow;
+  onChange = options.onChange || onChange;
+  onProgress = options.onProgress || onProgress;
+  history = loadHistory();
+
+  settings.guard("downloadsFolder", (value) => {
+    return value && !path.isAbsolute(value) ? "The download folder must be a full path" : null;
+  });
+}
+
+// ---------- history ----------
+
+function loadHistory() {
+  const stored = store ? store.get("downloads") || [] : [];
+  // Downloads running when the app quit didn't finish
+  return stored.map((record) => (
+    record.state === "progressing" || record.state === "paused"
+      ? { ...record, state: "interrupted", endedAt: record.endedAt || new Date().toISOString() }
+      : record
+  ));
+}
+
+function saveHistory() {
+  history = history.slice(0, HISTORY_LIMIT);
+  if (store) store.set("downloads", history);
+}
+
+function findDownload(id) {
+  return history.find((record) => record.id === id) || null;
+}
+
+// What the renderers get: no partition, and whether the file is still there
+function describe(record) {
+  const { partition, ...rest } = record;
+  return { ...rest, exists: !!record.savePath && fs.existsSync(record.savePath) };
+}
+
+function getDownloads() {
+  return history.map(describe);
+}
+
+// ---------- progress ----------
+
+function getOverallProgress() {
+  const running = history.filter((record) => activeItems.has(record.id));
+  if (running.length === 0) return -1;
+  if (running.some((record) => !record.totalBytes)) return 2;
+  const received = running.reduce((sum, record) => sum + record.receivedBytes, 0);
+  const total = running.reduce((sum, record) => sum + record.totalBytes, 0);
+  return Math.min(received / total, 1);
+}
+
+function flushChanges() {
+  clearTimeout(changeTimer);
+  changeTimer = null;
+  onChange(getDownloads());
+  onProgress(getOverallProgress());
+}
+
+// Progress updates come many times a second - pass them on at most every
+// PROGRESS_INTERVAL_MS; anything else right away
+function notifyChange(immediate) {
+  if (immediate) {
+    flushChanges();
+  } else if (!changeTimer) {
+    changeTimer = setTimeout(flushChanges, PROGRESS_INTERVAL_MS);
+  }
+}
+
+// ---------- where files go ----------
+
+// A name that is safe as a single path segment on every platform
+function sanitizeFileName(name) {
+  const cleaned = path.basename(String(name || ""))
+    .replace(/[<>:"/\\|?*\x00-\x1f]/g, "_")
+    .replace(/^[\s.]+|[\s.]+$/g, "");
+  return cleaned || "download";
+}
+
+function isDangerousFile(filename) {
+  return DANGEROUS_EXTENSIONS.has(path.extname(filename).toLowerCase());
+}
+
+function getDownloadDirectory(workspaceSlug) {
+  const base = settings.get("downloadsFolder") || app.getPath("downloads");
+  return settings.get("downloadsPerWorkspace") && workspaceSlug
+    ? path.join(base, sanitizeFileName(workspaceSlug))
+    : base;
+}
+
+// "report.pdf", then "report (1).pdf", ... - also avoiding running downloads
+function getUniquePath(directory, filename) {
+  const extension = path.extname(filename);
+  const base = filename.slice(0, filename.length - extension.length);
+  const taken = (candidate) => fs.existsSync(candidate) ||
+    history.some((record) => activeItems.has(record.id) && record.savePath === candidate);
+  let candidate = path.join(directory, filename);
+  for (let index = 1; taken(candidate); index++) {
+    candidate = path.join(directory, `${base} (${index})${extension}`);
+  }
+  return candidate;
+}
+
+function findWorkspaceSlug(partition) {
+  const account = accounts.listAccounts().find((candidate) => (candidate.partition || null) === (partition || null));
+  return account ? account.workspaceSlug || null : null;
+}
+
+// ---------- downloading ----------
+
+// Handle downloads of this session (once per session; partition null: default session)
+function attachSession(targetSession, partition = null) {
+  if (!targetSession || attachedSessions.has(targetSession)) return;
+  attachedSessions.add(targetSession);
+  targetSession.on("will-download", (event, item) => handleDownload(item, partition));
+}
+
+function handleDownload(item, partition) {
+  const filename = sanitizeFileName(item.getFilename());
+  const workspaceSlug = findWorkspaceSlug(partition);
+  const record = {
+    id: crypto.randomUUID(),
+    url: item.getURL(),
+    filename,
+    savePath: null,
+    mimeType: item.getMimeType() || null,
+    state: "progressing",
+    receivedBytes: 0,
+    totalBytes: item.getTotalBytes(),
+    workspaceSlug,
+    partition: partition || null,
+    dangerous: isDangerousFile(filename),
+    startedAt: new Date().toISOString(),
+    endedAt: null
+  };
+
+  // Must be decided before returning: without a save path Chromium asks itself
+  const directory = getDownloadDirectory(workspaceSlug);
+  if (settings.get("downloadsAskWhereToSave") && !record.dangerous) {
+    item.setSaveDialogOptions({ defaultPath: path.join(directory, filename) });
+  } else {
+    fs.mkdirSync(directory, { recursive: true });
+    record.savePath = getUniquePath(directory, filename);
+    item.setSavePath(record.savePath);
+  }
+
+  activeItems.set(record.id, item);
+  history.unshift(record);
+  saveHistory();
+  console.log(`📥 Downloading ${filename}`);
+
+  item.on("updated", (event, state) => {
+    record.state = state === "interrupted" ? "interrupted" : item.isPaused() ? "paused" : "progressing";
+    record.receivedBytes = item.getReceivedBytes();
+    record.totalBytes = item.getTotalBytes();
+    record.savePath = item.getSavePath() || record.savePath;
+    notifyChange(false);
+  });
+
+  item.once("done", (event, state) => {
+    activeItems.delete(record.id);
+    // "blocked" was set when the user refused the file
+    record.state = record.state === "blocked" ? "blocked" : state;
+    record.receivedBytes = item.getReceivedBytes();
+    record.savePath = item.getSavePath() || record.savePath;
+    record.endedAt = new Date().toISOString();
+    if (record.state === "completed") {
+      console.log(`✅ Downloaded ${record.savePath}`);
+      if (process.platform === "darwin" && app.dock) {
+        app.dock.downloadFinished(record.savePath);
+      }
+    } else {
+      console.log(`⚠️ Download ${record.state}: ${filename}`);
+    }
+    saveHistory();
+    notifyChange(true);
+  });
+
+  notifyChange(true);
+
+  if (record.dangerous) {
+    confirmDangerousDownload(record, item);
+  }
+}
+
+// Resolves true when the user keeps the file
+async function askToKeep(record) {
+  const options = {
+    type: "warning",
+    title: "Keep this file?",
+    message: `${record.filename} can harm your computer`,
+    detail: "Files of this type run programs when opened. Only keep it if you trust where it came from.",
+    buttons: ["Cancel download", "Keep"],
+    defaultId: 0,
+    cancelId: 0,
+    noLink: true
+  };
+  const window = getWindow();
+  const { response } = window ? await dialog.showMessageBox(window, options) : await dialog.showMessageBox(options);
+  return response === 1;
+}
+
+async function confirmDangerousDownload(record, item) {
+  item.pause();
+  let keep = false;
+  try {
+    keep = await askToKeep(record);
+  } catch (error) {
+    console.error("❌ Error asking about a dangerous download:", error);
+  }
+  if (!activeItems.has(record.id)) return; // cancelled meanwhile
+  if (keep) {
+    console.log(`⚠️ Keeping dangerous download ${record.filename}`);
+    item.resume();
+  } else {
+    record.state = "blocked";
+    item.cancel();
+  }
+}
+
+// ---------- actions ----------
+
+async function openDownload(id) {
+  const record = findDownload(id);
+  if (!record || record.state !== "completed" || !record.savePath || !fs.existsSync(record.savePath)) {
+    return { success: false, error: "The file is no longer there" };
+  }
+  const error = await shell.openPath(record.savePath);
+  return error ? { success: false, error } : { success: true };
+}
+
+// The file in the file manager, or its folder when the file is gone
+function showDownloadInFolder(id) {
+  const record = findDownload(id);
+  if (!record) {
+    return { success: false, error: "Unknown download" };
+  }
+  if (record.savePath && fs.existsSync(record.savePath)) {
+    shell.showItemInFolder(record.savePath);
+    return { success: true };
+  }
+  const directory = record.savePath ? path.dirname(record.savePath) : getDownloadDirectory(record.workspaceSlug);
+  if (!fs.existsSync(directory)) {
+    return { success: false, error: "The folder is no longer there" };
+  }
+  shell.openPath(directory);
+  return { success: true };
+}
+
+// Download the same URL again in the session it came from; the new download
+// replaces the old entry
+function retryDownload(id) {
+  const record = findDownload(id);
+  if (!record || activeItems.has(id)) {
+    return { success: false, error: "Nothing to retry" };
+  }
+  if (!/^https?:/i.test(record.url)) {
+    return { success: false, error: "This download can't be retried" };
+  }
+  const targetSession = record.partition ? session.fromPartition(record.partition) : session.defaultSession;
+  attachSession(targetSession, record.partition);
+  history = history.filter((candidate) => candidate.id !== id);
+  saveHistory();
+  targetSession.downloadURL(record.url);
+  notifyChange(true);
+  return { success: true };
+}
+
+function cancelDownload(id) {
+  const item = activeItems.get(id);
+  if (!item) {
+    return { success: false, error: "The download isn't running" };
+  }
+  item.cancel();
+  return { success: true };
+}
+
+// Forget finished downloads (the files stay)
+function clearDownloads() {
+  history = history.filter((record) => activeItems.has(record.id));
+  saveHistory();
+  notifyChange(true);
+  return { success: true };
+}
+
+function registerIpcHandlers() {
+  ipc.handle(CHANNELS.GET_DOWNLOADS, () => getDownloads());
+  ipc.handle(CHANNELS.OPEN_DOWNLOAD, (event, id) => openDownload(id));
+  ipc.handle(CHANNELS.SHOW_DOWNLOAD_IN_FOLDER, (event, id) => showDownloadInFolder(id));
+  ipc.handle(CHANNELS.RETRY_DOWNLOAD, (event, id) => retryDownload(id));
+  ipc.handle(CHANNELS.CANCEL_DOWNLOAD, (event, id) => cancelDownload(id));
+  ipc.handle(CHANNELS.CLEAR_DOWNLOADS, () => clearDownloads());
+}
+
+module.exports = {
+  DANGEROUS_EXTENSIONS,
+  init,
+  attachSession,
+  sanitizeFileName,
+  isDangerousFile,
+  getDownloadDirectory,
+  getUniquePath,
+  getDownloads,
+  getOverallProgress,
+  openDownload,
+  showDownloadInFolder,
+  retryDownload,
+  cancelDownload,
+  clearDownloads,
+  registerIpcHandlers
+};
@@ -0,0 +1,1071 @@
+// ============================================
+// IPC CONTRACT
+// ============================================
+// The one place every channel between the main process and the renderers
+// is defined:
+//   - main/ipc.js registers handlers and validates their arguments against `args`
+//   - the preloads use CHANNELS / EVENTS instead of bare channel strings; being
+//     sandboxed they can't require this file and fetch both once over
+//     CONTRACT_CHANNEL (ipcRenderer.sendSync)
+//   - scripts/generate-ipc-types.js turns the `api` entries and TYPES into
+//     types/electron-api.d.ts (typings for window.electronAPI)
+//
+// Argument specs: { name, type, optional, nullable, values, ts }
+//   type      "string" | "number" | "boolean" | "object" | "array" | "any" (or a list)
+//   optional  may be left out (undefined or null)
+//   nullable  required, but null is allowed
+//   values    allowed values
+//   ts        TypeScript type for the declaration (default derived from type)
+//
+// No Electron imports here: this file is also required by the tests and
+// scripts/generate-ipc-types.js.
+
+function arg(name, type, options = {}) {
+  return { name, type, ...options };
+}
+
+function optional(name, type, options = {}) {
+  return arg(name, type, { ...options, optional: true });
+}
+
+// ---------- renderer -> main (ipcRenderer.invoke / ipcMain.handle) ----------
+// api: how the channel appears on window.electronAPI (omitted for channels
+// used only by the bundled pages/ windows). `returns` is the resolved value
+// of the electronAPI method, which may differ from the raw handler result
+// when the preload post-processes it.
+
+const INVOKE = {
+  // ---------- shell ----------
+  OPEN_EXTERNAL: {
+    channel: "open-external",
+    args: [arg("url", "string")],
+    api: { name: "openExternal", returns: "void", sync: true, doc: "Open an http(s) or mailto: URL in the default browser (other schemes are refused)" }
+  },
+  RENDERER_READY: {
+    channel: "renderer-ready",
+    args: [],
+    api: {
+      name: "signalRendererReady",
+      returns: "boolean",
+      doc: "Tell the main process navigation listeners are registered. Links that opened the app before this call are delivered right after it"
+    }
+  },
+  SET_OPEN_SERVER_LINKS_IN_APP: {
+    channel: "set-open-server-links-in-app",
+    args: [optional("enabled", "boolean")],
+    api: { name: "setOpenServerLinksInApp", returns: "IpcResult & { enabled?: boolean }", doc: "Open links to the configured server in-app (true) or in the browser (false)" }
+  },
+
+  // ---------- desktop notifications ----------
+  SHOW_DESKTOP_NOTIFICATION: {
+    channel: "show-desktop-notification",
+    args: [arg("notification", "object", { ts: "DesktopNotificationInput" })],
+    api: {
+      name: "sendDesktopNotification",
+      returns: "boolean | IpcResult",
+      doc: "Show a desktop notification. Resolves true when it was shown right away (false when muted, held back by do-not-disturb or a duplicate)"
+    }
+  },
+  SHOW_NOTIFICATION: {
+    channel: "show-notification",
+    args: [arg("options", "object", { ts: "LegacyNotificationOptions" })],
+    api: {
+      name: "showNotification",
+      params: "options: LegacyNotificationOptions, onClick?: () => void",
+      returns: "boolean | IpcResult",
+      doc: "Legacy notification API - kept for backward compatibility"
+    }
+  },
+
+  // ---------- storage ----------
+  SAVE_TOKEN: {
+    channel: "save-token",
+    args: [arg("token", "string", { nullable: true })],
+    api: { name: "saveToken", returns: "StorageResult", doc: "Save the active account's token to persistent (encrypted) storage" }
+  },
+  GET_TOKEN: {
+    channel: "get-token",
+    args: [],
+    api: { name: "getToken", returns: "string | null", doc: "Token of the active account (falls back to localStorage)" }
+  },
+  SAVE_USER: {
+    channel: "save-user",
+    args: [arg("userData", "object", { ts: "UserData" })],
+    api: { name: "saveUser", returns: "StorageResult", doc: "Save the active account's user to persistent (encrypted) storage" }
+  },
+  GET_USER: {
+    channel: "get-user",
+    args: [],
+    api: { name: "getUser", returns: "UserData | null", doc: "User of the active account (falls back to localStorage)" }
+  },
+  SET_TOKEN_MIRRORING: {
+    channel: "set-token-mirroring",
+    args: [optional("enabled", "boolean")],
+    api: {
+      name: "setTokenMirroring",
+      returns: "StorageResult",
+      doc: "Stop (or resume) copying the token into localStorage. When disabled, the token only lives in the encrypted store and must be read via getToken()"
+    }
+  },
+  GET_STORAGE_STATUS: {
+    channel: "get-storage-status",
+    args: [],
+    api: { name: "getStorageStatus", returns: "StorageStatus", doc: "Where credentials are stored" }
+  },
+  CLEAR_STORAGE: {
+    channel: "clear-storage",
+    args: [],
+    api: { name: "clearStorage", returns: "IpcResult", doc: "Log out of the active account (other accounts stay logged in)" }
+  },
+
+  // ---------- accounts ----------
+  LIST_ACCOUNTS: {
+    channel: "list-accounts",
+    args: [],
+    api: { name: "listAccounts", returns: "AccountList", doc: "Logged-in accounts, most recently used first" }
+  },
+  SWITCH_ACCOUNT: {
+    channel: "switch-account",
+    args: [arg("accountId", "string")],
+    api: { name: "switchAccount", returns: "IpcResult & { accountId?: string }", doc: "Switch the window to another account" }
+  },
+  REMOVE_ACCOUNT: {
+    channel: "remove-account",
+    args: [arg("accountId", "string")],
+    api: { name: "removeAccount", returns: "IpcResult", doc: "Remove an account and its stored session" }
+  },
+  ADD_ACCOUNT: {
+    channel: "add-account",
+    args: [],
+    api: { name: "addAccount", returns: "IpcResult", doc: "Open a fresh session to log in to an additional account" }
+  },
+
+  // ---------- notification center ----------
+  GET_NOTIFICATION_HISTORY: {
+    channel: "get-notification-history",
+    args: [optional("query", "object", { ts: "NotificationHistoryQuery" })],
+    api: { name: "getNotificationHistory", returns: "NotificationEntry[]", doc: "Notification history, newest first" }
+  },
+  MARK_NOTIFICATIONS_READ: {
+    channel: "mark-notifications-read",
+    args: [optional("ids", "array", { ts: "string[]" })],
+    api: { name: "markNotificationsRead", returns: "IpcResult", doc: "Mark entries read (all when ids is omitted)" }
+  },
+  CLEAR_NOTIFICATION_HISTORY: {
+    channel: "clear-notification-history",
+    args: [],
+    api: { name: "clearNotificationHistory", returns: "IpcResult" }
+  },
+  GET_NOTIFICATION_PREFERENCES: {
+    channel: "get-notification-preferences",
+    args: [],
+    api: { name: "getNotificationPreferences", returns: "NotificationPreferences & { dndActive: boolean }" }
+  },
+  SET_NOTIFICATION_PREFERENCES: {
+    channel: "set-notification-preferences",
+    args: [arg("changes", "object", { ts: "NotificationPreferencesChanges" })],
+    api: {
+      name: "setNotificationPreferences",
+      returns: "IpcResult & { preferences?: NotificationPreferences }",
+      doc: "Partial update, e.g. { mutedTypes: ['chat_message'] } or { dnd: { scheduleEnabled: true } }"
+    }
+  },
+  SET_DO_NOT_DISTURB: {
+    channel: "set-do-not-disturb",
+    args: [optional("until", ["string", "number"], { ts: "string | number | null" })],
+    api: {
+      name: "setDoNotDisturb",
+      returns: "IpcResult & { preferences?: NotificationPreferences }",
+      doc: "Pause notifications until an ISO timestamp, or resume with null"
+    }
+  },
+  SNOOZE_NOTIFICATION: {
+    channel: "snooze-notification",
+    args: [arg("id", "string"), optional("minutes", "number")],
+    api: { name: "snoozeNotification", returns: "IpcResult & { entry?: NotificationEntry }", doc: "Show a notification again after `minutes` (default 60)" }
+  },
+
+  // ---------- reminders ----------
+  SCHEDULE_REMINDER: {
+    channel: "schedule-reminder",
+    args: [arg("reminder", "object", { ts: "ReminderInput" })],
+    api: {
+      name: "scheduleReminder",
+      returns: "IpcResult & { reminder?: Reminder }",
+      doc: "Remind about a task leadMinutes (default 15) before dueAt; replaces an existing reminder for the same task"
+    }
+  },
+  CANCEL_REMINDER: {
+    channel: "cancel-reminder",
+    args: [arg("taskId", ["string", "number"], { ts: "string | number" })],
+    api: { name: "cancelReminder", returns: "IpcResult & { cancelled?: boolean }" }
+  },
+  LIST_REMINDERS: {
+    channel: "list-reminders",
+    args: [],
+    api: { name: "listReminders", returns: "Reminder[]", doc: "Pending reminders of the active account, soonest first" }
+  },
+
+  // ---------- updates ----------
+  GET_UPDATE_STATE: {
+    channel: "get-update-state",
+    args: [],
+    api: { name: "getUpdateState", returns: "UpdateState" }
+  },
+  CHECK_FOR_UPDATES: {
+    channel: "check-for-updates",
+    args: [],
+    api: { name: "checkForUpdates", returns: "IpcResult & { state?: UpdateState }" }
+  },
+  DOWNLOAD_UPDATE: {
+    channel: "download-update",
+    args: [],
+    api: { name: "downloadUpdate", returns: "IpcResult & { state?: UpdateState }" }
+  },
+  INSTALL_UPDATE: {
+    channel: "install-update",
+    args: [],
+    api: { name: "installUpdate", returns: "IpcResult", doc: "Restart and install a downloaded update" }
+  },
+  DEFER_UPDATE: {
+    channel: "defer-update",
+    args: [optional("hours", "number")],
+    api: { name: "deferUpdate", returns: "IpcResult & { deferredUntil?: string }", doc: "Remind later (hours, default 24) - the update still installs on quit" }
+  },
+  SKIP_UPDATE_VERSION: {
+    channel: "skip-update-version",
+    args: [optional("version", "string")],
+    api: { name: "skipUpdateVersion", returns: "IpcResult & { skippedVersion?: string }", doc: "Don't install this version (defaults to the available one)" }
+  },
+  SET_UPDATE_CHANNEL: {
+    channel: "set-update-channel",
+    args: [arg("channel", "string", { values: ["stable", "beta"], ts: "UpdateChannel" })],
+    api: { name: "setUpdateChannel", returns: "IpcResult & { channel?: UpdateChannel }" }
+  },
+  OPEN_UPDATES_WINDOW: {
+    channel: "open-updates-window",
+    args: [],
+    api: { name: "openUpdates", returns: "boolean", doc: "Open the updates window (release notes, channel, install/skip)" }
+  },
+
+  // ---------- downloads ----------
+  GET_DOWNLOADS: {
+    channel: "get-downloads",
+    args: [],
+    api: { name: "getDownloads", returns: "DownloadInfo[]", doc: "Recent downloads, newest first" }
+  },
+  OPEN_DOWNLOAD: {
+    channel: "open-download",
+    args: [arg("id", "string")],
+    api: { name: "openDownload", returns: "IpcResult", doc: "Open a downloaded file with its default application" }
+  },
+  SHOW_DOWNLOAD_IN_FOLDER: {
+    channel: "show-download-in-folder",
+    args: [arg("id", "string")],
+    api: { name: "showDownloadInFolder", returns: "IpcResult" }
+  },
+  RETRY_DOWNLOAD: {
+    channel: "retry-download",
+    args: [arg("id", "string")],
+    api: { name: "retryDownload", returns: "IpcResult", doc: "Download the file again (the new download replaces the entry)" }
+  },
+  CANCEL_DOWNLOAD: {
+    channel: "cancel-download",
+    args: [arg("id", "string")],
+    api: { name: "cancelDownload", returns: "IpcResult" }
+  },
+  CLEAR_DOWNLOADS: {
+    channel: "clear-downloads",
+    args: [],
+    api: { name: "clearDownloads", returns: "IpcResult", doc: "Forget finished downloads (the files are kept)" }
+  },
+  OPEN_DOWNLOADS_WINDOW: {
+    channel: "open-downloads-window",
+    args: [],
+    api: { name: "openDownloads", returns: "boolean", doc: "Open the downloads window" }
+  },
+
+  // ---------- attachments (drag and drop, clipboard) ----------
+  CREATE_TASK_FROM_FILES: {
+    channel: "create-task-from-files",
+    args: [arg("files", "array", { ts: "File[] | FileList" }), optional("options", "object", { ts: "AttachFilesOptions" })],
+    api: {
+      name: "createTaskFromFiles",
+      returns: "AttachFilesResult",
+      doc: "Upload files (e.g. from a drop event) to a new task, or to options.taskId. Progress arrives through onUploadProgress"
+    }
+  },
+  CREATE_TASK_FROM_CLIPBOARD: {
+    channel: "create-task-from-clipboard",
+    args: [optional("options", "object", { ts: "AttachFilesOptions" })],
+    api: { name: "createTaskFromClipboard", returns: "AttachFilesResult", doc: "Upload the image on the clipboard as a screenshot, like createTaskFromFiles" }
+  },
+  SET_OPEN_TASK: {
+    channel: "set-open-task",
+    args: [arg("taskId", ["string", "number"], { nullable: true })],
+    api: { name: "setOpenTask", returns: "boolean", doc: "The task the user has open (null: none). Files dropped on the tray icon or left unhandled by the page are attached to it" }
+  },
+
+  // ---------- time tracking ----------
+  START_TIMER: {
+    channel: "start-timer",
+    args: [arg("taskId", ["string", "number"]), optional("options", "object", { ts: "{ taskTitle?: string }" })],
+    api: { name: "startTimer", returns: "TimerResult", doc: "Start the timer on a task (a timer on another task is stopped first). taskTitle is shown in the tray" }
+  },
+  STOP_TIMER: {
+    channel: "stop-timer",
+    args: [],
+    api: { name: "stopTimer", returns: "TimerResult & { entry?: TimeEntry | null }", doc: "Stop the timer and record its time entry" }
+  },
+  GET_TIMER_STATUS: {
+    channel: "get-timer-status",
+    args: [],
+    api: { name: "getTimerStatus", returns: "TimerStatus" }
+  },
+  LIST_TIME_ENTRIES: {
+    channel: "list-time-entries",
+    args: [optional("taskId", ["string", "number"])],
+    api: { name: "listTimeEntries", returns: "TimeEntry[]", doc: "Time entries of the active account, newest first (optionally of one task)" }
+  },
+  SYNC_TIME_ENTRIES: {
+    channel: "sync-time-entries",
+    args: [],
+    api: { name: "syncTimeEntries", returns: "IpcResult & { synced?: number; pending?: number }", doc: "Send unsynced time entries to the server now" }
+  },
+
+  // ---------- tray ----------
+  UPDATE_TRAY_STATE: {
+    channel: "update-tray-state",
+    args: [optional("state", "object", { ts: "TrayStateInput" })],
+    api: { name: "updateTrayState", returns: "IpcResult", doc: "Push badge counts and today's/overdue tasks to the tray" }
+  },
+
+  // ---------- quick add ----------
+  OPEN_QUICK_ADD: {
+    channel: "open-quick-add",
+    args: [],
+    api: { name: "openQuickAdd", returns: "boolean", doc: "Open the quick add window" }
+  },
+  SET_QUICK_ADD_SHORTCUT: {
+    channel: "set-quick-add-shortcut",
+    args: [arg("accelerator", "string")],
+    api: {
+      name: "setQuickAddShortcut",
+      returns: "IpcResult & { shortcut?: string }",
+      doc: "Change the global quick add shortcut, e.g. 'CommandOrControl+Shift+Space'"
+    }
+  },
+  QUICK_ADD_GET_PROJECTS: {
+    channel: "quick-add-get-projects",
+    args: []
+  },
+  QUICK_ADD_SUBMIT: {
+    channel: "quick-add-submit",
+    args: [arg("task", "object")]
+  },
+  QUICK_ADD_CLOSE: {
+    channel: "quick-add-close",
+    args: []
+  },
+
+  // ---------- offline mode ----------
+  GET_OFFLINE_STATUS: {
+    channel: "get-offline-status",
+    args: [],
+    api: { name: "getOfflineStatus", returns: "OfflineStatus" }
+  },
+  GET_CACHED_TASKS: {
+    channel: "get-cached-tasks",
+    args: [optional("filter", "object", { ts: "{ projectId?: string | number }" })],
+    api: { name: "getCachedTasks", returns: "IpcResult & { tasks: Task[]; status?: OfflineStatus }" }
+  },
+  GET_CACHED_PROJECTS: {
+    channel: "get-cached-projects",
+    args: [],
+    api: { name: "getCachedProjects", returns: "IpcResult & { projects: Project[]; status?: OfflineStatus }" }
+  },
+  QUEUE_TASK_OPERATION: {
+    channel: "queue-task-operation",
+    args: [arg("operation", "object", { ts: "TaskOperationInput" })],
+    api: { name: "queueTaskOperation", returns: "IpcResult & { operation?: TaskOperation }", doc: "Queue a task change - sent now if online, later otherwise" }
+  },
+  GET_OFFLINE_OUTBOX: {
+    channel: "get-offline-outbox",
+    args: [],
+    api: { name: "getOfflineOutbox", returns: "IpcResult & { operations: TaskOperation[]; conflicts: OfflineConflict[] }" }
+  },
+  SYNC_OFFLINE_OUTBOX: {
+    channel: "sync-offline-outbox",
+    args: [],
+    api: { name: "syncOfflineOutbox", returns: "IpcResult & { status?: OfflineStatus }", doc: "Replay queued operations now" }
+  },
+  REFRESH_OFFLINE_CACHE: {
+    channel: "refresh-offline-cache",
+    args: [],
+    api: { name: "refreshOfflineCache", returns: "IpcResult & { status?: OfflineStatus }", doc: "Re-download tasks and projects into the cache" }
+  },
+  RESOLVE_OFFLINE_CONFLICT: {
+    channel: "resolve-offline-conflict",
+    args: [arg("conflictId", "string"), arg("resolution", "string", { values: ["overwrite", "discard"], ts: "\"overwrite\" | \"discard\"" })],
+    api: { name: "resolveOfflineConflict", returns: "IpcResult & { status?: OfflineStatus }" }
+  },
+
+  // ---------- settings ----------
+  GET_SETTINGS: {
+    channel: "get-settings",
+    args: [],
+    api: { name: "getSettings", returns: "SettingsSnapshot", doc: "Current settings with their schema (see main/settings.js)" }
+  },
+  SET_SETTING: {
+    channel: "set-setting",
+    args: [arg("key", "string", { ts: "SettingKey" }), arg("value", ["boolean", "string", "number"], { nullable: true, ts: "Settings[SettingKey]" })],
+    api: { name: "setSetting", returns: "SettingResult", doc: "Change one setting. Invalid values are refused with an error; changes are broadcast to onSettingsChanged" }
+  },
+  RESET_SETTINGS: {
+    channel: "reset-settings",
+    args: [optional("key", "string", { ts: "SettingKey" })],
+    api: { name: "resetSettings", returns: "SettingResult", doc: "Restore the default of one setting, or of all of them" }
+  },
+  OPEN_SETTINGS: {
+    channel: "open-settings",
+    args: [],
+    api: { name: "openSettings", returns: "boolean", doc: "Open the settings window" }
+  },
+
+  // ---------- server profiles ----------
+  GET_SERVER_URL: {
+    channel: "get-server-url",
+    args: [],
+    api: { name: "getServerURL", returns: "string", doc: "Server URL the app is currently using" }
+  },
+  OPEN_SERVER_SETTINGS: {
+    channel: "open-server-settings",
+    args: [],
+    api: { name: "openServerSettings", returns: "boolean", doc: "Open the server settings window (add, test and switch servers)" }
+  },
+  LIST_SERVER_PROFILES: {
+    channel: "list-server-profiles",
+    args: []
+  },
+  SAVE_SERVER_PROFILE: {
+    channel: "save-server-profile",
+    args: [arg("profile", "object")]
+  },
+  REMOVE_SERVER_PROFILE: {
+    channel: "remove-server-profile",
+    args: [arg("id", "string")]
+  },
+  SWITCH_SERVER_PROFILE: {
+    channel: "switch-server-profile",
+    args: [arg("id", "string")]
+  },
+  VALIDATE_SERVER_URL: {
+    channel: "validate-server-url",
+    args: [arg("url", "string")]
+  },
+
+  // ---------- connection error page ----------
+  GET_CONNECTION_DIAGNOSTICS: {
+    channel: "get-connection-diagnostics",
+    args: [],
+    api: { name: "getConnectionDiagnostics", returns: "ConnectionDiagnostics", doc: "What failed, which server is used, app/platform versions" }
+  },
+  COPY_CONNECTION_DIAGNOSTICS: {
+    channel: "copy-connection-diagnostics",
+    args: [],
+    api: { name: "copyConnectionDiagnostics", returns: "boolean", doc: "Copy the diagnostics as text to the clipboard" }
+  },
+  RETRY_CONNECTION: {
+    channel: "retry-connection",
+    args: [],
+    api: { name: "retryConnection", returns: "boolean", doc: "Try loading the app again right away" }
+  },
+
+  // ---------- crash page ----------
+  GET_CRASH_INFO: {
+    channel: "get-crash-info",
+    args: [],
+    api: { name: "getCrashInfo", returns: "CrashInfo", doc: "Recent renderer crashes and where crash dumps are kept" }
+  },
+  RECOVER_FROM_CRASH: {
+    channel: "recover-from-crash",
+    args: [],
+    api: { name: "recoverFromCrash", returns: "boolean", doc: "Reset the crash loop guard and reload at the last route" }
+  },
+
+  // ---------- realtime connection ----------
+  GET_REALTIME_STATUS: {
+    channel: "get-realtime-status",
+    args: [],
+    api: { name: "getRealtimeStatus", returns: "RealtimeStatus", doc: "State of the main process realtime connection" }
+  },
+
+  // ---------- logs and problem reports ----------
+  LOG_MESSAGE: {
+    channel: "log-message",
+    args: [
+      arg("level", "string", { values: ["debug", "info", "warn", "error"], ts: "LogLevel" }),
+      arg("message", "string"),
+      optional("data", "object", { ts: "Record<string, unknown>" })
+    ],
+    api: { name: "log", returns: "boolean", doc: "Write to the app log file (tokens are redacted). Uncaught errors are logged automatically" }
+  },
+  REPORT_PROBLEM: {
+    channel: "report-problem",
+    args: [],
+    api: { name: "reportProblem", returns: "ProblemReportResult", doc: "Save the logs and an environment summary as a zip for support (asks where)" }
+  }
+};
+
+// ---------- main -> renderer (webContents.send / ipcRenderer.on) ----------
+// api: the electronAPI listener registering it (omitted for events without one)
+
+const EVENT = {
+  NOTIFICATION_CLICKED: {
+    channel: "notification-clicked",
+    payload: "NavigationPayload",
+    api: { name: "onNotificationClicked", doc: "Navigate: notification clicks, deep links and tray entries" }
+  },
+  NOTIFICATION_HISTORY_CHANGED: {
+    channel: "notification-history-changed",
+    payload: null,
+    api: { name: "onNotificationHistoryChanged", doc: "History/preference changes (refetch with getNotificationHistory)" }
+  },
+  TASK_COMPLETED: {
+    channel: "task-completed",
+    payload: "TaskCompletedEvent",
+    api: { name: "onTaskCompleted", doc: "Tasks completed outside the renderer (tray, notification buttons)" }
+  },
+  TASK_CREATED: {
+    channel: "task-created",
+    payload: "TaskCreatedEvent",
+    api: { name: "onTaskCreated", doc: "Tasks created outside the renderer (quick add)" }
+  },
+  UPDATE_STATE_CHANGED: {
+    channel: "update-state-changed",
+    payload: "UpdateState",
+    api: { name: "onUpdateStateChanged", doc: "Update state changes (same shape as getUpdateState)" }
+  },
+  // Percent only - kept for renderers listening to the old event
+  UPDATE_DOWNLOAD_PROGRESS: {
+    channel: "update-download-progress",
+    payload: "number"
+  },
+  DOWNLOADS_CHANGED: {
+    channel: "downloads-changed",
+    payload: "DownloadInfo[]",
+    api: { name: "onDownloadsChanged", doc: "Downloads started, progressed or finished (same shape as getDownloads)" }
+  },
+  UPLOAD_PROGRESS: {
+    channel: "upload-progress",
+    payload: "UploadProgress",
+    api: { name: "onUploadProgress", doc: "Attachment uploads started, progressed, finished or failed" }
+  },
+  TIMER_CHANGED: {
+    channel: "timer-changed",
+    payload: "TimerStatus",
+    api: { name: "onTimerChanged", doc: "The timer started, stopped or ticked (every 30 seconds), or time entries changed" }
+  },
+  OFFLINE_STATUS_CHANGED: {
+    channel: "offline-status-changed",
+    payload: "OfflineStatus",
+    api: { name: "onOfflineStatusChanged", doc: "Online/offline and outbox changes" }
+  },
+  OFFLINE_CONFLICT: {
+    channel: "offline-conflict",
+    payload: "OfflineConflict",
+    api: { name: "onOfflineConflict", doc: "Conflicts found while replaying the outbox" }
+  },
+  OFFLINE_SYNC_RESULT: {
+    channel: "offline-sync-result",
+    payload: "OfflineSyncResult",
+    api: { name: "onOfflineSyncResult", doc: "Finished outbox replays" }
+  },
+  OFFLINE_CACHE_UPDATED: {
+    channel: "offline-cache-updated",
+    payload: "{ fetchedAt: string; tasks: number; projects: number }"
+  },
+  QUICK_ADD_SHOW: {
+    channel: "quick-add-show",
+    payload: null
+  },
+  SETTINGS_CHANGED: {
+    channel: "settings-changed",
+    payload: "SettingsChange",
+    api: { name: "onSettingsChanged", doc: "A setting changed (settings window, tray or another API call)" }
+  },
+  MENU_COMMAND: {
+    channel: "menu-command",
+    payload: "MenuCommandEvent",
+    api: { name: "onMenuCommand", doc: "Application menu commands the renderer carries out (new task, Go menu, switch workspace)" }
+  },
+  REALTIME_EVENT: {
+    channel: "realtime-event",
+    payload: "RealtimeEvent",
+    api: { name: "onRealtimeEvent", doc: "Server events received by the main process realtime connection" }
+  },
+  REALTIME_STATUS_CHANGED: {
+    channel: "realtime-status-changed",
+    payload: "RealtimeStatus",
+    api: { name: "onRealtimeStatusChanged", doc: "Realtime connection state changes (same shape as getRealtimeStatus)" }
+  }
+};
+
+// electronAPI members that aren't a single channel
+const EXTRA_API_MEMBERS = [
+  { name: "removeNotificationClickedListener", signature: "(): void", doc: "Remove onNotificationClicked listeners" },
+  { name: "removeOfflineListeners", signature: "(): void", doc: "Remove offline listeners" },
+  { name: "removeMenuCommandListener", signature: "(): void", doc: "Remove onMenuCommand listeners" },
+  { name: "removeDownloadsListener", signature: "(): void", doc: "Remove onDownloadsChanged listeners" },
+  { name: "removeUploadProgressListener", signature: "(): void", doc: "Remove onUploadProgress listeners" },
+  { name: "removeTimerListener", signature: "(): void", doc: "Remove onTimerChanged listeners" },
+  { name: "removeRealtimeListeners", signature: "(): void", doc: "Remove onRealtimeEvent and onRealtimeStatusChanged listeners" },
+  { name: "isElectron", signature: ": true", doc: "Always true inside the desktop app" }
+];
+
+// ---------- shared types (TypeScript, used by the declaration) ----------
+
+const TYPES = {
+  IpcErrorCode: "\"INVALID_ARGUMENT\" | \"UNTRUSTED_SENDER\"",
+  IpcResult: `{
+  success: boolean;
+  error?: string;
+  /** Set when the main process rejected the arguments */
+  code?: IpcErrorCode;
+  channel?: string;
+}`,
+  UserData: `{
+  id?: string | number;
+  _id?: string;
+  userId?: string | number;
+  email?: string;
+  name?: string;
+  token?: string;
+  workspaceId?: string | number;
+  workspaceSlug?: string;
+  [key: string]: unknown;
+}`,
+  StorageResult: "IpcResult & { mirrorToLocalStorage?: boolean }",
+  StorageStatus: `{
+  success: boolean;
+  mode: "encrypted" | "plaintext" | "memory";
+  encryptionAvailable: boolean;
+  mirrorToLocalStorage: boolean;
+}`,
+  Account: `{
+  id: string;
+  label: string;
+  userId: string | number | null;
+  email: string | null;
+  workspaceId: string | number | null;
+  workspaceSlug: string | null;
+  createdAt: string;
+  lastUsedAt: string;
+  active: boolean;
+}`,
+  AccountList: "IpcResult & { accounts: Account[]; activeId: string | null }",
+  NavigationPayload: `{
+  taskId?: string | null;
+  projectId?: string | null;
+  roomId?: string | null;
+  workspaceSlug?: string | null;
+  type?: string;
+  entityType?: string;
+  entityId?: string | null;
+  source?: "deep-link" | string;
+  [key: string]: unknown;
+}`,
+  NotificationActionType: "\"complete\" | \"snooze\" | \"reply\"",
+  NotificationData: `{
+  tag?: string;
+  /** Server notification id - shown once even if the realtime connection delivered it too */
+  notificationId?: string | number;
+  type?: string;
+  taskId?: string | number;
+  projectId?: string | number;
+  roomId?: string | number;
+  workspaceSlug?: string;
+  entityType?: string;
+  entityId?: string | number;
+  [key: string]: unknown;
+}`,
+  DesktopNotificationInput: `{
+  title: string;
+  body?: string;
+  data?: NotificationData | null;
+  /** 'complete' needs data.taskId, 'reply' needs data.roomId */
+  actions?: NotificationActionType[];
+}`,
+  LegacyNotificationOptions: `{
+  title: string;
+  body?: string;
+  tag?: string;
+  silent?: boolean;
+  urgency?: "normal" | "critical" | "low";
+  data?: NotificationData | null;
+  actions?: NotificationActionType[];
+}`,
+  NotificationEntry: `{
+  id: string;
+  title: string;
+  body: string;
+  tag: string | null;
+  type: string;
+  data: NotificationData | null;
+  actions: { type: NotificationActionType; label: string }[];
+  status: "shown" | "muted" | "queued" | "digested" | "snoozed";
+  read: boolean;
+  receivedAt: string;
+}`,
+  NotificationHistoryQuery: "{ limit?: number; unreadOnly?: boolean; type?: string }",
+  NotificationPreferences: `{
+  mutedTypes: string[];
+  dnd: {
+    scheduleEnabled: boolean;
+    /** "HH:MM" */
+    start: string;
+    end: string;
+    /** 0 (Sunday) - 6 */
+    days: number[];
+    until: string | null;
+  };
+}`,
+  NotificationPreferencesChanges: "{ mutedTypes?: string[]; dnd?: Partial<NotificationPreferences[\"dnd\"]> }",
+  ReminderInput: `{
+  taskId: string | number;
+  title?: string;
+  dueAt: string;
+  leadMinutes?: number;
+  projectId?: string | number;
+  workspaceSlug?: string;
+}`,
+  Reminder: `{
+  id: string;
+  accountId: string;
+  taskId: string;
+  title: string;
+  dueAt: string;
+  leadMinutes: number;
+  remindAt: string;
+  projectId: string | number | null;
+  workspaceSlug: string | null;
+  createdAt: string;
+}`,
+  UpdateChannel: "\"stable\" | \"beta\"",
+  UpdateState: `{
+  status: "disabled" | "idle" | "checking" | "not-available" | "available" | "downloading" | "downloaded" | "skipped" | "error";
+  currentVersion: string;
+  channel: UpdateChannel;
+  availableVersion: string | null;
+  releaseNotes: string | null;
+  releaseDate: string | null;
+  progress: { percent: number; transferred: number; total: number; bytesPerSecond: number } | null;
+  error: string | null;
+  feedURL: string | null;
+  feedWarning: string | null;
+  skippedVersion: string | null;
+  deferredUntil: string | null;
+  lastCheckedAt: string | null;
+}`,
+  DownloadInfo: `{
+  id: string;
+  url: string;
+  filename: string;
+  /** null until the user picked a location (downloadsAskWhereToSave) */
+  savePath: string | null;
+  mimeType: string | null;
+  state: "progressing" | "paused" | "completed" | "cancelled" | "interrupted" | "blocked";
+  receivedBytes: number;
+  /** 0 when the server didn't send a size */
+  totalBytes: number;
+  workspaceSlug: string | null;
+  /** Program, script or installer - only kept once the user confirmed */
+  dangerous: boolean;
+  startedAt: string;
+  endedAt: string | null;
+  /** The file is still at savePath */
+  exists: boolean;
+}`,
+  AttachFilesOptions: `{
+  /** Attach to this task instead of creating one */
+  taskId?: string | number;
+  /** Without taskId: attach to the task given to setOpenTask, if any */
+  attachToOpenTask?: boolean;
+  /** Like attachToOpenTask, but fail instead of creating a task when none is open */
+  openTaskOnly?: boolean;
+  /** New task title (default: from the file names) */
+  title?: string;
+  projectId?: string | number | null;
+  /** Also report the outcome in a desktop notification */
+  notify?: boolean;
+}`,
+  AttachFilesResult: `IpcResult & {
+  taskId?: string | number;
+  task?: Task | null;
+  /** A new task was created for the files */
+  created?: boolean;
+  attachments?: Array<{ id?: string | number; name?: string; [key: string]: unknown }>;
+  /** Files left out: not found, a folder, a program or script, too large or too many */
+  rejected?: Array<{ name: string; reason: string }>;
+}`,
+  UploadProgress: `{
+  uploadId: string;
+  taskId: string | number;
+  fileNames: string[];
+  /** Bytes sent so far and in total (including the multipart framing) */
+  loaded: number;
+  total: number;
+  state: "uploading" | "done" | "error";
+  error: string | null;
+}`,
+  TimerStatus: `{
+  running: boolean;
+  taskId: string | null;
+  taskTitle: string | null;
+  startedAt: string | null;
+  elapsedSeconds: number;
+  /** Idle time not decided about yet (keep / discard / split) */
+  idleSince: string | null;
+  /** Time entries not synced to the server yet */
+  pendingEntries: number;
+}`,
+  TimerResult: "IpcResult & { status?: TimerStatus }",
+  TimeEntry: `{
+  id: string;
+  accountId: string;
+  taskId: string;
+  taskTitle: string | null;
+  startedAt: string;
+  endedAt: string;
+  durationSeconds: number;
+  /** Idle time split off into its own entry */
+  idle: boolean;
+  syncedAt: string | null;
+  serverId: string | number | null;
+  /** Why the server refused the entry (not retried) */
+  syncError: string | null;
+}`,
+  TrayTask: `{
+  id: string | number;
+  title: string;
+  dueDate?: string | null;
+  projectId?: string | number | null;
+  projectName?: string | null;
+  workspaceSlug?: string | null;
+  overdue?: boolean;
+}`,
+  TrayStateInput: "{ unreadCount?: number; overdueCount?: number; tasks?: TrayTask[] }",
+  Task: "{ id?: string | number; _id?: string; title?: string; [key: string]: unknown }",
+  Project: "{ id?: string | number; _id?: string; name?: string; [key: string]: unknown }",
+  TaskOperationInput: `{
+  type: "create" | "update" | "complete";
+  taskId?: string | number;
+  payload?: Record<string, unknown>;
+}`,
+  TaskOperation: `{
+  id: string;
+  accountId: string;
+  type: "create" | "update" | "complete";
+  /** "local-<uuid>" for tasks created offline */
+  taskId: string;
+  payload: Record<string, unknown>;
+  baseUpdatedAt: string | null;
+  queuedAt: string;
+  attempts: number;
+}`,
+  OfflineStatus: `{
+  online: boolean;
+  syncing: boolean;
+  pendingOperations: number;
+  conflicts: number;
+  cachedAt: string | null;
+}`,
+  OfflineConflict: `{
+  id: string;
+  accountId: string;
+  operation: TaskOperation;
+  reason: string;
+  status: number | null;
+  serverTask: Task | null;
+  detectedAt: string;
+}`,
+  OfflineSyncResult: "{ sent: number; conflicts: number; failed: number }",
+  TaskCompletedEvent: "{ taskId: string | number; source: \"tray\" | \"notification\" | string }",
+  TaskCreatedEvent: "{ task: Task; source: \"quick-add\" | \"attachments\" | string }",
+  // Keep in sync with SCHEMA in main/settings.js (test/unit/settings.test.js checks the keys)
+  Settings: `{
+  closeToTray: boolean;
+  startMinimized: boolean;
+  launchAtLogin: boolean;
+  openServerLinksInApp: boolean;
+  notificationsEnabled: boolean;
+  notificationSound: boolean;
+  quickAddShortcut: string;
+  shortcutNewTask: string | null;
+  shortcutSwitchWorkspace: string | null;
+  shortcutMyTasks: string | null;
+  shortcutInbox: string | null;
+  shortcutProjects: string | null;
+  downloadsFolder: string | null;
+  downloadsPerWorkspace: boolean;
+  downloadsAskWhereToSave: boolean;
+  idleDetection: boolean;
+  idleThresholdMinutes: number;
+  updateChannel: UpdateChannel;
+  mirrorTokenToLocalStorage: boolean;
+  devServerURL: string | null;
+}`,
+  SettingKey: "keyof Settings",
+  SettingSpec: `{
+  type: "boolean" | "string" | "number";
+  default: unknown;
+  values?: string[];
+  nullable?: boolean;
+  section: string;
+  label: string;
+  description?: string;
+  devOnly?: boolean;
+}`,
+  SettingsSnapshot: "IpcResult & { settings: Settings; schema: Record<SettingKey, SettingSpec>; version: number; devMode: boolean }",
+  SettingResult: "IpcResult & { key?: SettingKey; value?: unknown; settings?: Settings }",
+  SettingsChange: "{ key: SettingKey; value: unknown; previous: unknown; settings: Settings }",
+  MenuCommand: "\"new-task\" | \"switch-workspace\" | \"go-my-tasks\" | \"go-inbox\" | \"go-projects\"",
+  MenuCommandEvent: "{ command: MenuCommand }",
+  ConnectionDiagnostics: `{
+  failure: {
+    url: string;
+    errorCode: number;
+    errorDescription: string;
+    category: string;
+    title: string;
+    message: string;
+    attempt: number;
+    failedAt: number;
+    nextRetryAt: number;
+  } | null;
+  serverURL: string;
+  serverProfile: string | null;
+  appVersion: string;
+  electronVersion: string;
+  chromeVersion: string;
+  platform: string;
+  networkOnline: boolean;
+  offline: OfflineStatus;
+  time: string;
+}`,
+  CrashInfo: `{
+  lastCrash: { reason: string; exitCode: number | null; at: string } | null;
+  recentCrashes: number;
+  crashLoopLimit: number;
+  crashLoopMinutes: number;
+  crashDumpsPath: string;
+}`,
+  RealtimeEvent: "{ id: string | null; type: string; data: unknown }",
+  RealtimeStatus: `{
+  state: "stopped" | "connecting" | "connected" | "reconnecting" | "offline" | "paused" | "signed-out" | "unauthorized";
+  transport: "websocket" | "sse" | "longpoll" | null;
+  connectedAt: string | null;
+  lastEventAt: string | null;
+  lastEventId: string | null;
+  retryAt: string | null;
+  error: string | null;
+}`,
+  LogLevel: "\"debug\" | \"info\" | \"warn\" | \"error\"",
+  ProblemReportResult: "IpcResult & { canceled?: boolean; filePath?: string }"
+};
+
+// ---------- lookups ----------
+
+// CHANNELS.SAVE_TOKEN === "save-token", EVENTS.TASK_COMPLETED === "task-completed"
+const CHANNELS = Object.fromEntries(Object.entries(INVOKE).map(([key, spec]) => [key, spec.channel]));
+const EVENTS = Object.fromEntries(Object.entries(EVENT).map(([key, spec]) => [key, spec.channel]));
+
+// Sync channel the preloads use to fetch { CHANNELS, EVENTS }
+const CONTRACT_CHANNEL = "ipc-contract";
+
+const specsByChannel = new Map(Object.values(INVOKE).map((spec) => [spec.channel, spec]));
+
+function getSpec(channel) {
+  return specsByChannel.get(channel) || null;
+}
+
+// ---------- validation ----------
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case "any":
+      return true;
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "object":
+      return typeOf(value) === "object";
+    default:
+      return typeOf(value) === type;
+  }
+}
+
+// Returns null when the arguments fit the channel's spec, otherwise a
+// message naming the first offending argument
+function validateArgs(channel, args) {
+  const spec = getSpec(channel);
+  if (!spec) {
+    return `Unknown channel "${channel}"`;
+  }
+
+  for (const [index, param] of spec.args.entries()) {
+    const value = args[index];
+    if (value === undefined || value === null) {
+      if (param.optional || (value === null && param.nullable)) continue;
+      return `${param.name} is required (got ${typeOf(value)})`;
+    }
+
+    const types = [].concat(param.type);
+    if (!types.some((type) => matchesType(value, type))) {
+      return `${param.name} must be ${types.join(" or ")} (got ${typeOf(value)})`;
+    }
+    if (param.values && !param.values.includes(value)) {
+      return `${param.name} must be one of ${param.values.join(", ")}`;
+    }
+  }
+  return null;
+}
+
+// Structured error returned to the renderer instead of running the handler
+function invalidArgumentResult(channel, message) {
+  return {
+    success: false,
+    error: `Invalid arguments for ${channel}: ${message}`,
+    code: "INVALID_ARGUMENT",
+    channel
+  };
+}
+
+// Returned when the calling frame isn't showing allowed content (main/security.js)
+function untrustedSenderResult(channel) {
+  return {
+    success: false,
+    error: `${channel} is not available to this page`,
+    code: "UNTRUSTED_SENDER",
+    channel
+  };
+}
+
+module.exports = {
+  INVOKE,
+  EVENT,
+  EXTRA_API_MEMBERS,
+  TYPES,
+  CHANNELS,
+  EVENTS,
+  CONTRACT_CHANNEL,
+  getSpec,
+  validateArgs,
+  invalidArgumentResult,
+  untrustedSenderResult
+};
@@ -0,0 +1,63 @@
+// ============================================
+// IPC REGISTRATION
+// ============================================
+// Every ipcMain.handle goes through handle() so the sender and the arguments
+// are checked first:
+//   - the calling frame must show allowed content (main/security.js), otherwise
+//     { success: false, code: "UNTRUSTED_SENDER", error }
+//   - the arguments must match main/ipc-contract.js (e.g. save-user with null),
+//     otherwise { success: false, code: "INVALID_ARGUMENT", error }
+
+const { ipcMain } = require("electron");
+const contract = require("./ipc-contract");
+const security = require("./security");
+
+const registered = new Set();
+
+// Sandboxed preloads can't require the contract - they ask for the channel names
+ipcMain.on(contract.CONTRACT_CHANNEL, (event) => {
+  event.returnValue = { CHANNELS: contract.CHANNELS, EVENTS: contract.EVENTS };
+});
+
+// channel: a value of contract.CHANNELS; handler gets (event, ...args)
+function handle(channel, handler) {
+  if (!contract.getSpec(channel)) {
+    throw new Error(`IPC channel "${channel}" is not in main/ipc-contract.js`);
+  }
+  if (registered.has(channel)) {
+    throw new Error(`IPC channel "${channel}" already has a handler`);
+  }
+  registered.add(channel);
+
+  ipcMain.handle(channel, (event, ...args) => {
+    if (!security.isTrustedSender(event)) {
+      const url = event.senderFrame ? event.senderFrame.url : "unknown frame";
+      console.warn(`⚠️ Rejected ${channel} from untrusted sender: ${url}`);
+      return contract.untrustedSenderResult(channel);
+    }
+    const problem = contract.validateArgs(channel, args);
+    if (problem) {
+      console.warn(`⚠️ Rejected ${channel}: ${problem}`);
+      return contract.invalidArgumentResult(channel, problem);
+    }
+    return handler(event, ...args);
+  });
+}
+
+// Contract channels nobody registered a handler for (checked after startup)
+function getUnhandledChannels() {
+  return Object.values(contract.CHANNELS).filter((channel) => !registered.has(channel));
+}
+
+// Send an event to a window if it's still around
+function send(window, channel, payload) {
+  if (window && !window.isDestroyed()) {
+    window.webContents.send(channel, payload);
+  }
+}
+
+module.exports = {
+  handle,
+  getUnhandledChannels,
+  send
+};
@@ -0,0 +1,150 @@
+// ============================================
+// LIFECYCLE: BACKGROUND, LAUNCH AT LOGIN, QUIT
+// ============================================
+// Closing the window is not quitting. With the closeToTray setting on, the
+// main window is only hidden and the app keeps running in the tray
+// (notifications, reminders, sync). The app quits through an explicit quit
+// only - tray "Quit", the app menu, Cmd+Q, installing an update - which all
+// end in app.quit() and set the quitting flag on "before-quit". Logging off
+// or shutting down sets it too, so a hidden-to-tray close can't hold the
+// session open ("session-end" on Windows, powerMonitor "shutdown" elsewhere).
+//
+// Launch at login: app.setLoginItemSettings on macOS and Windows, an XDG
+// autostart entry ($XDG_CONFIG_HOME/autostart) on Linux.
+
+const { app, powerMonitor } = require("electron");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const settings = require("./settings");
+
+const AUTOSTART_FILE = "ocs-taskmanager.desktop";
+
+let quitting = false;
+
+function init() {
+  app.on("before-quit", () => {
+    quitting = true;
+  });
+  app.on("session-end", () => markQuitting());
+
+  // Saved only once the OS accepted it
+  settings.guard("launchAtLogin", (enabled) => setLaunchAtLogin(enabled));
+}
+
+// Call once the app is ready (powerMonitor needs it)
+function start() {
+  powerMonitor.on("shutdown", () => markQuitting());
+}
+
+// True once an explicit quit started: windows close for real
+function isQuitting() {
+  return quitting;
+}
+
+// For quits that close the windows before "before-quit" fires
+// (autoUpdater.quitAndInstall on macOS)
+function markQuitting() {
+  quitting = true;
+}
+
+// Start without showing the main window (it still loads, hidden)
+function shouldStartHidden() {
+  if (settings.get("startMinimized")) return true;
+  // macOS: the user ticked "Hide" for our login item
+  return process.platform === "darwin" && app.getLoginItemSettings().wasOpenedAsHidden;
+}
+
+// ============================================
+// LAUNCH AT LOGIN
+// ============================================
+
+function getAutostartPath() {
+  const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config");
+  return path.join(configHome, "autostart", AUTOSTART_FILE);
+}
+
+// Desktop Entry spec: quote arguments with spaces or reserved characters
+function quoteExecArg(arg) {
+  if (!/[\s"'\\`$<>|&;*?#()~]/.test(arg)) return arg;
+  return `"${arg.replace(/(["`$\\])/g, "\\$1")}"`;
+}
+
+function buildAutostartEntry(execPath) {
+  return [
+    "[Desktop Entry]",
+    "Type=Application",
+    "Version=1.0",
+    "Name=OCS Task Manager",
+    "Comment=Start OCS Task Manager at login",
+    `Exec=${quoteExecArg(execPath)}`,
+    "Icon=ocs-taskmanager",
+    "Terminal=false",
+    "X-GNOME-Autostart-enabled=true",
+    ""
+  ].join("\n");
+}
+
+// AppImages run from a temporary mount - autostart the image itself
+function getExecPath() {
+  return process.env.APPIMAGE || process.execPath;
+}
+
+function writeAutostartEntry(enabled) {
+  const file = getAutostartPath();
+  if (enabled) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, buildAutostartEntry(getExecPath()));
+  } else {
+    fs.rmSync(file, { force: true });
+  }
+}
+
+// Returns null on success, otherwise a message (settings guard signature)
+function setLaunchAtLogin(enabled) {
+  if (!app.isPackaged) {
+    return "Launch at login is only available in installed builds";
+  }
+  try {
+    if (process.platform === "linux") {
+      writeAutostartEntry(enabled);
+    } else {
+      app.setLoginItemSettings({ openAtLogin: enabled });
+    }
+    console.log(`🚀 Launch at login ${enabled ? "enabled" : "disabled"}`);
+    return null;
+  } catch (error) {
+    console.error("❌ Error changing launch at login:", error);
+    return `Could not change launch at login: ${error.message}`;
+  }
+}
+
+// On start: the OS login item list wins on macOS/Windows (the user may have
+// removed us there); on Linux the entry is rewritten in case the app moved
+function syncLaunchAtLogin() {
+  if (!app.isPackaged) return;
+  try {
+    if (process.platform === "linux") {
+      if (settings.get("launchAtLogin")) {
+        writeAutostartEntry(true);
+      }
+    } else {
+      settings.set("launchAtLogin", app.getLoginItemSettings().openAtLogin);
+    }
+  } catch (error) {
+    console.error("❌ Error syncing launch at login:", error);
+  }
+}
+
+module.exports = {
+  init,
+  start,
+  isQuitting,
+  markQuitting,
+  shouldStartHidden,
+  getAutostartPath,
+  buildAutostartEntry,
+  writeAutostartEntry,
+  setLaunchAtLogin,
+  syncLaunchAtLogin
+};
@@ -0,0 +1,242 @@
+// ============================================
+// LOGGING
+// ============================================
+// Leveled JSON lines in the logs directory (app.getPath("logs")), one object
+// per line: { time, level, source, message, data? }. source is "main", a
+// renderer ("renderer:app", "renderer:<page>") or "crash".
+//
+// The main process keeps logging with console.*: init() tees console output
+// into the file, so existing emoji messages land there too. Renderer consoles
+// arrive through forwardConsole() and the preload (electronAPI.log, uncaught
+// errors).
+//
+// Files rotate by size: app.log -> app.1.log -> ... -> app.<maxFiles-1>.log.
+// Every line is redacted first - bearer tokens, JWTs, token/password fields
+// and the exact secrets registered with addSecret() (tokens seen by the
+// storage handlers) never reach the disk.
+
+const fs = require("fs");
+const path = require("path");
+const util = require("util");
+
+const LEVELS = ["debug", "info", "warn", "error"];
+const LOG_FILE = "app.log";
+const DEFAULT_MAX_SIZE = 2 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 5;
+const MAX_SECRETS = 50;
+const MAX_MESSAGE_LENGTH = 8000;
+
+const REDACTED = "[redacted]";
+const SENSITIVE_KEY = /token|password|passwd|secret|authorization|cookie|api[-_]?key/i;
+const SENSITIVE_TEXT = [
+  /\b(Bearer|Basic)\s+[\w\-.~+/]+=*/gi, // Authorization headers
+  /\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, // JWTs
+  // token=..., "password": "...", { token: '...' } (not "Error saving token: ...")
+  /\b((?:access_|refresh_|id_)?token|password|secret|api[-_]?key)(=|["']?\s*:\s*["']|["']?:(?=\S))[^\s"'&,;}]+/gi
+];
+
+// Renderer console levels ("console-message" event) -> our levels
+const CONSOLE_LEVELS = ["info", "info", "warn", "error"];
+const CONSOLE_METHODS = { debug: "debug", log: "info", info: "info", warn: "warn", error: "error" };
+
+let directory = null;
+let maxSize = DEFAULT_MAX_SIZE;
+let maxFiles = DEFAULT_MAX_FILES;
+let minLevel = "info";
+let writing = false; // a failing write logs to the console - don't loop
+const secrets = new Set();
+const originalConsole = {};
+
+// options: { directory, level, maxSize, maxFiles, captureConsole (default true) }
+function init(options) {
+  directory = options.directory;
+  minLevel = LEVELS.includes(options.level) ? options.level : minLevel;
+  maxSize = options.maxSize || maxSize;
+  maxFiles = options.maxFiles || maxFiles;
+  fs.mkdirSync(directory, { recursive: true });
+  if (options.captureConsole !== false) {
+    captureConsole();
+  }
+}
+
+function getDirectory() {
+  return directory;
+}
+
+function getLogFile() {
+  return directory ? path.join(directory, LOG_FILE) : null;
+}
+
+// Current and rotated files, newest first
+function listLogFiles() {
+  if (!directory) return [];
+  const files = [LOG_FILE];
+  for (let index = 1; index < maxFiles; index++) {
+    files.push(rotatedName(index));
+  }
+  return files.map((name) => path.join(directory, name)).filter((file) => fs.existsSync(file));
+}
+
+// ---------- redaction ----------
+
+// Exact values to scrub from every line (e.g. the session token)
+function addSecret(value) {
+  if (typeof value !== "string" || value.length < 8) return;
+  secrets.delete(value);
+  secrets.add(value);
+  if (secrets.size > MAX_SECRETS) {
+    secrets.delete(secrets.values().next().value);
+  }
+}
+
+function redactText(text) {
+  let result = String(text);
+  for (const secret of secrets) {
+    result = result.split(secret).join(REDACTED);
+  }
+  result = result.replace(SENSITIVE_TEXT[0], `$1 ${REDACTED}`);
+  result = result.replace(SENSITIVE_TEXT[1], REDACTED);
+  result = result.replace(SENSITIVE_TEXT[2], `$1$2${REDACTED}`);
+  return result;
+}
+
+// Strings are scrubbed, values under sensitive keys dropped (plain data only)
+function redact(value, depth = 0) {
+  if (typeof value === "string") return redactText(value);
+  if (value instanceof Error) return redactText(value.stack || value.message);
+  if (!value || typeof value !== "object") return value;
+  if (depth > 5) return "[object]";
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SENSITIVE_KEY.test(key) && item !== null && item !== undefined ? REDACTED : redact(item, depth + 1)
+  ]));
+}
+
+// ---------- writing ----------
+
+function rotatedName(index) {
+  return `app.${index}.log`;
+}
+
+function rotateIfNeeded(incoming) {
+  const file = getLogFile();
+  let size = 0;
+  try {
+    size = fs.statSync(file).size;
+  } catch {
+    return;
+  }
+  if (size + incoming <= maxSize) return;
+
+  fs.rmSync(path.join(directory, rotatedName(maxFiles - 1)), { force: true });
+  for (let index = maxFiles - 2; index >= 1; index--) {
+    const from = path.join(directory, rotatedName(index));
+    if (fs.existsSync(from)) {
+      fs.renameSync(from, path.join(directory, rotatedName(index + 1)));
+    }
+  }
+  fs.renameSync(file, path.join(directory, rotatedName(1)));
+}
+
+// level: debug | info | warn | error; data: optional plain object
+function write(level, source, message, data) {
+  if (!directory || writing) return;
+  if (LEVELS.indexOf(level) < LEVELS.indexOf(minLevel)) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    source,
+    message: redactText(message).slice(0, MAX_MESSAGE_LENGTH)
+  };
+  if (data !== undefined && data !== null) {
+    entry.data = redact(data);
+  }
+  const line = `${JSON.stringify(entry)}\n`;
+
+  writing = true;
+  try {
+    rotateIfNeeded(Buffer.byteLength(line));
+    fs.appendFileSync(getLogFile(), line);
+  } catch (error) {
+    (originalConsole.error || console.error)("❌ Error writing log file:", error.message);
+  } finally {
+    writing = false;
+  }
+}
+
+function debug(message, data) {
+  write("debug", "main", message, data);
+}
+
+function info(message, data) {
+  write("info", "main", message, data);
+}
+
+function warn(message, data) {
+  write("warn", "main", message, data);
+}
+
+function error(message, data) {
+  write("error", "main", message, data);
+}
+
+// ---------- sources ----------
+
+// console.* of the main process still prints, and is written to the file
+function captureConsole() {
+  for (const [method, level] of Object.entries(CONSOLE_METHODS)) {
+    if (originalConsole[method]) continue;
+    originalConsole[method] = console[method];
+    console[method] = (...args) => {
+      originalConsole[method].apply(console, args);
+      write(level, "main", util.format(...args));
+    };
+  }
+}
+
+// "renderer:app" for the web app, "renderer:settings" for pages/settings.html
+function rendererSource(url) {
+  const match = /^file:.*\/([\w-]+)\.html(?:[?#].*)?$/.exec(url || "");
+  return `renderer:${match ? match[1] : "app"}`;
+}
+
+// A renderer's console ("console-message"). Uncaught errors are skipped:
+// the preload reports them with their stack.
+function forwardConsole(contents) {
+  contents.on("console-message", (event, level, message, line, sourceId) => {
+    if (/^Uncaught\b/.test(message)) return;
+    write(CONSOLE_LEVELS[level] || "info", rendererSource(contents.getURL()), message, sourceId ? { sourceId, line } : null);
+  });
+}
+
+// Messages the preload sends (electronAPI.log and uncaught errors)
+function writeFromRenderer(url, level, message, data) {
+  write(LEVELS.includes(level) ? level : "info", rendererSource(url), message, data);
+}
+
+// Crashes and hangs: always at error level, under source "crash"
+function crash(message, data) {
+  write("error", "crash", message, data);
+}
+
+module.exports = {
+  LEVELS,
+  init,
+  getDirectory,
+  getLogFile,
+  listLogFiles,
+  addSecret,
+  redact,
+  redactText,
+  write,
+  debug,
+  info,
+  warn,
+  error,
+  rendererSource,
+  forwardConsole,
+  writeFromRenderer,
+  crash
+};
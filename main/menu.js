@@ -0,0 +1,209 @@
+// ============================================
+// APPLICATION MENU
+// ============================================
+// File / Edit / View / Go / Window / Help. Task manager commands the
+// renderer carries out (new task, Go menu, switch workspace) are sent to the
+// main window as "menu-command" ({ command }); the rest runs here.
+// Their accelerators are settings (shortcut* in main/settings.js), so the
+// menu is rebuilt whenever one changes. Developer tools only in development.
+
+const { app, Menu } = require("electron");
+const config = require("./config");
+const settings = require("./settings");
+const accounts = require("./accounts");
+const windows = require("./windows");
+const storage = require("./storage");
+const quickAdd = require("./quick-add");
+const updater = require("./updater");
+const support = require("./support");
+
+const isMac = process.platform === "darwin";
+
+// Renderer commands and the setting holding each one's accelerator
+const SHORTCUT_SETTINGS = {
+  "new-task": "shortcutNewTask",
+  "switch-workspace": "shortcutSwitchWorkspace",
+  "go-my-tasks": "shortcutMyTasks",
+  "go-inbox": "shortcutInbox",
+  "go-projects": "shortcutProjects"
+};
+
+// Accelerators of the fixed menu items - not available for rebinding
+const RESERVED_ACCELERATORS = [
+  "CommandOrControl+,", // Settings
+  "CommandOrControl+Q", "CommandOrControl+W", "CommandOrControl+H", "CommandOrControl+M",
+  "CommandOrControl+Z", "CommandOrControl+Shift+Z", "CommandOrControl+X", "CommandOrControl+C",
+  "CommandOrControl+V", "CommandOrControl+A", "CommandOrControl+R", "CommandOrControl+Shift+R",
+  "CommandOrControl+0", "CommandOrControl+Plus", "CommandOrControl+=", "CommandOrControl+-",
+  "F11"
+];
+
+const MODIFIER_ALIASES = {
+  cmdorctrl: "commandorcontrol",
+  cmd: "command",
+  ctrl: "control",
+  option: "alt"
+};
+
+let installed = false;
+
+// "Ctrl+Shift+k" and "Shift+Control+K" compare equal
+function normalizeAccelerator(accelerator) {
+  const parts = String(accelerator).toLowerCase().split("+");
+  const key = parts.pop();
+  const modifiers = parts.map((part) => MODIFIER_ALIASES[part] || part).sort();
+  return [...modifiers, key].join("+");
+}
+
+// Returns a message when accelerator is taken by another menu item
+function findConflict(key, accelerator) {
+  const wanted = normalizeAccelerator(accelerator);
+  if (RESERVED_ACCELERATORS.some((reserved) => normalizeAccelerator(reserved) === wanted)) {
+    return `${accelerator} is used by a built-in menu item`;
+  }
+  const other = Object.values(SHORTCUT_SETTINGS)
+    .find((name) => name !== key && settings.get(name) && normalizeAccelerator(settings.get(name)) === wanted);
+  return other ? `${accelerator} is already used for "${settings.SCHEMA[other].label}"` : null;
+}
+
+function init() {
+  for (const key of Object.values(SHORTCUT_SETTINGS)) {
+    settings.guard(key, (accelerator) => (accelerator ? findConflict(key, accelerator) : null));
+    settings.watch(key, () => setApplicationMenu());
+  }
+}
+
+function commandItem(label, command) {
+  return {
+    label,
+    accelerator: settings.get(SHORTCUT_SETTINGS[command]) || undefined,
+    click: () => windows.sendMenuCommand(command)
+  };
+}
+
+function buildTemplate() {
+  const settingsItem = {
+    label: "Settings...",
+    accelerator: "CommandOrControl+,",
+    click: () => windows.openSettingsWindow()
+  };
+  const activeAccount = accounts.getActiveAccount();
+
+  const appMenu = {
+    label: app.name,
+    submenu: [
+      { role: "about" },
+      { type: "separator" },
+      settingsItem,
+      { type: "separator" },
+      { role: "services" },
+      { type: "separator" },
+      { role: "hide" },
+      { role: "hideOthers" },
+      { role: "unhide" },
+      { type: "separator" },
+      { role: "quit" }
+    ]
+  };
+
+  const fileMenu = {
+    label: "File",
+    submenu: [
+      commandItem("New task", "new-task"),
+      {
+        label: "Quick add task",
+        // Global shortcut, registered by main/quick-add.js - only shown here
+        accelerator: quickAdd.getShortcut() || undefined,
+        registerAccelerator: false,
+        click: () => quickAdd.openQuickAddWindow()
+      },
+      {
+        label: "Downloads",
+        click: () => windows.openDownloadsWindow()
+      },
+      { type: "separator" },
+      commandItem("Switch workspace...", "switch-workspace"),
+      {
+        label: activeAccount ? `Log out of ${activeAccount.label}` : "Log out",
+        enabled: !!activeAccount,
+        click: () => storage.removeAccount(activeAccount.id).catch((error) => {
+          console.error("❌ Error logging out:", error);
+        })
+      },
+      { type: "separator" },
+      ...(isMac ? [{ role: "close" }] : [settingsItem, { type: "separator" }, { role: "quit" }])
+    ]
+  };
+
+  const viewMenu = {
+    label: "View",
+    submenu: [
+      { role: "reload" },
+      ...(config.isDev ? [{ role: "forceReload" }, { role: "toggleDevTools" }] : []),
+      { type: "separator" },
+      { role: "resetZoom" },
+      { role: "zoomIn" },
+      { role: "zoomOut" },
+      { type: "separator" },
+      { role: "togglefullscreen" }
+    ]
+  };
+
+  const goMenu = {
+    label: "Go",
+    submenu: [
+      commandItem("My tasks", "go-my-tasks"),
+      commandItem("Inbox", "go-inbox"),
+      commandItem("Projects", "go-projects")
+    ]
+  };
+
+  const helpMenu = {
+    role: "help",
+    submenu: [
+      ...(isMac ? [] : [{ role: "about" }, { type: "separator" }]),
+      {
+        label: "Check for updates...",
+        click: () => {
+          windows.openUpdatesWindow();
+          updater.checkForUpdates({ manual: true });
+        }
+      },
+      { type: "separator" },
+      {
+        label: "Report a problem...",
+        click: () => support.reportProblem()
+      },
+      {
+        label: "Open logs folder",
+        click: () => support.openLogsFolder()
+      }
+    ]
+  };
+
+  return [
+    ...(isMac ? [appMenu] : []),
+    fileMenu,
+    { role: "editMenu" },
+    viewMenu,
+    goMenu,
+    { role: "windowMenu" },
+    helpMenu
+  ];
+}
+
+// Call once the app is ready; called again when shortcuts or the account change
+function setApplicationMenu() {
+  if (!installed && !app.isReady()) return;
+  installed = true;
+  Menu.setApplicationMenu(Menu.buildFromTemplate(buildTemplate()));
+}
+
+module.exports = {
+  SHORTCUT_SETTINGS,
+  init,
+  normalizeAccelerator,
+  findConflict,
+  buildTemplate,
+  setApplicationMenu
+};
@@ -0,0 +1,130 @@
+// ============================================
+// NOTIFICATION ACTIONS
+// ============================================
+// Buttons on desktop notifications, run by the main process against the
+// server with the stored token - the window doesn't have to be open.
+//
+// The renderer declares which actions apply in sendDesktopNotification():
+//   { title, body, data: { taskId, roomId, ... }, actions: ["complete", "snooze", "reply"] }
+// (entries may also be objects: { type: "complete", label: "Done" })
+//
+//   complete - mark data.taskId complete (goes through the offline outbox)
+//   snooze   - show the notification again in an hour
+//   reply    - inline reply to the chat room data.roomId
+//
+// Action buttons and inline replies are only supported by macOS
+// notifications; elsewhere the notification falls back to click-to-open.
+
+const api = require("./api");
+const offline = require("./offline");
+const notificationCenter = require("./notification-center");
+
+const SNOOZE_MINUTES = 60;
+
+const ACTIONS = {
+  complete: { label: "Mark complete", requires: "taskId" },
+  snooze: { label: "Snooze 1h", requires: null },
+  reply: { label: "Reply", requires: "roomId" }
+};
+
+let onTaskCompleted = () => {};
+let onError = () => {};
+
+function init(options) {
+  onTaskCompleted = options.onTaskCompleted || onTaskCompleted;
+  onError = options.onError || onError;
+}
+
+function isSupported() {
+  return process.platform === "darwin";
+}
+
+// Keep known actions whose required id is present in data:
+// -> [{ type, label }]
+function normalizeActions(actions, data) {
+  if (!Array.isArray(actions)) return [];
+  const seen = new Set();
+  return actions
+    .map((action) => (typeof action === "string" ? { type: action } : action))
+    .filter((action) => {
+      const definition = action && ACTIONS[action.type];
+      if (!definition || seen.has(action.type)) return false;
+      if (definition.requires && !(data && data[definition.requires])) return false;
+      seen.add(action.type);
+      return true;
+    })
+    .map((action) => ({
+      type: action.type,
+      label: typeof action.label === "string" && action.label ? action.label.slice(0, 40) : ACTIONS[action.type].label
+    }));
+}
+
+// Electron Notification options for an entry's actions (macOS only)
+// Reply is an inline text field, the rest are buttons
+function getNotificationOptions(entry) {
+  const actions = entry.actions || [];
+  if (!isSupported() || actions.length === 0) {
+    return { buttons: [], options: {} };
+  }
+
+  const buttons = actions.filter((action) => action.type !== "reply");
+  const reply = actions.find((action) => action.type === "reply");
+  return {
+    buttons,
+    options: {
+      actions: buttons.map((action) => ({ type: "button", text: action.label })),
+      hasReply: !!reply,
+      replyPlaceholder: reply ? "Reply…" : undefined
+    }
+  };
+}
+
+function completeTask(entry) {
+  const taskId = String(entry.data.taskId);
+  offline.queueOperation({ type: "complete", taskId });
+  notificationCenter.markRead([entry.id]);
+  onTaskCompleted(taskId);
+  console.log("✅ Task completed from notification:", taskId);
+}
+
+function snoozeEntry(entry) {
+  notificationCenter.snooze(entry.id, SNOOZE_MINUTES);
+}
+
+async function sendReply(entry, text) {
+  const message = String(text || "").trim();
+  if (!message) return;
+  const roomId = entry.data.roomId;
+  await api.request("POST", api.API_PATHS.roomMessages(roomId), { content: message });
+  notificationCenter.markRead([entry.id]);
+  console.log("💬 Reply sent to room:", roomId);
+}
+
+// Run an action for a history entry; reply carries the typed text
+async function perform(type, entry, reply) {
+  try {
+    if (type === "complete") {
+      completeTask(entry);
+    } else if (type === "snooze") {
+      snoozeEntry(entry);
+    } else if (type === "reply") {
+      await sendReply(entry, reply);
+    } else {
+      throw new Error(`Unknown notification action: ${type}`);
+    }
+    return { success: true };
+  } catch (error) {
+    console.error(`❌ Notification action "${type}" failed:`, error);
+    onError(type, entry, error);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  ACTIONS,
+  init,
+  isSupported,
+  normalizeActions,
+  getNotificationOptions,
+  perform
+};
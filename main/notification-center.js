@@ -0,0 +1,373 @@
+// ============================================
+// NOTIFICATION CENTER
+// ============================================
+// Every desktop notification goes through here before it is shown:
+//   - history:  the last HISTORY_LIMIT notifications are persisted
+//   - mute:     per-type preferences keyed on data.type / data.entityType
+//   - DND:      a do-not-disturb schedule (e.g. outside working hours) or a
+//               manual "pause until"; notifications are queued meanwhile and
+//               shown as one digest when DND ends
+//   - snooze:   re-show a notification after a delay (survives restarts)
+//
+// Showing the actual OS notification is left to the caller (options.show).
+
+const crypto = require("crypto");
+
+const HISTORY_LIMIT = 200;
+const TICK_INTERVAL_MS = 30 * 1000;
+const DIGEST_PREVIEW_COUNT = 3;
+
+const DEFAULT_PREFERENCES = {
+  mutedTypes: [], // e.g. ["chat_message", "room"]
+  dnd: {
+    scheduleEnabled: false,
+    start: "18:00", // DND starts (local time)
+    end: "09:00", // DND ends
+    days: [0, 1, 2, 3, 4, 5, 6], // days the schedule applies (0 = Sunday)
+    until: null // manual pause: ISO timestamp or null
+  }
+};
+
+let store = null;
+let show = () => false;
+let onChange = () => {};
+let tickTimer = null;
+let wasDndActive = false;
+
+function init(options) {
+  store = options.store || null;
+  show = options.show || show;
+  onChange = options.onChange || onChange;
+}
+
+// ---------- persistence ----------
+
+function get(key, fallback) {
+  if (!store) return fallback;
+  const value = store.get(key);
+  return value === undefined || value === null ? fallback : value;
+}
+
+function set(key, value) {
+  if (store) store.set(key, value);
+}
+
+function getHistory() {
+  return get("notificationHistory", []);
+}
+
+function setHistory(history) {
+  set("notificationHistory", history.slice(0, HISTORY_LIMIT));
+  onChange();
+}
+
+function getPreferences() {
+  const saved = get("notificationPreferences", {});
+  return {
+    ...DEFAULT_PREFERENCES,
+    ...saved,
+    dnd: { ...DEFAULT_PREFERENCES.dnd, ...(saved.dnd || {}) }
+  };
+}
+
+function setPreferences(changes) {
+  const current = getPreferences();
+  const next = {
+    ...current,
+    ...changes,
+    dnd: { ...current.dnd, ...((changes && changes.dnd) || {}) }
+  };
+  if (!Array.isArray(next.mutedTypes)) next.mutedTypes = [];
+  set("notificationPreferences", next);
+  onChange();
+  tick(); // DND may have just ended
+  return next;
+}
+
+// ---------- rules ----------
+
+// Key used for per-type mute preferences
+function getTypeKey(data) {
+  return (data && (data.type || data.entityType)) || "general";
+}
+
+function isMuted(typeKey) {
+  return getPreferences().mutedTypes.includes(typeKey);
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = String(time || "0:0").split(":").map(Number);
+  return (hours || 0) * 60 + (minutes || 0);
+}
+
+// True while DND is on (manual pause or schedule)
+function isDndActive(now = new Date()) {
+  const { dnd } = getPreferences();
+  if (dnd.until && new Date(dnd.until) > now) {
+    return true;
+  }
+  if (!dnd.scheduleEnabled) {
+    return false;
+  }
+
+  const start = toMinutes(dnd.start);
+  const end = toMinutes(dnd.end);
+  const minutes = now.getHours() * 60 + now.getMinutes();
+
+  if (start <= end) {
+    // Same-day window, e.g. 12:00-13:00
+    return dnd.days.includes(now.getDay()) && minutes >= start && minutes < end;
+  }
+  // Overnight window, e.g. 18:00-09:00: the evening part belongs to today,
+  // the morning part to the day the window started (yesterday)
+  if (minutes >= start) {
+    return dnd.days.includes(now.getDay());
+  }
+  if (minutes < end) {
+    return dnd.days.includes((now.getDay() + 6) % 7);
+  }
+  return false;
+}
+
+// Pause notifications until a time (Date/ISO string), or resume with null
+function setDoNotDisturbUntil(until) {
+  return setPreferences({ dnd: { until: until ? new Date(until).toISOString() : null } });
+}
+
+// ---------- history ----------
+
+function addToHistory(notification, status) {
+  const entry = {
+    id: crypto.randomUUID(),
+    title: notification.title,
+    body: notification.body,
+    tag: notification.tag || null,
+    silent: !!notification.silent,
+    urgency: notification.urgency || "normal",
+    type: getTypeKey(notification.data),
+    data: notification.data || null,
+    actions: notification.actions || [],
+    status, // shown | muted | queued | digested | snoozed
+    read: false,
+    receivedAt: new Date().toISOString()
+  };
+  setHistory([entry].concat(getHistory()));
+  return entry;
+}
+
+function updateEntry(id, changes) {
+  let updated = null;
+  setHistory(getHistory().map((entry) => {
+    if (entry.id !== id) return entry;
+    updated = { ...entry, ...changes };
+    return updated;
+  }));
+  return updated;
+}
+
+function getEntry(id) {
+  return getHistory().find((entry) => entry.id === id) || null;
+}
+
+// History for the renderer/tray: { limit, unreadOnly, type }
+function queryHistory(query = {}) {
+  let history = getHistory();
+  if (query.unreadOnly) history = history.filter((entry) => !entry.read);
+  if (query.type) history = history.filter((entry) => entry.type === query.type);
+  return history.slice(0, query.limit || HISTORY_LIMIT);
+}
+
+// Mark entries read (all when ids is empty)
+function markRead(ids) {
+  const all = !ids || ids.length === 0;
+  setHistory(getHistory().map((entry) => (all || ids.includes(entry.id) ? { ...entry, read: true } : entry)));
+}
+
+function clearHistory() {
+  setHistory([]);
+}
+
+// ---------- dedup ----------
+
+// Prevents duplicate notifications from both new and legacy APIs
+const recentNotifications = new Map(); // tag -> timestamp
+const DEDUP_WINDOW_MS = 2000; // 2 seconds
+
+function isDuplicateNotification(tag, now = Date.now()) {
+  if (!tag) return false;
+  const lastShown = recentNotifications.get(tag);
+
+  if (lastShown && (now - lastShown) < DEDUP_WINDOW_MS) {
+    return true; // Duplicate within time window
+  }
+
+  // Update timestamp
+  recentNotifications.set(tag, now);
+
+  // Cleanup old entries (keep map from growing)
+  if (recentNotifications.size > 100) {
+    const cutoff = now - DEDUP_WINDOW_MS * 2;
+    for (const [key, timestamp] of recentNotifications.entries()) {
+      if (timestamp < cutoff) {
+        recentNotifications.delete(key);
+      }
+    }
+  }
+
+  return false;
+}
+
+// What a click sends over "notification-clicked", or null when there's
+// nothing to navigate to (digest, notification without data)
+function getNavigationPayload(entry) {
+  const data = entry && entry.data;
+  if (!data || entry.digest) return null;
+  return {
+    taskId: data.taskId,
+    projectId: data.projectId,
+    roomId: data.roomId,
+    workspaceSlug: data.workspaceSlug,
+    type: data.type,
+    entityType: data.entityType,
+    entityId: data.entityId
+  };
+}
+
+// ---------- notify ----------
+
+// Decide what to do with an incoming notification:
+// { title, body, tag, silent, urgency, data, actions }
+// Returns { status, entry } - status is shown | muted | queued
+function notify(notification) {
+  const typeKey = getTypeKey(notification.data);
+
+  if (isMuted(typeKey)) {
+    console.log(`🔕 Notification muted (type: ${typeKey}):`, notification.title);
+    return { status: "muted", entry: addToHistory(notification, "muted") };
+  }
+
+  if (isDndActive()) {
+    console.log("🌙 Do not disturb - notification queued:", notification.title);
+    const entry = addToHistory(notification, "queued");
+    set("notificationQueue", get("notificationQueue", []).concat(entry.id));
+    wasDndActive = true;
+    return { status: "queued", entry };
+  }
+
+  const entry = addToHistory(notification, "shown");
+  show(entry);
+  return { status: "shown", entry };
+}
+
+// ---------- snooze ----------
+
+// Show a notification again after `minutes`
+function snooze(id, minutes) {
+  const entry = getEntry(id);
+  if (!entry) {
+    throw new Error("Notification not found");
+  }
+  const until = new Date(Date.now() + Math.max(1, Number(minutes) || 60) * 60 * 1000).toISOString();
+  set("snoozedNotifications", get("snoozedNotifications", [])
+    .filter((item) => item.id !== id)
+    .concat({ id, until }));
+  console.log(`⏰ Notification snoozed until ${until}:`, entry.title);
+  return updateEntry(id, { status: "snoozed", snoozedUntil: until, read: true });
+}
+
+// ---------- timers ----------
+
+// Re-show due snoozes and, once DND is over, send the digest
+function tick() {
+  const now = new Date();
+
+  const snoozed = get("snoozedNotifications", []);
+  const due = snoozed.filter((item) => new Date(item.until) <= now);
+  if (due.length > 0) {
+    set("snoozedNotifications", snoozed.filter((item) => new Date(item.until) > now));
+    for (const item of due) {
+      const entry = getEntry(item.id);
+      if (entry && !isDndActive(now)) {
+        show(updateEntry(entry.id, { status: "shown", snoozedUntil: null, read: false }));
+      } else if (entry) {
+        // Still DND: hand it to the digest instead
+        set("notificationQueue", get("notificationQueue", []).concat(entry.id));
+      }
+    }
+  }
+
+  const dndActive = isDndActive(now);
+  if (!dndActive && (wasDndActive || get("notificationQueue", []).length > 0)) {
+    sendDigest();
+  }
+  if (dndActive !== wasDndActive) {
+    // Quiet hours started or ended: the tray's DND menu shows which
+    onChange();
+  }
+  wasDndActive = dndActive;
+}
+
+// One notification summarizing everything queued during DND
+function sendDigest() {
+  const queuedIds = get("notificationQueue", []);
+  set("notificationQueue", []);
+  const queued = queuedIds.map(getEntry).filter(Boolean);
+  if (queued.length === 0) return;
+
+  for (const entry of queued) {
+    updateEntry(entry.id, { status: "digested" });
+  }
+
+  if (queued.length === 1) {
+    show(updateEntry(queued[0].id, { status: "shown" }));
+    return;
+  }
+
+  const preview = queued.slice(0, DIGEST_PREVIEW_COUNT).map((entry) => `• ${entry.title}`);
+  if (queued.length > DIGEST_PREVIEW_COUNT) {
+    preview.push(`…and ${queued.length - DIGEST_PREVIEW_COUNT} more`);
+  }
+  show({
+    id: `digest-${Date.now()}`,
+    title: `${queued.length} notifications while Do Not Disturb was on`,
+    body: preview.join("\n"),
+    tag: "notification-digest",
+    type: "digest",
+    data: { type: "notification-digest", entityType: "notifications" },
+    digest: true
+  });
+}
+
+function start() {
+  if (tickTimer) return;
+  wasDndActive = isDndActive();
+  tick();
+  tickTimer = setInterval(tick, TICK_INTERVAL_MS);
+}
+
+function stop() {
+  if (tickTimer) {
+    clearInterval(tickTimer);
+    tickTimer = null;
+  }
+}
+
+module.exports = {
+  init,
+  start,
+  stop,
+  notify,
+  isDuplicateNotification,
+  getNavigationPayload,
+  getTypeKey,
+  getPreferences,
+  setPreferences,
+  isDndActive,
+  setDoNotDisturbUntil,
+  queryHistory,
+  getEntry,
+  markRead,
+  clearHistory,
+  snooze,
+  tick
+};
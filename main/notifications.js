@@ -0,0 +1,364 @@
+// ============================================
+// DESKTOP NOTIFICATIONS
+// ============================================
+// Shows notification center entries (see main/notification-center.js) as OS
+// notifications, with action buttons (main/notification-actions.js), and
+// fires due-date reminders (main/reminders.js). SINGLE UNIFIED FLOW for
+// clicks: focus the window and send the navigation data via IPC, React
+// handles the navigation.
+
+const { Notification, nativeImage } = require("electron");
+const ipc = require("./ipc");
+const { CHANNELS, EVENTS } = require("./ipc-contract");
+const config = require("./config");
+const accounts = require("./accounts");
+const notificationCenter = require("./notification-center");
+const notificationActions = require("./notification-actions");
+const reminders = require("./reminders");
+const trayState = require("./tray-state");
+const windows = require("./windows");
+const settings = require("./settings");
+
+// Keep shown notifications referenced so click handlers survive garbage collection
+const activeNotifications = new Set();
+
+// Server notifications reach us twice while the window is open: over the
+// realtime connection (main/realtime.js) and from the renderer. Both carry
+// the server's id as data.notificationId - the first one wins.
+const SERVER_DEDUP_MS = 10 * 60 * 1000;
+const deliveredServerIds = new Map(); // notificationId -> delivered at
+
+let onChange = () => {};
+let notifiedUpdateVersion = null;
+
+// onChange: history or preferences changed (tray menu rebuild)
+function init(options) {
+  onChange = options.onChange || onChange;
+
+  // Notification history, per-type mute, do-not-disturb and snooze
+  notificationCenter.init({
+    store: options.store,
+    show: (entry) => showDesktopNotification(entry),
+    onChange: () => {
+      onChange();
+      windows.sendToMainWindow(EVENTS.NOTIFICATION_HISTORY_CHANGED);
+    }
+  });
+
+  // Complete / snooze / reply buttons on notifications
+  notificationActions.init({
+    onTaskCompleted: (taskId) => {
+      trayState.removeTask(taskId);
+      reminders.cancelReminder(taskId);
+      windows.sendToMainWindow(EVENTS.TASK_COMPLETED, { taskId, source: "notification" });
+    },
+    onError: (type, entry, error) => {
+      if (!Notification.isSupported()) return;
+      new Notification({
+        title: type === "reply" ? "Reply not sent" : "Action failed",
+        body: error.offline ? "The server is unreachable. Please try again later." : error.message
+      }).show();
+    }
+  });
+
+  // Due-date reminders fired by the main process (window may be closed)
+  reminders.init({
+    store: options.store,
+    notify: (notification) => deliverNotification(notification),
+    getAccountId: () => {
+      const account = accounts.getActiveAccount();
+      return account ? account.id : null;
+    }
+  });
+}
+
+// Call once the app is ready
+function start() {
+  notificationCenter.start();
+  reminders.start();
+}
+
+function showDesktopNotification(entry) {
+  if (!Notification.isSupported()) {
+    console.log('⚠️ Notifications not supported on this platform');
+    return false;
+  }
+  // Turned off in settings: the entry still lands in the history
+  if (!settings.get('notificationsEnabled')) {
+    return false;
+  }
+
+  // Get icon path using centralized helper
+  const iconPath = config.getIconPath();
+  let icon = null;
+  if (iconPath) {
+    icon = nativeImage.createFromPath(iconPath);
+  }
+
+  // Action buttons / inline reply where the platform supports them,
+  // otherwise the click below (open in window) is the only action
+  const { buttons, options } = notificationActions.getNotificationOptions(entry);
+
+  // Create notification - always show even if app is open
+  const notification = new Notification({
+    title: entry.title || 'OCS Task Manager',
+    body: entry.body || '',
+    icon: icon || undefined,
+    silent: !!entry.silent || !settings.get('notificationSound'),
+    urgency: entry.urgency || 'normal',
+    ...options
+  });
+
+  notification.on('click', () => {
+    console.log('🔔 Notification clicked');
+    openNotification(entry);
+  });
+
+  notification.on('action', (event, index) => {
+    const action = buttons[index];
+    if (action) {
+      console.log('🔘 Notification action:', action.type);
+      notificationActions.perform(action.type, entry);
+    }
+  });
+
+  notification.on('reply', (event, reply) => {
+    console.log('💬 Notification reply');
+    notificationActions.perform('reply', entry, reply);
+  });
+
+  notification.on('close', () => {
+    activeNotifications.delete(notification);
+  });
+
+  activeNotifications.add(notification);
+  notification.show();
+  console.log('✅ Desktop notification shown successfully:', entry.title);
+  return true;
+}
+
+// Single path for every desktop notification (renderer IPC, reminders):
+// dedupe, then let the notification center apply mute/DND rules and
+// record history. Returns true when the notification was shown right away.
+function deliverNotification(notification) {
+  if (!Notification.isSupported()) {
+    console.log('⚠️ Notifications not supported on this platform');
+    return false;
+  }
+
+  if (isDeliveredServerNotification(notification.data)) {
+    console.log('⚠️ Duplicate server notification prevented:', notification.data.notificationId);
+    return false;
+  }
+
+  // Prevent duplicate notifications
+  const tag = notification.tag || `notification-${notification.title}-${notification.body}-${Date.now()}`;
+  if (notificationCenter.isDuplicateNotification(tag)) {
+    console.log('⚠️ Duplicate notification prevented:', tag);
+    return false;
+  }
+
+  const { status } = notificationCenter.notify({
+    ...notification,
+    tag,
+    actions: notificationActions.normalizeActions(notification.actions, notification.data)
+  });
+  return status === 'shown';
+}
+
+// True when the server notification in data was delivered before (and
+// remembers it otherwise)
+function isDeliveredServerNotification(data, now = Date.now()) {
+  const id = data && data.notificationId;
+  if (id === undefined || id === null) return false;
+  const key = String(id);
+  const deliveredAt = deliveredServerIds.get(key);
+  if (deliveredAt && now - deliveredAt < SERVER_DEDUP_MS) {
+    return true;
+  }
+  deliveredServerIds.delete(key);
+  deliveredServerIds.set(key, now);
+  for (const [other, at] of deliveredServerIds) {
+    if (now - at < SERVER_DEDUP_MS) break; // oldest first
+    deliveredServerIds.delete(other);
+  }
+  return false;
+}
+
+// "notification" events of the realtime connection:
+// { id, type: "notification", data: { id?, title, body, tag?, urgency?, data?, actions? } }
+function deliverRealtimeNotification(event) {
+  const payload = event.data || {};
+  if (!payload.title) return false;
+  const data = payload.data || {};
+  const notificationId = data.notificationId ?? payload.id ?? event.id;
+  return deliverNotification({
+    title: payload.title,
+    body: payload.body,
+    tag: payload.tag || data.tag,
+    urgency: payload.urgency,
+    data: { ...data, notificationId },
+    actions: payload.actions
+  });
+}
+
+// Navigate to a notification's target (notification click, tray history)
+function openNotification(entry) {
+  if (!entry.digest) {
+    notificationCenter.markRead([entry.id]);
+  }
+
+  const payload = notificationCenter.getNavigationPayload(entry);
+  if (!payload) {
+    windows.showMainWindow();
+    return;
+  }
+  console.log('📨 Sending notification-clicked event to renderer:', payload);
+  windows.openInMainWindow(payload);
+}
+
+// "Update ready" - once per version; clicking opens the updates window
+function notifyUpdateReady(version) {
+  if (version === notifiedUpdateVersion) return;
+  notifiedUpdateVersion = version;
+  if (!Notification.isSupported()) return;
+
+  const notification = new Notification({
+    title: "Update ready",
+    body: `Version ${version} is ready to install. Click to see what's new.`
+  });
+  notification.on("click", () => windows.openUpdatesWindow());
+  notification.show();
+}
+
+// ============================================
+// IPC HANDLERS FOR NOTIFICATIONS AND REMINDERS
+// ============================================
+
+function registerIpcHandlers() {
+  // Handle desktop notifications (new simplified API)
+  ipc.handle(CHANNELS.SHOW_DESKTOP_NOTIFICATION, async (event, data) => {
+    try {
+      console.log('🔔 IPC: show-desktop-notification called with:', {
+        title: data.title,
+        body: data.body,
+        hasData: !!data.data
+      });
+
+      return deliverNotification({
+        title: data.title,
+        body: data.body,
+        tag: data.data?.tag,
+        data: data.data || null,
+        actions: data.actions
+      });
+    } catch (error) {
+      console.error('❌ Error showing notification:', error);
+      console.error('❌ Error stack:', error.stack);
+      return false;
+    }
+  });
+
+  // Handle desktop notifications (legacy API - kept for backward compatibility)
+  ipc.handle(CHANNELS.SHOW_NOTIFICATION, async (event, options) => {
+    try {
+      return deliverNotification({
+        title: options.title,
+        body: options.body,
+        tag: options.tag,
+        silent: options.silent,
+        urgency: options.urgency,
+        data: options.data || null,
+        actions: options.actions
+      });
+    } catch (error) {
+      console.error('❌ Error showing notification:', error);
+      return false;
+    }
+  });
+
+  // History: { limit, unreadOnly, type }
+  ipc.handle(CHANNELS.GET_NOTIFICATION_HISTORY, (event, query) => {
+    return notificationCenter.queryHistory(query || {});
+  });
+
+  // Mark notifications read (all when no ids are given)
+  ipc.handle(CHANNELS.MARK_NOTIFICATIONS_READ, (event, ids) => {
+    notificationCenter.markRead(Array.isArray(ids) ? ids : null);
+    return { success: true };
+  });
+
+  ipc.handle(CHANNELS.CLEAR_NOTIFICATION_HISTORY, () => {
+    notificationCenter.clearHistory();
+    return { success: true };
+  });
+
+  ipc.handle(CHANNELS.GET_NOTIFICATION_PREFERENCES, () => {
+    return {
+      ...notificationCenter.getPreferences(),
+      dndActive: notificationCenter.isDndActive()
+    };
+  });
+
+  // { mutedTypes: [...], dnd: { scheduleEnabled, start, end, days } }
+  ipc.handle(CHANNELS.SET_NOTIFICATION_PREFERENCES, (event, changes) => {
+    try {
+      const preferences = notificationCenter.setPreferences(changes);
+      return { success: true, preferences };
+    } catch (error) {
+      console.error("❌ Error saving notification preferences:", error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Pause notifications until a time (ISO string), or resume with null
+  ipc.handle(CHANNELS.SET_DO_NOT_DISTURB, (event, until) => {
+    try {
+      const preferences = notificationCenter.setDoNotDisturbUntil(until);
+      return { success: true, preferences };
+    } catch (error) {
+      console.error("❌ Error setting do not disturb:", error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipc.handle(CHANNELS.SNOOZE_NOTIFICATION, (event, id, minutes) => {
+    try {
+      const entry = notificationCenter.snooze(id, minutes);
+      return { success: true, entry };
+    } catch (error) {
+      console.error("❌ Error snoozing notification:", error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // { taskId, title, dueAt, leadMinutes?, projectId?, workspaceSlug? }
+  ipc.handle(CHANNELS.SCHEDULE_REMINDER, (event, reminder) => {
+    try {
+      return { success: true, reminder: reminders.scheduleReminder(reminder) };
+    } catch (error) {
+      console.error("❌ Error scheduling reminder:", error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipc.handle(CHANNELS.CANCEL_REMINDER, (event, taskId) => {
+    return { success: true, cancelled: reminders.cancelReminder(taskId) };
+  });
+
+  ipc.handle(CHANNELS.LIST_REMINDERS, () => {
+    return reminders.listReminders();
+  });
+}
+
+module.exports = {
+  init,
+  start,
+  showDesktopNotification,
+  deliverNotification,
+  deliverRealtimeNotification,
+  isDeliveredServerNotification,
+  openNotification,
+  notifyUpdateReady,
+  registerIpcHandlers
+};
@@ -0,0 +1,445 @@
+// ============================================
+// OFFLINE MODE
+// ============================================
+// Keeps a local copy of the user's tasks and projects so they can be read
+// while the server is unreachable, and a persisted outbox of task
+// create/update/complete operations that is replayed when it comes back.
+//
+// - Cache and outbox are stored per account in the "ocs-offline" store
+// - Queued operations are applied to the cache right away (optimistic),
+//   new tasks get a temporary "local-<uuid>" id until the server assigns one
+// - A replayed update/complete is a conflict when the server copy changed
+//   after we cached it (or the server answers 409/412). Conflicts are kept
+//   until the renderer resolves them ("overwrite" or "discard"). A create
+//   that fails takes the later changes to its task into its conflict.
+// - Offline, an expired token or a busy/failing server (401, 408, 429, 5xx)
+//   stops the replay; the outbox stays as it is and is tried again later.
+
+const crypto = require("crypto");
+const { net } = require("electron");
+const api = require("./api");
+const { EVENTS } = require("./ipc-contract");
+const { API_PATHS, unwrapList, unwrapItem } = api;
+
+const PROBE_INTERVAL_MS = 30 * 1000; // while offline
+const REFRESH_INTERVAL_MS = 10 * 60 * 1000; // while online
+const REQUEST_TIMEOUT_MS = 15 * 1000;
+const LOCAL_ID_PREFIX = "local-";
+
+let store = null;
+let getServerURL = () => null;
+let getAccountId = () => null;
+let getAccountToken = () => null;
+let emit = () => {};
+
+let online = true;
+let syncing = false;
+let probeTimer = null;
+let refreshTimer = null;
+
+function init(options) {
+  store = options.store || null;
+  getServerURL = options.getServerURL;
+  getAccountId = options.getAccountId;
+  getAccountToken = options.getAccountToken || getAccountToken;
+  emit = options.onEvent || emit;
+}
+
+// ---------- persistence helpers ----------
+
+function accountKey() {
+  return getAccountId() || "default";
+}
+
+// account: defaults to the active one (a sync passes the account it started with)
+function getCache(account = accountKey()) {
+  if (!store) return { tasks: [], projects: [], fetchedAt: null };
+  return store.get(`cache.${account}`) || { tasks: [], projects: [], fetchedAt: null };
+}
+
+function setCache(cache, account = accountKey()) {
+  if (store) store.set(`cache.${account}`, cache);
+}
+
+function getOutbox(account = accountKey()) {
+  if (!store) return [];
+  return (store.get("outbox") || []).filter((op) => op.accountId === account);
+}
+
+function setOutbox(ops, account = accountKey()) {
+  if (!store) return;
+  const others = (store.get("outbox") || []).filter((op) => op.accountId !== account);
+  store.set("outbox", others.concat(ops));
+}
+
+function getConflicts(account = accountKey()) {
+  if (!store) return [];
+  return (store.get("conflicts") || []).filter((conflict) => conflict.accountId === account);
+}
+
+function setConflicts(conflicts, account = accountKey()) {
+  if (!store) return;
+  const others = (store.get("conflicts") || []).filter((conflict) => conflict.accountId !== account);
+  store.set("conflicts", others.concat(conflicts));
+}
+
+function taskId(task) {
+  return task && (task.id || task._id);
+}
+
+function taskUpdatedAt(task) {
+  return task && (task.updatedAt || task.updated_at || null);
+}
+
+// ---------- online state ----------
+
+function setOnline(value) {
+  if (online === value) return;
+  online = value;
+  console.log(value ? "🌐 Server reachable - back online" : "📴 Server unreachable - offline mode");
+  emit(EVENTS.OFFLINE_STATUS_CHANGED, getStatus());
+
+  if (value) {
+    stopProbe();
+    syncNow().then(() => refreshCache()).catch((error) => {
+      console.error("❌ Error syncing after reconnect:", error.message);
+    });
+  } else {
+    startProbe();
+  }
+}
+
+// Called when the main window fails/succeeds loading from the server
+function reportServerReachable(reachable) {
+  setOnline(!!reachable);
+}
+
+function isOnline() {
+  return online;
+}
+
+// Lightweight reachability check against the server root
+async function probe() {
+  if (!net.isOnline()) {
+    setOnline(false);
+    return false;
+  }
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  try {
+    await net.fetch(getServerURL(), { method: "HEAD", signal: controller.signal });
+    setOnline(true);
+    return true;
+  } catch (error) {
+    setOnline(false);
+    return false;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function startProbe() {
+  if (probeTimer) return;
+  probeTimer = setInterval(() => {
+    probe();
+  }, PROBE_INTERVAL_MS);
+}
+
+function stopProbe() {
+  if (probeTimer) {
+    clearInterval(probeTimer);
+    probeTimer = null;
+  }
+}
+
+// Begin periodic cache refreshes (call once the app is ready)
+function start() {
+  probe().then((reachable) => {
+    if (reachable) refreshCache().catch(() => {});
+  });
+  if (!refreshTimer) {
+    refreshTimer = setInterval(() => {
+      if (online) refreshCache().catch(() => {});
+    }, REFRESH_INTERVAL_MS);
+  }
+}
+
+function stop() {
+  stopProbe();
+  if (refreshTimer) {
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+  }
+}
+
+function getStatus() {
+  const cache = getCache();
+  return {
+    online,
+    syncing,
+    pendingOperations: getOutbox().length,
+    conflicts: getConflicts().length,
+    cachedAt: cache.fetchedAt
+  };
+}
+
+// ---------- cache ----------
+
+// Re-download tasks and projects. Queued local changes are re-applied on
+// top so pending edits don't disappear from the cached view.
+async function refreshCache() {
+  if (!api.hasToken()) return getCache();
+  try {
+    const [tasksData, projectsData] = await Promise.all([
+      api.request("GET", API_PATHS.tasks),
+      api.request("GET", API_PATHS.projects)
+    ]);
+    let cache = {
+      tasks: unwrapList(tasksData, "tasks"),
+      projects: unwrapList(projectsData, "projects"),
+      fetchedAt: new Date().toISOString()
+    };
+    for (const op of getOutbox()) {
+      cache = applyToCache(cache, op);
+    }
+    setCache(cache);
+    emit(EVENTS.OFFLINE_CACHE_UPDATED, { fetchedAt: cache.fetchedAt, tasks: cache.tasks.length, projects: cache.projects.length });
+    return cache;
+  } catch (error) {
+    if (error.offline) setOnline(false);
+    console.warn("⚠️ Could not refresh offline cache:", error.message);
+    throw error;
+  }
+}
+
+// Apply a queued operation to the cached data (optimistic update)
+function applyToCache(cache, op) {
+  const tasks = cache.tasks.slice();
+  const index = tasks.findIndex((task) => String(taskId(task)) === String(op.taskId));
+
+  if (op.type === "create") {
+    if (index === -1) {
+      tasks.push({ ...op.payload, id: op.taskId, pendingSync: true });
+    }
+  } else if (index !== -1) {
+    tasks[index] = { ...tasks[index], ...operationChanges(op), pendingSync: true };
+  }
+  return { ...cache, tasks };
+}
+
+function getCachedTasks(filter = {}) {
+  let tasks = getCache().tasks;
+  if (filter.projectId) {
+    tasks = tasks.filter((task) => String(task.projectId || task.project_id) === String(filter.projectId));
+  }
+  return tasks;
+}
+
+function getCachedProjects() {
+  return getCache().projects;
+}
+
+// ---------- outbox ----------
+
+// Queue a task operation: { type: "create" | "update" | "complete", taskId?, payload? }
+function queueOperation(operation) {
+  if (!operation || !["create", "update", "complete"].includes(operation.type)) {
+    throw new Error("Operation type must be create, update or complete");
+  }
+  if (operation.type !== "create" && !operation.taskId) {
+    throw new Error("taskId is required");
+  }
+
+  const cache = getCache();
+  const existing = cache.tasks.find((task) => String(taskId(task)) === String(operation.taskId));
+  const op = {
+    id: crypto.randomUUID(),
+    accountId: accountKey(),
+    type: operation.type,
+    taskId: operation.type === "create" ? `${LOCAL_ID_PREFIX}${crypto.randomUUID()}` : String(operation.taskId),
+    payload: operation.payload || {},
+    baseUpdatedAt: taskUpdatedAt(existing),
+    queuedAt: new Date().toISOString(),
+    attempts: 0
+  };
+
+  setOutbox(getOutbox().concat(op));
+  setCache(applyToCache(cache, op));
+  emit(EVENTS.OFFLINE_STATUS_CHANGED, getStatus());
+
+  // Try right away when online - the outbox is just a safety net then
+  if (online) {
+    syncNow().catch(() => {});
+  }
+  return op;
+}
+
+// Changes an update/complete makes to a task
+function operationChanges(op) {
+  return op.type === "complete" ? { completed: true, status: "completed" } : op.payload;
+}
+
+// Send one operation to the server with the token of the account it was queued for
+async function sendOperation(op, token) {
+  const options = { token };
+  if (op.type === "create") {
+    const created = unwrapItem(await api.request("POST", API_PATHS.createTask, op.payload, options), "task");
+    return { task: created };
+  }
+
+  // The task's create failed, so there is nothing on the server to change
+  if (String(op.taskId).startsWith(LOCAL_ID_PREFIX)) {
+    const error = new Error("Task was never created on the server");
+    error.status = 404;
+    throw error;
+  }
+
+  // Detect concurrent edits: compare the server copy with what we cached
+  if (op.baseUpdatedAt && !op.force) {
+    const current = unwrapItem(await api.request("GET", API_PATHS.task(op.taskId), undefined, options), "task");
+    const serverUpdatedAt = taskUpdatedAt(current);
+    if (serverUpdatedAt && new Date(serverUpdatedAt) > new Date(op.baseUpdatedAt)) {
+      const error = new Error("Task was changed on the server while you were offline");
+      error.status = 409;
+      error.data = current;
+      throw error;
+    }
+  }
+
+  const updated = unwrapItem(await api.request("PATCH", API_PATHS.task(op.taskId), operationChanges(op), options), "task");
+  return { task: updated };
+}
+
+// Replay the outbox in order. The outbox is re-read after every operation,
+// so operations queued meanwhile are sent too. Stops at the first temporary
+// failure (see api.isTemporaryError) or when the active account changes.
+// The whole run uses the token of the account it started with.
+async function syncNow() {
+  if (syncing) return getStatus();
+  if (!api.hasToken()) return getStatus();
+
+  syncing = true;
+  const account = accountKey();
+  const token = getAccountToken(account) || undefined;
+  const results = { sent: 0, conflicts: 0, failed: 0 };
+  try {
+    while (accountKey() === account) {
+      const op = getOutbox(account)[0];
+      if (!op) break;
+      try {
+        const { task } = await sendOperation(op, token);
+        results.sent++;
+
+        // New task: swap the temporary id everywhere it's referenced
+        const serverId = taskId(task);
+        const swapId = op.type === "create" && serverId;
+        setOutbox(getOutbox(account)
+          .filter((other) => other.id !== op.id)
+          .map((other) => swapId && other.taskId === op.taskId ? { ...other, taskId: String(serverId) } : other), account);
+        if (task && serverId) {
+          replaceCachedTask(op.taskId, task, account);
+        }
+      } catch (error) {
+        if (api.isTemporaryError(error)) {
+          if (error.offline) setOnline(false);
+          console.warn(`⚠️ Outbox replay paused, will retry: ${error.message}`);
+          break;
+        }
+        // A create that failed takes the later changes to its task along,
+        // so "overwrite" creates the task with them in one go
+        const dependent = op.type === "create"
+          ? getOutbox(account).filter((other) => other.id !== op.id && other.taskId === op.taskId)
+          : [];
+        const dropped = new Set([op.id, ...dependent.map((other) => other.id)]);
+        setOutbox(getOutbox(account).filter((other) => !dropped.has(other.id)), account);
+        if (error.status === 409 || error.status === 412) {
+          results.conflicts++;
+        } else {
+          results.failed++;
+          console.error(`❌ Offline operation ${op.type} ${op.taskId} failed:`, error.message);
+        }
+        const payload = dependent.reduce((merged, other) => ({ ...merged, ...operationChanges(other) }), op.payload);
+        addConflict({ ...op, payload }, error);
+      }
+    }
+  } finally {
+    syncing = false;
+  }
+
+  if (results.sent || results.conflicts || results.failed) {
+    console.log(`🔄 Outbox replayed: ${results.sent} sent, ${results.conflicts} conflicts, ${results.failed} failed`);
+    emit(EVENTS.OFFLINE_SYNC_RESULT, results);
+  }
+  // The account changed mid-replay: the new one's outbox gets its own turn
+  if (accountKey() !== account && online) {
+    return syncNow();
+  }
+  emit(EVENTS.OFFLINE_STATUS_CHANGED, getStatus());
+  return getStatus();
+}
+
+function replaceCachedTask(id, task, account = accountKey()) {
+  const cache = getCache(account);
+  const tasks = cache.tasks.map((item) => String(taskId(item)) === String(id) ? task : item);
+  setCache({ ...cache, tasks }, account);
+}
+
+function addConflict(op, error) {
+  const conflict = {
+    id: op.id,
+    accountId: op.accountId,
+    operation: op,
+    reason: error.message,
+    status: error.status || null,
+    serverTask: error.data && typeof error.data === "object" ? error.data : null,
+    detectedAt: new Date().toISOString()
+  };
+  setConflicts(getConflicts(op.accountId).concat(conflict), op.accountId);
+  emit(EVENTS.OFFLINE_CONFLICT, conflict);
+}
+
+// "overwrite" re-queues the local change ignoring the server copy,
+// "discard" drops it and refreshes the cache from the server
+async function resolveConflict(id, resolution) {
+  const conflicts = getConflicts();
+  const conflict = conflicts.find((item) => item.id === id);
+  if (!conflict) {
+    throw new Error("Conflict not found");
+  }
+  setConflicts(conflicts.filter((item) => item.id !== id));
+
+  if (resolution === "overwrite") {
+    setOutbox(getOutbox().concat({ ...conflict.operation, force: true, attempts: conflict.operation.attempts + 1 }));
+    if (online) await syncNow();
+  } else if (online) {
+    await refreshCache().catch(() => {});
+  }
+  emit(EVENTS.OFFLINE_STATUS_CHANGED, getStatus());
+  return getStatus();
+}
+
+// Drop cached data, outbox and conflicts of a removed account
+function clearAccountData(accountId) {
+  if (!store || !accountId) return;
+  store.delete(`cache.${accountId}`);
+  store.set("outbox", (store.get("outbox") || []).filter((op) => op.accountId !== accountId));
+  store.set("conflicts", (store.get("conflicts") || []).filter((conflict) => conflict.accountId !== accountId));
+}
+
+module.exports = {
+  init,
+  start,
+  stop,
+  isOnline,
+  reportServerReachable,
+  getStatus,
+  refreshCache,
+  getCachedTasks,
+  getCachedProjects,
+  queueOperation,
+  getOutbox,
+  getConflicts,
+  syncNow,
+  resolveConflict,
+  clearAccountData
+};
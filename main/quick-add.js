@@ -0,0 +1,223 @@
+// ============================================
+// QUICK ADD TASK
+// ============================================
+// Small frameless always-on-top window opened with a global shortcut
+// (or from the tray) to capture a task without switching to the main window
+
+const { BrowserWindow, globalShortcut, screen } = require("electron");
+const path = require("path");
+const config = require("./config");
+const ipc = require("./ipc");
+const { CHANNELS, EVENTS } = require("./ipc-contract");
+const api = require("./api");
+const offline = require("./offline");
+const windows = require("./windows");
+const settings = require("./settings");
+
+let onShortcutChange = () => {};
+let quickAddWindow = null;
+let registeredQuickAddShortcut = null;
+
+// onShortcutChange: the shortcut setting changed (tray menu shows it)
+function init(options) {
+  onShortcutChange = options.onShortcutChange || onShortcutChange;
+
+  // A new shortcut is only saved once it could be registered
+  settings.guard("quickAddShortcut", (accelerator) => {
+    return registerQuickAddShortcut(accelerator)
+      ? null
+      : `Shortcut "${accelerator}" is invalid or used by another application`;
+  });
+  settings.watch("quickAddShortcut", (accelerator) => onShortcutChange(accelerator));
+}
+
+function getShortcut() {
+  return registeredQuickAddShortcut;
+}
+
+function openQuickAddWindow() {
+  // Center horizontally in the upper third of the display the cursor is on
+  const { workArea } = screen.getDisplayNearestPoint(screen.getCursorScreenPoint());
+  const width = 560;
+  const height = 190;
+  const bounds = {
+    x: Math.round(workArea.x + (workArea.width - width) / 2),
+    y: Math.round(workArea.y + workArea.height / 4),
+    width,
+    height
+  };
+
+  if (quickAddWindow) {
+    quickAddWindow.setBounds(bounds);
+    quickAddWindow.show();
+    quickAddWindow.focus();
+    quickAddWindow.webContents.send(EVENTS.QUICK_ADD_SHOW);
+    return;
+  }
+
+  quickAddWindow = new BrowserWindow({
+    ...bounds,
+    frame: false,
+    resizable: false,
+    alwaysOnTop: true,
+    skipTaskbar: true,
+    transparent: false,
+    show: false,
+    title: "Quick Add Task",
+    icon: config.getIconPath(),
+    webPreferences: {
+      contextIsolation: true,
+      nodeIntegration: false,
+      preload: path.join(config.APP_ROOT, "pages", "quick-add-preload.js")
+    },
+    backgroundColor: "#ffffff"
+  });
+  quickAddWindow.setAlwaysOnTop(true, "floating");
+  quickAddWindow.loadFile(path.join(config.APP_ROOT, "pages", "quick-add.html"));
+
+  quickAddWindow.once("ready-to-show", () => {
+    quickAddWindow.show();
+    quickAddWindow.focus();
+  });
+
+  // Behave like a popup: hide when focus moves elsewhere
+  quickAddWindow.on("blur", () => {
+    if (quickAddWindow && !quickAddWindow.webContents.isDevToolsOpened()) {
+      quickAddWindow.hide();
+    }
+  });
+
+  quickAddWindow.on("closed", () => {
+    quickAddWindow = null;
+  });
+}
+
+// The hidden quick add window must not keep the app alive on its own
+function destroyWindow() {
+  if (quickAddWindow) {
+    quickAddWindow.destroy();
+  }
+}
+
+// (Re)register the global quick add shortcut from settings
+// Returns false (and keeps the previous shortcut) if the accelerator is invalid or taken
+function registerQuickAddShortcut(accelerator) {
+  const shortcut = accelerator || settings.get("quickAddShortcut");
+  const previous = registeredQuickAddShortcut;
+
+  if (previous) {
+    globalShortcut.unregister(previous);
+  }
+
+  let registered = false;
+  try {
+    registered = globalShortcut.register(shortcut, openQuickAddWindow);
+  } catch (error) {
+    console.warn(`⚠️ Invalid quick add shortcut "${shortcut}":`, error.message);
+  }
+
+  if (!registered) {
+    console.warn(`⚠️ Could not register quick add shortcut: ${shortcut}`);
+    if (previous && previous !== shortcut) {
+      globalShortcut.register(previous, openQuickAddWindow);
+    }
+    return false;
+  }
+
+  registeredQuickAddShortcut = shortcut;
+  console.log(`⌨️ Quick add shortcut: ${shortcut}`);
+  return true;
+}
+
+// Create a task from the quick add window
+// Goes straight to the server; queued in the offline outbox when unreachable
+async function createQuickAddTask(task) {
+  const title = String(task.title || "").trim();
+  if (!title) {
+    return { success: false, error: "Title is required" };
+  }
+  if (!api.hasToken()) {
+    return { success: false, error: "Log in to OCS Task Manager first" };
+  }
+
+  const payload = {
+    title,
+    projectId: task.projectId || null,
+    dueDate: task.dueDate || null
+  };
+
+  try {
+    const created = api.unwrapItem(await api.request("POST", api.API_PATHS.createTask, payload), "task");
+    console.log("✅ Quick add task created:", title);
+    windows.sendToMainWindow(EVENTS.TASK_CREATED, { task: created, source: "quick-add" });
+    offline.refreshCache().catch(() => {});
+    return { success: true, task: created, queued: false };
+  } catch (error) {
+    if (error.offline) {
+      const op = offline.queueOperation({ type: "create", payload });
+      console.log("📴 Quick add task queued for sync:", title);
+      return { success: true, task: { ...payload, id: op.taskId }, queued: true };
+    }
+    console.error("❌ Error creating quick add task:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+// ============================================
+// IPC HANDLERS FOR QUICK ADD
+// ============================================
+
+function registerIpcHandlers() {
+  // Projects for the quick add picker (from the offline cache, fetched if empty)
+  ipc.handle(CHANNELS.QUICK_ADD_GET_PROJECTS, async () => {
+    if (!api.hasToken()) {
+      return { success: true, loggedIn: false, projects: [] };
+    }
+    let projects = offline.getCachedProjects();
+    if (projects.length === 0 && offline.isOnline()) {
+      try {
+        projects = (await offline.refreshCache()).projects;
+      } catch (error) {
+        console.warn("⚠️ Could not load projects for quick add:", error.message);
+      }
+    }
+    return { success: true, loggedIn: true, projects };
+  });
+
+  ipc.handle(CHANNELS.QUICK_ADD_SUBMIT, (event, task) => {
+    return createQuickAddTask(task);
+  });
+
+  ipc.handle(CHANNELS.QUICK_ADD_CLOSE, () => {
+    if (quickAddWindow) {
+      quickAddWindow.hide();
+    }
+    return true;
+  });
+
+  // Open the quick add window from the renderer
+  ipc.handle(CHANNELS.OPEN_QUICK_ADD, () => {
+    openQuickAddWindow();
+    return true;
+  });
+
+  // Change the global quick add shortcut (Electron accelerator syntax)
+  ipc.handle(CHANNELS.SET_QUICK_ADD_SHORTCUT, (event, accelerator) => {
+    try {
+      const result = settings.set("quickAddShortcut", accelerator);
+      return result.success ? { success: true, shortcut: result.value } : result;
+    } catch (error) {
+      console.error("❌ Error setting quick add shortcut:", error);
+      return { success: false, error: error.message };
+    }
+  });
+}
+
+module.exports = {
+  init,
+  getShortcut,
+  openQuickAddWindow,
+  destroyWindow,
+  registerQuickAddShortcut,
+  registerIpcHandlers
+};
@@ -0,0 +1,626 @@
+// ============================================
+// REALTIME CONNECTION
+// ============================================
+// The main process holds its own connection to the server for live events,
+// so notifications keep arriving while the window is closed or its renderer
+// crashed. Events are { id, type, data }; every event is handed to onEvent
+// (desktop notifications, relay to the main window - see electron.js).
+//
+// Transports, in order of preference:
+//   websocket  api/realtime/ws?lastEventId=<id>     one JSON event per message
+//   sse        api/realtime/events                  text/event-stream, Last-Event-ID header
+//   longpoll   api/realtime/poll?after=<id>         { events: [...] }, held open up to ~25s
+//              (polls start LONG_POLL_MIN_GAP_MS apart at least; empty answers
+//              that come back early - a cache or proxy not holding them - back off)
+// SSE and long-poll go through Electron's net module (session proxy, system
+// certificate store). Electron's net can't upgrade connections, so the
+// WebSocket uses the ws package, sent through the proxy the session resolves
+// for the URL; where that fails (SOCKS proxy, TLS inspection with a private
+// CA) the fallback below moves on to SSE.
+// A transport that fails FAILURES_BEFORE_FALLBACK times in a row without
+// connecting (or answers 404) is left for the next one until the connection
+// starts over (resume from sleep, network back, account or server change).
+//
+// All of them send the active account's token (Authorization: Bearer) and
+// resume after the last event seen, kept in the store per account. Events
+// already seen are dropped (a resume may replay the last one).
+//
+// Heartbeat: the server sends "ping" events (SSE comments work too); silence
+// for HEARTBEAT_TIMEOUT_MS counts as a dead connection. Over WebSocket we
+// ping as well. Reconnects back off exponentially with jitter. The
+// connection is closed while the machine sleeps or the network is down.
+
+const { net, powerMonitor, session } = require("electron");
+const { HttpsProxyAgent } = require("https-proxy-agent");
+const WebSocket = require("ws");
+const ipc = require("./ipc");
+const { CHANNELS } = require("./ipc-contract");
+
+const TRANSPORTS = ["websocket", "sse", "longpoll"];
+const PATHS = {
+  websocket: "api/realtime/ws",
+  sse: "api/realtime/events",
+  longpoll: "api/realtime/poll"
+};
+
+const HEARTBEAT_TIMEOUT_MS = 45 * 1000;
+const PING_INTERVAL_MS = 20 * 1000;
+const HANDSHAKE_TIMEOUT_MS = 15 * 1000;
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 60 * 1000;
+const FAILURES_BEFORE_FALLBACK = 2;
+const LONG_POLL_SECONDS = 25;
+const LONG_POLL_MIN_GAP_MS = 1000;
+const LONG_POLL_MAX_GAP_MS = 60 * 1000;
+const NETWORK_CHECK_MS = 5 * 1000;
+const SEEN_EVENTS_LIMIT = 500;
+
+let store = null;
+let getToken = () => null;
+let getServerURL = () => null;
+let getAccountId = () => null;
+let onEvent = () => {};
+let onStatusChange = () => {};
+
+let running = false;
+let paused = false;
+let powerListeners = false;
+let transportIndex = 0;
+let failures = 0;
+let attempt = 0;
+let connection = null; // { close() } of the open transport
+let connectionKey = null; // token + server + account the connection uses
+let reconnectTimer = null;
+let heartbeatTimer = null;
+let networkTimer = null;
+let networkOnline = true;
+const seenEvents = new Set();
+
+let status = {
+  state: "stopped", // stopped | connecting | connected | reconnecting | offline | paused | signed-out | unauthorized
+  transport: null,
+  connectedAt: null,
+  lastEventAt: null,
+  lastEventId: null,
+  retryAt: null,
+  error: null
+};
+
+// getToken/getServerURL/getAccountId: the active session;
+// onEvent(event): every event; onStatusChange(status): connection state changes
+function init(options) {
+  store = options.store || null;
+  getToken = options.getToken;
+  getServerURL = options.getServerURL;
+  getAccountId = options.getAccountId || getAccountId;
+  onEvent = options.onEvent || onEvent;
+  onStatusChange = options.onStatusChange || onStatusChange;
+}
+
+function getStatus() {
+  return status;
+}
+
+function setStatus(changes) {
+  status = { ...status, ...changes };
+  onStatusChange(status);
+}
+
+// ---------- resume position ----------
+
+function cursorKey() {
+  return `realtimeCursors.${getAccountId() || "default"}`;
+}
+
+function getLastEventId() {
+  return store ? store.get(cursorKey()) || null : status.lastEventId;
+}
+
+function setLastEventId(id) {
+  if (store) store.set(cursorKey(), id);
+}
+
+// ---------- events ----------
+
+// Accepts { id, type, data } or a bare payload (type "message")
+function normalizeEvent(raw, fallback = {}) {
+  const event = raw && typeof raw === "object" ? raw : { data: raw };
+  const id = event.id !== undefined && event.id !== null ? event.id : fallback.id;
+  return {
+    id: id !== undefined && id !== null ? String(id) : null,
+    type: String(event.type || fallback.type || "message"),
+    data: event.data !== undefined ? event.data : null
+  };
+}
+
+function handleEvent(raw, fallback) {
+  heartbeat();
+  const event = normalizeEvent(raw, fallback);
+  if (event.type === "ping") return;
+
+  if (event.id) {
+    if (seenEvents.has(event.id)) return;
+    seenEvents.add(event.id);
+    if (seenEvents.size > SEEN_EVENTS_LIMIT) {
+      seenEvents.delete(seenEvents.values().next().value);
+    }
+    setLastEventId(event.id);
+  }
+  status = { ...status, lastEventAt: new Date().toISOString(), lastEventId: event.id || status.lastEventId };
+
+  try {
+    onEvent(event);
+  } catch (error) {
+    console.error("❌ Error handling realtime event:", error);
+  }
+}
+
+// ---------- heartbeat ----------
+
+function heartbeat() {
+  clearTimeout(heartbeatTimer);
+  heartbeatTimer = setTimeout(() => {
+    console.warn("⚠️ Realtime connection silent - reconnecting");
+    closeConnection();
+    connectionLost(new Error("Heartbeat timed out"), true);
+  }, HEARTBEAT_TIMEOUT_MS);
+}
+
+// ---------- transports ----------
+// open(token, lastEventId, handlers) -> { close() }
+// handlers: onOpen(), onEvent(raw, fallback), onHeartbeat(), onClose(error)
+// onClose is not called after close()
+
+function apiURL(apiPath, query) {
+  const base = getServerURL();
+  const url = new URL(apiPath, base.endsWith("/") ? base : `${base}/`);
+  for (const [key, value] of Object.entries(query)) {
+    if (value !== null && value !== undefined) url.searchParams.set(key, value);
+  }
+  return url;
+}
+
+function httpError(response) {
+  const error = new Error(`HTTP ${response.status}`);
+  error.status = response.status;
+  return error;
+}
+
+// Agent for the proxy the session uses for url (null: direct). Chromium
+// answers in PAC format, e.g. "PROXY proxy.corp:8080; DIRECT"
+async function getProxyAgent(url) {
+  const [first] = (await session.defaultSession.resolveProxy(url.toString())).split(";");
+  const [type, hostPort] = first.trim().split(/\s+/);
+  if (!type || type === "DIRECT") return null;
+  if (type === "PROXY" || type === "HTTPS") {
+    return new HttpsProxyAgent(`${type === "HTTPS" ? "https" : "http"}://${hostPort}`);
+  }
+  throw new Error(`WebSocket can't go through a ${type} proxy`);
+}
+
+function openWebSocket(token, lastEventId, handlers) {
+  const url = apiURL(PATHS.websocket, { lastEventId });
+  url.protocol = url.protocol === "https:" ? "wss:" : "ws:";
+  let socket = null;
+  let closedByUs = false;
+  let finished = false;
+  let lastError = null;
+  let pingTimer = null;
+
+  const fail = (error) => {
+    clearInterval(pingTimer);
+    if (closedByUs || finished) return;
+    finished = true;
+    handlers.onClose(error);
+  };
+
+  (async () => {
+    const agent = await getProxyAgent(url);
+    if (closedByUs) return;
+    socket = new WebSocket(url.toString(), {
+      headers: { Authorization: `Bearer ${token}` },
+      handshakeTimeout: HANDSHAKE_TIMEOUT_MS,
+      ...(agent ? { agent } : {})
+    });
+
+    socket.on("open", () => {
+      pingTimer = setInterval(() => socket.ping(), PING_INTERVAL_MS);
+      handlers.onOpen();
+    });
+    socket.on("message", (data) => {
+      try {
+        handlers.onEvent(JSON.parse(data.toString()));
+      } catch (error) {
+        console.warn("⚠️ Ignoring malformed realtime message");
+      }
+    });
+    socket.on("pong", () => handlers.onHeartbeat());
+    // Plain HTTP answer to the handshake (e.g. 401, or 404 without WebSocket
+    // support); ws leaves aborting it to us and emits nothing more
+    socket.on("unexpected-response", (request, response) => {
+      request.destroy();
+      fail(httpError({ status: response.statusCode }));
+    });
+    socket.on("error", (error) => {
+      lastError = lastError || error;
+    });
+    socket.on("close", (code, reason) => {
+      const text = reason ? reason.toString() : "";
+      const error = lastError || new Error(`WebSocket closed (${code}${text ? `: ${text}` : ""})`);
+      if (code === 4401) error.status = 401;
+      fail(error);
+    });
+  })().catch(fail);
+
+  return {
+    close: () => {
+      closedByUs = true;
+      clearInterval(pingTimer);
+      if (socket) socket.terminate();
+    }
+  };
+}
+
+// text/event-stream: returns push(text); calls onMessage({ id, event, data })
+// for each message and onComment() for ":" lines (server heartbeats)
+function createEventStreamParser(onMessage, onComment) {
+  let buffer = "";
+  let message = { id: null, event: null, data: [] };
+
+  function dispatch() {
+    if (message.data.length > 0) {
+      onMessage({ id: message.id, event: message.event, data: message.data.join("\n") });
+    }
+    message = { id: null, event: null, data: [] };
+  }
+
+  return (text) => {
+    buffer += text;
+    const lines = buffer.split(/\r\n|\r|\n/);
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line === "") {
+        dispatch();
+      } else if (line.startsWith(":")) {
+        onComment();
+      } else {
+        const colon = line.indexOf(":");
+        const field = colon === -1 ? line : line.slice(0, colon);
+        const value = colon === -1 ? "" : line.slice(colon + 1).replace(/^ /, "");
+        if (field === "data") message.data.push(value);
+        if (field === "event") message.event = value;
+        if (field === "id") message.id = value;
+      }
+    }
+  };
+}
+
+function openEventStream(token, lastEventId, handlers) {
+  const controller = new AbortController();
+  let closedByUs = false;
+
+  (async () => {
+    const response = await net.fetch(apiURL(PATHS.sse, {}).toString(), {
+      headers: {
+        "Authorization": `Bearer ${token}`,
+        "Accept": "text/event-stream",
+        ...(lastEventId ? { "Last-Event-ID": lastEventId } : {})
+      },
+      signal: controller.signal
+    });
+    if (!response.ok) throw httpError(response);
+    handlers.onOpen();
+
+    const push = createEventStreamParser((message) => {
+      let data = message.data;
+      try {
+        data = JSON.parse(message.data);
+      } catch (error) {
+        // plain text payload
+      }
+      const fallback = { id: message.id, type: message.event };
+      handlers.onEvent(data && typeof data === "object" && data.type ? data : { data }, fallback);
+    }, () => handlers.onHeartbeat());
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      push(decoder.decode(value, { stream: true }));
+    }
+    throw new Error("Event stream ended");
+  })().catch((error) => {
+    if (!closedByUs) handlers.onClose(error);
+  });
+
+  return {
+    close: () => {
+      closedByUs = true;
+      controller.abort();
+    }
+  };
+}
+
+// Wait before the next poll: at least LONG_POLL_MIN_GAP_MS since the last one
+// started, doubling for each early empty answer in a row
+function getLongPollDelay(elapsedMs, earlyEmptyAnswers) {
+  if (earlyEmptyAnswers === 0) {
+    return Math.max(0, LONG_POLL_MIN_GAP_MS - elapsedMs);
+  }
+  return Math.min(LONG_POLL_MAX_GAP_MS, LONG_POLL_MIN_GAP_MS * 2 ** (earlyEmptyAnswers - 1));
+}
+
+function openLongPoll(token, lastEventId, handlers) {
+  let controller = null;
+  let closedByUs = false;
+  let opened = false;
+  let after = lastEventId;
+  let waitTimer = null;
+  let earlyEmptyAnswers = 0;
+
+  (async () => {
+    while (!closedByUs) {
+      const startedAt = Date.now();
+      controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), (LONG_POLL_SECONDS + 10) * 1000);
+      let response;
+      try {
+        response = await net.fetch(apiURL(PATHS.longpoll, { after, timeout: LONG_POLL_SECONDS }).toString(), {
+          headers: { "Authorization": `Bearer ${token}`, "Accept": "application/json" },
+          signal: controller.signal
+        });
+      } finally {
+        clearTimeout(timer);
+      }
+      if (!response.ok) throw httpError(response);
+      const body = await response.json();
+      if (closedByUs) return;
+
+      if (!opened) {
+        opened = true;
+        handlers.onOpen();
+      }
+      handlers.onHeartbeat();
+      const received = Array.isArray(body && body.events) ? body.events : [];
+      for (const event of received) {
+        handlers.onEvent(event);
+        if (event && event.id !== undefined && event.id !== null) after = String(event.id);
+      }
+
+      const elapsed = Date.now() - startedAt;
+      const early = received.length === 0 && elapsed < (LONG_POLL_SECONDS * 1000) / 2;
+      earlyEmptyAnswers = early ? earlyEmptyAnswers + 1 : 0;
+      const delay = getLongPollDelay(elapsed, earlyEmptyAnswers);
+      if (delay > 0) {
+        await new Promise((resolve) => {
+          waitTimer = setTimeout(resolve, delay);
+        });
+      }
+    }
+  })().catch((error) => {
+    if (!closedByUs) handlers.onClose(error);
+  });
+
+  return {
+    close: () => {
+      closedByUs = true;
+      clearTimeout(waitTimer);
+      if (controller) controller.abort();
+    }
+  };
+}
+
+const OPENERS = {
+  websocket: openWebSocket,
+  sse: openEventStream,
+  longpoll: openLongPoll
+};
+
+// ---------- connection ----------
+
+function sessionKey() {
+  return `${getAccountId() || ""}|${getServerURL() || ""}|${getToken() || ""}`;
+}
+
+function closeConnection() {
+  clearTimeout(heartbeatTimer);
+  if (connection) {
+    const current = connection;
+    connection = null;
+    current.close();
+  }
+}
+
+function clearReconnect() {
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+}
+
+function connect() {
+  clearReconnect();
+  closeConnection();
+  if (!running || paused) return;
+
+  const token = getToken();
+  connectionKey = sessionKey();
+  if (!token || !getServerURL()) {
+    setStatus({ state: "signed-out", transport: null, connectedAt: null, retryAt: null, error: null });
+    return;
+  }
+  if (!networkOnline) {
+    setStatus({ state: "offline", transport: null, connectedAt: null, retryAt: null });
+    return;
+  }
+
+  const transport = TRANSPORTS[transportIndex];
+  let opened = false;
+  setStatus({ state: attempt > 0 ? "reconnecting" : "connecting", transport, retryAt: null });
+
+  const current = OPENERS[transport](token, getLastEventId(), {
+    onOpen: () => {
+      if (connection !== current) return;
+      opened = true;
+      failures = 0;
+      attempt = 0;
+      heartbeat();
+      console.log(`📡 Realtime connected (${transport})`);
+      setStatus({ state: "connected", connectedAt: new Date().toISOString(), error: null });
+    },
+    onEvent: (raw, fallback) => {
+      if (connection === current) handleEvent(raw, fallback);
+    },
+    onHeartbeat: () => {
+      if (connection === current) heartbeat();
+    },
+    onClose: (error) => {
+      if (connection !== current) return;
+      connection = null;
+      connectionLost(error, opened);
+    }
+  });
+  connection = current;
+}
+
+function connectionLost(error, wasOpen) {
+  clearTimeout(heartbeatTimer);
+  if (!running || paused) return;
+
+  if (error.status === 401 || error.status === 403) {
+    console.warn("⚠️ Realtime connection refused: not authorized");
+    setStatus({ state: "unauthorized", connectedAt: null, error: error.message });
+    return;
+  }
+
+  // No such endpoint, or failing before it ever connected: next transport
+  if (!wasOpen) {
+    failures += 1;
+    if ((error.status === 404 || failures >= FAILURES_BEFORE_FALLBACK) && transportIndex < TRANSPORTS.length - 1) {
+      transportIndex += 1;
+      failures = 0;
+      attempt = 0;
+      console.log(`📡 Realtime falling back to ${TRANSPORTS[transportIndex]}: ${error.message}`);
+      connect();
+      return;
+    }
+  }
+  scheduleReconnect(error);
+}
+
+// 1s, 2s, 4s ... up to a minute, with jitter so clients don't reconnect in step
+function getBackoffDelay(attemptNumber, random = Math.random()) {
+  const delay = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attemptNumber);
+  return Math.round(delay / 2 + (delay / 2) * random);
+}
+
+function scheduleReconnect(error) {
+  const delay = getBackoffDelay(attempt);
+  attempt += 1;
+  console.warn(`⚠️ Realtime connection lost (${error.message}) - retrying in ${Math.round(delay / 1000)}s`);
+  setStatus({
+    state: "reconnecting",
+    connectedAt: null,
+    retryAt: new Date(Date.now() + delay).toISOString(),
+    error: error.message
+  });
+  clearReconnect();
+  reconnectTimer = setTimeout(connect, delay);
+}
+
+// Start over from the preferred transport right away
+function restart() {
+  transportIndex = 0;
+  failures = 0;
+  attempt = 0;
+  connect();
+}
+
+// Token, account or server changed: reconnect with the new session
+function refresh() {
+  if (running && sessionKey() !== connectionKey) {
+    console.log("📡 Realtime session changed - reconnecting");
+    seenEvents.clear(); // ids are per server and account
+    restart();
+  }
+}
+
+// ---------- sleep and network ----------
+
+function pause() {
+  if (paused) return;
+  paused = true;
+  clearReconnect();
+  closeConnection();
+  console.log("😴 Realtime connection paused");
+  setStatus({ state: "paused", connectedAt: null, retryAt: null });
+}
+
+function resume() {
+  if (!paused) return;
+  paused = false;
+  console.log("📡 Realtime connection resuming");
+  restart();
+}
+
+function checkNetwork() {
+  const online = net.isOnline();
+  if (online === networkOnline) return;
+  networkOnline = online;
+  if (!online) {
+    console.log("📴 Network down - realtime connection closed");
+    clearReconnect();
+    closeConnection();
+    if (!paused) setStatus({ state: "offline", connectedAt: null, retryAt: null });
+  } else {
+    console.log("🌐 Network back - realtime reconnecting");
+    if (!paused) restart();
+  }
+}
+
+// Call once the app is ready (powerMonitor needs it)
+function start() {
+  if (running) return;
+  running = true;
+  networkOnline = net.isOnline();
+
+  if (!powerListeners) {
+    powerListeners = true;
+    powerMonitor.on("suspend", pause);
+    powerMonitor.on("resume", resume);
+  }
+  networkTimer = setInterval(checkNetwork, NETWORK_CHECK_MS);
+  restart();
+}
+
+function stop() {
+  running = false;
+  paused = false;
+  seenEvents.clear();
+  clearReconnect();
+  closeConnection();
+  clearInterval(networkTimer);
+  networkTimer = null;
+  setStatus({ state: "stopped", transport: null, connectedAt: null, retryAt: null });
+}
+
+function registerIpcHandlers() {
+  ipc.handle(CHANNELS.GET_REALTIME_STATUS, () => getStatus());
+}
+
+module.exports = {
+  TRANSPORTS,
+  init,
+  start,
+  stop,
+  restart,
+  refresh,
+  pause,
+  resume,
+  checkNetwork,
+  getStatus,
+  getBackoffDelay,
+  getLongPollDelay,
+  createEventStreamParser,
+  normalizeEvent,
+  registerIpcHandlers
+};
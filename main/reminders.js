@@ -0,0 +1,184 @@
+// ============================================
+// DUE-DATE REMINDERS
+// ============================================
+// Reminders are scheduled by the main process so they fire while the window
+// is closed (app running in the tray). They are persisted in the store and
+// survive restarts; reminders missed while the app wasn't running or the
+// machine was asleep fire on startup / resume (powerMonitor).
+//
+// Reminder: { id, accountId, taskId, title, dueAt, leadMinutes, remindAt,
+//             projectId, workspaceSlug, createdAt }
+// One reminder per task and account - registering again replaces it.
+
+const crypto = require("crypto");
+const { powerMonitor } = require("electron");
+
+const STORE_KEY = "reminders";
+const DEFAULT_LEAD_MINUTES = 15;
+// setTimeout can't wait longer than ~24.8 days; re-check at least hourly
+const MAX_TIMER_MS = 60 * 60 * 1000;
+
+let store = null;
+let notify = () => false;
+let getAccountId = () => null;
+let timer = null;
+let started = false;
+
+function init(options) {
+  store = options.store || null;
+  notify = options.notify || notify;
+  getAccountId = options.getAccountId || getAccountId;
+}
+
+function accountKey() {
+  return getAccountId() || "default";
+}
+
+function getAll() {
+  return store ? store.get(STORE_KEY) || [] : [];
+}
+
+function setAll(reminders) {
+  if (store) store.set(STORE_KEY, reminders);
+}
+
+// Reminders of the active account, soonest first
+function listReminders() {
+  return getAll()
+    .filter((reminder) => reminder.accountId === accountKey())
+    .sort((a, b) => new Date(a.remindAt) - new Date(b.remindAt));
+}
+
+// { taskId, title, dueAt, leadMinutes?, projectId?, workspaceSlug? }
+function scheduleReminder(input) {
+  if (!input || !input.taskId) {
+    throw new Error("taskId is required");
+  }
+  const dueAt = new Date(input.dueAt);
+  if (Number.isNaN(dueAt.getTime())) {
+    throw new Error("dueAt must be a valid date");
+  }
+  const leadMinutes = input.leadMinutes !== undefined && Number(input.leadMinutes) >= 0
+    ? Number(input.leadMinutes)
+    : DEFAULT_LEAD_MINUTES;
+
+  const reminder = {
+    id: crypto.randomUUID(),
+    accountId: accountKey(),
+    taskId: String(input.taskId),
+    title: String(input.title || "Task").slice(0, 200),
+    dueAt: dueAt.toISOString(),
+    leadMinutes,
+    remindAt: new Date(dueAt.getTime() - leadMinutes * 60 * 1000).toISOString(),
+    projectId: input.projectId || null,
+    workspaceSlug: input.workspaceSlug || null,
+    createdAt: new Date().toISOString()
+  };
+
+  setAll(getAll()
+    .filter((item) => !(item.accountId === reminder.accountId && item.taskId === reminder.taskId))
+    .concat(reminder));
+  // Debug level and no title: task names are user content
+  console.debug(`⏰ Reminder scheduled for ${reminder.remindAt} (task ${reminder.taskId})`);
+  reschedule();
+  return reminder;
+}
+
+// Cancel the active account's reminder for a task
+function cancelReminder(taskId) {
+  const before = getAll();
+  const after = before.filter((item) => !(item.accountId === accountKey() && item.taskId === String(taskId)));
+  setAll(after);
+  reschedule();
+  return before.length !== after.length;
+}
+
+// Forget all reminders of a removed account
+function clearAccountData(accountId) {
+  setAll(getAll().filter((item) => item.accountId !== accountId));
+  reschedule();
+}
+
+function formatDue(reminder, now) {
+  const dueAt = new Date(reminder.dueAt);
+  const minutes = Math.round((dueAt - now) / 60000);
+  if (minutes < 0) {
+    return `Was due ${dueAt.toLocaleString()}`;
+  }
+  if (minutes === 0) {
+    return "Due now";
+  }
+  if (minutes < 60) {
+    return `Due in ${minutes} min`;
+  }
+  return `Due ${dueAt.toLocaleString()}`;
+}
+
+function fire(reminder, now) {
+  console.debug(`⏰ Reminder due (task ${reminder.taskId})`);
+  notify({
+    title: reminder.title,
+    body: formatDue(reminder, now),
+    tag: `reminder-${reminder.accountId}-${reminder.taskId}-${reminder.remindAt}`,
+    data: {
+      type: "task_reminder",
+      entityType: "task",
+      entityId: reminder.taskId,
+      taskId: reminder.taskId,
+      projectId: reminder.projectId,
+      workspaceSlug: reminder.workspaceSlug
+    },
+    actions: ["complete", "snooze"]
+  });
+}
+
+// Fire due reminders of the active account (others wait until it's active
+// again) and arm the timer for the next one
+function check() {
+  const now = new Date();
+  const account = accountKey();
+  const due = getAll().filter((item) => item.accountId === account && new Date(item.remindAt) <= now);
+
+  if (due.length > 0) {
+    const dueIds = new Set(due.map((item) => item.id));
+    setAll(getAll().filter((item) => !dueIds.has(item.id)));
+    for (const reminder of due) {
+      fire(reminder, now);
+    }
+  }
+  reschedule();
+}
+
+function reschedule() {
+  clearTimeout(timer);
+  timer = null;
+  if (!started) return;
+
+  const next = listReminders()[0];
+  if (!next) return;
+  const delay = Math.max(0, Math.min(new Date(next.remindAt) - Date.now(), MAX_TIMER_MS));
+  timer = setTimeout(check, delay);
+}
+
+// Call once the app is ready (powerMonitor needs it)
+function start() {
+  if (started) return;
+  started = true;
+  // Timers don't run while the machine sleeps - catch up on resume
+  powerMonitor.on("resume", () => {
+    console.log("💤 System resumed - checking reminders");
+    check();
+  });
+  powerMonitor.on("unlock-screen", check);
+  check();
+}
+
+module.exports = {
+  init,
+  start,
+  check,
+  listReminders,
+  scheduleReminder,
+  cancelReminder,
+  clearAccountData
+};
@@ -0,0 +1,164 @@
+// ============================================
+// SECURE TOKEN STORAGE
+// ============================================
+// Secrets (bearer token, user object) are encrypted with Electron's
+// safeStorage before they are written to the electron-store file:
+//   - Windows: DPAPI
+//   - macOS:   Keychain
+//   - Linux:   libsecret / kwallet
+//
+// Fallback when no OS keyring is available (e.g. headless Linux, where
+// safeStorage only offers the "basic_text" backend with a hardcoded key):
+//   - By default secrets are kept IN MEMORY ONLY for the running session,
+//     so users have to log in again after a restart.
+//   - Setting ELECTRON_ALLOW_PLAINTEXT_TOKENS=1 restores the old behavior
+//     of persisting them unencrypted. Only use this on trusted machines.
+//
+// Must be used after the app "ready" event (safeStorage is unavailable before).
+
+const { safeStorage } = require("electron");
+
+const SECRETS_KEY = "secrets";
+const RECORD_VERSION = 1;
+// Keys that older versions stored in clear text
+const LEGACY_PLAINTEXT_KEYS = ["token", "accessToken", "user"];
+
+let store = null;
+const memorySecrets = new Map(); // fallback when encryption isn't available
+
+function init(options) {
+  store = options.store || null;
+}
+
+// True when secrets are protected by a real OS keyring
+function isEncryptionAvailable() {
+  if (!safeStorage.isEncryptionAvailable()) {
+    return false;
+  }
+  if (process.platform === "linux" && typeof safeStorage.getSelectedStorageBackend === "function") {
+    // basic_text uses a hardcoded password - no better than plain text
+    return safeStorage.getSelectedStorageBackend() !== "basic_text";
+  }
+  return true;
+}
+
+function isPlaintextFallbackAllowed() {
+  return process.env.ELECTRON_ALLOW_PLAINTEXT_TOKENS === "1";
+}
+
+// "encrypted", "plaintext" or "memory" - where secrets end up right now
+function getStorageMode() {
+  if (!store) return "memory";
+  if (isEncryptionAvailable()) return "encrypted";
+  return isPlaintextFallbackAllowed() ? "plaintext" : "memory";
+}
+
+function encodeRecord(value) {
+  const json = JSON.stringify(value);
+  if (isEncryptionAvailable()) {
+    return {
+      v: RECORD_VERSION,
+      encrypted: true,
+      data: safeStorage.encryptString(json).toString("base64")
+    };
+  }
+  return { v: RECORD_VERSION, encrypted: false, data: json };
+}
+
+function decodeRecord(record) {
+  if (!record || typeof record.data !== "string") return null;
+  if (record.encrypted) {
+    if (!safeStorage.isEncryptionAvailable()) {
+      throw new Error("Stored secret is encrypted but the OS keyring is not available");
+    }
+    return JSON.parse(safeStorage.decryptString(Buffer.from(record.data, "base64")));
+  }
+  return JSON.parse(record.data);
+}
+
+// Save a secret value (any JSON-serialisable value). null/undefined deletes it.
+function setSecret(key, value) {
+  if (value === null || value === undefined) {
+    deleteSecret(key);
+    return;
+  }
+
+  const mode = getStorageMode();
+  if (mode === "memory") {
+    memorySecrets.set(key, value);
+    if (store) {
+      store.delete(`${SECRETS_KEY}.${key}`);
+    }
+    return;
+  }
+
+  memorySecrets.delete(key);
+  store.set(`${SECRETS_KEY}.${key}`, encodeRecord(value));
+}
+
+function getSecret(key) {
+  if (memorySecrets.has(key)) {
+    return memorySecrets.get(key);
+  }
+  if (!store) return null;
+
+  const record = store.get(`${SECRETS_KEY}.${key}`);
+  if (!record) return null;
+  try {
+    return decodeRecord(record);
+  } catch (error) {
+    console.error(`❌ Could not decrypt stored ${key}:`, error.message);
+    return null;
+  }
+}
+
+function deleteSecret(key) {
+  memorySecrets.delete(key);
+  if (store) {
+    store.delete(`${SECRETS_KEY}.${key}`);
+  }
+}
+
+function clearSecrets() {
+  memorySecrets.clear();
+  if (store) {
+    store.delete(SECRETS_KEY);
+  }
+}
+
+// One-time migration of plaintext token/user written by older versions
+// Re-runs harmlessly: it only acts while legacy keys are still present
+function migratePlaintextSecrets() {
+  if (!store) return false;
+
+  const legacyToken = store.get("token") || store.get("accessToken");
+  const legacyUser = store.get("user");
+  if (!legacyToken && !legacyUser) {
+    return false;
+  }
+
+  if (legacyToken && !getSecret("token")) {
+    setSecret("token", legacyToken);
+  }
+  if (legacyUser && !getSecret("user")) {
+    setSecret("user", legacyUser);
+  }
+
+  for (const key of LEGACY_PLAINTEXT_KEYS) {
+    store.delete(key);
+  }
+
+  console.log(`🔐 Migrated plaintext credentials to secure storage (mode: ${getStorageMode()})`);
+  return true;
+}
+
+module.exports = {
+  init,
+  isEncryptionAvailable,
+  getStorageMode,
+  setSecret,
+  getSecret,
+  deleteSecret,
+  clearSecrets,
+  migratePlaintextSecrets
+};
@@ -0,0 +1,197 @@
+// ============================================
+// SECURITY: ORIGIN ALLOWLIST, NAVIGATION, CSP
+// ============================================
+// Only content we trust may use the IPC channels or stay in our windows:
+//   - the configured server (active server profile / env override)
+//   - the React dev server (development only)
+//   - our own files: the React build and the bundled pages/
+// Everything else is refused: IPC from other frames gets an error, navigation
+// away from the allowlist opens in the browser (http/https/mailto only).
+
+const { shell } = require("electron");
+const crypto = require("crypto");
+const path = require("path");
+const { fileURLToPath } = require("url");
+
+const EXTERNAL_PROTOCOLS = ["http:", "https:", "mailto:"];
+
+let getServerURL = () => null;
+let getDevURL = () => null;
+let localRoots = [];
+const protectedSessions = new WeakSet();
+
+// options: { getServerURL, getDevURL, localRoots: [dir, ...] }
+function init(options) {
+  getServerURL = options.getServerURL || getServerURL;
+  getDevURL = options.getDevURL || getDevURL;
+  localRoots = (options.localRoots || []).map((dir) => path.resolve(dir));
+}
+
+function parseURL(url) {
+  try {
+    return new URL(url);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Origins allowed to load in our windows and talk to the main process
+function getAllowedOrigins() {
+  const origins = new Set();
+  for (const url of [getServerURL(), getDevURL()]) {
+    const parsed = url && parseURL(url);
+    if (parsed && (parsed.protocol === "http:" || parsed.protocol === "https:")) {
+      origins.add(parsed.origin);
+    }
+  }
+  return origins;
+}
+
+function isLocalFile(url) {
+  let filePath;
+  try {
+    filePath = path.resolve(fileURLToPath(url));
+  } catch (error) {
+    return false;
+  }
+  return localRoots.some((root) => filePath === root || filePath.startsWith(root + path.sep));
+}
+
+function isAllowedURL(url) {
+  const parsed = parseURL(url);
+  if (!parsed) return false;
+  if (parsed.protocol === "file:") {
+    return isLocalFile(parsed.href);
+  }
+  return getAllowedOrigins().has(parsed.origin);
+}
+
+// The frame behind an IPC message must be showing allowed content
+function isTrustedSender(event) {
+  const frame = event && event.senderFrame;
+  return !!frame && isAllowedURL(frame.url);
+}
+
+function isSafeExternalURL(url) {
+  const parsed = parseURL(url);
+  return !!parsed && EXTERNAL_PROTOCOLS.includes(parsed.protocol);
+}
+
+// shell.openExternal for http/https/mailto only (no file:, smb:, custom handlers...)
+function openExternal(url) {
+  if (!isSafeExternalURL(url)) {
+    console.warn("⚠️ Refusing to open external URL:", String(url).slice(0, 200));
+    return false;
+  }
+  shell.openExternal(url);
+  return true;
+}
+
+// ============================================
+// NAVIGATION GUARDS
+// ============================================
+// Applied to every webContents ("web-contents-created"). Windows may set their
+// own window open handler afterwards (the main window opens server links in-app).
+
+function guardWebContents(contents) {
+  contents.setWindowOpenHandler(({ url }) => {
+    openExternal(url);
+    return { action: "deny" };
+  });
+
+  const keepInAllowlist = (event, url) => {
+    if (isAllowedURL(url)) return;
+    event.preventDefault();
+    console.warn("⚠️ Blocked navigation to:", url);
+    openExternal(url);
+  };
+  contents.on("will-navigate", keepInAllowlist);
+  contents.on("will-redirect", keepInAllowlist);
+
+  // We never use <webview>
+  contents.on("will-attach-webview", (event) => {
+    event.preventDefault();
+  });
+}
+
+// ============================================
+// CONTENT SECURITY POLICY
+// ============================================
+// The bundled pages/ carry a CSP <meta> tag. The React build isn't ours to
+// edit, so when it's loaded from disk the file protocol is intercepted and
+// a CSP header added to its responses. Its index.html inlines the webpack
+// runtime chunk: the hashes of the inline scripts in the page served are
+// allowed, nothing else inline is.
+
+// 'sha256-...' sources for the inline <script>s (no src) of an HTML page
+function getInlineScriptHashes(html) {
+  const hashes = [];
+  for (const [, attributes, code] of String(html).matchAll(/<script\b([^>]*)>([\s\S]*?)<\/script>/gi)) {
+    if (/\bsrc\s*=/i.test(attributes) || !code) continue;
+    hashes.push(`'sha256-${crypto.createHash("sha256").update(code).digest("base64")}'`);
+  }
+  return hashes;
+}
+
+// 'self' doesn't reliably cover file: documents, so file: is listed explicitly.
+// options.scriptHashes: inline scripts allowed (see getInlineScriptHashes)
+function buildContentSecurityPolicy(serverURL, options = {}) {
+  const server = serverURL && parseURL(serverURL);
+  const origin = server ? server.origin : "";
+  // The React app's own live updates use a WebSocket to the server
+  const socket = server ? `${server.protocol === "https:" ? "wss:" : "ws:"}//${server.host}` : "";
+  return [
+    "default-src 'self' file:",
+    `script-src 'self' file: ${(options.scriptHashes || []).join(" ")}`,
+    "style-src 'self' file: 'unsafe-inline'",
+    `img-src 'self' file: data: blob: ${origin}`,
+    "font-src 'self' file: data:",
+    `connect-src 'self' ${origin} ${socket}`,
+    `media-src 'self' file: blob: ${origin}`,
+    "object-src 'none'",
+    "base-uri 'self'",
+    "form-action 'self'",
+    "frame-ancestors 'none'"
+  ].map((directive) => directive.replace(/\s+/g, " ").trim()).join("; ");
+}
+
+// Add the CSP to build files served in this session (once per session)
+function protectSession(targetSession, buildRoot) {
+  if (!targetSession || protectedSessions.has(targetSession)) return;
+  protectedSessions.add(targetSession);
+  const root = path.resolve(buildRoot);
+
+  targetSession.protocol.handle("file", async (request) => {
+    const response = await targetSession.fetch(request, { bypassCustomProtocolHandlers: true });
+    let filePath = null;
+    try {
+      filePath = path.resolve(fileURLToPath(request.url));
+    } catch (error) {
+      return response;
+    }
+    if (!filePath.startsWith(root + path.sep)) {
+      return response;
+    }
+    const headers = new Headers(response.headers);
+    if (!/\.html?$/i.test(filePath)) {
+      headers.set("Content-Security-Policy", buildContentSecurityPolicy(getServerURL()));
+      return new Response(response.body, { status: response.status, statusText: response.statusText, headers });
+    }
+    const html = await response.text();
+    headers.set("Content-Security-Policy", buildContentSecurityPolicy(getServerURL(), { scriptHashes: getInlineScriptHashes(html) }));
+    return new Response(html, { status: response.status, statusText: response.statusText, headers });
+  });
+}
+
+module.exports = {
+  init,
+  getAllowedOrigins,
+  isAllowedURL,
+  isTrustedSender,
+  isSafeExternalURL,
+  openExternal,
+  guardWebContents,
+  getInlineScriptHashes,
+  buildContentSecurityPolicy,
+  protectSession
+};
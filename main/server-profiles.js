@@ -0,0 +1,285 @@
+// ============================================
+// SERVER PROFILES
+// ============================================
+// Named server profiles (production domain, LAN, staging...) persisted in
+// electron-store next to the token data. The active profile decides which
+// server the app talks to. Environment variables still win over profiles so
+// existing shortcuts and deployment scripts keep working.
+
+const http = require("http");
+const https = require("https");
+const crypto = require("crypto");
+const net = require("net");
+
+const DEFAULT_SERVER_IP = "192.168.90.177";
+const DEFAULT_SERVER_PORT = "5000";
+const VALIDATION_TIMEOUT_MS = 8000;
+
+let store = null;
+
+function init(options) {
+  store = options.store || null;
+}
+
+// localhost and private-range addresses (LAN servers rarely have TLS)
+function isLocalHost(hostname) {
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, "");
+  if (host === "localhost" || host.endsWith(".localhost") || host.endsWith(".local")) return true;
+  if (net.isIPv4(host)) {
+    const [a, b] = host.split(".").map(Number);
+    return a === 127 || a === 10 || (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) || (a === 169 && b === 254);
+  }
+  if (net.isIPv6(host)) {
+    return host === "::1" || /^f[cd]/.test(host) || /^fe[89ab]/.test(host);
+  }
+  return false;
+}
+
+// Ensure a URL has a protocol and ends with /. A bare host gets https://,
+// or http:// when it's local (see isLocalHost)
+function normalizeServerURL(url) {
+  let value = String(url || "").trim();
+  if (!value) return null;
+  try {
+    if (!/^https?:\/\//i.test(value)) {
+      const { hostname } = new URL(`http://${value}`);
+      value = `${isLocalHost(hostname) ? "http" : "https"}://${value}`;
+    }
+    const parsed = new URL(value);
+    return parsed.href.endsWith("/") ? parsed.href : `${parsed.href}/`;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Server URL from environment variables, or null when none are set
+// Priority: ELECTRON_SERVER_URL > ELECTRON_SERVER_DOMAIN > ELECTRON_SERVER_IP
+// For production domain: Set ELECTRON_SERVER_URL=https://task.ocslive.com
+// For LAN deployment: Set ELECTRON_SERVER_IP and ELECTRON_SERVER_PORT
+function getEnvServerURL() {
+  // 1. Full URL (highest priority - for production domain)
+  if (process.env.ELECTRON_SERVER_URL) {
+    const url = process.env.ELECTRON_SERVER_URL.trim();
+    return url.endsWith('/') ? url : `${url}/`;
+  }
+
+  // 2. Domain name (for production HTTPS)
+  if (process.env.ELECTRON_SERVER_DOMAIN) {
+    const domain = process.env.ELECTRON_SERVER_DOMAIN.trim();
+    const protocol = process.env.ELECTRON_SERVER_PROTOCOL || 'https';
+    const cleanDomain = domain.replace(/^https?:\/\//, '');
+    return `${protocol}://${cleanDomain}/`;
+  }
+
+  // 3. Server IP and port (for LAN deployments)
+  if (process.env.ELECTRON_SERVER_IP) {
+    const port = process.env.ELECTRON_SERVER_PORT || DEFAULT_SERVER_PORT;
+    const protocol = process.env.ELECTRON_SERVER_PROTOCOL || "http";
+    return `${protocol}://${process.env.ELECTRON_SERVER_IP}:${port}/`;
+  }
+
+  return null;
+}
+
+function getEnvOverrideName() {
+  if (process.env.ELECTRON_SERVER_URL) return "ELECTRON_SERVER_URL";
+  if (process.env.ELECTRON_SERVER_DOMAIN) return "ELECTRON_SERVER_DOMAIN";
+  if (process.env.ELECTRON_SERVER_IP) return "ELECTRON_SERVER_IP";
+  return null;
+}
+
+function getDefaultServerURL() {
+  const port = process.env.ELECTRON_SERVER_PORT || DEFAULT_SERVER_PORT;
+  const protocol = process.env.ELECTRON_SERVER_PROTOCOL || "http";
+  return `${protocol}://${DEFAULT_SERVER_IP}:${port}/`;
+}
+
+function listProfiles() {
+  if (!store) return [];
+  return store.get("serverProfiles") || [];
+}
+
+function getActiveProfile() {
+  if (!store) return null;
+  const activeId = store.get("activeServerProfileId");
+  return listProfiles().find((profile) => profile.id === activeId) || null;
+}
+
+// Add a new profile or update an existing one (matched by id)
+function saveProfile(profile) {
+  if (!store) {
+    throw new Error("Store not available");
+  }
+  const name = String(profile.name || "").trim();
+  const url = normalizeServerURL(profile.url);
+  if (!name) {
+    throw new Error("Profile name is required");
+  }
+  if (!url) {
+    throw new Error("Server URL is not valid");
+  }
+
+  const profiles = listProfiles();
+  const existing = profiles.find((item) => item.id === profile.id);
+  if (existing) {
+    existing.name = name;
+    existing.url = url;
+    existing.updatedAt = new Date().toISOString();
+  } else {
+    profiles.push({
+      id: crypto.randomUUID(),
+      name,
+      url,
+      createdAt: new Date().toISOString()
+    });
+  }
+  store.set("serverProfiles", profiles);
+
+  const saved = existing || profiles[profiles.length - 1];
+  // First profile becomes active automatically
+  if (!store.get("activeServerProfileId")) {
+    store.set("activeServerProfileId", saved.id);
+  }
+  return saved;
+}
+
+function removeProfile(id) {
+  if (!store) {
+    throw new Error("Store not available");
+  }
+  const profiles = listProfiles().filter((profile) => profile.id !== id);
+  store.set("serverProfiles", profiles);
+  if (store.get("activeServerProfileId") === id) {
+    store.set("activeServerProfileId", profiles.length > 0 ? profiles[0].id : null);
+  }
+}
+
+function setActiveProfile(id) {
+  if (!store) {
+    throw new Error("Store not available");
+  }
+  const profile = listProfiles().find((item) => item.id === id);
+  if (!profile) {
+    throw new Error("Server profile not found");
+  }
+  store.set("activeServerProfileId", profile.id);
+  return profile;
+}
+
+// Resolve the server URL to use right now
+// Priority: environment variables > active profile > default LAN IP
+function getServerURL() {
+  const envURL = getEnvServerURL();
+  if (envURL) return envURL;
+
+  const activeProfile = getActiveProfile();
+  if (activeProfile) return activeProfile.url;
+
+  // Warn if using default hardcoded IP (configure a server profile in production)
+  console.warn('⚠️ No server configured. Using default IP. For production, add a server profile or set:');
+  console.warn('   ELECTRON_SERVER_URL=https://task.ocslive.com');
+  console.warn('   OR');
+  console.warn('   ELECTRON_SERVER_DOMAIN=task.ocslive.com');
+  return getDefaultServerURL();
+}
+
+// True when nothing tells us which server to use (first run)
+function needsSetup() {
+  return !getEnvServerURL() && !getActiveProfile();
+}
+
+// Check that a server is reachable and, for HTTPS, that its certificate is trusted
+// Resolves with { reachable, secure, statusCode, certificate, error }
+function validateServerURL(url) {
+  const serverURL = normalizeServerURL(url);
+  if (!serverURL) {
+    return Promise.resolve({ reachable: false, secure: false, error: "Server URL is not valid" });
+  }
+
+  return new Promise((resolve) => {
+    const parsed = new URL(serverURL);
+    const secure = parsed.protocol === "https:";
+    const client = secure ? https : http;
+    const startedAt = Date.now();
+
+    const request = client.request(parsed, { method: "GET", timeout: VALIDATION_TIMEOUT_MS }, (response) => {
+      let certificate = null;
+      if (secure && response.socket && typeof response.socket.getPeerCertificate === "function") {
+        const peer = response.socket.getPeerCertificate();
+        if (peer && peer.subject) {
+          certificate = {
+            subject: peer.subject.CN,
+            issuer: peer.issuer ? peer.issuer.CN : null,
+            validTo: peer.valid_to
+          };
+        }
+      }
+      response.resume();
+      resolve({
+        url: serverURL,
+        reachable: true,
+        secure,
+        statusCode: response.statusCode,
+        latencyMs: Date.now() - startedAt,
+        certificate,
+        warning: secure ? null : "Connection is not encrypted (HTTP). Use HTTPS outside your local network."
+      });
+    });
+
+    request.on("timeout", () => {
+      request.destroy(new Error(`No response within ${VALIDATION_TIMEOUT_MS / 1000} seconds`));
+    });
+
+    request.on("error", (error) => {
+      resolve({
+        url: serverURL,
+        reachable: false,
+        secure,
+        tlsError: secure && /CERT|SSL|TLS|SELF_SIGNED/i.test(error.code || "") ? error.code : null,
+        error: describeConnectionError(error)
+      });
+    });
+
+    request.end();
+  });
+}
+
+function describeConnectionError(error) {
+  switch (error.code) {
+    case "ENOTFOUND":
+    case "EAI_AGAIN":
+      return "Server name could not be resolved (DNS)";
+    case "ECONNREFUSED":
+      return "Connection refused - is the server running?";
+    case "EHOSTUNREACH":
+    case "ENETUNREACH":
+      return "Server is unreachable from this network";
+    case "CERT_HAS_EXPIRED":
+      return "The server's TLS certificate has expired";
+    case "DEPTH_ZERO_SELF_SIGNED_CERT":
+    case "SELF_SIGNED_CERT_IN_CHAIN":
+      return "The server uses a self-signed TLS certificate";
+    case "ERR_TLS_CERT_ALTNAME_INVALID":
+      return "The TLS certificate does not match the server name";
+    case "UNABLE_TO_VERIFY_LEAF_SIGNATURE":
+      return "The server's TLS certificate could not be verified";
+    default:
+      return error.message;
+  }
+}
+
+module.exports = {
+  init,
+  normalizeServerURL,
+  getEnvServerURL,
+  getEnvOverrideName,
+  getServerURL,
+  listProfiles,
+  getActiveProfile,
+  saveProfile,
+  removeProfile,
+  setActiveProfile,
+  needsSetup,
+  validateServerURL
+};
@@ -0,0 +1,339 @@
+// ============================================
+// SETTINGS
+// ============================================
+// User-facing application settings, edited in the settings window
+// (pages/settings.html) or through electronAPI.getSettings()/setSetting().
+//
+// Stored as one object under "settings" in the main store, next to the
+// schema version it was written with ("settingsVersion"). To change the
+// schema, bump SCHEMA_VERSION and add a migration bringing older data up to
+// date - migrations run in order from init().
+//
+// Every value is checked against SCHEMA: an invalid stored value reads as
+// the default, an invalid new value is refused. Modules follow changes with
+// watch(key, listener); guard(key, check) lets a module refuse a value the
+// schema can't judge (e.g. a shortcut taken by another application).
+
+const SCHEMA_VERSION = 1;
+
+// Electron accelerator: modifiers joined with "+" and one key
+const ACCELERATOR_PATTERN = new RegExp(
+  "^((CommandOrControl|CmdOrCtrl|Command|Cmd|Control|Ctrl|Alt|Option|AltGr|Shift|Super|Meta)\\+)*" +
+  "([A-Z0-9]|F([1-9]|1[0-9]|2[0-4])|[-=[\\];',./`\\\\]|Plus|Space|Tab|Capslock|Numlock|Scrolllock|Backspace|Delete|Insert|" +
+  "Return|Enter|Up|Down|Left|Right|Home|End|PageUp|PageDown|Escape|Esc|PrintScreen|" +
+  "num[0-9]|numdec|numadd|numsub|nummult|numdiv)$",
+  "i"
+);
+
+// Rebindable application menu shortcut (blank: none) - see main/menu.js
+function menuShortcut(label, defaultValue, description) {
+  return {
+    type: "string",
+    default: defaultValue,
+    nullable: true,
+    pattern: ACCELERATOR_PATTERN,
+    section: "Shortcuts",
+    label,
+    ...(description ? { description } : {})
+  };
+}
+
+// type: "boolean" | "string" | "number"; values: allowed values; nullable: null allowed
+// section/label/description: how the settings window shows it; devOnly: development builds only
+const SCHEMA = {
+  closeToTray: {
+    type: "boolean",
+    default: true,
+    section: "General",
+    label: "Keep running in the tray when the window is closed",
+    description: "Notifications and reminders keep arriving. Quit from the tray menu"
+  },
+  startMinimized: {
+    type: "boolean",
+    default: false,
+    section: "General",
+    label: "Start hidden in the tray"
+  },
+  launchAtLogin: {
+    type: "boolean",
+    default: false,
+    section: "General",
+    label: "Open at login"
+  },
+  openServerLinksInApp: {
+    type: "boolean",
+    default: true,
+    section: "General",
+    label: "Open links to this server in the app"
+  },
+  notificationsEnabled: {
+    type: "boolean",
+    default: true,
+    section: "Notifications",
+    label: "Show desktop notifications",
+    description: "Notifications still appear in the history while this is off"
+  },
+  notificationSound: {
+    type: "boolean",
+    default: true,
+    section: "Notifications",
+    label: "Play a sound"
+  },
+  quickAddShortcut: {
+    type: "string",
+    default: "CommandOrControl+Shift+Space",
+    section: "Shortcuts",
+    label: "Quick add task",
+    description: "Global shortcut, e.g. CommandOrControl+Shift+Space"
+  },
+  shortcutNewTask: menuShortcut("New task", "CommandOrControl+N", "Menu shortcuts work while the app is focused. Leave blank for none"),
+  shortcutSwitchWorkspace: menuShortcut("Switch workspace", "CommandOrControl+Shift+K"),
+  shortcutMyTasks: menuShortcut("Go to My tasks", "CommandOrControl+1"),
+  shortcutInbox: menuShortcut("Go to Inbox", "CommandOrControl+2"),
+  shortcutProjects: menuShortcut("Go to Projects", "CommandOrControl+3"),
+  downloadsFolder: {
+    type: "string",
+    default: null,
+    nullable: true,
+    section: "Downloads",
+    label: "Download folder",
+    description: "Full path. Leave blank for the system Downloads folder"
+  },
+  downloadsPerWorkspace: {
+    type: "boolean",
+    default: true,
+    section: "Downloads",
+    label: "Save into a subfolder per workspace"
+  },
+  downloadsAskWhereToSave: {
+    type: "boolean",
+    default: false,
+    section: "Downloads",
+    label: "Ask where to save each file"
+  },
+  idleDetection: {
+    type: "boolean",
+    default: true,
+    section: "Time tracking",
+    label: "Ask about idle time while a timer runs",
+    description: "Keep, discard or split time spent away from the computer"
+  },
+  idleThresholdMinutes: {
+    type: "number",
+    default: 10,
+    section: "Time tracking",
+    label: "Idle after (minutes)"
+  },
+  updateChannel: {
+    type: "string",
+    default: "stable",
+    values: ["stable", "beta"],
+    section: "Updates",
+    label: "Update channel"
+  },
+  mirrorTokenToLocalStorage: {
+    type: "boolean",
+    default: true,
+    section: "Privacy",
+    label: "Let the web app read the session token from localStorage",
+    description: "When off, the token only lives in the encrypted store"
+  },
+  devServerURL: {
+    type: "string",
+    default: null,
+    nullable: true,
+    pattern: /^https?:\/\/\S+$/,
+    section: "Developer",
+    label: "Dev server URL",
+    description: "Loaded instead of the build (default http://localhost:3000). ELECTRON_DEV_URL takes precedence",
+    devOnly: true
+  }
+};
+
+// ---------- migrations ----------
+// migrate(settings, store) gets the settings of the previous version and
+// returns them upgraded; it may also clean up old top-level store keys.
+
+// Preferences stored at the top level of the store before version 1
+const LEGACY_KEYS = ["quickAddShortcut", "openServerLinksInApp", "mirrorTokenToLocalStorage"];
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    migrate: (settings, store) => {
+      for (const key of LEGACY_KEYS) {
+        const value = store.get(key);
+        if (value !== undefined) {
+          settings[key] = value;
+          store.delete(key);
+        }
+      }
+      const updates = store.get("updates");
+      if (updates && updates.channel) {
+        settings.updateChannel = updates.channel;
+        const { channel, ...rest } = updates;
+        store.set("updates", rest);
+      }
+      return settings;
+    }
+  }
+];
+
+let store = null;
+let memory = {}; // used when electron-store isn't available (not persisted)
+let onChange = () => {};
+const watchers = new Map(); // key -> [listener]
+const guards = new Map(); // key -> [check]
+
+// onChange(key, value, previous): after any change (broadcast to windows)
+function init(options) {
+  store = options.store || null;
+  onChange = options.onChange || onChange;
+  migrate();
+}
+
+function readAll() {
+  return store ? store.get("settings") || {} : memory;
+}
+
+function writeAll(settings) {
+  if (store) {
+    store.set("settings", settings);
+  } else {
+    memory = settings;
+  }
+}
+
+// Run the migrations newer than the stored version
+function migrate() {
+  if (!store) return;
+  const from = store.get("settingsVersion") || 0;
+  if (from >= SCHEMA_VERSION) return;
+
+  let settings = { ...readAll() };
+  for (const migration of MIGRATIONS) {
+    if (migration.version > from) {
+      settings = migration.migrate(settings, store);
+      console.log(`⚙️ Settings migrated to version ${migration.version}`);
+    }
+  }
+  writeAll(settings);
+  store.set("settingsVersion", SCHEMA_VERSION);
+}
+
+// ---------- validation ----------
+
+// Returns null when value is valid for key, otherwise a message
+function validate(key, value) {
+  const spec = SCHEMA[key];
+  if (!spec) {
+    return `Unknown setting "${key}"`;
+  }
+  if (value === null || value === undefined) {
+    return spec.nullable ? null : `${key} is required`;
+  }
+  if (spec.type === "number" ? !Number.isFinite(value) : typeof value !== spec.type) {
+    return `${key} must be ${spec.type}`;
+  }
+  if (spec.values && !spec.values.includes(value)) {
+    return `${key} must be one of ${spec.values.join(", ")}`;
+  }
+  if (spec.pattern && !spec.pattern.test(value)) {
+    return `${key} has an invalid format`;
+  }
+  if (spec.type === "string" && value.trim() === "") {
+    return `${key} can't be empty`;
+  }
+  return null;
+}
+
+// ---------- reading and writing ----------
+
+function get(key) {
+  const spec = SCHEMA[key];
+  if (!spec) return undefined;
+  const settings = readAll();
+  const value = settings[key];
+  return value !== undefined && validate(key, value) === null ? value : spec.default;
+}
+
+function getAll() {
+  return Object.fromEntries(Object.keys(SCHEMA).map((key) => [key, get(key)]));
+}
+
+// Schema without functions/regexps, for the renderer
+function getSchema() {
+  return Object.fromEntries(Object.entries(SCHEMA).map(([key, { pattern, ...spec }]) => [key, spec]));
+}
+
+// Returns { success, key, value } or { success: false, error }
+function set(key, value) {
+  // Blank text clears a nullable setting
+  let next = typeof value === "string" ? value.trim() : value;
+  if (next === "" && SCHEMA[key] && SCHEMA[key].nullable) {
+    next = null;
+  }
+  const problem = validate(key, next);
+  if (problem) {
+    return { success: false, error: problem };
+  }
+  const previous = get(key);
+  if (next === previous) {
+    return { success: true, key, value: next };
+  }
+
+  for (const check of guards.get(key) || []) {
+    const refused = check(next, previous);
+    if (refused) {
+      return { success: false, error: refused };
+    }
+  }
+
+  writeAll({ ...readAll(), [key]: next });
+  console.log(`⚙️ Setting changed: ${key}`);
+  for (const listener of watchers.get(key) || []) {
+    try {
+      listener(next, previous);
+    } catch (error) {
+      console.error(`❌ Error applying setting ${key}:`, error);
+    }
+  }
+  onChange(key, next, previous);
+  return { success: true, key, value: next };
+}
+
+// Back to the default - one key, or every setting when key is omitted
+function reset(key) {
+  const keys = key ? [key] : Object.keys(SCHEMA);
+  for (const name of keys) {
+    const result = set(name, SCHEMA[name] ? SCHEMA[name].default : undefined);
+    if (!result.success) return result;
+  }
+  return { success: true };
+}
+
+// listener(value, previous) after key changed
+function watch(key, listener) {
+  watchers.set(key, (watchers.get(key) || []).concat(listener));
+}
+
+// check(value, previous) before key changes: return a message to refuse
+function guard(key, check) {
+  guards.set(key, (guards.get(key) || []).concat(check));
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  ACCELERATOR_PATTERN,
+  SCHEMA,
+  MIGRATIONS,
+  init,
+  validate,
+  get,
+  getAll,
+  getSchema,
+  set,
+  reset,
+  watch,
+  guard
+};
@@ -0,0 +1,357 @@
+// ============================================
+// STORAGE: TOKEN, ACCOUNTS, OFFLINE DATA
+// ============================================
+// Wires secure storage, accounts and the offline cache to their stores and
+// exposes them to the renderer. Token and user always belong to the active
+// account (see main/accounts.js) and are encrypted at rest
+// (see main/secure-storage.js).
+
+const ipc = require("./ipc");
+const { CHANNELS } = require("./ipc-contract");
+const config = require("./config");
+const settings = require("./settings");
+const secureStorage = require("./secure-storage");
+const accounts = require("./accounts");
+const offline = require("./offline");
+const reminders = require("./reminders");
+const trayState = require("./tray-state");
+const windows = require("./windows");
+const logger = require("./logger");
+
+let store = null;
+let onChange = () => {};
+
+function getActiveAccountId() {
+  const account = accounts.getActiveAccount();
+  return account ? account.id : null;
+}
+
+// onChange: accounts or login state changed (tray menu rebuild)
+function init(options) {
+  store = options.store || null;
+  onChange = options.onChange || onChange;
+
+  secureStorage.init({ store });
+  accounts.init({
+    store,
+    // Logging out of one account drops only that account's offline data
+    onAccountRemoved: (accountId) => {
+      offline.clearAccountData(accountId);
+      reminders.clearAccountData(accountId);
+    }
+  });
+
+  // Offline cache and outbox for the active account
+  offline.init({
+    store: options.offlineStore || null,
+    getServerURL: config.getServerURL,
+    getAccountId: getActiveAccountId,
+    getAccountToken: (accountId) => accounts.getAccountToken(accountId),
+    onEvent: (channel, data) => windows.sendToMainWindow(channel, data)
+  });
+}
+
+// ============================================
+// ACCOUNT SWITCHING
+// ============================================
+
+// Switch to another logged-in account
+function switchAccount(id) {
+  const account = accounts.setActiveAccount(id);
+  console.log(`👤 Switching to account: ${account.label}`);
+  trayState.clear();
+  windows.recreateMainWindow();
+  onChange();
+  offline.refreshCache().catch(() => {});
+  reminders.check(); // reminders of this account that came due meanwhile
+  return account;
+}
+
+// Open a fresh session so the user can log in to another account
+function addAccount() {
+  accounts.beginAddAccount();
+  console.log("👤 Adding account: opening a new session");
+  windows.recreateMainWindow();
+  onChange();
+}
+
+// Log out of an account; the window reloads when it was the active one
+async function removeAccount(id) {
+  const { wasActive } = await accounts.removeAccount(id);
+  if (wasActive) {
+    windows.recreateMainWindow();
+  }
+  onChange();
+}
+
+// ============================================
+// IPC HANDLERS FOR PERSISTENT TOKEN STORAGE
+// ============================================
+// These handlers allow the renderer process to save/load tokens
+// in electron-store, which persists across app restarts.
+
+// Whether the preload should mirror the token into localStorage
+function shouldMirrorToken() {
+  return settings.get("mirrorTokenToLocalStorage");
+}
+
+function registerStorageHandlers() {
+  // Save token to persistent storage
+  ipc.handle(CHANNELS.SAVE_TOKEN, (event, token) => {
+    logger.addSecret(token); // never in the log, whatever goes wrong below
+    try {
+      if (store) {
+        accounts.setToken(token);
+        onChange();
+        console.log(`✅ Token saved to persistent storage (${secureStorage.getStorageMode()})`);
+        return { success: true, mirrorToLocalStorage: shouldMirrorToken() };
+      } else {
+        console.warn("⚠️ Store not available, token not persisted");
+        return { success: false, error: "Store not available" };
+      }
+    } catch (error) {
+      console.error("❌ Error saving token:", error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Get token from persistent storage
+  ipc.handle(CHANNELS.GET_TOKEN, () => {
+    try {
+      if (store) {
+        const token = accounts.getToken();
+        logger.addSecret(token);
+        return { success: true, token, mirrorToLocalStorage: shouldMirrorToken() };
+      } else {
+        return { success: false, token: null };
+      }
+    } catch (error) {
+      console.error("❌ Error getting token:", error);
+      return { success: false, token: null, error: error.message };
+    }
+  });
+
+  // Save user data to persistent storage
+  ipc.handle(CHANNELS.SAVE_USER, (event, userData) => {
+    logger.addSecret(userData.token);
+    try {
+      if (store) {
+        accounts.setUser(userData);
+        onChange();
+        console.log(`✅ User data saved to persistent storage (${secureStorage.getStorageMode()})`);
+        return { success: true, mirrorToLocalStorage: shouldMirrorToken() };
+      } else {
+        return { success: false, error: "Store not available" };
+      }
+    } catch (error) {
+      console.error("❌ Error saving user:", error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Get user data from persistent storage
+  ipc.handle(CHANNELS.GET_USER, () => {
+    try {
+      if (store) {
+        const user = accounts.getUser();
+        return { success: true, user, mirrorToLocalStorage: shouldMirrorToken() };
+      } else {
+        return { success: false, user: null };
+      }
+    } catch (error) {
+      console.error("❌ Error getting user:", error);
+      return { success: false, user: null, error: error.message };
+    }
+  });
+
+  // Turn mirroring of the token into the renderer's localStorage on/off
+  ipc.handle(CHANNELS.SET_TOKEN_MIRRORING, (event, enabled) => {
+    try {
+      const result = settings.set("mirrorTokenToLocalStorage", enabled !== false);
+      if (!result.success) {
+        return result;
+      }
+      console.log(`✅ Token mirroring to localStorage ${enabled !== false ? "enabled" : "disabled"}`);
+      return { success: true, mirrorToLocalStorage: shouldMirrorToken() };
+    } catch (error) {
+      console.error("❌ Error updating token mirroring:", error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Where credentials are kept: "encrypted", "plaintext" or "memory"
+  ipc.handle(CHANNELS.GET_STORAGE_STATUS, () => {
+    return {
+      success: !!store,
+      mode: secureStorage.getStorageMode(),
+      encryptionAvailable: secureStorage.isEncryptionAvailable(),
+      mirrorToLocalStorage: shouldMirrorToken()
+    };
+  });
+
+  // Log out of the active account (other accounts are kept)
+  ipc.handle(CHANNELS.CLEAR_STORAGE, async () => {
+    try {
+      if (store) {
+        const activeAccount = accounts.getActiveAccount();
+        if (activeAccount) {
+          await accounts.removeAccount(activeAccount.id);
+        }
+        trayState.clear();
+        onChange();
+        console.log("✅ Storage cleared for active account");
+        return { success: true };
+      } else {
+        return { success: false, error: "Store not available" };
+      }
+    } catch (error) {
+      console.error("❌ Error clearing storage:", error);
+      return { success: false, error: error.message };
+    }
+  });
+}
+
+// ============================================
+// IPC HANDLERS FOR ACCOUNTS
+// ============================================
+// Several logged-in accounts/workspaces, each with its own session partition
+
+function registerAccountHandlers() {
+  // List accounts (most recently used first)
+  ipc.handle(CHANNELS.LIST_ACCOUNTS, () => {
+    try {
+      return {
+        success: true,
+        accounts: accounts.listAccounts().map(({ partition, ...account }) => account),
+        activeId: getActiveAccountId()
+      };
+    } catch (error) {
+      console.error("❌ Error listing accounts:", error);
+      return { success: false, accounts: [], error: error.message };
+    }
+  });
+
+  // Switch the main window to another account
+  ipc.handle(CHANNELS.SWITCH_ACCOUNT, (event, id) => {
+    try {
+      const account = switchAccount(id);
+      return { success: true, accountId: account.id };
+    } catch (error) {
+      console.error("❌ Error switching account:", error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Remove an account and its session data
+  ipc.handle(CHANNELS.REMOVE_ACCOUNT, async (event, id) => {
+    try {
+      await removeAccount(id);
+      return { success: true };
+    } catch (error) {
+      console.error("❌ Error removing account:", error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Open a fresh session to log in to another account
+  ipc.handle(CHANNELS.ADD_ACCOUNT, () => {
+    try {
+      addAccount();
+      return { success: true };
+    } catch (error) {
+      console.error("❌ Error adding account:", error);
+      return { success: false, error: error.message };
+    }
+  });
+}
+
+// ============================================
+// IPC HANDLERS FOR OFFLINE MODE
+// ============================================
+// Cached tasks/projects and queued task changes (see main/offline.js)
+
+function registerOfflineHandlers() {
+  // { online, syncing, pendingOperations, conflicts, cachedAt }
+  ipc.handle(CHANNELS.GET_OFFLINE_STATUS, () => {
+    return offline.getStatus();
+  });
+
+  // Cached tasks, optionally filtered: { projectId }
+  ipc.handle(CHANNELS.GET_CACHED_TASKS, (event, filter) => {
+    try {
+      return { success: true, tasks: offline.getCachedTasks(filter || {}), status: offline.getStatus() };
+    } catch (error) {
+      console.error("❌ Error reading cached tasks:", error);
+      return { success: false, tasks: [], error: error.message };
+    }
+  });
+
+  ipc.handle(CHANNELS.GET_CACHED_PROJECTS, () => {
+    try {
+      return { success: true, projects: offline.getCachedProjects(), status: offline.getStatus() };
+    } catch (error) {
+      console.error("❌ Error reading cached projects:", error);
+      return { success: false, projects: [], error: error.message };
+    }
+  });
+
+  // Queue a task create/update/complete - sent now if online, later otherwise
+  ipc.handle(CHANNELS.QUEUE_TASK_OPERATION, (event, operation) => {
+    try {
+      const op = offline.queueOperation(operation);
+      return { success: true, operation: op };
+    } catch (error) {
+      console.error("❌ Error queueing task operation:", error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipc.handle(CHANNELS.GET_OFFLINE_OUTBOX, () => {
+    return { success: true, operations: offline.getOutbox(), conflicts: offline.getConflicts() };
+  });
+
+  // Replay queued operations now
+  ipc.handle(CHANNELS.SYNC_OFFLINE_OUTBOX, async () => {
+    try {
+      return { success: true, status: await offline.syncNow() };
+    } catch (error) {
+      console.error("❌ Error syncing outbox:", error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Re-download tasks and projects
+  ipc.handle(CHANNELS.REFRESH_OFFLINE_CACHE, async () => {
+    try {
+      await offline.refreshCache();
+      return { success: true, status: offline.getStatus() };
+    } catch (error) {
+      return { success: false, error: error.message, status: offline.getStatus() };
+    }
+  });
+
+  // Resolve a sync conflict: "overwrite" (keep local change) or "discard"
+  ipc.handle(CHANNELS.RESOLVE_OFFLINE_CONFLICT, async (event, conflictId, resolution) => {
+    try {
+      return { success: true, status: await offline.resolveConflict(conflictId, resolution) };
+    } catch (error) {
+      console.error("❌ Error resolving conflict:", error);
+      return { success: false, error: error.message };
+    }
+  });
+}
+
+function registerIpcHandlers() {
+  registerStorageHandlers();
+  registerAccountHandlers();
+  registerOfflineHandlers();
+}
+
+module.exports = {
+  init,
+  getActiveAccountId,
+  switchAccount,
+  addAccount,
+  removeAccount,
+  registerIpcHandlers
+};
@@ -0,0 +1,122 @@
+// ============================================
+// SUPPORT: LOGS AND PROBLEM REPORTS
+// ============================================
+// "Report a problem" (Help menu, electronAPI.reportProblem) saves a zip for
+// support with:
+//   logs/app*.log       the log files (main/logger.js, already redacted)
+//   environment.json    version, platform, server, connection and updater
+//                       state, settings, recent crashes - redacted as well
+//   crash-dumps/*.dmp   the latest native crash dumps (main/crash-recovery.js)
+// The renderer writes to the log through electronAPI.log (log-message).
+
+const { app, dialog, shell } = require("electron");
+const fs = require("fs");
+const path = require("path");
+const ipc = require("./ipc");
+const { CHANNELS } = require("./ipc-contract");
+const logger = require("./logger");
+const zip = require("./zip");
+const settings = require("./settings");
+const secureStorage = require("./secure-storage");
+const accounts = require("./accounts");
+const windows = require("./windows");
+const updater = require("./updater");
+const crashRecovery = require("./crash-recovery");
+
+// Everything support asks for first, without personal data
+function buildEnvironmentSummary() {
+  return logger.redact({
+    generatedAt: new Date().toISOString(),
+    app: {
+      name: app.getName(),
+      version: app.getVersion(),
+      packaged: app.isPackaged,
+      electron: process.versions.electron,
+      chrome: process.versions.chrome,
+      node: process.versions.node
+    },
+    platform: {
+      os: process.platform,
+      arch: process.arch,
+      locale: app.getLocale()
+    },
+    connection: windows.getConnectionDiagnostics(),
+    updater: updater.getState(),
+    storageMode: secureStorage.getStorageMode(),
+    accountCount: accounts.listAccounts().length,
+    settings: settings.getAll(),
+    crashes: crashRecovery.getCrashInfo()
+  });
+}
+
+function getDefaultReportPath() {
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, "-");
+  return path.join(app.getPath("downloads"), `ocs-taskmanager-report-${stamp}.zip`);
+}
+
+// Write the report zip to filePath
+function writeReport(filePath) {
+  const entries = logger.listLogFiles().map((file) => ({
+    name: `logs/${path.basename(file)}`,
+    data: fs.readFileSync(file)
+  }));
+  for (const dump of crashRecovery.listCrashDumps()) {
+    entries.push({ name: `crash-dumps/${path.basename(dump.file)}`, data: fs.readFileSync(dump.file) });
+  }
+  entries.push({
+    name: "environment.json",
+    data: JSON.stringify(buildEnvironmentSummary(), null, 2)
+  });
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, zip.createZip(entries));
+  console.log(`🧰 Problem report saved: ${filePath}`);
+}
+
+// Ask where to save, write the report and show it in the file manager
+async function reportProblem() {
+  try {
+    const mainWindow = windows.getMainWindow();
+    const options = {
+      title: "Report a problem",
+      buttonLabel: "Save report",
+      defaultPath: getDefaultReportPath(),
+      filters: [{ name: "ZIP archive", extensions: ["zip"] }]
+    };
+    const { canceled, filePath } = mainWindow
+      ? await dialog.showSaveDialog(mainWindow, options)
+      : await dialog.showSaveDialog(options);
+    if (canceled || !filePath) {
+      return { success: false, canceled: true };
+    }
+    writeReport(filePath);
+    shell.showItemInFolder(filePath);
+    return { success: true, filePath };
+  } catch (error) {
+    console.error("❌ Error creating problem report:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+function openLogsFolder() {
+  const directory = logger.getDirectory() || app.getPath("logs");
+  fs.mkdirSync(directory, { recursive: true });
+  shell.openPath(directory);
+}
+
+function registerIpcHandlers() {
+  // Renderer log lines, attributed to the page that sent them
+  ipc.handle(CHANNELS.LOG_MESSAGE, (event, level, message, data) => {
+    logger.writeFromRenderer(event.senderFrame ? event.senderFrame.url : null, level, message, data);
+    return true;
+  });
+
+  ipc.handle(CHANNELS.REPORT_PROBLEM, () => reportProblem());
+}
+
+module.exports = {
+  buildEnvironmentSummary,
+  writeReport,
+  reportProblem,
+  openLogsFolder,
+  registerIpcHandlers
+};
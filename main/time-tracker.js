@@ -0,0 +1,405 @@
+// ============================================
+// TIME TRACKING
+// ============================================
+// One timer at a time, on a task, run by the main process so it keeps
+// going with the window closed:
+//   - started/stopped through electronAPI (startTimer/stopTimer) or stopped
+//     from the tray, which shows the running time (main/tray.js)
+//   - stopping it records a time entry; entries are synced to the server
+//     (POST api/time-entries) right away, then every SYNC_INTERVAL_MS until
+//     they got through
+//   - the running timer and the entries live in the store ("timeTracking"),
+//     with a heartbeat (lastSeenAt) every tick, so they survive restarts and
+//     crashes
+//
+// Idle time (settings idleDetection / idleThresholdMinutes): when the system
+// was idle that long - powerMonitor.getSystemIdleTime(), the screen locked,
+// the computer asleep or the app not running - the user is asked once back:
+//   keep     the idle time stays in the entry
+//   discard  the entry ends where the idle time started; the timer goes on
+//   split    as discard, and the idle time becomes its own entry (idle: true)
+
+const { dialog, powerMonitor } = require("electron");
+const crypto = require("crypto");
+const api = require("./api");
+const ipc = require("./ipc");
+const { CHANNELS } = require("./ipc-contract");
+const settings = require("./settings");
+
+const TICK_MS = 30 * 1000;
+const SYNC_INTERVAL_MS = 5 * 60 * 1000;
+const SYNCED_ENTRY_LIMIT = 500; // synced entries kept locally; unsynced ones are never dropped
+const IDLE_ACTIONS = ["keep", "discard", "split"];
+
+let store = null;
+let memory = { running: null, entries: [] }; // used when electron-store isn't available (not persisted)
+let getAccountId = () => null;
+let onChange = () => {};
+
+let tickTimer = null;
+let syncTimer = null;
+let powerListeners = false;
+let idleSince = null; // ms - start of the idle time not asked about yet
+let asking = false;
+let syncing = false;
+let syncAgain = false; // an entry was recorded during a sync
+
+// getAccountId: the active account (entries belong to it)
+// onChange(status): the timer started, stopped or ticked, or entries changed
+function init(options) {
+  store = options.store || null;
+  getAccountId = options.getAccountId || getAccountId;
+  onChange = options.onChange || onChange;
+
+  settings.guard("idleThresholdMinutes", (value) => {
+    return value < 1 || value > 240 ? "Idle time must be between 1 and 240 minutes" : null;
+  });
+}
+
+// ---------- persistence ----------
+
+function getRunning() {
+  return store ? store.get("timeTracking.running") || null : memory.running;
+}
+
+function setRunning(running) {
+  if (store) {
+    store.set("timeTracking.running", running);
+  } else {
+    memory.running = running;
+  }
+}
+
+function getEntries() {
+  return store ? store.get("timeTracking.entries") || [] : memory.entries;
+}
+
+function setEntries(entries) {
+  if (store) {
+    store.set("timeTracking.entries", entries);
+  } else {
+    memory.entries = entries;
+  }
+}
+
+function updateEntry(id, changes) {
+  setEntries(getEntries().map((entry) => (entry.id === id ? { ...entry, ...changes } : entry)));
+}
+
+// Synced entries beyond SYNCED_ENTRY_LIMIT go, oldest first
+function pruneEntries() {
+  let synced = 0;
+  setEntries(getEntries().filter((entry) => !entry.syncedAt || ++synced <= SYNCED_ENTRY_LIMIT));
+}
+
+// ---------- status ----------
+
+function iso(time) {
+  return new Date(time).toISOString();
+}
+
+// "0:05", "1:42" (hours:minutes)
+function formatDuration(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+function getStatus(now = Date.now()) {
+  const running = getRunning();
+  return {
+    running: !!running,
+    taskId: running ? running.taskId : null,
+    taskTitle: running ? running.taskTitle : null,
+    startedAt: running ? running.startedAt : null,
+    elapsedSeconds: running ? Math.max(0, Math.round((now - Date.parse(running.startedAt)) / 1000)) : 0,
+    idleSince: idleSince !== null ? iso(idleSince) : null,
+    pendingEntries: getEntries().filter((entry) => !entry.syncedAt).length
+  };
+}
+
+function notify() {
+  onChange(getStatus());
+}
+
+// ---------- timer ----------
+
+// The entry for running from its start to endTime (null when empty)
+function recordEntry(running, endTime, extra = {}) {
+  const start = Date.parse(running.startedAt);
+  const durationSeconds = Math.round((endTime - start) / 1000);
+  if (durationSeconds <= 0) return null;
+  const entry = {
+    id: crypto.randomUUID(),
+    accountId: running.accountId,
+    taskId: running.taskId,
+    taskTitle: running.taskTitle,
+    startedAt: running.startedAt,
+    endedAt: iso(endTime),
+    durationSeconds,
+    idle: false,
+    syncedAt: null,
+    serverId: null,
+    syncError: null,
+    ...extra
+  };
+  setEntries([entry, ...getEntries()]);
+  return entry;
+}
+
+// options: { taskTitle } for the tray. A timer on another task is stopped first
+function startTimer(taskId, options = {}, now = Date.now()) {
+  const accountId = getAccountId();
+  if (!accountId) {
+    return { success: false, error: "Log in to OCS Task Manager first" };
+  }
+  const running = getRunning();
+  if (running && running.taskId === String(taskId)) {
+    return { success: true, status: getStatus(now) };
+  }
+  if (running) {
+    stopTimer(now);
+  }
+
+  setRunning({
+    taskId: String(taskId),
+    taskTitle: options.taskTitle || null,
+    accountId,
+    startedAt: iso(now),
+    lastSeenAt: iso(now)
+  });
+  idleSince = null;
+  console.log(`⏱️ Timer started on task ${taskId}`);
+  notify();
+  return { success: true, status: getStatus(now) };
+}
+
+function stopTimer(now = Date.now()) {
+  const running = getRunning();
+  if (!running) {
+    return { success: false, error: "No timer is running" };
+  }
+  const entry = recordEntry(running, now);
+  setRunning(null);
+  idleSince = null;
+  console.log(`⏱️ Timer stopped on task ${running.taskId} (${formatDuration(entry ? entry.durationSeconds : 0)})`);
+  notify();
+  syncEntries().catch(() => {});
+  return { success: true, entry, status: getStatus(now) };
+}
+
+// Entries of the active account, newest first (optionally of one task)
+function listEntries(taskId) {
+  const accountId = getAccountId();
+  return getEntries().filter((entry) => (
+    entry.accountId === accountId && (taskId === undefined || taskId === null || entry.taskId === String(taskId))
+  ));
+}
+
+// ---------- idle time ----------
+
+function getIdleThresholdMs() {
+  return settings.get("idleThresholdMinutes") * 60 * 1000;
+}
+
+// Apply the answer about the idle time from idleStart until the user came back
+function resolveIdle(action, idleStart, backAt) {
+  idleSince = null;
+  const running = getRunning();
+  if (!running || action === "keep") {
+    notify();
+    return;
+  }
+  const start = Math.max(idleStart, Date.parse(running.startedAt));
+  recordEntry(running, start);
+  if (action === "split") {
+    recordEntry({ ...running, startedAt: iso(start) }, backAt, { idle: true });
+  }
+  setRunning({ ...running, startedAt: iso(backAt), lastSeenAt: iso(Math.max(backAt, Date.now())) });
+  console.log(`⏱️ Idle time ${action === "split" ? "split off" : "discarded"} (task ${running.taskId})`);
+  notify();
+  syncEntries().catch(() => {});
+}
+
+// Ask what to do with the idle time now that the user is back
+async function askAboutIdle(backAt = Date.now()) {
+  const running = getRunning();
+  if (asking || idleSince === null || !running) return;
+  asking = true;
+  const idleStart = idleSince;
+  const minutes = Math.max(1, Math.round((backAt - idleStart) / 60000));
+  try {
+    const { response } = await dialog.showMessageBox({
+      type: "question",
+      title: "Idle time",
+      message: `You were idle ${minutes} ${minutes === 1 ? "minute" : "minutes"}`,
+      detail: `The timer on ${running.taskTitle ? `"${running.taskTitle}"` : `task ${running.taskId}`} kept running. ` +
+        "Keep that time, discard it, or split it into its own entry?",
+      buttons: ["Keep", "Discard", "Split"],
+      defaultId: 0,
+      cancelId: 0,
+      noLink: true
+    });
+    resolveIdle(IDLE_ACTIONS[response] || "keep", idleStart, backAt);
+  } catch (error) {
+    console.error("❌ Error asking about idle time:", error);
+  } finally {
+    asking = false;
+  }
+}
+
+// Idle since `since` (the screen locked, the system went to sleep)
+function markIdle(since = Date.now()) {
+  if (getRunning() && idleSince === null && settings.get("idleDetection")) {
+    idleSince = since;
+    notify();
+  }
+}
+
+// Back after a lock or sleep: ask when it was long enough
+function markActive(now = Date.now()) {
+  if (idleSince === null) return;
+  if (now - idleSince >= getIdleThresholdMs()) {
+    askAboutIdle(now);
+  } else {
+    idleSince = null;
+    notify();
+  }
+}
+
+// Every TICK_MS: heartbeat, system idle time, tray/renderer update
+function tick(now = Date.now()) {
+  const running = getRunning();
+  if (!running) return;
+  setRunning({ ...running, lastSeenAt: iso(now) });
+
+  if (settings.get("idleDetection") && !asking) {
+    const idleMs = powerMonitor.getSystemIdleTime() * 1000;
+    if (idleSince === null && idleMs >= getIdleThresholdMs()) {
+      idleSince = now - idleMs;
+    } else if (idleSince !== null && idleMs < TICK_MS) {
+      markActive(now - idleMs);
+    }
+  }
+  notify();
+}
+
+// ---------- sync ----------
+
+// Send the active account's unsynced entries. Offline, signed out, or the
+// server busy or failing: tried again later; a refused entry keeps its syncError
+async function syncEntries() {
+  const accountId = getAccountId();
+  if (!accountId || !api.hasToken()) {
+    return { success: false, error: "Log in to OCS Task Manager first", synced: 0 };
+  }
+  if (syncing) {
+    syncAgain = true;
+    return { success: false, error: "Already syncing", synced: 0 };
+  }
+  syncing = true;
+  let synced = 0;
+  try {
+    const pending = getEntries().filter((entry) => entry.accountId === accountId && !entry.syncedAt && !entry.syncError);
+    for (const entry of pending.reverse()) {
+      try {
+        const saved = api.unwrapItem(await api.request("POST", api.API_PATHS.timeEntries, {
+          taskId: entry.taskId,
+          startedAt: entry.startedAt,
+          endedAt: entry.endedAt,
+          durationSeconds: entry.durationSeconds,
+          idle: entry.idle
+        }), "timeEntry");
+        updateEntry(entry.id, { syncedAt: iso(Date.now()), serverId: saved ? saved.id || saved._id || null : null });
+        synced += 1;
+      } catch (error) {
+        if (api.isTemporaryError(error)) {
+          console.log(`📴 Time entries not synced yet: ${error.message}`);
+          break;
+        }
+        console.error(`❌ Time entry refused by the server: ${error.message}`);
+        updateEntry(entry.id, { syncError: error.message });
+      }
+    }
+  } finally {
+    syncing = false;
+  }
+  if (syncAgain) {
+    syncAgain = false;
+    return syncEntries();
+  }
+  pruneEntries();
+  if (synced > 0) {
+    console.log(`✅ Synced ${synced} time entr${synced === 1 ? "y" : "ies"}`);
+  }
+  notify();
+  return { success: true, synced, pending: getStatus().pendingEntries };
+}
+
+// ---------- lifecycle ----------
+
+// Call once the app is ready (powerMonitor needs it). A timer left running
+// while the app wasn't: that time counts as idle
+function start(now = Date.now()) {
+  if (!powerListeners) {
+    powerListeners = true;
+    powerMonitor.on("lock-screen", () => markIdle());
+    powerMonitor.on("suspend", () => markIdle());
+    powerMonitor.on("unlock-screen", () => markActive());
+    powerMonitor.on("resume", () => markActive());
+  }
+  clearInterval(tickTimer);
+  clearInterval(syncTimer);
+  tickTimer = setInterval(tick, TICK_MS);
+  syncTimer = setInterval(() => syncEntries().catch(() => {}), SYNC_INTERVAL_MS);
+
+  const running = getRunning();
+  if (running && running.lastSeenAt) {
+    const lastSeen = Date.parse(running.lastSeenAt);
+    console.log(`⏱️ Timer on task ${running.taskId} still running`);
+    if (settings.get("idleDetection") && now - lastSeen >= getIdleThresholdMs()) {
+      idleSince = lastSeen;
+      askAboutIdle(now);
+    }
+  }
+  notify();
+  syncEntries().catch(() => {});
+}
+
+// On quit: one last heartbeat so the next start knows when the app closed
+function stop(now = Date.now()) {
+  clearInterval(tickTimer);
+  clearInterval(syncTimer);
+  tickTimer = null;
+  syncTimer = null;
+  const running = getRunning();
+  if (running) {
+    setRunning({ ...running, lastSeenAt: iso(now) });
+  }
+}
+
+function registerIpcHandlers() {
+  ipc.handle(CHANNELS.START_TIMER, (event, taskId, options) => startTimer(taskId, options || {}));
+  ipc.handle(CHANNELS.STOP_TIMER, () => stopTimer());
+  ipc.handle(CHANNELS.GET_TIMER_STATUS, () => getStatus());
+  ipc.handle(CHANNELS.LIST_TIME_ENTRIES, (event, taskId) => listEntries(taskId));
+  ipc.handle(CHANNELS.SYNC_TIME_ENTRIES, () => syncEntries());
+}
+
+module.exports = {
+  TICK_MS,
+  init,
+  formatDuration,
+  getStatus,
+  startTimer,
+  stopTimer,
+  listEntries,
+  resolveIdle,
+  askAboutIdle,
+  markIdle,
+  markActive,
+  tick,
+  syncEntries,
+  start,
+  stop,
+  registerIpcHandlers
+};
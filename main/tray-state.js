@@ -0,0 +1,155 @@
+// ============================================
+// TRAY STATE (BADGE COUNTS AND TODAY'S TASKS)
+// ============================================
+// What the tray shows: unread/overdue counts and a short list of today's
+// and overdue tasks. The renderer pushes updates while it's open
+// (electronAPI.updateTrayState); while the window is closed the main
+// process polls the server itself.
+
+const api = require("./api");
+
+const POLL_INTERVAL_MS = 5 * 60 * 1000;
+const MAX_MENU_TASKS = 10;
+
+const UNREAD_COUNT_PATH = "api/notifications/unread-count";
+
+let state = {
+  unreadCount: 0,
+  overdueCount: 0,
+  tasks: [], // [{ id, title, dueDate, projectId, projectName, workspaceSlug, overdue }]
+  updatedAt: null,
+  source: null // "renderer" | "poll"
+};
+
+let onChange = () => {};
+let shouldPoll = () => true;
+let pollTimer = null;
+
+function init(options) {
+  onChange = options.onChange || onChange;
+  shouldPoll = options.shouldPoll || shouldPoll;
+}
+
+function getState() {
+  return state;
+}
+
+function toNumber(value) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? Math.floor(number) : 0;
+}
+
+function normalizeTask(task) {
+  return {
+    id: String(task.id || task._id),
+    title: String(task.title || task.name || "Untitled task").slice(0, 80),
+    dueDate: task.dueDate || task.due_date || null,
+    projectId: task.projectId || task.project_id || null,
+    projectName: task.projectName || null,
+    workspaceSlug: task.workspaceSlug || null,
+    overdue: !!task.overdue
+  };
+}
+
+// Replace the state with what the renderer (or the poller) reports
+function update(next, source) {
+  const tasks = Array.isArray(next.tasks)
+    ? next.tasks.filter((task) => task && (task.id || task._id)).map(normalizeTask)
+    : state.tasks;
+
+  state = {
+    unreadCount: next.unreadCount !== undefined ? toNumber(next.unreadCount) : state.unreadCount,
+    overdueCount: next.overdueCount !== undefined
+      ? toNumber(next.overdueCount)
+      : tasks.filter((task) => task.overdue).length,
+    tasks: tasks
+      .sort((a, b) => (b.overdue - a.overdue) || String(a.dueDate).localeCompare(String(b.dueDate)))
+      .slice(0, MAX_MENU_TASKS),
+    updatedAt: new Date().toISOString(),
+    source
+  };
+  onChange(state);
+  return state;
+}
+
+// Drop a task from the list (e.g. after "Mark complete")
+function removeTask(taskId) {
+  const task = state.tasks.find((item) => item.id === String(taskId));
+  if (!task) return;
+  update({
+    tasks: state.tasks.filter((item) => item.id !== String(taskId)),
+    overdueCount: task.overdue ? Math.max(0, state.overdueCount - 1) : state.overdueCount
+  }, state.source);
+}
+
+function clear() {
+  update({ unreadCount: 0, overdueCount: 0, tasks: [] }, null);
+}
+
+function isCompleted(task) {
+  return task.completed === true || task.status === "completed" || task.status === "done";
+}
+
+// Today's and overdue open tasks from a full task list
+function summarizeTasks(tasks, now = new Date()) {
+  const endOfToday = new Date(now);
+  endOfToday.setHours(23, 59, 59, 999);
+  const startOfToday = new Date(now);
+  startOfToday.setHours(0, 0, 0, 0);
+
+  return tasks
+    .filter((task) => !isCompleted(task))
+    .map((task) => {
+      const due = task.dueDate || task.due_date;
+      if (!due) return null;
+      const dueDate = new Date(due);
+      if (Number.isNaN(dueDate.getTime()) || dueDate > endOfToday) return null;
+      return normalizeTask({ ...task, overdue: dueDate < startOfToday });
+    })
+    .filter(Boolean);
+}
+
+// Fetch counts and tasks from the server (window closed)
+async function poll() {
+  if (!api.hasToken()) return state;
+  try {
+    const [tasksData, unreadData] = await Promise.all([
+      api.request("GET", api.API_PATHS.tasks),
+      api.request("GET", UNREAD_COUNT_PATH).catch(() => null)
+    ]);
+    const tasks = summarizeTasks(api.unwrapList(tasksData, "tasks"));
+    const unreadCount = unreadData && typeof unreadData === "object"
+      ? (unreadData.count !== undefined ? unreadData.count : unreadData.unreadCount)
+      : unreadData;
+    return update({ tasks, unreadCount: unreadCount !== null ? unreadCount : state.unreadCount }, "poll");
+  } catch (error) {
+    console.warn("⚠️ Tray poll failed:", error.message);
+    return state;
+  }
+}
+
+function startPolling() {
+  if (pollTimer) return;
+  pollTimer = setInterval(() => {
+    if (shouldPoll()) poll();
+  }, POLL_INTERVAL_MS);
+}
+
+function stopPolling() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+module.exports = {
+  init,
+  getState,
+  update,
+  removeTask,
+  clear,
+  summarizeTasks,
+  poll,
+  startPolling,
+  stopPolling
+};
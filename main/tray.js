@@ -0,0 +1,505 @@
+// ============================================
+// TRAY
+// ============================================
+// Tray icon, badge counts and the tray menu: today's tasks, notifications,
+// accounts, server switching and updates. The menu is rebuilt whenever its
+// contents change (buildTrayMenu).
+
+const { app, Menu, Notification, Tray, nativeImage } = require("electron");
+const ipc = require("./ipc");
+const { CHANNELS, EVENTS } = require("./ipc-contract");
+const config = require("./config");
+const accounts = require("./accounts");
+const serverProfiles = require("./server-profiles");
+const trayState = require("./tray-state");
+const offline = require("./offline");
+const reminders = require("./reminders");
+const notificationCenter = require("./notification-center");
+const notificationActions = require("./notification-actions");
+const updater = require("./updater");
+const windows = require("./windows");
+const storage = require("./storage");
+const notifications = require("./notifications");
+const quickAdd = require("./quick-add");
+const attachments = require("./attachments");
+const timeTracker = require("./time-tracker");
+
+let tray = null;
+let timerTaskId = null; // task of the running timer (null: none) as shown in the menu
+
+// Tray badge counts and today's tasks (pushed by the renderer, polled while the window is closed)
+function init() {
+  trayState.init({
+    onChange: () => {
+      updateTrayBadge();
+      buildTrayMenu();
+    },
+    shouldPoll: () => {
+      const mainWindow = windows.getMainWindow();
+      return !mainWindow || !mainWindow.isVisible();
+    }
+  });
+}
+
+// "Switch server" tray submenu
+function buildServerMenu() {
+  const envOverride = serverProfiles.getEnvOverrideName();
+  const activeProfile = serverProfiles.getActiveProfile();
+  const items = [];
+
+  if (envOverride) {
+    items.push({ label: `Set by ${envOverride}`, enabled: false });
+    items.push({ type: "separator" });
+  }
+
+  for (const profile of serverProfiles.listProfiles()) {
+    items.push({
+      label: profile.name,
+      sublabel: profile.url,
+      type: "radio",
+      checked: !!activeProfile && activeProfile.id === profile.id,
+      enabled: !envOverride,
+      click: () => {
+        try {
+          config.switchServerProfile(profile.id);
+        } catch (error) {
+          console.error("❌ Error switching server:", error);
+        }
+      }
+    });
+  }
+
+  if (items.length > 0) {
+    items.push({ type: "separator" });
+  }
+  items.push({
+    label: "Manage servers...",
+    click: () => windows.openServerSettingsWindow()
+  });
+  return items;
+}
+
+// "Stop timer" while one runs (the elapsed time is in the tooltip/title)
+function buildTimerMenu() {
+  const status = timeTracker.getStatus();
+  if (!status.running) return [];
+  return [{
+    label: `Stop timer: ${status.taskTitle || `task ${status.taskId}`}`,
+    click: () => timeTracker.stopTimer()
+  }];
+}
+
+// The timer ticked, started or stopped. The menu only changes with the task
+function showTimer(status) {
+  if (!tray) return;
+  updateTrayText();
+  const taskId = status.running ? status.taskId : null;
+  if (taskId !== timerTaskId) {
+    timerTaskId = taskId;
+    buildTrayMenu();
+  }
+}
+
+// Tray item: "Restart to update" once downloaded, otherwise "Check for updates"
+function buildUpdateMenuItem() {
+  const state = updater.getState();
+  if (state.status === "downloaded") {
+    return {
+      label: `Restart to update (${state.availableVersion})`,
+      click: () => updater.installUpdate()
+    };
+  }
+  return {
+    label: "Check for updates...",
+    click: () => {
+      windows.openUpdatesWindow();
+      updater.checkForUpdates({ manual: true });
+    }
+  };
+}
+
+// "Accounts" tray submenu
+function buildAccountsMenu() {
+  const items = accounts.listAccounts().map((account) => ({
+    label: account.label,
+    type: "radio",
+    checked: account.active,
+    click: () => {
+      if (account.active) return;
+      try {
+        storage.switchAccount(account.id);
+      } catch (error) {
+        console.error("❌ Error switching account:", error);
+      }
+    }
+  }));
+
+  if (items.length > 0) {
+    items.push({ type: "separator" });
+  }
+  items.push({
+    label: "Add account...",
+    click: () => storage.addAccount()
+  });
+
+  const activeAccount = accounts.getActiveAccount();
+  if (activeAccount) {
+    items.push({
+      label: `Log out of ${activeAccount.label}`,
+      click: () => storage.removeAccount(activeAccount.id).catch((error) => {
+        console.error("❌ Error logging out:", error);
+      })
+    });
+  }
+  return items;
+}
+
+// Today's and overdue tasks, each with "Open" and "Mark complete"
+function buildTodayMenu() {
+  const { tasks, unreadCount, overdueCount } = trayState.getState();
+  const items = [];
+
+  const counts = [];
+  if (unreadCount > 0) counts.push(`${unreadCount} unread`);
+  if (overdueCount > 0) counts.push(`${overdueCount} overdue`);
+  if (counts.length > 0) {
+    items.push({ label: counts.join(" · "), enabled: false });
+  }
+
+  if (tasks.length === 0) {
+    items.push({ label: "No tasks due today", enabled: false });
+    return items;
+  }
+
+  items.push({
+    label: `Today (${tasks.length})`,
+    submenu: tasks.map((task) => ({
+      label: `${task.overdue ? "⚠️ " : ""}${task.title}`,
+      sublabel: task.projectName || undefined,
+      submenu: [
+        {
+          label: "Open",
+          click: () => windows.openInMainWindow({
+            taskId: task.id,
+            projectId: task.projectId,
+            workspaceSlug: task.workspaceSlug,
+            type: "task",
+            entityType: "task",
+            entityId: task.id
+          })
+        },
+        {
+          label: "Mark complete",
+          click: () => completeTaskFromTray(task)
+        }
+      ]
+    }))
+  });
+  return items;
+}
+
+// "3 unread, 1 overdue" ("" when there's nothing)
+function getBadgeSummary({ unreadCount, overdueCount }) {
+  const parts = [];
+  if (unreadCount > 0) parts.push(`${unreadCount} unread`);
+  if (overdueCount > 0) parts.push(`${overdueCount} overdue`);
+  return parts.join(", ");
+}
+
+// Tooltip, and title next to the icon on macOS: badge counts and the running timer
+function updateTrayText() {
+  if (!tray) return;
+  const { unreadCount, overdueCount } = trayState.getState();
+  const total = unreadCount + overdueCount;
+  const timer = timeTracker.getStatus();
+  const elapsed = timer.running ? timeTracker.formatDuration(timer.elapsedSeconds) : null;
+
+  const parts = [getBadgeSummary({ unreadCount, overdueCount })];
+  if (elapsed) parts.push(`${elapsed} on ${timer.taskTitle || `task ${timer.taskId}`}`);
+  const text = parts.filter(Boolean).join(", ");
+  tray.setToolTip(text ? `OCS Task Manager - ${text}` : "OCS Task Manager");
+
+  if (process.platform === "darwin") {
+    tray.setTitle([elapsed, total > 0 ? String(total) : null].filter(Boolean).join("  "));
+  }
+}
+
+// Badge: tray title on macOS, overlay icon on Windows, tooltip everywhere (Linux)
+function updateTrayBadge() {
+  const state = trayState.getState();
+  const total = state.unreadCount + state.overdueCount;
+  const summary = getBadgeSummary(state);
+
+  updateTrayText();
+
+  if (process.platform === "win32") {
+    const mainWindow = windows.getMainWindow();
+    if (mainWindow) {
+      mainWindow.setOverlayIcon(total > 0 ? getBadgeIcon() : null, summary);
+    }
+  } else {
+    // Dock badge on macOS, launcher badge on Unity-based Linux desktops
+    app.setBadgeCount(total);
+  }
+}
+
+// Small red dot for the Windows taskbar overlay, drawn once
+let badgeIcon = null;
+function getBadgeIcon() {
+  if (badgeIcon) return badgeIcon;
+  const size = 16;
+  const buffer = Buffer.alloc(size * size * 4);
+  const center = (size - 1) / 2;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const inside = Math.hypot(x - center, y - center) <= size / 2 - 0.5;
+      const offset = (y * size + x) * 4;
+      // BGRA
+      buffer[offset] = 0x26;
+      buffer[offset + 1] = 0x26;
+      buffer[offset + 2] = 0xdc;
+      buffer[offset + 3] = inside ? 0xff : 0x00;
+    }
+  }
+  badgeIcon = nativeImage.createFromBitmap(buffer, { width: size, height: size });
+  return badgeIcon;
+}
+
+// Complete a task straight from the tray (queued if offline)
+function completeTaskFromTray(task) {
+  try {
+    offline.queueOperation({ type: "complete", taskId: task.id });
+    trayState.removeTask(task.id);
+    reminders.cancelReminder(task.id);
+    windows.sendToMainWindow(EVENTS.TASK_COMPLETED, { taskId: task.id, source: "tray" });
+    console.log("✅ Task completed from tray:", task.title);
+  } catch (error) {
+    console.error("❌ Error completing task from tray:", error);
+  }
+}
+
+// Recent notifications, do-not-disturb and history actions for the tray
+const TRAY_NOTIFICATION_COUNT = 8;
+function buildNotificationsMenu() {
+  const recent = notificationCenter.queryHistory({ limit: TRAY_NOTIFICATION_COUNT });
+  const dndActive = notificationCenter.isDndActive();
+  const { dnd } = notificationCenter.getPreferences();
+
+  const items = recent.length > 0
+    ? recent.map((entry) => ({
+      label: `${entry.read ? "" : "● "}${String(entry.title || "Notification").slice(0, 60)}`,
+      submenu: [
+        { label: "Open", click: () => notifications.openNotification(entry) },
+        // Fallback for platforms without notification buttons
+        ...(entry.actions || [])
+          .filter((action) => action.type === "complete")
+          .map((action) => ({
+            label: action.label,
+            click: () => notificationActions.perform("complete", entry)
+          })),
+        {
+          label: "Snooze 1 hour",
+          click: () => {
+            try {
+              notificationCenter.snooze(entry.id, 60);
+            } catch (error) {
+              console.error("❌ Error snoozing notification:", error);
+            }
+          }
+        }
+      ]
+    }))
+    : [{ label: "No notifications", enabled: false }];
+
+  const tomorrowMorning = new Date();
+  tomorrowMorning.setDate(tomorrowMorning.getDate() + 1);
+  tomorrowMorning.setHours(8, 0, 0, 0);
+
+  // A manual pause and quiet hours both make DND active; "Off" only ends the pause
+  const until = dnd.until ? new Date(dnd.until) : null;
+  const paused = !!until && until > new Date();
+  const quietHours = dndActive && !paused;
+  // "For 1 hour" never lands exactly on 08:00:00.000
+  const untilTomorrow = paused && until.getHours() === 8 && until.getMinutes() === 0 &&
+    until.getSeconds() === 0 && until.getMilliseconds() === 0;
+
+  return [
+    ...items,
+    { type: "separator" },
+    {
+      label: dndActive ? "Do not disturb (on)" : "Do not disturb",
+      submenu: [
+        quietHours
+          ? { label: `Quiet hours until ${dnd.end}`, type: "radio", checked: true, enabled: false }
+          : {
+            label: "Off",
+            type: "radio",
+            checked: !dndActive,
+            click: () => notificationCenter.setDoNotDisturbUntil(null)
+          },
+        {
+          label: "For 1 hour",
+          type: "radio",
+          checked: paused && !untilTomorrow,
+          click: () => notificationCenter.setDoNotDisturbUntil(new Date(Date.now() + 60 * 60 * 1000))
+        },
+        {
+          label: "Until tomorrow",
+          type: "radio",
+          checked: untilTomorrow,
+          click: () => notificationCenter.setDoNotDisturbUntil(tomorrowMorning)
+        },
+        { type: "separator" },
+        {
+          label: `Use schedule (${dnd.start}–${dnd.end})`,
+          type: "checkbox",
+          checked: dnd.scheduleEnabled,
+          click: (item) => notificationCenter.setPreferences({ dnd: { scheduleEnabled: item.checked } })
+        }
+      ]
+    },
+    {
+      label: "Mark all as read",
+      enabled: recent.some((entry) => !entry.read),
+      click: () => notificationCenter.markRead()
+    },
+    {
+      label: "Clear history",
+      enabled: recent.length > 0,
+      click: () => notificationCenter.clearHistory()
+    }
+  ];
+}
+
+// (Re)build the tray context menu - called whenever its contents change
+function buildTrayMenu() {
+  if (!tray) return;
+
+  const contextMenu = Menu.buildFromTemplate([
+    {
+      label: "Open OCS Task Manager",
+      click: () => windows.showMainWindow()
+    },
+    {
+      label: "Quick add task",
+      accelerator: quickAdd.getShortcut() || undefined,
+      click: () => quickAdd.openQuickAddWindow()
+    },
+    ...buildTimerMenu(),
+    { type: "separator" },
+    ...buildTodayMenu(),
+    { type: "separator" },
+    {
+      label: "Notifications",
+      submenu: buildNotificationsMenu()
+    },
+    {
+      label: "Accounts",
+      submenu: buildAccountsMenu()
+    },
+    {
+      label: "Switch server",
+      submenu: buildServerMenu()
+    },
+    buildUpdateMenuItem(),
+    {
+      label: "Settings...",
+      click: () => windows.openSettingsWindow()
+    },
+    { type: "separator" },
+    {
+      // Closing the window only hides it - this is the way out
+      label: "Quit OCS Task Manager",
+      click: () => {
+        app.quit();
+      }
+    }
+  ]);
+
+  tray.setContextMenu(contextMenu);
+}
+
+// Create system tray
+function createTray() {
+  try {
+    // Get icon path using centralized helper
+    const iconPath = config.getIconPath();
+
+    let icon;
+    if (iconPath) {
+      icon = nativeImage.createFromPath(iconPath);
+    } else {
+      icon = nativeImage.createEmpty();
+    }
+
+    // Create tray with icon (or empty if none found)
+    tray = new Tray(icon);
+
+    tray.setToolTip("OCS Task Manager");
+    buildTrayMenu();
+    updateTrayBadge();
+
+    tray.on("click", () => {
+      windows.showMainWindow();
+    });
+
+    // Files dropped on the icon (macOS) become a task or attachments
+    tray.on("drop-files", (event, files) => {
+      attachments.handleTrayDrop(files);
+    });
+  } catch (error) {
+    console.log("⚠️ System tray not available:", error.message);
+  }
+}
+
+// Whether the window can hide to the tray (the tray may be unavailable on Linux)
+function isAvailable() {
+  return !!tray;
+}
+
+// First time the window hides to the tray: explain the app is still running
+// (balloon on Windows, a notification elsewhere)
+let backgroundHintShown = false;
+function showBackgroundHint() {
+  const { store } = config;
+  if (!tray || backgroundHintShown || (store && store.get("backgroundHintShown"))) return;
+  backgroundHintShown = true;
+  if (store) store.set("backgroundHintShown", true);
+
+  const title = "OCS Task Manager is still running";
+  const content = "You'll keep getting notifications. Use Quit in the tray menu to exit, or change this in Settings.";
+  if (process.platform === "win32") {
+    tray.displayBalloon({ iconType: "info", title, content });
+  } else if (Notification.isSupported()) {
+    new Notification({ title, body: content, silent: true }).show();
+  }
+}
+
+// ============================================
+// IPC HANDLERS FOR THE TRAY
+// ============================================
+
+function registerIpcHandlers() {
+  // Renderer pushes counts and today's tasks:
+  // { unreadCount, overdueCount, tasks: [{ id, title, dueDate, projectId, projectName, workspaceSlug, overdue }] }
+  ipc.handle(CHANNELS.UPDATE_TRAY_STATE, (event, state) => {
+    try {
+      trayState.update(state || {}, "renderer");
+      return { success: true };
+    } catch (error) {
+      console.error("❌ Error updating tray state:", error);
+      return { success: false, error: error.message };
+    }
+  });
+}
+
+module.exports = {
+  init,
+  createTray,
+  buildTrayMenu,
+  showTimer,
+  updateTrayBadge,
+  isAvailable,
+  showBackgroundHint,
+  registerIpcHandlers
+};
@@ -0,0 +1,404 @@
+// ============================================
+// AUTO-UPDATER (CHANNELS, STAGED ROLLOUT, UPDATE STATE)
+// ============================================
+// Wraps electron-updater and keeps one update state object that the
+// renderer, the tray and the updates window all read:
+//   { status, currentVersion, channel, availableVersion, releaseNotes,
+//     releaseDate, progress, error, feedURL, feedWarning, skippedVersion,
+//     deferredUntil, lastCheckedAt }
+// status: disabled | idle | checking | not-available | available |
+//         downloading | downloaded | skipped | error
+//
+// Feed: generic provider at `${SERVER_URL}/desktop/updates`, one metadata
+// file per channel (latest.yml for stable, beta.yml for beta).
+// Staged rollout: ops sets `stagingPercentage: 10` in the channel's yml to
+// ship to a pilot group first (electron-updater picks a stable random id per
+// install), then raises it to 100. Pilot machines can also opt into "beta".
+
+const { app } = require("electron");
+const ipc = require("./ipc");
+const { CHANNELS } = require("./ipc-contract");
+const settings = require("./settings");
+const lifecycle = require("./lifecycle");
+
+const UPDATE_CHANNELS = ["stable", "beta"];
+const CHECK_INTERVAL_MS = 4 * 60 * 60 * 1000;
+const DEFAULT_DEFER_HOURS = 24;
+
+let autoUpdater = null;
+try {
+  autoUpdater = require("electron-updater").autoUpdater;
+} catch (error) {
+  console.warn("⚠️ electron-updater not available:", error.message);
+  console.warn("⚠️ Auto-update functionality will be disabled");
+}
+
+let store = null;
+let getServerURL = () => null;
+let onStateChange = () => {};
+let checkTimer = null;
+let downloading = null; // { channel, version } of the download under way
+
+let state = {
+  status: autoUpdater ? "idle" : "disabled",
+  currentVersion: app.getVersion(),
+  channel: "stable",
+  availableVersion: null,
+  releaseNotes: null,
+  releaseDate: null,
+  progress: null, // { percent, transferred, total, bytesPerSecond }
+  error: autoUpdater ? null : "electron-updater is not available in this build",
+  feedURL: null,
+  feedWarning: null,
+  skippedVersion: null,
+  deferredUntil: null,
+  lastCheckedAt: null
+};
+
+function init(options) {
+  store = options.store || null;
+  getServerURL = options.getServerURL || getServerURL;
+  onStateChange = options.onStateChange || onStateChange;
+
+  const saved = getSettings();
+  state = {
+    ...state,
+    channel: saved.channel,
+    skippedVersion: saved.skippedVersion,
+    deferredUntil: saved.deferredUntil
+  };
+
+  // Channel changes from setChannel() or the settings window
+  settings.watch("updateChannel", applyChannel);
+
+  if (autoUpdater) {
+    // Downloads are started here so a skipped version is never fetched
+    autoUpdater.autoDownload = false;
+    autoUpdater.autoInstallOnAppQuit = true;
+    attachEvents();
+  }
+}
+
+// ---------- settings ----------
+// The channel is a user setting (main/settings.js); skip/defer live under "updates"
+
+function getSettings() {
+  const saved = (store && store.get("updates")) || {};
+  return {
+    channel: settings.get("updateChannel"),
+    skippedVersion: saved.skippedVersion || null,
+    deferredUntil: saved.deferredUntil || null
+  };
+}
+
+function saveSettings(changes) {
+  const { channel, ...next } = { ...getSettings(), ...changes };
+  if (store) store.set("updates", next);
+  return next;
+}
+
+function getState() {
+  return state;
+}
+
+function setState(changes) {
+  state = { ...state, ...changes };
+  onStateChange(state);
+}
+
+// ---------- feed ----------
+
+// Point the updater at the current server and channel (re-run when either changes)
+function configureFeed() {
+  const serverURL = getServerURL();
+  if (!serverURL) return;
+
+  // Remove trailing slash from SERVER_URL for update URL construction
+  const baseUrl = serverURL.endsWith("/") ? serverURL.slice(0, -1) : serverURL;
+  const feedURL = `${baseUrl}/desktop/updates`;
+
+  // Electron's auto-updater requires HTTPS (macOS refuses plain HTTP,
+  // signature checks on Windows can't be trusted over it)
+  const feedWarning = feedURL.startsWith("https://")
+    ? null
+    : "Updates need an HTTPS server. This server uses HTTP, so automatic updates are off - ask your administrator for an HTTPS address or install updates manually.";
+  if (feedWarning) {
+    console.warn("⚠️ Auto-updater requires HTTPS. Current URL is HTTP:", feedURL);
+  }
+
+  setState({ feedURL, feedWarning });
+
+  if (!autoUpdater) return;
+  autoUpdater.setFeedURL({
+    provider: "generic",
+    url: feedURL
+  });
+  autoUpdater.channel = state.channel === "stable" ? "latest" : state.channel;
+  autoUpdater.allowPrerelease = state.channel !== "stable";
+  // Switching beta -> stable should go back to the stable build
+  autoUpdater.allowDowngrade = state.channel === "stable";
+}
+
+// ---------- release notes ----------
+
+// electron-updater gives a string (possibly HTML) or [{ version, note }]
+function normalizeReleaseNotes(notes) {
+  if (!notes) return null;
+  const text = Array.isArray(notes)
+    ? notes.map((item) => `${item.version}\n${item.note || ""}`).join("\n\n")
+    : String(notes);
+  return text
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(p|li|h\d)>/gi, "\n")
+    .replace(/<li>/gi, "• ")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// ---------- events ----------
+
+function attachEvents() {
+  autoUpdater.on("checking-for-update", () => {
+    console.log("🔍 Checking for updates...");
+    setState({ status: "checking", error: null });
+  });
+
+  autoUpdater.on("update-available", (info) => {
+    console.log("✅ Update available:", info.version);
+    const details = {
+      availableVersion: info.version,
+      releaseNotes: normalizeReleaseNotes(info.releaseNotes),
+      releaseDate: info.releaseDate || null,
+      lastCheckedAt: new Date().toISOString()
+    };
+    if (info.version === state.skippedVersion) {
+      console.log("⏭️ Update skipped by user:", info.version);
+      setState({ ...details, status: "skipped" });
+      return;
+    }
+    setState({ ...details, status: "available" });
+    downloadUpdate();
+  });
+
+  autoUpdater.on("update-not-available", (info) => {
+    console.log("✅ App is up to date:", info.version);
+    setState({ status: "not-available", availableVersion: null, lastCheckedAt: new Date().toISOString() });
+  });
+
+  autoUpdater.on("error", (err) => {
+    console.error("❌ Update error:", err);
+    setState({ status: "error", error: err.message || "An error occurred while checking for updates." });
+  });
+
+  autoUpdater.on("download-progress", (progressObj) => {
+    if (isStaleDownload()) return;
+    const percent = Math.round(progressObj.percent);
+    console.log(`📥 Download progress: ${percent}%`);
+    setState({
+      status: "downloading",
+      progress: {
+        percent,
+        transferred: progressObj.transferred,
+        total: progressObj.total,
+        bytesPerSecond: progressObj.bytesPerSecond
+      }
+    });
+  });
+
+  autoUpdater.on("update-downloaded", (info) => {
+    console.log("✅ Update downloaded:", info.version);
+    if (isStaleDownload(info.version)) {
+      // Started on the channel the user left: never installed
+      console.log("⏭️ Ignoring an update downloaded from the previous channel:", info.version);
+      autoUpdater.autoInstallOnAppQuit = false;
+      return;
+    }
+    downloading = null;
+    if (info.version === state.skippedVersion) {
+      // Skipped while it was downloading
+      autoUpdater.autoInstallOnAppQuit = false;
+      setState({ status: "skipped", progress: null });
+      return;
+    }
+    // Installed on quit unless the user skips it
+    autoUpdater.autoInstallOnAppQuit = true;
+    setState({
+      status: "downloaded",
+      availableVersion: info.version,
+      releaseNotes: normalizeReleaseNotes(info.releaseNotes) || state.releaseNotes,
+      progress: null
+    });
+  });
+}
+
+// ---------- actions ----------
+
+function canUpdate() {
+  if (!autoUpdater) {
+    return "electron-updater is not available in this build";
+  }
+  if (!app.isPackaged) {
+    return "Updates are only available in installed builds";
+  }
+  if (state.feedWarning) {
+    return state.feedWarning;
+  }
+  return null;
+}
+
+// Check now; manual checks also show a skipped version again
+async function checkForUpdates(options = {}) {
+  const reason = canUpdate();
+  if (reason) {
+    setState({ status: autoUpdater ? "error" : "disabled", error: reason });
+    return { success: false, error: reason };
+  }
+  if (state.status === "downloading" || state.status === "downloaded") {
+    return { success: true, state };
+  }
+  if (options.manual && state.skippedVersion) {
+    saveSettings({ skippedVersion: null });
+    setState({ skippedVersion: null });
+  }
+  try {
+    await autoUpdater.checkForUpdates();
+    return { success: true, state };
+  } catch (error) {
+    setState({ status: "error", error: error.message });
+    return { success: false, error: error.message };
+  }
+}
+
+// A download started before the channel changed (or for another version)
+function isStaleDownload(version) {
+  if (!downloading) return false;
+  return downloading.channel !== state.channel || (version !== undefined && version !== downloading.version);
+}
+
+async function downloadUpdate() {
+  if (!autoUpdater || state.status === "downloading" || state.status === "downloaded") {
+    return { success: true, state };
+  }
+  const current = { channel: state.channel, version: state.availableVersion };
+  downloading = current;
+  setState({ status: "downloading", progress: { percent: 0, transferred: 0, total: 0, bytesPerSecond: 0 } });
+  try {
+    await autoUpdater.downloadUpdate();
+    return { success: true, state };
+  } catch (error) {
+    if (downloading !== current) {
+      return { success: false, error: error.message };
+    }
+    downloading = null;
+    setState({ status: "error", error: error.message, progress: null });
+    return { success: false, error: error.message };
+  }
+}
+
+// Restart now and install the downloaded update
+function installUpdate() {
+  if (!autoUpdater || state.status !== "downloaded") {
+    return { success: false, error: "No update has been downloaded" };
+  }
+  saveSettings({ deferredUntil: null });
+  // Windows close before "before-quit" here - don't let them hide to the tray
+  lifecycle.markQuitting();
+  autoUpdater.quitAndInstall(false, true);
+  return { success: true };
+}
+
+// "Later": don't remind again for a while (still installs on quit)
+function deferUpdate(hours) {
+  const deferredUntil = new Date(Date.now() + (Number(hours) || DEFAULT_DEFER_HOURS) * 60 * 60 * 1000).toISOString();
+  saveSettings({ deferredUntil });
+  setState({ deferredUntil });
+  return { success: true, deferredUntil };
+}
+
+// Never install this version (a newer one is offered again)
+function skipVersion(version) {
+  const skippedVersion = version || state.availableVersion;
+  if (!skippedVersion) {
+    return { success: false, error: "No version to skip" };
+  }
+  saveSettings({ skippedVersion, deferredUntil: null });
+  if (autoUpdater) {
+    autoUpdater.autoInstallOnAppQuit = false;
+  }
+  setState({ skippedVersion, deferredUntil: null, status: "skipped", progress: null });
+  return { success: true, skippedVersion };
+}
+
+function isDeferred() {
+  return !!state.deferredUntil && new Date(state.deferredUntil) > new Date();
+}
+
+function setChannel(channel) {
+  if (!UPDATE_CHANNELS.includes(channel)) {
+    return { success: false, error: `Unknown update channel: ${channel}` };
+  }
+  const result = settings.set("updateChannel", channel);
+  return result.success ? { success: true, channel } : result;
+}
+
+// A build already downloaded from the old channel is dropped, not installed
+// on quit; one still downloading is ignored once it's done (isStaleDownload)
+function applyChannel(channel) {
+  saveSettings({ skippedVersion: null });
+  if (autoUpdater) {
+    autoUpdater.autoInstallOnAppQuit = false;
+  }
+  setState({
+    channel,
+    skippedVersion: null,
+    availableVersion: null,
+    releaseNotes: null,
+    releaseDate: null,
+    progress: null,
+    status: autoUpdater ? "idle" : "disabled"
+  });
+  configureFeed();
+  console.log("🔀 Update channel:", channel);
+  checkForUpdates().catch(() => {});
+}
+
+// Check on start and every few hours (installed builds only)
+function start() {
+  configureFeed();
+  if (canUpdate() || checkTimer) return;
+  checkForUpdates();
+  checkTimer = setInterval(() => checkForUpdates(), CHECK_INTERVAL_MS);
+}
+
+// ---------- IPC ----------
+
+function registerIpcHandlers() {
+  ipc.handle(CHANNELS.GET_UPDATE_STATE, () => getState());
+  ipc.handle(CHANNELS.CHECK_FOR_UPDATES, () => checkForUpdates({ manual: true }));
+  ipc.handle(CHANNELS.DOWNLOAD_UPDATE, () => downloadUpdate());
+  ipc.handle(CHANNELS.INSTALL_UPDATE, () => installUpdate());
+  ipc.handle(CHANNELS.DEFER_UPDATE, (event, hours) => deferUpdate(hours));
+  ipc.handle(CHANNELS.SKIP_UPDATE_VERSION, (event, version) => skipVersion(version));
+  // "stable" | "beta"
+  ipc.handle(CHANNELS.SET_UPDATE_CHANNEL, (event, channel) => setChannel(channel));
+}
+
+module.exports = {
+  CHANNELS: UPDATE_CHANNELS,
+  init,
+  start,
+  configureFeed,
+  getState,
+  checkForUpdates,
+  downloadUpdate,
+  installUpdate,
+  deferUpdate,
+  skipVersion,
+  isDeferred,
+  setChannel,
+  registerIpcHandlers
+};
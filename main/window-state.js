@@ -0,0 +1,130 @@
+// ============================================
+// WINDOW STATE PERSISTENCE
+// ============================================
+// Remembers the main window's bounds, maximized/fullscreen state and the
+// display it was on. On restore the bounds are clamped to a display that
+// still exists, so a window last seen on a disconnected monitor comes back
+// on the primary display instead of off-screen.
+
+const { screen } = require("electron");
+
+const SAVE_DELAY_MS = 500;
+const STATE_KEY = "windowState";
+
+let store = null;
+
+function init(options) {
+  store = options.store || null;
+}
+
+function load() {
+  if (!store) return null;
+  return store.get(STATE_KEY) || null;
+}
+
+function intersects(a, b) {
+  return a.x < b.x + b.width && a.x + a.width > b.x &&
+    a.y < b.y + b.height && a.y + a.height > b.y;
+}
+
+// Fit bounds inside a work area (shrinking if the display is smaller)
+function clampToArea(bounds, area) {
+  const width = Math.min(bounds.width, area.width);
+  const height = Math.min(bounds.height, area.height);
+  const x = Math.min(Math.max(bounds.x, area.x), area.x + area.width - width);
+  const y = Math.min(Math.max(bounds.y, area.y), area.y + area.height - height);
+  return { x, y, width, height };
+}
+
+function centerInArea(size, area) {
+  const width = Math.min(size.width, area.width);
+  const height = Math.min(size.height, area.height);
+  return {
+    x: Math.round(area.x + (area.width - width) / 2),
+    y: Math.round(area.y + (area.height - height) / 2),
+    width,
+    height
+  };
+}
+
+// Bounds and flags to create the window with
+// defaults: { width, height } used when nothing was saved
+function getRestoreState(defaults) {
+  const saved = load();
+  const primaryArea = screen.getPrimaryDisplay().workArea;
+
+  if (!saved || !saved.bounds) {
+    return { bounds: centerInArea(defaults, primaryArea), isMaximized: false, isFullScreen: false };
+  }
+
+  const displays = screen.getAllDisplays();
+  // Prefer the same display (by id), else any display the window overlaps
+  const display = displays.find((item) => item.id === saved.displayId && intersects(saved.bounds, item.workArea)) ||
+    displays.find((item) => intersects(saved.bounds, item.workArea));
+
+  const bounds = display
+    ? clampToArea(saved.bounds, display.workArea)
+    : centerInArea(saved.bounds, primaryArea);
+
+  return {
+    bounds,
+    isMaximized: !!saved.isMaximized,
+    isFullScreen: !!saved.isFullScreen
+  };
+}
+
+function save(window) {
+  if (!store || !window || window.isDestroyed()) return;
+
+  const isMaximized = window.isMaximized();
+  const isFullScreen = window.isFullScreen();
+  // Normal bounds = size to return to after un-maximizing
+  const bounds = isMaximized || isFullScreen || window.isMinimized()
+    ? window.getNormalBounds()
+    : window.getBounds();
+  const display = screen.getDisplayMatching(bounds);
+
+  store.set(STATE_KEY, {
+    bounds,
+    isMaximized,
+    isFullScreen,
+    displayId: display ? display.id : null
+  });
+}
+
+// Save the window's state whenever it changes (debounced) and when it closes
+function track(window) {
+  let saveTimer = null;
+  const scheduleSave = () => {
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(() => save(window), SAVE_DELAY_MS);
+  };
+
+  window.on("resize", scheduleSave);
+  window.on("move", scheduleSave);
+  window.on("maximize", scheduleSave);
+  window.on("unmaximize", scheduleSave);
+  window.on("enter-full-screen", scheduleSave);
+  window.on("leave-full-screen", scheduleSave);
+  window.on("close", () => {
+    clearTimeout(saveTimer);
+    save(window);
+  });
+}
+
+// Apply maximized/fullscreen after the window was created with restored bounds
+function applyFlags(window, state) {
+  if (state.isFullScreen) {
+    window.setFullScreen(true);
+  } else if (state.isMaximized) {
+    window.maximize();
+  }
+}
+
+module.exports = {
+  init,
+  getRestoreState,
+  track,
+  applyFlags,
+  save
+};
@@ -0,0 +1,765 @@
+// ============================================
+// WINDOWS
+// ============================================
+// The main window (loading, connection failures, crash recovery, navigation
+// dispatch) and the small bundled windows: server settings, updates,
+// settings and downloads.
+// Quick add has its own module (main/quick-add.js).
+
+const { app, BrowserWindow, net, clipboard } = require("electron");
+const os = require("os");
+const path = require("path");
+const fs = require("fs");
+const { fileURLToPath } = require("url");
+const config = require("./config");
+const ipc = require("./ipc");
+const { CHANNELS, EVENTS } = require("./ipc-contract");
+const serverProfiles = require("./server-profiles");
+const accounts = require("./accounts");
+const offline = require("./offline");
+const connectionErrors = require("./connection-errors");
+const deepLinks = require("./deep-links");
+const windowState = require("./window-state");
+const security = require("./security");
+const settings = require("./settings");
+const lifecycle = require("./lifecycle");
+const crashRecovery = require("./crash-recovery");
+const downloads = require("./downloads");
+
+const { APP_ROOT, BUILD_DIR, isDev, store } = config;
+
+let mainWindow = null;
+let serverSettingsWindow = null;
+let updatesWindow = null;
+let settingsWindow = null;
+let downloadsWindow = null;
+
+let onMainWindowShown = () => {};
+let onMainWindowClosed = () => {};
+let canHideToTray = () => false;
+let onHiddenToTray = () => {};
+
+// canHideToTray: a tray icon exists to bring the window back
+// onHiddenToTray: closing the window only hid it (see main/lifecycle.js)
+function init(options) {
+  windowState.init({ store });
+  onMainWindowShown = options.onMainWindowShown || onMainWindowShown;
+  onMainWindowClosed = options.onMainWindowClosed || onMainWindowClosed;
+  canHideToTray = options.canHideToTray || canHideToTray;
+  onHiddenToTray = options.onHiddenToTray || onHiddenToTray;
+
+  // A new dev server URL only matters while it's the one loaded
+  settings.watch("devServerURL", () => {
+    if (isDev && mainWindow && !process.env.ELECTRON_DEV_URL) {
+      loadMainContent();
+    }
+  });
+}
+
+function getMainWindow() {
+  return mainWindow;
+}
+
+function sendToMainWindow(channel, payload) {
+  ipc.send(mainWindow, channel, payload);
+}
+
+// Main window and the windows that show shared state (updates, settings, downloads)
+function broadcast(channel, payload) {
+  ipc.send(mainWindow, channel, payload);
+  ipc.send(updatesWindow, channel, payload);
+  ipc.send(settingsWindow, channel, payload);
+  ipc.send(downloadsWindow, channel, payload);
+}
+
+// Load the app into the main window from the current server URL
+// Failures are handled by the "did-fail-load" listener (see handleLoadFailure)
+function loadMainContent() {
+  devFallbackTried = false;
+  const serverURL = config.getServerURL();
+  if (isDev) {
+    // Development: Try React dev server first, fallback to backend-served app
+    const devURL = config.getDevURL();
+    mainWindow.loadURL(devURL).catch(() => {});
+    console.log(`🔧 Development mode: Loading from ${devURL}`);
+    console.log("💡 Make sure your React dev server is running: npm start");
+    console.log("💡 Or set ELECTRON_DEV_URL to load from a different URL");
+  } else {
+    // Production: Load from built files
+    const buildPath = path.join(BUILD_DIR, "index.html");
+    if (fs.existsSync(buildPath)) {
+      mainWindow.loadFile(buildPath);
+      console.log("📦 Production mode: Loading from build files");
+      console.log(`🌐 Server URL: ${serverURL}`);
+    } else {
+      // Fallback: Load from backend server
+      console.log("⚠️ Build files not found. Loading from backend server...");
+      console.log(`🌐 Server URL: ${serverURL}`);
+      mainWindow.loadURL(`${serverURL}`).catch(() => {});
+    }
+  }
+}
+
+// After a server change: reload the app, or open the window if there is none yet
+function reloadMainContent() {
+  resetConnectionFailure();
+  if (mainWindow) {
+    loadMainContent();
+  } else {
+    createWindow();
+  }
+}
+
+// ============================================
+// CONNECTION FAILURE HANDLING
+// ============================================
+// When the app can't be loaded, show pages/connection-error.html with what
+// went wrong and retry with exponential backoff until it works
+
+const ERROR_PAGE_PATH = path.join(APP_ROOT, "pages", "connection-error.html");
+const CRASH_PAGE_PATH = path.join(APP_ROOT, "pages", "crash.html");
+let connectionFailure = null; // { url, errorCode, category, title, message, attempt, nextRetryAt }
+let connectionRetryTimer = null;
+let devFallbackTried = false;
+
+// Bundled pages shown in the main window (connection error, crash)
+function isLocalPageURL(url) {
+  return !!url && url.startsWith("file:") && url.includes("/pages/");
+}
+
+function handleLoadFailure(errorCode, errorDescription, validatedURL) {
+  const serverURL = config.getServerURL();
+
+  // Development: dev server not running - try the backend-served app once
+  if (isDev && !devFallbackTried && !validatedURL.startsWith(serverURL)) {
+    devFallbackTried = true;
+    console.log("⚠️ Dev server not ready. Trying backend-served app...");
+    mainWindow.loadURL(`${serverURL}`).catch(() => {});
+    return;
+  }
+
+  if (validatedURL.startsWith(serverURL)) {
+    offline.reportServerReachable(false);
+  }
+
+  const attempt = connectionFailure ? connectionFailure.attempt + 1 : 0;
+  const delay = connectionErrors.getRetryDelay(attempt);
+  connectionFailure = {
+    ...connectionErrors.describeLoadError(errorCode, errorDescription),
+    url: validatedURL,
+    attempt,
+    failedAt: Date.now(),
+    nextRetryAt: Date.now() + delay
+  };
+  console.error(`❌ Failed to load ${validatedURL}: ${errorDescription} (${errorCode}). Retrying in ${Math.round(delay / 1000)}s`);
+
+  clearTimeout(connectionRetryTimer);
+  connectionRetryTimer = setTimeout(retryConnection, delay);
+  mainWindow.loadFile(ERROR_PAGE_PATH).catch(() => {});
+}
+
+function retryConnection() {
+  clearTimeout(connectionRetryTimer);
+  connectionRetryTimer = null;
+  if (!mainWindow) return;
+  console.log("🔁 Retrying connection...");
+  loadMainContent();
+}
+
+function resetConnectionFailure() {
+  clearTimeout(connectionRetryTimer);
+  connectionRetryTimer = null;
+  connectionFailure = null;
+}
+
+// Everything support needs to know about a failed connection
+function getConnectionDiagnostics() {
+  const activeProfile = serverProfiles.getActiveProfile();
+  const envOverride = serverProfiles.getEnvOverrideName();
+  return {
+    failure: connectionFailure,
+    serverURL: config.getServerURL(),
+    serverProfile: envOverride ? `Set by ${envOverride}` : (activeProfile ? activeProfile.name : null),
+    appVersion: app.getVersion(),
+    electronVersion: process.versions.electron,
+    chromeVersion: process.versions.chrome,
+    platform: `${process.platform} ${os.release()} (${process.arch})`,
+    networkOnline: net.isOnline(),
+    offline: offline.getStatus(),
+    time: new Date().toISOString()
+  };
+}
+
+function formatConnectionDiagnostics() {
+  const diagnostics = getConnectionDiagnostics();
+  const failure = diagnostics.failure || {};
+  return [
+    "OCS Task Manager - connection diagnostics",
+    `Time: ${diagnostics.time}`,
+    `App version: ${diagnostics.appVersion} (Electron ${diagnostics.electronVersion}, Chrome ${diagnostics.chromeVersion})`,
+    `Platform: ${diagnostics.platform}`,
+    `Server profile: ${diagnostics.serverProfile || "Default"}`,
+    `Server URL: ${diagnostics.serverURL}`,
+    `Failed URL: ${failure.url || "-"}`,
+    `Error: ${failure.errorDescription || "-"} (${failure.errorCode || "-"}) [${failure.category || "-"}]`,
+    `Retry attempt: ${failure.attempt !== undefined ? failure.attempt + 1 : "-"}`,
+    `Network online: ${diagnostics.networkOnline}`,
+    `Pending offline changes: ${diagnostics.offline.pendingOperations}`
+  ].join("\n");
+}
+
+// ============================================
+// CRASH AND HANG RECOVERY
+// ============================================
+// Policy and dialogs live in main/crash-recovery.js
+
+let hangDialog = null; // AbortController of the open "not responding" dialog
+
+// Reload at the route the user was on (when it can be loaded again), else the app start
+function reloadAtLastRoute() {
+  const route = crashRecovery.getLastRoute();
+  let restorable = !!route && security.isAllowedURL(route);
+  if (restorable && route.startsWith("file:")) {
+    // History routes of the build aren't files - only hash routes survive a reload
+    restorable = fs.existsSync(fileURLToPath(route.split(/[?#]/)[0]));
+  }
+  if (restorable) {
+    console.log(`🔁 Reloading at ${route}`);
+    mainWindow.loadURL(route).catch(() => {});
+  } else {
+    loadMainContent();
+  }
+}
+
+function handleRendererGone(details) {
+  if (hangDialog) hangDialog.abort();
+  const { count, crashLoop } = crashRecovery.recordCrash(details);
+  console.error(`💥 Main window renderer gone (${details.reason}, exit code ${details.exitCode}) - ${count} recent crash(es)`);
+  if (!mainWindow || mainWindow.isDestroyed()) return;
+
+  if (crashLoop) {
+    console.error("💥 Crash loop - showing the crash page instead of reloading");
+    mainWindow.loadFile(CRASH_PAGE_PATH).catch(() => {});
+    return;
+  }
+  reloadAtLastRoute();
+}
+
+async function handleUnresponsive() {
+  if (hangDialog || !mainWindow) return;
+  console.warn("⏳ Main window not responding");
+  const window = mainWindow;
+  hangDialog = new AbortController();
+  const choice = await crashRecovery.askAboutHang(window, hangDialog.signal);
+  hangDialog = null;
+  if (choice === "reload" && !window.isDestroyed()) {
+    // A hung renderer can't reload itself: end it, "render-process-gone" reloads
+    window.webContents.forcefullyCrashRenderer();
+  }
+}
+
+// "Try again" on the crash page
+function recoverFromCrash() {
+  crashRecovery.resetCrashes();
+  if (mainWindow) reloadAtLastRoute();
+}
+
+// Expose the current server URL to the React app
+function injectServerURL() {
+  if (!mainWindow) return;
+  mainWindow.webContents.executeJavaScript(`
+    (function() {
+      const correctServerURL = ${JSON.stringify(config.getServerURL())};
+      window.ELECTRON_SERVER_URL = correctServerURL;
+      if (window.localStorage) {
+        // Always update to the correct server URL (overwrites any cached wrong IP)
+        window.localStorage.setItem('ELECTRON_SERVER_URL', correctServerURL);
+        console.log('🌐 Server URL set to:', correctServerURL);
+      }
+    })();
+  `).catch(err => console.error("Error injecting server URL:", err));
+}
+
+// ============================================
+// MAIN WINDOW
+// ============================================
+
+// options.hidden: load without showing (start minimized to the tray)
+function createWindow(options = {}) {
+  // Get icon path using centralized helper
+  const iconPath = config.getIconPath();
+
+  // Each account has its own session partition (see main/accounts.js)
+  const partition = accounts.getActivePartition();
+
+  // Last bounds, maximized/fullscreen state and display (see main/window-state.js)
+  const restoreState = windowState.getRestoreState({ width: 1500, height: 900 });
+
+  mainWindow = new BrowserWindow({
+    ...restoreState.bounds,
+    minWidth: 1200,
+    minHeight: 700,
+    title: "OCS Task Manager",
+    icon: iconPath,
+    webPreferences: {
+      contextIsolation: true,
+      nodeIntegration: false,
+      // Notification clicks are handled in the main process (main/notifications.js)
+      // and reach the page over IPC, so the renderer can stay sandboxed
+      sandbox: true,
+      webSecurity: true,
+      preload: path.join(APP_ROOT, "preload.js"),
+      partition: partition || undefined
+    },
+    show: false, // Don't show until ready
+    backgroundColor: "#ffffff"
+  });
+
+  windowState.track(mainWindow);
+
+  // CSP header for the build files (per session: each account has its own)
+  security.protectSession(mainWindow.webContents.session, BUILD_DIR);
+
+  // Attachments go through the download manager (per session as well)
+  downloads.attachSession(mainWindow.webContents.session, partition);
+
+  // Show window when ready to prevent visual flash
+  mainWindow.once("ready-to-show", () => {
+    if (options.hidden) {
+      // Maximized/full screen would show the window - restore those on first show
+      mainWindow.once("show", () => windowState.applyFlags(mainWindow, restoreState));
+      console.log("🫥 Started hidden in the tray");
+      return;
+    }
+    windowState.applyFlags(mainWindow, restoreState);
+    mainWindow.show();
+    onMainWindowShown(); // e.g. the Windows overlay icon lives on the window
+    if (isDev) {
+      mainWindow.webContents.openDevTools();
+    }
+  });
+
+  // A new document means the renderer has to signal readiness again
+  mainWindow.webContents.on("did-start-navigation", (details) => {
+    if (details.isMainFrame && !details.isSameDocument) {
+      rendererReady = false;
+      clearTimeout(rendererReadyFallbackTimer);
+    }
+  });
+
+  // Connection failures: dev fallback, then the bundled error page with retry
+  mainWindow.webContents.on("did-fail-load", (event, errorCode, errorDescription, validatedURL, isMainFrame) => {
+    // -3 (ERR_ABORTED) is a cancelled navigation, not a connection problem
+    if (!isMainFrame || errorCode === -3 || isLocalPageURL(validatedURL)) return;
+    handleLoadFailure(errorCode, errorDescription, validatedURL);
+  });
+
+  // Inject server URL into the page so React app can use it
+  // Runs on every load, so switching server profile only needs a reload
+  mainWindow.webContents.on("did-finish-load", () => {
+    const url = mainWindow.webContents.getURL();
+    if (isLocalPageURL(url)) return;
+
+    resetConnectionFailure();
+    injectServerURL();
+    rendererReadyFallbackTimer = setTimeout(markRendererReady, RENDERER_READY_FALLBACK_MS);
+    if (url.startsWith(config.getServerURL())) {
+      offline.reportServerReachable(true);
+    }
+  });
+
+  // Remember the route (SPA navigations too) to come back to after a crash
+  const rememberRoute = (event, url) => {
+    if (!isLocalPageURL(url)) crashRecovery.rememberRoute(url);
+  };
+  mainWindow.webContents.on("did-navigate", rememberRoute);
+  mainWindow.webContents.on("did-navigate-in-page", (event, url, isMainFrame) => {
+    if (isMainFrame) rememberRoute(event, url);
+  });
+
+  // Crashed renderer: reload where the user was; hung renderer: ask
+  mainWindow.webContents.on("render-process-gone", (event, details) => handleRendererGone(details));
+  mainWindow.on("unresponsive", () => handleUnresponsive());
+  mainWindow.on("responsive", () => {
+    if (hangDialog) {
+      console.log("✅ Main window responding again");
+      hangDialog.abort();
+    }
+  });
+
+  loadMainContent();
+
+  // Handle window closed
+  // (only clear the reference if it still points at this window - see recreateMainWindow)
+  const window = mainWindow;
+
+  // Closing only hides the window unless the app is quitting (see main/lifecycle.js)
+  mainWindow.on("close", (event) => {
+    if (lifecycle.isQuitting() || !settings.get("closeToTray") || !canHideToTray()) return;
+    event.preventDefault();
+    window.hide();
+    onHiddenToTray();
+  });
+
+  mainWindow.on("closed", () => {
+    if (mainWindow === window) {
+      mainWindow = null;
+      onMainWindowClosed();
+    }
+  });
+
+  // Handle external links
+  // Links to tasks/projects/rooms on our own server open in-app when enabled
+  mainWindow.webContents.setWindowOpenHandler(({ url }) => {
+    const openInApp = settings.get("openServerLinksInApp");
+    if (openInApp && deepLinks.isServerLink(url, config.getServerURL()) && handleDeepLink(url)) {
+      return { action: "deny" };
+    }
+    security.openExternal(url);
+    return { action: "deny" };
+  });
+}
+
+// Bring the main window to front (restoring it if minimized), creating it if needed
+// While the server hasn't been configured yet, the server settings window is shown instead
+function showMainWindow() {
+  if (!mainWindow) {
+    if (!isDev && serverProfiles.needsSetup()) {
+      openServerSettingsWindow({ firstRun: true });
+    } else {
+      createWindow();
+    }
+    return;
+  }
+  if (mainWindow.isMinimized()) {
+    mainWindow.restore();
+  }
+  mainWindow.show();
+  mainWindow.focus();
+}
+
+// Replace the main window, e.g. after switching account (the partition is fixed per window)
+// The new window is created before the old one closes so the app doesn't quit
+function recreateMainWindow() {
+  const oldWindow = mainWindow;
+  windowState.save(oldWindow); // new window picks up the same bounds
+  createWindow();
+  if (oldWindow) {
+    oldWindow.destroy();
+  }
+}
+
+// ============================================
+// NAVIGATION DISPATCH
+// ============================================
+// Deep links, tray entries and notification clicks all navigate the
+// renderer with a "notification-clicked" payload; application menu commands
+// arrive as "menu-command". Until the renderer says it's ready
+// (electronAPI.signalRendererReady) messages are buffered, so a link that
+// launches the app (cold start) isn't lost.
+
+const RENDERER_READY_FALLBACK_MS = 5000; // for renderer builds that never signal
+let rendererReady = false;
+let rendererReadyFallbackTimer = null;
+const pendingMessages = []; // [channel, payload]
+
+// Show the main window and send it a message once the renderer can take it
+function showAndSend(channel, payload) {
+  if (!mainWindow) {
+    createWindow();
+  } else {
+    if (mainWindow.isMinimized()) {
+      mainWindow.restore();
+    }
+    mainWindow.show();
+    mainWindow.focus();
+  }
+
+  if (!rendererReady) {
+    pendingMessages.push([channel, payload]);
+    return;
+  }
+  setTimeout(() => {
+    sendToMainWindow(channel, payload);
+  }, 100); // Small delay to ensure window is focused
+}
+
+// Show the main window and ask the renderer to navigate
+function openInMainWindow(payload) {
+  showAndSend(EVENTS.NOTIFICATION_CLICKED, payload);
+}
+
+// Application menu command handled by the renderer (see main/menu.js)
+function sendMenuCommand(command) {
+  showAndSend(EVENTS.MENU_COMMAND, { command });
+}
+
+function markRendererReady() {
+  rendererReady = true;
+  clearTimeout(rendererReadyFallbackTimer);
+  while (mainWindow && pendingMessages.length > 0) {
+    const [channel, payload] = pendingMessages.shift();
+    console.log(`📨 Delivering buffered ${channel}:`, payload);
+    sendToMainWindow(channel, payload);
+  }
+}
+
+// Open an ocs-taskmanager:// (or server) link
+function handleDeepLink(url) {
+  const payload = deepLinks.parseDeepLink(url, { serverURL: config.getServerURL() });
+  if (!payload) {
+    console.warn("⚠️ Ignoring unrecognized link:", url);
+    return false;
+  }
+  console.log("🔗 Opening link:", url);
+  openInMainWindow({ ...payload, source: "deep-link" });
+  return true;
+}
+
+// ============================================
+// SERVER SETTINGS, UPDATES AND SETTINGS WINDOWS
+// ============================================
+
+// Server settings window (first run and "Switch server > Manage servers...")
+function openServerSettingsWindow(options = {}) {
+  if (serverSettingsWindow) {
+    serverSettingsWindow.show();
+    serverSettingsWindow.focus();
+    return;
+  }
+
+  serverSettingsWindow = new BrowserWindow({
+    width: 560,
+    height: 640,
+    minWidth: 480,
+    minHeight: 480,
+    title: "Server Settings - OCS Task Manager",
+    icon: config.getIconPath(),
+    parent: mainWindow || undefined,
+    webPreferences: {
+      contextIsolation: true,
+      nodeIntegration: false,
+      preload: path.join(APP_ROOT, "pages", "server-settings-preload.js")
+    },
+    show: false,
+    backgroundColor: "#ffffff"
+  });
+  serverSettingsWindow.setMenuBarVisibility(false);
+
+  serverSettingsWindow.loadFile(path.join(APP_ROOT, "pages", "server-settings.html"), {
+    query: options.firstRun ? { firstRun: "1" } : {}
+  });
+
+  serverSettingsWindow.once("ready-to-show", () => {
+    serverSettingsWindow.show();
+  });
+
+  serverSettingsWindow.on("closed", () => {
+    serverSettingsWindow = null;
+    // First run closed without configuring a server - nothing to show
+    if (options.firstRun && !mainWindow && serverProfiles.needsSetup()) {
+      app.quit();
+    }
+  });
+}
+
+// Updates window: release notes, channel, install/skip (pages/updates.html)
+function openUpdatesWindow() {
+  if (updatesWindow) {
+    updatesWindow.show();
+    updatesWindow.focus();
+    return;
+  }
+
+  updatesWindow = new BrowserWindow({
+    width: 520,
+    height: 560,
+    minWidth: 420,
+    minHeight: 420,
+    title: "Updates - OCS Task Manager",
+    icon: config.getIconPath(),
+    parent: mainWindow || undefined,
+    webPreferences: {
+      contextIsolation: true,
+      nodeIntegration: false,
+      preload: path.join(APP_ROOT, "pages", "updates-preload.js")
+    },
+    show: false,
+    backgroundColor: "#ffffff"
+  });
+  updatesWindow.setMenuBarVisibility(false);
+  updatesWindow.loadFile(path.join(APP_ROOT, "pages", "updates.html"));
+
+  updatesWindow.once("ready-to-show", () => {
+    updatesWindow.show();
+  });
+
+  updatesWindow.on("closed", () => {
+    updatesWindow = null;
+  });
+}
+
+// Settings window: application settings from main/settings.js (pages/settings.html)
+function openSettingsWindow() {
+  if (settingsWindow) {
+    settingsWindow.show();
+    settingsWindow.focus();
+    return;
+  }
+
+  settingsWindow = new BrowserWindow({
+    width: 560,
+    height: 640,
+    minWidth: 460,
+    minHeight: 420,
+    title: "Settings - OCS Task Manager",
+    icon: config.getIconPath(),
+    parent: mainWindow || undefined,
+    webPreferences: {
+      contextIsolation: true,
+      nodeIntegration: false,
+      preload: path.join(APP_ROOT, "pages", "settings-preload.js")
+    },
+    show: false,
+    backgroundColor: "#ffffff"
+  });
+  settingsWindow.setMenuBarVisibility(false);
+  settingsWindow.loadFile(path.join(APP_ROOT, "pages", "settings.html"));
+
+  settingsWindow.once("ready-to-show", () => {
+    settingsWindow.show();
+  });
+
+  settingsWindow.on("closed", () => {
+    settingsWindow = null;
+  });
+}
+
+// Downloads window: recent downloads, open/show in folder/retry (pages/downloads.html)
+function openDownloadsWindow() {
+  if (downloadsWindow) {
+    downloadsWindow.show();
+    downloadsWindow.focus();
+    return;
+  }
+
+  downloadsWindow = new BrowserWindow({
+    width: 560,
+    height: 560,
+    minWidth: 420,
+    minHeight: 320,
+    title: "Downloads - OCS Task Manager",
+    icon: config.getIconPath(),
+    parent: mainWindow || undefined,
+    webPreferences: {
+      contextIsolation: true,
+      nodeIntegration: false,
+      preload: path.join(APP_ROOT, "pages", "downloads-preload.js")
+    },
+    show: false,
+    backgroundColor: "#ffffff"
+  });
+  downloadsWindow.setMenuBarVisibility(false);
+  downloadsWindow.loadFile(path.join(APP_ROOT, "pages", "downloads.html"));
+
+  downloadsWindow.once("ready-to-show", () => {
+    downloadsWindow.show();
+  });
+
+  downloadsWindow.on("closed", () => {
+    downloadsWindow = null;
+  });
+}
+
+// ============================================
+// IPC HANDLERS FOR WINDOWS AND NAVIGATION
+// ============================================
+
+function registerIpcHandlers() {
+  // Handle opening external URLs (http/https/mailto only - false when refused)
+  ipc.handle(CHANNELS.OPEN_EXTERNAL, (event, url) => {
+    return security.openExternal(url);
+  });
+
+  // Renderer has registered its navigation listeners - deliver buffered links
+  ipc.handle(CHANNELS.RENDERER_READY, () => {
+    markRendererReady();
+    return true;
+  });
+
+  // Open links to our own server in-app instead of the browser
+  ipc.handle(CHANNELS.SET_OPEN_SERVER_LINKS_IN_APP, (event, enabled) => {
+    const result = settings.set("openServerLinksInApp", enabled !== false);
+    return result.success ? { success: true, enabled: result.value } : result;
+  });
+
+  // Connection error page (pages/connection-error.html)
+  ipc.handle(CHANNELS.GET_CONNECTION_DIAGNOSTICS, () => {
+    return getConnectionDiagnostics();
+  });
+
+  ipc.handle(CHANNELS.COPY_CONNECTION_DIAGNOSTICS, () => {
+    try {
+      clipboard.writeText(formatConnectionDiagnostics());
+      return true;
+    } catch (error) {
+      console.error("❌ Error copying diagnostics:", error);
+      return false;
+    }
+  });
+
+  ipc.handle(CHANNELS.RETRY_CONNECTION, () => {
+    retryConnection();
+    return true;
+  });
+
+  // Crash page (pages/crash.html)
+  ipc.handle(CHANNELS.GET_CRASH_INFO, () => {
+    return crashRecovery.getCrashInfo();
+  });
+
+  ipc.handle(CHANNELS.RECOVER_FROM_CRASH, () => {
+    recoverFromCrash();
+    return true;
+  });
+
+  ipc.handle(CHANNELS.OPEN_SERVER_SETTINGS, () => {
+    openServerSettingsWindow();
+    return true;
+  });
+
+  ipc.handle(CHANNELS.OPEN_UPDATES_WINDOW, () => {
+    openUpdatesWindow();
+    return true;
+  });
+
+  ipc.handle(CHANNELS.OPEN_SETTINGS, () => {
+    openSettingsWindow();
+    return true;
+  });
+
+  ipc.handle(CHANNELS.OPEN_DOWNLOADS_WINDOW, () => {
+    openDownloadsWindow();
+    return true;
+  });
+}
+
+module.exports = {
+  init,
+  getMainWindow,
+  sendToMainWindow,
+  broadcast,
+  createWindow,
+  showMainWindow,
+  recreateMainWindow,
+  reloadMainContent,
+  openInMainWindow,
+  sendMenuCommand,
+  handleDeepLink,
+  getConnectionDiagnostics,
+  openServerSettingsWindow,
+  openUpdatesWindow,
+  openSettingsWindow,
+  openDownloadsWindow,
+  registerIpcHandlers
+};
@@ -0,0 +1,60 @@
+// Connection error page - shown in the main window when the app can't load
+// Uses window.electronAPI from the main preload script
+(function () {
+  const api = window.electronAPI;
+
+  const titleEl = document.getElementById('title');
+  const messageEl = document.getElementById('message');
+  const serverEl = document.getElementById('server');
+  const urlEl = document.getElementById('url');
+  const errorEl = document.getElementById('error');
+  const retryStatusEl = document.getElementById('retry-status');
+  const retryButton = document.getElementById('retry-button');
+  const serverButton = document.getElementById('server-button');
+  const copyButton = document.getElementById('copy-button');
+
+  let countdownTimer = null;
+
+  function render(diagnostics) {
+    const failure = diagnostics.failure;
+    if (!failure) return;
+
+    titleEl.textContent = failure.title;
+    messageEl.textContent = failure.message;
+    serverEl.textContent = diagnostics.serverProfile || 'Default';
+    urlEl.textContent = failure.url;
+    errorEl.textContent = `${failure.errorDescription || 'Unknown error'} (${failure.errorCode})`;
+
+    clearInterval(countdownTimer);
+    const updateCountdown = () => {
+      const seconds = Math.max(0, Math.ceil((failure.nextRetryAt - Date.now()) / 1000));
+      retryStatusEl.textContent = seconds > 0
+        ? `Retrying in ${seconds} s (attempt ${failure.attempt + 1})...`
+        : 'Retrying...';
+    };
+    if (failure.nextRetryAt) {
+      updateCountdown();
+      countdownTimer = setInterval(updateCountdown, 1000);
+    }
+  }
+
+  retryButton.addEventListener('click', () => {
+    clearInterval(countdownTimer);
+    retryStatusEl.textContent = 'Retrying...';
+    api.retryConnection();
+  });
+
+  serverButton.addEventListener('click', () => {
+    api.openServerSettings();
+  });
+
+  copyButton.addEventListener('click', async () => {
+    const copied = await api.copyConnectionDiagnostics();
+    copyButton.textContent = copied ? 'Copied!' : 'Copy failed';
+    setTimeout(() => {
+      copyButton.textContent = 'Copy diagnostics';
+    }, 2000);
+  });
+
+  api.getConnectionDiagnostics().then(render);
+})();
@@ -0,0 +1,43 @@
+// Crash page - shown in the main window after repeated renderer crashes
+// Uses window.electronAPI from the main preload script
+(function () {
+  const api = window.electronAPI;
+
+  const messageEl = document.getElementById('message');
+  const lastCrashEl = document.getElementById('last-crash');
+  const reasonEl = document.getElementById('reason');
+  const dumpsEl = document.getElementById('dumps');
+  const statusEl = document.getElementById('status');
+  const retryButton = document.getElementById('retry-button');
+  const reportButton = document.getElementById('report-button');
+
+  function render(info) {
+    messageEl.textContent = `The window crashed ${info.recentCrashes} times within ${info.crashLoopMinutes} minutes, ` +
+      'so it was not reloaded again. Try again, or save a problem report for support.';
+    if (info.lastCrash) {
+      lastCrashEl.textContent = new Date(info.lastCrash.at).toLocaleString();
+      reasonEl.textContent = info.lastCrash.exitCode !== null
+        ? `${info.lastCrash.reason} (exit code ${info.lastCrash.exitCode})`
+        : info.lastCrash.reason;
+    }
+    dumpsEl.textContent = info.crashDumpsPath;
+  }
+
+  retryButton.addEventListener('click', () => {
+    statusEl.textContent = 'Reloading...';
+    api.recoverFromCrash();
+  });
+
+  reportButton.addEventListener('click', async () => {
+    const result = await api.reportProblem();
+    if (result.success) {
+      statusEl.className = 'status ok';
+      statusEl.textContent = `Report saved to ${result.filePath}`;
+    } else if (!result.canceled) {
+      statusEl.className = 'status error';
+      statusEl.textContent = `Could not save the report: ${result.error}`;
+    }
+  });
+
+  api.getCrashInfo().then(render);
+})();
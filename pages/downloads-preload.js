@@ -0,0 +1,25 @@
+// Preload script for the downloads window
+const { contextBridge, ipcRenderer } = require('electron');
+
+// Sandboxed (no local requires): the channel names come from the main process
+const { CHANNELS, EVENTS } = ipcRenderer.sendSync('ipc-contract');
+
+contextBridge.exposeInMainWorld('downloadsAPI', {
+  // Recent downloads, newest first (see main/downloads.js)
+  getDownloads: () => ipcRenderer.invoke(CHANNELS.GET_DOWNLOADS),
+
+  open: (id) => ipcRenderer.invoke(CHANNELS.OPEN_DOWNLOAD, id),
+
+  showInFolder: (id) => ipcRenderer.invoke(CHANNELS.SHOW_DOWNLOAD_IN_FOLDER, id),
+
+  retry: (id) => ipcRenderer.invoke(CHANNELS.RETRY_DOWNLOAD, id),
+
+  cancel: (id) => ipcRenderer.invoke(CHANNELS.CANCEL_DOWNLOAD, id),
+
+  // Forget finished downloads (the files are kept)
+  clear: () => ipcRenderer.invoke(CHANNELS.CLEAR_DOWNLOADS),
+
+  onChanged: (callback) => {
+    ipcRenderer.on(EVENTS.DOWNLOADS_CHANGED, (_event, downloads) => callback(downloads));
+  }
+});
@@ -0,0 +1,102 @@
+// Downloads window - recent downloads with progress, open, show in folder and retry
+(function () {
+  const api = window.downloadsAPI;
+
+  const listEl = document.getElementById('download-list');
+  const emptyEl = document.getElementById('empty');
+  const statusEl = document.getElementById('status');
+  const clearButton = document.getElementById('clear-button');
+
+  function setStatus(message, kind) {
+    statusEl.textContent = message || '';
+    statusEl.className = `status ${kind || ''}`;
+  }
+
+  function formatBytes(bytes) {
+    if (!bytes) return '0 KB';
+    if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  }
+
+  function describe(download) {
+    switch (download.state) {
+      case 'progressing':
+      case 'paused': {
+        const size = download.totalBytes
+          ? `${formatBytes(download.receivedBytes)} of ${formatBytes(download.totalBytes)}`
+          : formatBytes(download.receivedBytes);
+        return download.state === 'paused' ? `Paused - ${size}` : size;
+      }
+      case 'completed':
+        return download.exists ? formatBytes(download.totalBytes || download.receivedBytes) : 'Moved or deleted';
+      case 'cancelled':
+        return 'Cancelled';
+      case 'blocked':
+        return 'Not kept: this type of file can harm your computer';
+      default:
+        return 'Failed';
+    }
+  }
+
+  async function run(action) {
+    const result = await action();
+    if (result && result.success === false) {
+      setStatus(result.error, 'error');
+    } else {
+      setStatus('');
+    }
+  }
+
+  function button(label, onClick) {
+    const element = document.createElement('button');
+    element.type = 'button';
+    element.textContent = label;
+    element.addEventListener('click', onClick);
+    return element;
+  }
+
+  function render(downloads) {
+    listEl.textContent = '';
+    emptyEl.hidden = downloads.length > 0;
+    clearButton.disabled = !downloads.some((download) => !['progressing', 'paused'].includes(download.state));
+
+    for (const download of downloads) {
+      const item = document.createElement('li');
+      const running = download.state === 'progressing' || download.state === 'paused';
+
+      const text = document.createElement('div');
+      text.className = 'grow';
+      const name = document.createElement('strong');
+      name.textContent = download.workspaceSlug ? `${download.filename} (${download.workspaceSlug})` : download.filename;
+      const detail = document.createElement('span');
+      detail.className = 'url';
+      detail.textContent = describe(download);
+      text.append(name, detail);
+
+      if (running) {
+        const progress = document.createElement('progress');
+        progress.max = 100;
+        if (download.totalBytes) {
+          progress.value = Math.round((download.receivedBytes / download.totalBytes) * 100);
+        }
+        text.appendChild(progress);
+      }
+      item.appendChild(text);
+
+      if (running) {
+        item.appendChild(button('Cancel', () => run(() => api.cancel(download.id))));
+      } else if (download.state === 'completed' && download.exists) {
+        item.appendChild(button('Open', () => run(() => api.open(download.id))));
+        item.appendChild(button('Show in folder', () => run(() => api.showInFolder(download.id))));
+      } else {
+        item.appendChild(button('Retry', () => run(() => api.retry(download.id))));
+      }
+      listEl.appendChild(item);
+    }
+  }
+
+  clearButton.addEventListener('click', () => run(() => api.clear()));
+
+  api.onChanged(render);
+  api.getDownloads().then(render);
+})();
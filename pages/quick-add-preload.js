@@ -0,0 +1,21 @@
+// Preload script for the quick add window
+const { contextBridge, ipcRenderer } = require('electron');
+
+// Sandboxed (no local requires): the channel names come from the main process
+const { CHANNELS, EVENTS } = ipcRenderer.sendSync('ipc-contract');
+
+contextBridge.exposeInMainWorld('quickAddAPI', {
+  // Projects to pick from: { success, loggedIn, projects }
+  getProjects: () => ipcRenderer.invoke(CHANNELS.QUICK_ADD_GET_PROJECTS),
+
+  // Create the task: { title, projectId, dueDate }
+  submit: (task) => ipcRenderer.invoke(CHANNELS.QUICK_ADD_SUBMIT, task),
+
+  // Hide the quick add window
+  close: () => ipcRenderer.invoke(CHANNELS.QUICK_ADD_CLOSE),
+
+  // Called every time the window is shown, so the form can reset
+  onShow: (callback) => {
+    ipcRenderer.on(EVENTS.QUICK_ADD_SHOW, () => callback());
+  }
+});
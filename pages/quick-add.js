@@ -0,0 +1,79 @@
+// Quick add window - capture a task without opening the main window
+(function () {
+  const api = window.quickAddAPI;
+
+  const form = document.getElementById('quick-add-form');
+  const titleInput = document.getElementById('title');
+  const projectSelect = document.getElementById('project');
+  const dueDateInput = document.getElementById('due-date');
+  const statusEl = document.getElementById('status');
+  const submitButton = document.getElementById('submit-button');
+
+  const HINT = 'Enter to add · Esc to close';
+  const LAST_PROJECT_KEY = 'quickAddLastProject';
+
+  function setStatus(message, kind) {
+    statusEl.textContent = message;
+    statusEl.className = `status ${kind || 'muted'}`;
+  }
+
+  async function loadProjects() {
+    const result = await api.getProjects();
+    if (!result.loggedIn) {
+      setStatus('Log in to OCS Task Manager first', 'error');
+      submitButton.disabled = true;
+      return;
+    }
+    submitButton.disabled = false;
+
+    const selected = projectSelect.value || localStorage.getItem(LAST_PROJECT_KEY) || '';
+    projectSelect.length = 1; // keep "No project"
+    for (const project of result.projects) {
+      const option = document.createElement('option');
+      option.value = String(project.id || project._id);
+      option.textContent = project.name || project.title || option.value;
+      projectSelect.appendChild(option);
+    }
+    projectSelect.value = selected;
+    if (projectSelect.value !== selected) projectSelect.value = '';
+  }
+
+  function reset() {
+    form.reset();
+    setStatus(HINT);
+    loadProjects();
+    titleInput.focus();
+  }
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const title = titleInput.value.trim();
+    if (!title) return;
+
+    submitButton.disabled = true;
+    setStatus('Adding...');
+    const result = await api.submit({
+      title,
+      projectId: projectSelect.value || null,
+      dueDate: dueDateInput.value || null
+    });
+    submitButton.disabled = false;
+
+    if (!result.success) {
+      setStatus(result.error || 'Could not add task', 'error');
+      return;
+    }
+    localStorage.setItem(LAST_PROJECT_KEY, projectSelect.value);
+    setStatus(result.queued ? 'Saved offline - will sync when connected' : 'Task added', 'ok');
+    setTimeout(() => api.close(), result.queued ? 1200 : 500);
+  });
+
+  document.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') {
+      api.close();
+    }
+  });
+
+  api.onShow(reset);
+  reset();
+})();
@@ -0,0 +1,22 @@
+// Preload script for the server settings window
+const { contextBridge, ipcRenderer } = require('electron');
+
+// Sandboxed (no local requires): the channel names come from the main process
+const { CHANNELS } = ipcRenderer.sendSync('ipc-contract');
+
+contextBridge.exposeInMainWorld('serverSettingsAPI', {
+  // List saved profiles plus the active one and any env override
+  listProfiles: () => ipcRenderer.invoke(CHANNELS.LIST_SERVER_PROFILES),
+
+  // Add or update a profile ({ id?, name, url })
+  saveProfile: (profile) => ipcRenderer.invoke(CHANNELS.SAVE_SERVER_PROFILE, profile),
+
+  // Delete a profile by id
+  removeProfile: (id) => ipcRenderer.invoke(CHANNELS.REMOVE_SERVER_PROFILE, id),
+
+  // Make a profile active and reload the main window
+  switchProfile: (id) => ipcRenderer.invoke(CHANNELS.SWITCH_SERVER_PROFILE, id),
+
+  // Check reachability and TLS for a URL
+  validateURL: (url) => ipcRenderer.invoke(CHANNELS.VALIDATE_SERVER_URL, url)
+});
@@ -0,0 +1,174 @@
+// Server settings window - list, add, test and switch server profiles
+(function () {
+  const api = window.serverSettingsAPI;
+
+  const listEl = document.getElementById('profile-list');
+  const emptyEl = document.getElementById('empty');
+  const envEl = document.getElementById('env-override');
+  const introEl = document.getElementById('intro');
+  const form = document.getElementById('profile-form');
+  const formTitle = document.getElementById('form-title');
+  const idInput = document.getElementById('profile-id');
+  const nameInput = document.getElementById('profile-name');
+  const urlInput = document.getElementById('profile-url');
+  const testButton = document.getElementById('test-button');
+  const cancelButton = document.getElementById('cancel-edit');
+  const statusEl = document.getElementById('status');
+
+  if (new URLSearchParams(window.location.search).get('firstRun') === '1') {
+    introEl.textContent = 'Welcome! Add the address of your OCS server to get started. Ask your administrator if you are not sure which one to use.';
+  }
+
+  function setStatus(message, kind) {
+    statusEl.textContent = message || '';
+    statusEl.className = `status ${kind || ''}`;
+  }
+
+  function resetForm() {
+    idInput.value = '';
+    nameInput.value = '';
+    urlInput.value = '';
+    formTitle.textContent = 'Add a server';
+    cancelButton.hidden = true;
+  }
+
+  function describeValidation(result) {
+    if (!result.reachable) {
+      return { message: `❌ ${result.error}`, kind: 'error' };
+    }
+    if (!result.secure) {
+      return { message: `⚠️ Reachable (HTTP ${result.statusCode}, ${result.latencyMs} ms). ${result.warning}`, kind: 'warning' };
+    }
+    const cert = result.certificate
+      ? ` Certificate for ${result.certificate.subject} valid until ${result.certificate.validTo}.`
+      : '';
+    return { message: `✅ Reachable over HTTPS (HTTP ${result.statusCode}, ${result.latencyMs} ms).${cert}`, kind: 'ok' };
+  }
+
+  function renderProfiles(data) {
+    listEl.textContent = '';
+    emptyEl.hidden = data.profiles.length > 0;
+
+    if (data.envOverride) {
+      envEl.hidden = false;
+      envEl.textContent = `${data.envOverride} is set, so the app uses ${data.envURL} regardless of the selection below.`;
+    } else {
+      envEl.hidden = true;
+    }
+
+    for (const profile of data.profiles) {
+      const item = document.createElement('li');
+      const isActive = profile.id === data.activeId;
+      if (isActive) item.classList.add('active');
+
+      const text = document.createElement('div');
+      text.className = 'grow';
+      const name = document.createElement('strong');
+      name.textContent = isActive ? `${profile.name} (active)` : profile.name;
+      const url = document.createElement('span');
+      url.className = 'url';
+      url.textContent = profile.url;
+      text.append(name, url);
+      item.appendChild(text);
+
+      if (!isActive) {
+        const useButton = document.createElement('button');
+        useButton.textContent = 'Use';
+        useButton.addEventListener('click', () => switchTo(profile));
+        item.appendChild(useButton);
+      }
+
+      const editButton = document.createElement('button');
+      editButton.textContent = 'Edit';
+      editButton.addEventListener('click', () => {
+        idInput.value = profile.id;
+        nameInput.value = profile.name;
+        urlInput.value = profile.url;
+        formTitle.textContent = `Edit ${profile.name}`;
+        cancelButton.hidden = false;
+        setStatus('');
+      });
+      item.appendChild(editButton);
+
+      const removeButton = document.createElement('button');
+      removeButton.textContent = 'Remove';
+      removeButton.addEventListener('click', async () => {
+        if (!window.confirm(`Remove "${profile.name}"?`)) return;
+        const result = await api.removeProfile(profile.id);
+        if (!result.success) setStatus(result.error, 'error');
+        await refresh();
+      });
+      item.appendChild(removeButton);
+
+      listEl.appendChild(item);
+    }
+  }
+
+  async function refresh() {
+    const result = await api.listProfiles();
+    if (result.success) {
+      renderProfiles(result);
+    } else {
+      setStatus(result.error, 'error');
+    }
+  }
+
+  async function switchTo(profile) {
+    setStatus(`Checking ${profile.url}...`);
+    const validation = await api.validateURL(profile.url);
+    if (!validation.reachable && !window.confirm(`${validation.error}\n\nSwitch to "${profile.name}" anyway?`)) {
+      setStatus('');
+      return;
+    }
+    const result = await api.switchProfile(profile.id);
+    if (result.success) {
+      setStatus(`Switched to ${profile.name}`, 'ok');
+    } else {
+      setStatus(result.error, 'error');
+    }
+    await refresh();
+  }
+
+  testButton.addEventListener('click', async () => {
+    if (!urlInput.value.trim()) {
+      setStatus('Enter a server address first', 'error');
+      return;
+    }
+    testButton.disabled = true;
+    setStatus('Testing connection...');
+    const validation = await api.validateURL(urlInput.value);
+    const { message, kind } = describeValidation(validation);
+    setStatus(message, kind);
+    testButton.disabled = false;
+  });
+
+  cancelButton.addEventListener('click', () => {
+    resetForm();
+    setStatus('');
+  });
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    setStatus('Testing connection...');
+    const validation = await api.validateURL(urlInput.value);
+    if (!validation.reachable && !window.confirm(`${validation.error}\n\nSave this server anyway?`)) {
+      setStatus(describeValidation(validation).message, 'error');
+      return;
+    }
+
+    const result = await api.saveProfile({
+      id: idInput.value || undefined,
+      name: nameInput.value,
+      url: urlInput.value
+    });
+    if (result.success) {
+      setStatus(`Saved ${result.profile.name}`, 'ok');
+      resetForm();
+    } else {
+      setStatus(result.error, 'error');
+    }
+    await refresh();
+  });
+
+  refresh();
+})();
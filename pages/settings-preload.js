@@ -0,0 +1,21 @@
+// Preload script for the settings window
+const { contextBridge, ipcRenderer } = require('electron');
+
+// Sandboxed (no local requires): the channel names come from the main process
+const { CHANNELS, EVENTS } = ipcRenderer.sendSync('ipc-contract');
+
+contextBridge.exposeInMainWorld('settingsAPI', {
+  // { settings, schema, version, devMode } - see main/settings.js
+  getSettings: () => ipcRenderer.invoke(CHANNELS.GET_SETTINGS),
+
+  // Change one setting (refused with { success: false, error } when invalid)
+  setSetting: (key, value) => ipcRenderer.invoke(CHANNELS.SET_SETTING, key, value),
+
+  // Restore defaults (all settings without a key)
+  reset: (key) => ipcRenderer.invoke(CHANNELS.RESET_SETTINGS, key),
+
+  // Changes made anywhere (this window, the main window, the tray)
+  onChanged: (callback) => {
+    ipcRenderer.on(EVENTS.SETTINGS_CHANGED, (_event, change) => callback(change));
+  }
+});
@@ -0,0 +1,115 @@
+// Settings window - one control per setting, built from the schema in main/settings.js
+(function () {
+  const api = window.settingsAPI;
+
+  const sectionsEl = document.getElementById('sections');
+  const statusEl = document.getElementById('status');
+  const resetButton = document.getElementById('reset-button');
+
+  const controls = new Map(); // key -> { input, spec }
+
+  function showStatus(message, kind) {
+    statusEl.textContent = message || '';
+    statusEl.className = `status ${kind || ''}`;
+  }
+
+  function setValue(key, value) {
+    const control = controls.get(key);
+    if (!control) return;
+    if (control.spec.type === 'boolean') {
+      control.input.checked = !!value;
+    } else {
+      control.input.value = value === null || value === undefined ? '' : String(value);
+    }
+  }
+
+  function readValue(key) {
+    const { input, spec } = controls.get(key);
+    if (spec.type === 'boolean') return input.checked;
+    if (spec.type === 'number') return input.value === '' ? null : Number(input.value);
+    return input.value;
+  }
+
+  async function save(key) {
+    const result = await api.setSetting(key, readValue(key));
+    if (result && result.success === false) {
+      showStatus(result.error, 'error');
+      const current = await api.getSettings();
+      setValue(key, current.settings[key]);
+      return;
+    }
+    showStatus('Saved', 'ok');
+  }
+
+  function createControl(key, spec) {
+    const label = document.createElement('label');
+    let input;
+
+    if (spec.type === 'boolean') {
+      label.className = 'checkbox';
+      input = document.createElement('input');
+      input.type = 'checkbox';
+      label.append(input, ` ${spec.label}`);
+    } else if (spec.values) {
+      input = document.createElement('select');
+      for (const value of spec.values) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = value.charAt(0).toUpperCase() + value.slice(1);
+        input.append(option);
+      }
+      label.append(spec.label, input);
+    } else {
+      input = document.createElement('input');
+      input.type = spec.type === 'number' ? 'number' : 'text';
+      input.placeholder = spec.nullable ? 'Default' : '';
+      label.append(spec.label, input);
+    }
+    input.id = `setting-${key}`;
+    input.addEventListener('change', () => save(key));
+
+    if (spec.description) {
+      const description = document.createElement('span');
+      description.className = 'muted hint';
+      description.textContent = spec.description;
+      label.append(description);
+    }
+
+    controls.set(key, { input, spec });
+    return label;
+  }
+
+  function render({ settings, schema, devMode }) {
+    sectionsEl.textContent = '';
+    controls.clear();
+
+    const sections = new Map();
+    for (const [key, spec] of Object.entries(schema)) {
+      if (spec.devOnly && !devMode) continue;
+      if (!sections.has(spec.section)) {
+        const section = document.createElement('section');
+        const heading = document.createElement('h2');
+        heading.textContent = spec.section;
+        section.append(heading);
+        sections.set(spec.section, section);
+        sectionsEl.append(section);
+      }
+      sections.get(spec.section).append(createControl(key, spec));
+      setValue(key, settings[key]);
+    }
+  }
+
+  resetButton.addEventListener('click', async () => {
+    const result = await api.reset();
+    if (result && result.success === false) {
+      showStatus(result.error, 'error');
+      return;
+    }
+    showStatus('Defaults restored', 'ok');
+  });
+
+  // Keep in sync with changes made elsewhere
+  api.onChanged((change) => setValue(change.key, change.value));
+
+  api.getSettings().then(render);
+})();
@@ -0,0 +1,30 @@
+// Preload script for the updates window
+const { contextBridge, ipcRenderer } = require('electron');
+
+// Sandboxed (no local requires): the channel names come from the main process
+const { CHANNELS, EVENTS } = ipcRenderer.sendSync('ipc-contract');
+
+contextBridge.exposeInMainWorld('updatesAPI', {
+  // Current update state (see main/updater.js)
+  getState: () => ipcRenderer.invoke(CHANNELS.GET_UPDATE_STATE),
+
+  // Check the feed now (shows a skipped version again)
+  check: () => ipcRenderer.invoke(CHANNELS.CHECK_FOR_UPDATES),
+
+  download: () => ipcRenderer.invoke(CHANNELS.DOWNLOAD_UPDATE),
+
+  // Restart and install the downloaded update
+  install: () => ipcRenderer.invoke(CHANNELS.INSTALL_UPDATE),
+
+  // Remind me later (hours, default 24)
+  defer: (hours) => ipcRenderer.invoke(CHANNELS.DEFER_UPDATE, hours),
+
+  skipVersion: (version) => ipcRenderer.invoke(CHANNELS.SKIP_UPDATE_VERSION, version),
+
+  // 'stable' | 'beta'
+  setChannel: (channel) => ipcRenderer.invoke(CHANNELS.SET_UPDATE_CHANNEL, channel),
+
+  onStateChanged: (callback) => {
+    ipcRenderer.on(EVENTS.UPDATE_STATE_CHANGED, (_event, state) => callback(state));
+  }
+});
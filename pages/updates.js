@@ -0,0 +1,103 @@
+// Updates window - channel, update status, release notes and install/defer/skip
+(function () {
+  const api = window.updatesAPI;
+
+  const currentVersionEl = document.getElementById('current-version');
+  const feedWarningEl = document.getElementById('feed-warning');
+  const channelSelect = document.getElementById('channel');
+  const statusTitleEl = document.getElementById('status-title');
+  const statusDetailEl = document.getElementById('status-detail');
+  const progressEl = document.getElementById('progress');
+  const notesSection = document.getElementById('notes-section');
+  const notesEl = document.getElementById('release-notes');
+  const checkButton = document.getElementById('check-button');
+  const downloadButton = document.getElementById('download-button');
+  const installButton = document.getElementById('install-button');
+  const deferButton = document.getElementById('defer-button');
+  const skipButton = document.getElementById('skip-button');
+
+  function formatBytes(bytes) {
+    if (!bytes) return '0 MB';
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  }
+
+  function describe(state) {
+    switch (state.status) {
+      case 'disabled':
+        return { title: 'Updates are unavailable', detail: state.error, kind: 'warning' };
+      case 'checking':
+        return { title: 'Checking for updates…', detail: '' };
+      case 'not-available':
+        return { title: 'You are up to date', detail: `Last checked ${new Date(state.lastCheckedAt).toLocaleString()}`, kind: 'ok' };
+      case 'available':
+        return { title: `Version ${state.availableVersion} is available`, detail: 'It will download in the background.' };
+      case 'downloading': {
+        const progress = state.progress || {};
+        return {
+          title: `Downloading version ${state.availableVersion || ''}…`,
+          detail: `${progress.percent || 0}% (${formatBytes(progress.transferred)} of ${formatBytes(progress.total)})`
+        };
+      }
+      case 'downloaded':
+        return {
+          title: `Version ${state.availableVersion} is ready to install`,
+          detail: state.deferredUntil && new Date(state.deferredUntil) > new Date()
+            ? 'It will be installed the next time the app quits.'
+            : 'Restart the app to finish updating.',
+          kind: 'ok'
+        };
+      case 'skipped':
+        return { title: `Version ${state.skippedVersion} was skipped`, detail: 'You will be offered the next version. Check again to install it anyway.' };
+      case 'error':
+        return { title: 'Update check failed', detail: state.error, kind: 'error' };
+      default:
+        return { title: 'No update check yet', detail: '' };
+    }
+  }
+
+  function render(state) {
+    currentVersionEl.textContent = `Current version: ${state.currentVersion}`;
+    feedWarningEl.hidden = !state.feedWarning;
+    feedWarningEl.textContent = state.feedWarning || '';
+    channelSelect.value = state.channel;
+
+    const { title, detail, kind } = describe(state);
+    statusTitleEl.textContent = title;
+    statusDetailEl.textContent = detail || '';
+    statusDetailEl.className = `status ${kind || ''}`;
+
+    progressEl.hidden = state.status !== 'downloading';
+    progressEl.value = state.progress ? state.progress.percent : 0;
+
+    const showNotes = !!state.releaseNotes && ['available', 'downloading', 'downloaded', 'skipped'].includes(state.status);
+    notesSection.hidden = !showNotes;
+    notesEl.textContent = showNotes ? state.releaseNotes : '';
+
+    checkButton.disabled = ['checking', 'downloading', 'disabled'].includes(state.status);
+    downloadButton.hidden = state.status !== 'available';
+    installButton.hidden = state.status !== 'downloaded';
+    deferButton.hidden = state.status !== 'downloaded';
+    skipButton.hidden = !['available', 'downloading', 'downloaded'].includes(state.status);
+  }
+
+  async function run(action) {
+    const result = await action();
+    if (result && result.success === false) {
+      statusDetailEl.textContent = result.error;
+      statusDetailEl.className = 'status error';
+    }
+  }
+
+  checkButton.addEventListener('click', () => run(() => api.check()));
+  downloadButton.addEventListener('click', () => run(() => api.download()));
+  installButton.addEventListener('click', () => run(() => api.install()));
+  deferButton.addEventListener('click', async () => {
+    await run(() => api.defer());
+    window.close();
+  });
+  skipButton.addEventListener('click', () => run(() => api.skipVersion()));
+  channelSelect.addEventListener('change', () => run(() => api.setChannel(channelSelect.value)));
+
+  api.onStateChanged(render);
+  api.getState().then(render);
+})();
@@ -1,22 +1,143 @@
 // Preload script for Electron - exposes safe APIs to renderer
-const { contextBridge, ipcRenderer } = require('electron');
+const { contextBridge, ipcRenderer, webUtils } = require('electron');
+// Channel names come from the shared contract (main/ipc-contract.js). The
+// window is sandboxed, so local files can't be required - ask the main process.
+const { CHANNELS, EVENTS } = ipcRenderer.sendSync('ipc-contract');
+
+// Token mirroring into localStorage (React app may read from localStorage)
+// Main process reports whether it's enabled in every storage response
+function mirrorToken(token, result) {
+  if (result && result.mirrorToLocalStorage === false) {
+    removeMirroredToken();
+    return;
+  }
+  if (token) {
+    localStorage.setItem('token', token);
+    localStorage.setItem('accessToken', token);
+  }
+}
+
+// Remove the token from localStorage, including the copy inside ocs_user
+function removeMirroredToken() {
+  localStorage.removeItem('token');
+  localStorage.removeItem('accessToken');
+  const userStr = localStorage.getItem('ocs_user');
+  if (userStr) {
+    try {
+      const { token, ...user } = JSON.parse(userStr);
+      localStorage.setItem('ocs_user', JSON.stringify(user));
+    } catch (error) {
+      localStorage.removeItem('ocs_user');
+    }
+  }
+}
+
+// Token mirroring turned off in the settings window: drop the copy right away
+ipcRenderer.on(EVENTS.SETTINGS_CHANGED, (_event, change) => {
+  if (change && change.key === 'mirrorTokenToLocalStorage' && change.value === false) {
+    removeMirroredToken();
+  }
+});
+
+// User object as mirrored into localStorage (without token when mirroring is off)
+function mirroredUser(userData, result) {
+  if (result && result.mirrorToLocalStorage === false && userData) {
+    const { token, ...user } = userData;
+    return user;
+  }
+  return userData;
+}
+
+// Uncaught errors of the page go to the app log with their stack
+// (capped so an error in a render loop can't flood the file)
+const MAX_REPORTED_ERRORS = 50;
+let reportedErrors = 0;
+
+function reportError(message, stack) {
+  if (reportedErrors >= MAX_REPORTED_ERRORS) return;
+  reportedErrors += 1;
+  ipcRenderer.invoke(CHANNELS.LOG_MESSAGE, 'error', message, stack ? { stack: String(stack) } : undefined)
+    .catch(() => {});
+}
+
+window.addEventListener('error', (event) => {
+  const location = event.filename ? ` (${event.filename}:${event.lineno})` : '';
+  reportError(`Uncaught ${event.message}${location}`, event.error && event.error.stack);
+});
+
+window.addEventListener('unhandledrejection', (event) => {
+  const reason = event.reason;
+  const message = reason && reason.message ? reason.message : String(reason);
+  reportError(`Unhandled rejection: ${message}`, reason && reason.stack);
+});
+
+// Paths of dropped/picked File objects (the page itself never sees them)
+function toPaths(files) {
+  return Array.from(files || [])
+    .filter((file) => file instanceof File)
+    .map((file) => webUtils.getPathForFile(file))
+    .filter(Boolean);
+}
+
+function hasFiles(dataTransfer) {
+  return !!dataTransfer && Array.from(dataTransfer.types || []).includes('Files');
+}
+
+function isEditable(target) {
+  return !!target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+}
+
+// Files dropped where the page doesn't handle them (listeners on the page's
+// own elements run first) go to the open task, instead of Chromium opening
+// the file. With no task open nothing is uploaded (a notification says so).
+window.addEventListener('dragover', (event) => {
+  if (!event.defaultPrevented && hasFiles(event.dataTransfer)) {
+    event.preventDefault();
+  }
+});
+
+window.addEventListener('drop', (event) => {
+  if (event.defaultPrevented || !hasFiles(event.dataTransfer)) return;
+  event.preventDefault();
+  const paths = toPaths(event.dataTransfer.files);
+  if (paths.length > 0) {
+    ipcRenderer.invoke(CHANNELS.CREATE_TASK_FROM_FILES, paths, { openTaskOnly: true, notify: true })
+      .catch(() => {});
+  }
+});
+
+// Same for a screenshot pasted outside any text field
+window.addEventListener('paste', (event) => {
+  if (event.defaultPrevented || isEditable(event.target) || !event.clipboardData) return;
+  const hasImage = Array.from(event.clipboardData.items)
+    .some((item) => item.kind === 'file' && item.type.startsWith('image/'));
+  if (!hasImage) return;
+  event.preventDefault();
+  ipcRenderer.invoke(CHANNELS.CREATE_TASK_FROM_CLIPBOARD, { openTaskOnly: true, notify: true })
+    .catch(() => {});
+});
 
 // Expose protected methods that allow the renderer process to use
 // the ipcRenderer without exposing the entire object
 contextBridge.exposeInMainWorld('electronAPI', {
   // Open external URLs
   openExternal: (url) => {
-    ipcRenderer.invoke('open-external', url);
+    ipcRenderer.invoke(CHANNELS.OPEN_EXTERNAL, url);
   },
   
   // Show desktop notification (new simplified API)
+  // data: { title, body, data: { taskId, projectId, roomId, workspaceSlug, type, ... },
+  //         actions: ['complete', 'snooze', 'reply'] }
+  // actions are optional: 'complete' needs data.taskId, 'reply' needs data.roomId.
+  // They run in the main process; where the platform has no notification
+  // buttons the notification is click-to-open only.
   sendDesktopNotification: (data) => {
-    return ipcRenderer.invoke('show-desktop-notification', data);
+    return ipcRenderer.invoke(CHANNELS.SHOW_DESKTOP_NOTIFICATION, data);
   },
   
   // Show desktop notification (legacy API - kept for backward compatibility)
   showNotification: async (options, onClick) => {
-    const result = await ipcRenderer.invoke('show-notification', options);
+    const result = await ipcRenderer.invoke(CHANNELS.SHOW_NOTIFICATION, options);
     if (result && onClick) {
       onClick();
     }
@@ -25,14 +146,25 @@ contextBridge.exposeInMainWorld('electronAPI', {
   
   // Listen for notification click events from main process
   onNotificationClicked: (callback) => {
-    ipcRenderer.on('notification-clicked', (_event, data) => {
+    ipcRenderer.on(EVENTS.NOTIFICATION_CLICKED, (_event, data) => {
       callback(data);
     });
   },
   
+  // Tell the main process navigation listeners are registered
+  // Links that opened the app before this call are delivered right after it
+  signalRendererReady: () => {
+    return ipcRenderer.invoke(CHANNELS.RENDERER_READY);
+  },
+
+  // Open links to the configured server in-app (true) or in the browser (false)
+  setOpenServerLinksInApp: (enabled) => {
+    return ipcRenderer.invoke(CHANNELS.SET_OPEN_SERVER_LINKS_IN_APP, enabled);
+  },
+
   // Remove notification click listener
   removeNotificationClickedListener: () => {
-    ipcRenderer.removeAllListeners('notification-clicked');
+    ipcRenderer.removeAllListeners(EVENTS.NOTIFICATION_CLICKED);
   },
   
   // ============================================
@@ -45,11 +177,10 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // CENTRALIZED: Only save to electron-store, sync to localStorage for compatibility
   saveToken: async (token) => {
     try {
-      const result = await ipcRenderer.invoke('save-token', token);
-      // Sync to localStorage for compatibility (React app may read from localStorage)
-      if (result.success && token) {
-        localStorage.setItem('token', token);
-        localStorage.setItem('accessToken', token);
+      const result = await ipcRenderer.invoke(CHANNELS.SAVE_TOKEN, token);
+      // Sync to localStorage for compatibility (unless mirroring is disabled)
+      if (result.success) {
+        mirrorToken(token, result);
       }
       return result;
     } catch (error) {
@@ -67,18 +198,18 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // CENTRALIZED: Read from electron-store first, fallback to localStorage
   getToken: async () => {
     try {
-      const result = await ipcRenderer.invoke('get-token');
+      const result = await ipcRenderer.invoke(CHANNELS.GET_TOKEN);
       if (result.success && result.token) {
-        // Sync to localStorage for compatibility (React app may read from localStorage)
-        localStorage.setItem('token', result.token);
-        localStorage.setItem('accessToken', result.token);
+        // Sync to localStorage for compatibility (unless mirroring is disabled)
+        mirrorToken(result.token, result);
         return result.token;
       }
       // Fallback to localStorage if electron-store is empty
       const localToken = localStorage.getItem('token') || localStorage.getItem('accessToken');
       if (localToken) {
         // Sync back to electron-store if found in localStorage
-        await ipcRenderer.invoke('save-token', localToken);
+        const saveResult = await ipcRenderer.invoke(CHANNELS.SAVE_TOKEN, localToken);
+        mirrorToken(localToken, saveResult);
       }
       return localToken || null;
     } catch (error) {
@@ -92,14 +223,11 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // CENTRALIZED: Only save to electron-store, sync to localStorage for compatibility
   saveUser: async (userData) => {
     try {
-      const result = await ipcRenderer.invoke('save-user', userData);
-      // Sync to localStorage for compatibility (React app may read from localStorage)
+      const result = await ipcRenderer.invoke(CHANNELS.SAVE_USER, userData);
+      // Sync to localStorage for compatibility (unless token mirroring is disabled)
       if (result.success && userData) {
-        localStorage.setItem('ocs_user', JSON.stringify(userData));
-        if (userData.token) {
-          localStorage.setItem('token', userData.token);
-          localStorage.setItem('accessToken', userData.token);
-        }
+        localStorage.setItem('ocs_user', JSON.stringify(mirroredUser(userData, result)));
+        mirrorToken(userData.token, result);
         if (userData.workspaceId) {
           localStorage.setItem('workspaceId', String(userData.workspaceId));
         }
@@ -126,10 +254,10 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // CENTRALIZED: Read from electron-store first, fallback to localStorage
   getUser: async () => {
     try {
-      const result = await ipcRenderer.invoke('get-user');
+      const result = await ipcRenderer.invoke(CHANNELS.GET_USER);
       if (result.success && result.user) {
         // Sync to localStorage for compatibility (React app may read from localStorage)
-        localStorage.setItem('ocs_user', JSON.stringify(result.user));
+        localStorage.setItem('ocs_user', JSON.stringify(mirroredUser(result.user, result)));
         return result.user;
       }
       // Fallback to localStorage if electron-store is empty
@@ -137,7 +265,10 @@ contextBridge.exposeInMainWorld('electronAPI', {
       if (userStr) {
         const user = JSON.parse(userStr);
         // Sync back to electron-store if found in localStorage
-        await ipcRenderer.invoke('save-user', user);
+        const saveResult = await ipcRenderer.invoke(CHANNELS.SAVE_USER, user);
+        if (saveResult.mirrorToLocalStorage === false) {
+          removeMirroredToken();
+        }
         return user;
       }
       return null;
@@ -149,10 +280,25 @@ contextBridge.exposeInMainWorld('electronAPI', {
     }
   },
   
-  // Clear all stored data (logout)
+  // Stop (or resume) copying the token into localStorage
+  // When disabled, the token only lives in the encrypted store and must be read via getToken()
+  setTokenMirroring: async (enabled) => {
+    const result = await ipcRenderer.invoke(CHANNELS.SET_TOKEN_MIRRORING, enabled);
+    if (result.success && !result.mirrorToLocalStorage) {
+      removeMirroredToken();
+    }
+    return result;
+  },
+
+  // Where credentials are stored: { mode: 'encrypted' | 'plaintext' | 'memory', ... }
+  getStorageStatus: () => {
+    return ipcRenderer.invoke(CHANNELS.GET_STORAGE_STATUS);
+  },
+
+  // Log out of the active account (other accounts stay logged in)
   clearStorage: async () => {
     try {
-      const result = await ipcRenderer.invoke('clear-storage');
+      const result = await ipcRenderer.invoke(CHANNELS.CLEAR_STORAGE);
       // Also clear localStorage
       localStorage.clear();
       return result;
@@ -164,6 +310,526 @@ contextBridge.exposeInMainWorld('electronAPI', {
     }
   },
   
+  // ============================================
+  // ACCOUNTS (multi-account / multi-workspace)
+  // ============================================
+  // Each account runs in its own session; switching reloads the window
+
+  // List logged-in accounts: { success, accounts: [{ id, label, email, workspaceSlug, active }], activeId }
+  listAccounts: () => {
+    return ipcRenderer.invoke(CHANNELS.LIST_ACCOUNTS);
+  },
+
+  // Switch the window to another account
+  switchAccount: (accountId) => {
+    return ipcRenderer.invoke(CHANNELS.SWITCH_ACCOUNT, accountId);
+  },
+
+  // Remove an account and its stored session
+  removeAccount: (accountId) => {
+    return ipcRenderer.invoke(CHANNELS.REMOVE_ACCOUNT, accountId);
+  },
+
+  // Open a fresh session to log in to an additional account
+  addAccount: () => {
+    return ipcRenderer.invoke(CHANNELS.ADD_ACCOUNT);
+  },
+
+  // ============================================
+  // NOTIFICATION CENTER
+  // ============================================
+  // History, per-type mute, do-not-disturb and snooze (main/notification-center.js)
+
+  // History entries: [{ id, title, body, type, data, status, read, receivedAt }]
+  // query: { limit, unreadOnly, type }
+  getNotificationHistory: (query) => {
+    return ipcRenderer.invoke(CHANNELS.GET_NOTIFICATION_HISTORY, query);
+  },
+
+  // Mark entries read (all when ids is omitted)
+  markNotificationsRead: (ids) => {
+    return ipcRenderer.invoke(CHANNELS.MARK_NOTIFICATIONS_READ, ids);
+  },
+
+  clearNotificationHistory: () => {
+    return ipcRenderer.invoke(CHANNELS.CLEAR_NOTIFICATION_HISTORY);
+  },
+
+  // { mutedTypes, dnd: { scheduleEnabled, start, end, days, until }, dndActive }
+  getNotificationPreferences: () => {
+    return ipcRenderer.invoke(CHANNELS.GET_NOTIFICATION_PREFERENCES);
+  },
+
+  // Partial update, e.g. { mutedTypes: ['chat_message'] } or { dnd: { scheduleEnabled: true } }
+  setNotificationPreferences: (changes) => {
+    return ipcRenderer.invoke(CHANNELS.SET_NOTIFICATION_PREFERENCES, changes);
+  },
+
+  // Pause notifications until an ISO timestamp, or resume with null
+  setDoNotDisturb: (until) => {
+    return ipcRenderer.invoke(CHANNELS.SET_DO_NOT_DISTURB, until);
+  },
+
+  // Show a notification again after `minutes` (default 60)
+  snoozeNotification: (id, minutes) => {
+    return ipcRenderer.invoke(CHANNELS.SNOOZE_NOTIFICATION, id, minutes);
+  },
+
+  // Listen for history/preference changes (refetch with getNotificationHistory)
+  onNotificationHistoryChanged: (callback) => {
+    ipcRenderer.on(EVENTS.NOTIFICATION_HISTORY_CHANGED, () => {
+      callback();
+    });
+  },
+
+  // ============================================
+  // REMINDERS
+  // ============================================
+  // Fired by the main process, also while the window is closed
+
+  // Remind about a task leadMinutes (default 15) before dueAt; replaces an
+  // existing reminder for the same task: { taskId, title, dueAt, leadMinutes, projectId, workspaceSlug }
+  scheduleReminder: (reminder) => {
+    return ipcRenderer.invoke(CHANNELS.SCHEDULE_REMINDER, reminder);
+  },
+
+  cancelReminder: (taskId) => {
+    return ipcRenderer.invoke(CHANNELS.CANCEL_REMINDER, taskId);
+  },
+
+  // Pending reminders of the active account, soonest first
+  listReminders: () => {
+    return ipcRenderer.invoke(CHANNELS.LIST_REMINDERS);
+  },
+
+  // ============================================
+  // UPDATES
+  // ============================================
+
+  // { status, currentVersion, channel, availableVersion, releaseNotes, releaseDate,
+  //   progress: { percent, transferred, total, bytesPerSecond }, error, feedWarning,
+  //   skippedVersion, deferredUntil, lastCheckedAt }
+  getUpdateState: () => {
+    return ipcRenderer.invoke(CHANNELS.GET_UPDATE_STATE);
+  },
+
+  checkForUpdates: () => {
+    return ipcRenderer.invoke(CHANNELS.CHECK_FOR_UPDATES);
+  },
+
+  downloadUpdate: () => {
+    return ipcRenderer.invoke(CHANNELS.DOWNLOAD_UPDATE);
+  },
+
+  // Restart and install a downloaded update
+  installUpdate: () => {
+    return ipcRenderer.invoke(CHANNELS.INSTALL_UPDATE);
+  },
+
+  // Remind later (hours, default 24) - the update still installs on quit
+  deferUpdate: (hours) => {
+    return ipcRenderer.invoke(CHANNELS.DEFER_UPDATE, hours);
+  },
+
+  // Don't install this version (defaults to the available one)
+  skipUpdateVersion: (version) => {
+    return ipcRenderer.invoke(CHANNELS.SKIP_UPDATE_VERSION, version);
+  },
+
+  // 'stable' | 'beta'
+  setUpdateChannel: (channel) => {
+    return ipcRenderer.invoke(CHANNELS.SET_UPDATE_CHANNEL, channel);
+  },
+
+  // Open the updates window (release notes, channel, install/skip)
+  openUpdates: () => {
+    return ipcRenderer.invoke(CHANNELS.OPEN_UPDATES_WINDOW);
+  },
+
+  // Listen for update state changes (same shape as getUpdateState)
+  onUpdateStateChanged: (callback) => {
+    ipcRenderer.on(EVENTS.UPDATE_STATE_CHANGED, (_event, state) => {
+      callback(state);
+    });
+  },
+
+  // ============================================
+  // DOWNLOADS
+  // ============================================
+
+  // Recent downloads, newest first: [{ id, url, filename, savePath, mimeType, state,
+  //   receivedBytes, totalBytes, workspaceSlug, dangerous, startedAt, endedAt, exists }]
+  getDownloads: () => {
+    return ipcRenderer.invoke(CHANNELS.GET_DOWNLOADS);
+  },
+
+  // Open a downloaded file with its default application
+  openDownload: (id) => {
+    return ipcRenderer.invoke(CHANNELS.OPEN_DOWNLOAD, id);
+  },
+
+  showDownloadInFolder: (id) => {
+    return ipcRenderer.invoke(CHANNELS.SHOW_DOWNLOAD_IN_FOLDER, id);
+  },
+
+  // Download the file again (the new download replaces the entry)
+  retryDownload: (id) => {
+    return ipcRenderer.invoke(CHANNELS.RETRY_DOWNLOAD, id);
+  },
+
+  cancelDownload: (id) => {
+    return ipcRenderer.invoke(CHANNELS.CANCEL_DOWNLOAD, id);
+  },
+
+  // Forget finished downloads (the files are kept)
+  clearDownloads: () => {
+    return ipcRenderer.invoke(CHANNELS.CLEAR_DOWNLOADS);
+  },
+
+  // Open the downloads window
+  openDownloads: () => {
+    return ipcRenderer.invoke(CHANNELS.OPEN_DOWNLOADS_WINDOW);
+  },
+
+  // Listen for downloads starting, progressing or finishing (same shape as getDownloads)
+  onDownloadsChanged: (callback) => {
+    ipcRenderer.on(EVENTS.DOWNLOADS_CHANGED, (_event, downloads) => {
+      callback(downloads);
+    });
+  },
+
+  removeDownloadsListener: () => {
+    ipcRenderer.removeAllListeners(EVENTS.DOWNLOADS_CHANGED);
+  },
+
+  // ============================================
+  // ATTACHMENTS (DRAG AND DROP, CLIPBOARD)
+  // ============================================
+
+  // Upload File objects (drop event, file input) to a new task, or to options.taskId:
+  // options { taskId, attachToOpenTask, openTaskOnly, title, projectId, notify }
+  // -> { success, taskId, task, created, attachments, rejected: [{ name, reason }], error }
+  createTaskFromFiles: (files, options) => {
+    return ipcRenderer.invoke(CHANNELS.CREATE_TASK_FROM_FILES, toPaths(files), options);
+  },
+
+  // Upload the image on the clipboard as a screenshot (same options and result)
+  createTaskFromClipboard: (options) => {
+    return ipcRenderer.invoke(CHANNELS.CREATE_TASK_FROM_CLIPBOARD, options);
+  },
+
+  // The task the user has open (null: none) - files dropped on the tray icon,
+  // or where the page doesn't handle drops, are attached to it
+  setOpenTask: (taskId) => {
+    return ipcRenderer.invoke(CHANNELS.SET_OPEN_TASK, taskId === undefined ? null : taskId);
+  },
+
+  // Listen for upload progress:
+  // { uploadId, taskId, fileNames, loaded, total, state: 'uploading' | 'done' | 'error', error }
+  onUploadProgress: (callback) => {
+    ipcRenderer.on(EVENTS.UPLOAD_PROGRESS, (_event, progress) => {
+      callback(progress);
+    });
+  },
+
+  removeUploadProgressListener: () => {
+    ipcRenderer.removeAllListeners(EVENTS.UPLOAD_PROGRESS);
+  },
+
+  // ============================================
+  // TIME TRACKING
+  // ============================================
+
+  // Start the timer on a task (a timer on another task is stopped first);
+  // options { taskTitle } is shown in the tray
+  startTimer: (taskId, options) => {
+    return ipcRenderer.invoke(CHANNELS.START_TIMER, taskId, options);
+  },
+
+  // Stop the timer and record its time entry
+  stopTimer: () => {
+    return ipcRenderer.invoke(CHANNELS.STOP_TIMER);
+  },
+
+  // { running, taskId, taskTitle, startedAt, elapsedSeconds, idleSince, pendingEntries }
+  getTimerStatus: () => {
+    return ipcRenderer.invoke(CHANNELS.GET_TIMER_STATUS);
+  },
+
+  // Time entries of the active account, newest first (optionally of one task)
+  listTimeEntries: (taskId) => {
+    return ipcRenderer.invoke(CHANNELS.LIST_TIME_ENTRIES, taskId);
+  },
+
+  // Send unsynced time entries to the server now
+  syncTimeEntries: () => {
+    return ipcRenderer.invoke(CHANNELS.SYNC_TIME_ENTRIES);
+  },
+
+  // Listen for the timer starting, stopping or ticking (same shape as getTimerStatus)
+  onTimerChanged: (callback) => {
+    ipcRenderer.on(EVENTS.TIMER_CHANGED, (_event, status) => {
+      callback(status);
+    });
+  },
+
+  removeTimerListener: () => {
+    ipcRenderer.removeAllListeners(EVENTS.TIMER_CHANGED);
+  },
+
+  // ============================================
+  // TRAY
+  // ============================================
+
+  // Push badge counts and today's/overdue tasks to the tray:
+  // { unreadCount, overdueCount, tasks: [{ id, title, dueDate, projectId, projectName, workspaceSlug, overdue }] }
+  updateTrayState: (state) => {
+    return ipcRenderer.invoke(CHANNELS.UPDATE_TRAY_STATE, state);
+  },
+
+  // Listen for tasks completed outside the renderer (tray): { taskId, source }
+  onTaskCompleted: (callback) => {
+    ipcRenderer.on(EVENTS.TASK_COMPLETED, (_event, data) => {
+      callback(data);
+    });
+  },
+
+  // ============================================
+  // QUICK ADD
+  // ============================================
+
+  // Open the quick add window
+  openQuickAdd: () => {
+    return ipcRenderer.invoke(CHANNELS.OPEN_QUICK_ADD);
+  },
+
+  // Change the global quick add shortcut, e.g. 'CommandOrControl+Shift+Space'
+  setQuickAddShortcut: (accelerator) => {
+    return ipcRenderer.invoke(CHANNELS.SET_QUICK_ADD_SHORTCUT, accelerator);
+  },
+
+  // Listen for tasks created outside the renderer (quick add): { task, source }
+  onTaskCreated: (callback) => {
+    ipcRenderer.on(EVENTS.TASK_CREATED, (_event, data) => {
+      callback(data);
+    });
+  },
+
+  // ============================================
+  // OFFLINE MODE
+  // ============================================
+  // Cached data is served by the main process while the server is unreachable
+
+  // { online, syncing, pendingOperations, conflicts, cachedAt }
+  getOfflineStatus: () => {
+    return ipcRenderer.invoke(CHANNELS.GET_OFFLINE_STATUS);
+  },
+
+  // Cached tasks ({ projectId } filter optional)
+  getCachedTasks: (filter) => {
+    return ipcRenderer.invoke(CHANNELS.GET_CACHED_TASKS, filter);
+  },
+
+  // Cached projects
+  getCachedProjects: () => {
+    return ipcRenderer.invoke(CHANNELS.GET_CACHED_PROJECTS);
+  },
+
+  // Queue a task change: { type: 'create' | 'update' | 'complete', taskId?, payload? }
+  queueTaskOperation: (operation) => {
+    return ipcRenderer.invoke(CHANNELS.QUEUE_TASK_OPERATION, operation);
+  },
+
+  // Pending operations and unresolved conflicts
+  getOfflineOutbox: () => {
+    return ipcRenderer.invoke(CHANNELS.GET_OFFLINE_OUTBOX);
+  },
+
+  // Replay queued operations now
+  syncOfflineOutbox: () => {
+    return ipcRenderer.invoke(CHANNELS.SYNC_OFFLINE_OUTBOX);
+  },
+
+  // Re-download tasks and projects into the cache
+  refreshOfflineCache: () => {
+    return ipcRenderer.invoke(CHANNELS.REFRESH_OFFLINE_CACHE);
+  },
+
+  // Resolve a sync conflict: resolution is 'overwrite' or 'discard'
+  resolveOfflineConflict: (conflictId, resolution) => {
+    return ipcRenderer.invoke(CHANNELS.RESOLVE_OFFLINE_CONFLICT, conflictId, resolution);
+  },
+
+  // Listen for online/offline and outbox changes
+  onOfflineStatusChanged: (callback) => {
+    ipcRenderer.on(EVENTS.OFFLINE_STATUS_CHANGED, (_event, status) => {
+      callback(status);
+    });
+  },
+
+  // Listen for conflicts found while replaying the outbox
+  onOfflineConflict: (callback) => {
+    ipcRenderer.on(EVENTS.OFFLINE_CONFLICT, (_event, conflict) => {
+      callback(conflict);
+    });
+  },
+
+  // Listen for finished outbox replays: { sent, conflicts, failed }
+  onOfflineSyncResult: (callback) => {
+    ipcRenderer.on(EVENTS.OFFLINE_SYNC_RESULT, (_event, result) => {
+      callback(result);
+    });
+  },
+
+  // Remove offline listeners
+  removeOfflineListeners: () => {
+    ipcRenderer.removeAllListeners(EVENTS.OFFLINE_STATUS_CHANGED);
+    ipcRenderer.removeAllListeners(EVENTS.OFFLINE_CONFLICT);
+    ipcRenderer.removeAllListeners(EVENTS.OFFLINE_SYNC_RESULT);
+  },
+
+  // ============================================
+  // SETTINGS
+  // ============================================
+
+  // { settings, schema, version, devMode } - see main/settings.js
+  getSettings: () => {
+    return ipcRenderer.invoke(CHANNELS.GET_SETTINGS);
+  },
+
+  // Change one setting, e.g. setSetting('notificationSound', false)
+  setSetting: (key, value) => {
+    return ipcRenderer.invoke(CHANNELS.SET_SETTING, key, value);
+  },
+
+  // Restore the default of one setting (or all of them without a key)
+  resetSettings: (key) => {
+    return ipcRenderer.invoke(CHANNELS.RESET_SETTINGS, key);
+  },
+
+  // Open the settings window
+  openSettings: () => {
+    return ipcRenderer.invoke(CHANNELS.OPEN_SETTINGS);
+  },
+
+  // Listen for setting changes: { key, value, previous, settings }
+  onSettingsChanged: (callback) => {
+    ipcRenderer.on(EVENTS.SETTINGS_CHANGED, (_event, change) => {
+      callback(change);
+    });
+  },
+
+  // ============================================
+  // APPLICATION MENU
+  // ============================================
+
+  // Menu commands for the renderer: { command: 'new-task' | 'switch-workspace' |
+  // 'go-my-tasks' | 'go-inbox' | 'go-projects' }
+  onMenuCommand: (callback) => {
+    ipcRenderer.on(EVENTS.MENU_COMMAND, (_event, data) => {
+      callback(data);
+    });
+  },
+
+  removeMenuCommandListener: () => {
+    ipcRenderer.removeAllListeners(EVENTS.MENU_COMMAND);
+  },
+
+  // ============================================
+  // REALTIME CONNECTION
+  // ============================================
+  // The main process keeps its own connection to the server (also while the
+  // window is closed) and turns "notification" events into desktop
+  // notifications. Notifications the renderer shows for the same server
+  // notification are dropped when they carry its id as data.notificationId.
+
+  // { state, transport, connectedAt, lastEventAt, lastEventId, retryAt, error }
+  getRealtimeStatus: () => {
+    return ipcRenderer.invoke(CHANNELS.GET_REALTIME_STATUS);
+  },
+
+  // Listen for server events: { id, type, data }
+  onRealtimeEvent: (callback) => {
+    ipcRenderer.on(EVENTS.REALTIME_EVENT, (_event, event) => {
+      callback(event);
+    });
+  },
+
+  // Listen for connection state changes (same shape as getRealtimeStatus)
+  onRealtimeStatusChanged: (callback) => {
+    ipcRenderer.on(EVENTS.REALTIME_STATUS_CHANGED, (_event, status) => {
+      callback(status);
+    });
+  },
+
+  removeRealtimeListeners: () => {
+    ipcRenderer.removeAllListeners(EVENTS.REALTIME_EVENT);
+    ipcRenderer.removeAllListeners(EVENTS.REALTIME_STATUS_CHANGED);
+  },
+
+  // ============================================
+  // SERVER PROFILES
+  // ============================================
+
+  // Get the server URL the app is currently using
+  getServerURL: () => {
+    return ipcRenderer.invoke(CHANNELS.GET_SERVER_URL);
+  },
+
+  // Open the server settings window (add, test and switch servers)
+  openServerSettings: () => {
+    return ipcRenderer.invoke(CHANNELS.OPEN_SERVER_SETTINGS);
+  },
+
+  // ============================================
+  // CONNECTION ERROR PAGE
+  // ============================================
+
+  // What failed, which server is used, app/platform versions
+  getConnectionDiagnostics: () => {
+    return ipcRenderer.invoke(CHANNELS.GET_CONNECTION_DIAGNOSTICS);
+  },
+
+  // Copy the diagnostics as text to the clipboard
+  copyConnectionDiagnostics: () => {
+    return ipcRenderer.invoke(CHANNELS.COPY_CONNECTION_DIAGNOSTICS);
+  },
+
+  // Try loading the app again right away
+  retryConnection: () => {
+    return ipcRenderer.invoke(CHANNELS.RETRY_CONNECTION);
+  },
+
+  // ============================================
+  // CRASH PAGE
+  // ============================================
+  // Shown instead of reloading after repeated renderer crashes
+
+  // { lastCrash: { reason, exitCode, at }, recentCrashes, crashLoopLimit, crashLoopMinutes, crashDumpsPath }
+  getCrashInfo: () => {
+    return ipcRenderer.invoke(CHANNELS.GET_CRASH_INFO);
+  },
+
+  // Start the crash count over and reload at the last route
+  recoverFromCrash: () => {
+    return ipcRenderer.invoke(CHANNELS.RECOVER_FROM_CRASH);
+  },
+
+  // ============================================
+  // LOGS AND PROBLEM REPORTS
+  // ============================================
+
+  // Write to the app log file: level is 'debug' | 'info' | 'warn' | 'error'.
+  // Tokens are redacted; console output and uncaught errors are logged already
+  log: (level, message, data) => {
+    return ipcRenderer.invoke(CHANNELS.LOG_MESSAGE, level, String(message), data);
+  },
+
+  // Save the logs and an environment summary as a zip for support (asks where)
+  reportProblem: () => {
+    return ipcRenderer.invoke(CHANNELS.REPORT_PROBLEM);
+  },
+
   // Check if running in Electron
   isElectron: true
 });
@@ -0,0 +1,96 @@
+// Generates types/electron-api.d.ts (typings for window.electronAPI) from
+// main/ipc-contract.js, so the React app type-checks against the real API.
+//
+//   npm run generate:types          write the declaration
+//   npm run generate:types -- --check   exit 1 if it is out of date
+
+const fs = require('fs');
+const path = require('path');
+const contract = require('../main/ipc-contract');
+
+const OUTPUT_PATH = path.join(__dirname, '..', 'types', 'electron-api.d.ts');
+
+const TS_TYPES = {
+  string: 'string',
+  number: 'number',
+  boolean: 'boolean',
+  object: 'Record<string, unknown>',
+  array: 'unknown[]',
+  any: 'unknown'
+};
+
+function docComment(doc, prefix) {
+  return doc ? `${prefix}/** ${doc} */\n` : '';
+}
+
+function paramType(param) {
+  const type = param.ts || [].concat(param.type).map((item) => TS_TYPES[item]).join(' | ');
+  return param.nullable && !type.includes('null') ? `${type} | null` : type;
+}
+
+function invokeMember(spec) {
+  const { api } = spec;
+  const params = api.params || spec.args
+    .map((param) => `${param.name}${param.optional ? '?' : ''}: ${paramType(param)}`)
+    .join(', ');
+  const returns = api.sync ? api.returns : `Promise<${api.returns}>`;
+  return `${docComment(api.doc, '  ')}  ${api.name}(${params}): ${returns};`;
+}
+
+function eventMember(spec) {
+  const { api } = spec;
+  const callback = spec.payload ? `(payload: ${spec.payload}) => void` : '() => void';
+  return `${docComment(api.doc, '  ')}  ${api.name}(callback: ${callback}): void;`;
+}
+
+function generate() {
+  const types = Object.entries(contract.TYPES)
+    .map(([name, body]) => `export type ${name} = ${body};`)
+    .join('\n\n');
+
+  const members = [
+    ...Object.values(contract.INVOKE).filter((spec) => spec.api).map(invokeMember),
+    ...Object.values(contract.EVENT).filter((spec) => spec.api).map(eventMember),
+    ...contract.EXTRA_API_MEMBERS.map((member) => `${docComment(member.doc, '  ')}  ${member.name}${member.signature};`)
+  ];
+
+  return [
+    '// Generated by scripts/generate-ipc-types.js from main/ipc-contract.js - do not edit.',
+    '// Run `npm run generate:types` after changing the contract.',
+    '',
+    types,
+    '',
+    'export interface ElectronAPI {',
+    members.join('\n'),
+    '}',
+    '',
+    'declare global {',
+    '  interface Window {',
+    '    /** Only present inside the desktop app */',
+    '    electronAPI?: ElectronAPI;',
+    '  }',
+    '}',
+    ''
+  ].join('\n');
+}
+
+if (require.main === module) {
+  const output = generate();
+  if (process.argv.includes('--check')) {
+    const current = fs.existsSync(OUTPUT_PATH) ? fs.readFileSync(OUTPUT_PATH, 'utf8') : '';
+    if (current !== output) {
+      console.error('❌ types/electron-api.d.ts is out of date - run npm run generate:types');
+      process.exit(1);
+    }
+    console.log('✅ types/electron-api.d.ts is up to date');
+  } else {
+    fs.mkdirSync(path.dirname(OUTPUT_PATH), { recursive: true });
+    fs.writeFileSync(OUTPUT_PATH, output);
+    console.log(`✅ Wrote ${path.relative(process.cwd(), OUTPUT_PATH)}`);
+  }
+}
+
+module.exports = {
+  OUTPUT_PATH,
+  generate
+};
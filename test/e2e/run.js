@@ -0,0 +1,141 @@
+// ============================================
+// END-TO-END HARNESS
+// ============================================
+// Boots the real main process (electron.js) against the mock OCS server and
+// drives window.electronAPI in the loaded page. Runs inside Electron:
+//
+//   npm run test:e2e          (xvfb-run -a electron test/e2e/run.js on Linux)
+//
+// Each check runs in order; the process exits 1 if any of them fails.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const assert = require("node:assert/strict");
+const { app, BrowserWindow } = require("electron");
+const { createMockServer, VALID_TOKEN } = require("../mock-server");
+
+const LOAD_TIMEOUT_MS = 20 * 1000;
+
+// Fresh profile so stored tokens/settings from a real install don't leak in
+const userData = fs.mkdtempSync(path.join(os.tmpdir(), "ocs-e2e-"));
+app.setPath("userData", userData);
+
+const checks = [];
+function check(name, fn) {
+  checks.push({ name, fn });
+}
+
+function waitFor(condition, timeoutMs, message) {
+  const startedAt = Date.now();
+  return new Promise((resolve, reject) => {
+    const poll = async () => {
+      const value = await condition();
+      if (value) {
+        resolve(value);
+      } else if (Date.now() - startedAt > timeoutMs) {
+        reject(new Error(message));
+      } else {
+        setTimeout(poll, 100);
+      }
+    };
+    poll();
+  });
+}
+
+// Run code in the page and return its (JSON-serialisable) result
+function inPage(window, code) {
+  return window.webContents.executeJavaScript(`(async () => { ${code} })()`);
+}
+
+async function main() {
+  const mock = createMockServer();
+  const serverURL = await mock.listen();
+  process.env.ELECTRON_SERVER_URL = serverURL;
+  process.env.ELECTRON_DEV_URL = serverURL;
+
+  // Start the app exactly as `electron .` would
+  require("../../electron.js");
+  await app.whenReady();
+
+  const window = await waitFor(() => {
+    const loaded = BrowserWindow.getAllWindows().find((item) =>
+      item.webContents.getURL().startsWith(serverURL) && !item.webContents.isLoading());
+    return loaded || null;
+  }, LOAD_TIMEOUT_MS, `Main window did not load ${serverURL}`);
+
+  check("preload exposes window.electronAPI", async () => {
+    const exposed = await inPage(window, "return !!window.electronAPI && window.electronAPI.isElectron === true;");
+    assert.equal(exposed, true);
+  });
+
+  check("token save/load/clear round-trip", async () => {
+    const result = await inPage(window, `
+      const saved = await window.electronAPI.saveToken(${JSON.stringify(VALID_TOKEN)});
+      const loaded = await window.electronAPI.getToken();
+      const cleared = await window.electronAPI.clearStorage();
+      const afterClear = await window.electronAPI.getToken();
+      return { saved, loaded, cleared, afterClear };
+    `);
+    assert.equal(result.saved.success, true, `saveToken failed: ${result.saved.error}`);
+    assert.equal(result.loaded, VALID_TOKEN);
+    assert.equal(result.cleared.success, true);
+    assert.equal(result.afterClear, null);
+  });
+
+  check("duplicate notifications are dropped", async () => {
+    const results = await inPage(window, `
+      const data = { title: 'Task assigned', body: 'Write report', data: { tag: 'e2e-dup', taskId: '1' } };
+      const first = await window.electronAPI.sendDesktopNotification(data);
+      const second = await window.electronAPI.sendDesktopNotification(data);
+      return { first, second };
+    `);
+    assert.equal(results.first, true);
+    assert.equal(results.second, false);
+  });
+
+  check("deep links reach the renderer as navigation payloads", async () => {
+    await inPage(window, `
+      window.__navigations = [];
+      window.electronAPI.onNotificationClicked((payload) => window.__navigations.push(payload));
+      await window.electronAPI.signalRendererReady();
+    `);
+    app.emit("open-url", { preventDefault() {} }, "ocs-taskmanager://acme/projects/45/tasks/123");
+
+    const [payload] = await waitFor(
+      () => inPage(window, "return window.__navigations.length > 0 ? window.__navigations : null;"),
+      5000,
+      "No notification-clicked event received"
+    );
+    assert.equal(payload.taskId, "123");
+    assert.equal(payload.projectId, "45");
+    assert.equal(payload.workspaceSlug, "acme");
+    assert.equal(payload.entityType, "task");
+  });
+
+  check("server URL comes from ELECTRON_SERVER_URL", async () => {
+    const url = await inPage(window, "return window.electronAPI.getServerURL();");
+    assert.equal(url, serverURL);
+  });
+
+  let failures = 0;
+  for (const { name, fn } of checks) {
+    try {
+      await fn();
+      console.log(`ok - ${name}`);
+    } catch (error) {
+      failures++;
+      console.log(`not ok - ${name}\n  ${error.message}`);
+    }
+  }
+  console.log(`\n${checks.length - failures}/${checks.length} passed`);
+
+  await mock.close();
+  fs.rmSync(userData, { recursive: true, force: true });
+  app.exit(failures > 0 ? 1 : 0);
+}
+
+main().catch((error) => {
+  console.error("❌ E2E harness failed:", error);
+  app.exit(1);
+});
@@ -0,0 +1,246 @@
+// ============================================
+// ELECTRON STUB FOR UNIT TESTS
+// ============================================
+// The main/ modules require "electron", which only resolves inside the
+// Electron runtime. Requiring this file first swaps in small fakes so the
+// modules can be tested with plain `node --test`.
+//
+//   const { electron, createMemoryStore } = require("../helpers/electron-stub");
+//
+// Tests can tweak the fakes (e.g. electron.safeStorage.available = false)
+// or register more fake modules with stubModule(name, exports).
+// Module logging is muted unless TEST_LOGS=1.
+
+const Module = require("module");
+const os = require("os");
+const path = require("path");
+const { EventEmitter } = require("events");
+
+const stubs = new Map();
+
+// The modules log a lot; keep test output readable (TEST_LOGS=1 to see them)
+if (!process.env.TEST_LOGS) {
+  console.debug = () => {};
+  console.log = () => {};
+  console.warn = () => {};
+}
+
+const electron = {
+  app: Object.assign(new EventEmitter(), {
+    isPackaged: false,
+    getName: () => "OCS Task Manager",
+    getVersion: () => "1.0.0",
+    getLocale: () => "en-US",
+    isReady: () => true,
+    setAsDefaultProtocolClient: () => true,
+    // Tests point the folders they use somewhere temporary (app.paths.crashDumps = ...)
+    paths: {},
+    getPath: (name) => electron.app.paths[name] || path.join(os.tmpdir(), "ocs-test-paths", name)
+  }),
+
+  crashReporter: {
+    started: null,
+    start: (options) => {
+      electron.crashReporter.started = options;
+    }
+  },
+
+  // showMessageBox answers with dialog.response (button index)
+  dialog: {
+    response: 0,
+    showMessageBox: async () => ({ response: electron.dialog.response }),
+    showSaveDialog: async () => ({ canceled: true })
+  },
+
+  // Reversible "encryption" so tests can tell stored records apart from plain JSON
+  safeStorage: {
+    available: true,
+    backend: "gnome_libsecret",
+    isEncryptionAvailable() {
+      return this.available;
+    },
+    getSelectedStorageBackend() {
+      return this.backend;
+    },
+    encryptString: (text) => Buffer.from(`enc:${text}`),
+    decryptString: (buffer) => buffer.toString().replace(/^enc:/, "")
+  },
+
+  // defaultSession.resolveProxy answers with session.proxy (PAC format)
+  session: {
+    cleared: [],
+    proxy: "DIRECT",
+    defaultSession: {
+      clearStorageData: async () => electron.session.cleared.push(null),
+      resolveProxy: async () => electron.session.proxy
+    },
+    fromPartition: (partition) => ({
+      clearStorageData: async () => electron.session.cleared.push(partition)
+    })
+  },
+
+  // net.fetch behaves like fetch for requests to the mock server
+  net: {
+    online: true,
+    fetch: (...args) => fetch(...args),
+    isOnline: () => electron.net.online
+  },
+
+  // getSystemIdleTime() reports powerMonitor.idleSeconds
+  powerMonitor: Object.assign(new EventEmitter(), {
+    idleSeconds: 0,
+    getSystemIdleTime: () => electron.powerMonitor.idleSeconds
+  }),
+
+  // Keeps the last template given to setApplicationMenu()
+  Menu: {
+    current: null,
+    buildFromTemplate: (template) => template,
+    setApplicationMenu: (menu) => {
+      electron.Menu.current = menu;
+    }
+  },
+
+  // register() fails for accelerators in globalShortcut.taken
+  globalShortcut: {
+    registered: new Map(),
+    taken: new Set(),
+    register(accelerator, callback) {
+      if (this.taken.has(accelerator)) return false;
+      this.registered.set(accelerator, callback);
+      return true;
+    },
+    unregister(accelerator) {
+      this.registered.delete(accelerator);
+    }
+  },
+
+  // Records handlers; invoke() calls one the way ipcRenderer.invoke would,
+  // from a frame showing senderURL (invokeFrom() picks another frame URL)
+  ipcMain: {
+    handlers: new Map(),
+    listeners: new Map(),
+    senderURL: "file:///app/pages/test.html",
+    handle(channel, handler) {
+      this.handlers.set(channel, handler);
+    },
+    on(channel, listener) {
+      this.listeners.set(channel, listener);
+    },
+    invoke(channel, ...args) {
+      return this.invokeFrom(this.senderURL, channel, ...args);
+    },
+    invokeFrom(url, channel, ...args) {
+      return this.handlers.get(channel)({ sender: null, senderFrame: url ? { url } : null }, ...args);
+    },
+    sendSync(channel) {
+      const event = {};
+      this.listeners.get(channel)(event);
+      return event.returnValue;
+    }
+  },
+
+  shell: {
+    opened: [],
+    shown: [],
+    openExternal: async (url) => {
+      electron.shell.opened.push(url);
+    },
+    openPath: async (filePath) => {
+      electron.shell.opened.push(filePath);
+      return "";
+    },
+    showItemInFolder: (filePath) => {
+      electron.shell.shown.push(filePath);
+    }
+  },
+
+  // readImage() finds clipboard.image (PNG data) - null: no image
+  clipboard: {
+    image: null,
+    text: "",
+    readImage: () => ({
+      isEmpty: () => !electron.clipboard.image,
+      toPNG: () => electron.clipboard.image
+    }),
+    writeText: (text) => {
+      electron.clipboard.text = text;
+    }
+  },
+
+  // Notifications shown land in Notification.shown ({ title, body })
+  Notification: Object.assign(class extends EventEmitter {
+    constructor(options) {
+      super();
+      this.options = options;
+    }
+
+    show() {
+      electron.Notification.shown.push(this.options);
+    }
+  }, {
+    shown: [],
+    isSupported: () => true
+  }),
+
+  screen: {
+    displays: [{ id: 1, workArea: { x: 0, y: 0, width: 1920, height: 1080 } }],
+    getPrimaryDisplay: () => electron.screen.displays[0],
+    getAllDisplays: () => electron.screen.displays,
+    getDisplayMatching: () => electron.screen.displays[0]
+  }
+};
+
+function stubModule(name, exports) {
+  stubs.set(name, exports);
+}
+
+stubModule("electron", electron);
+
+const originalLoad = Module._load;
+Module._load = function load(request, ...rest) {
+  if (stubs.has(request)) {
+    return stubs.get(request);
+  }
+  return originalLoad.call(this, request, ...rest);
+};
+
+// In-memory stand-in for electron-store (dotted keys like "secrets.token")
+function createMemoryStore(defaults = {}) {
+  const data = JSON.parse(JSON.stringify(defaults));
+
+  function walk(key, create) {
+    const parts = key.split(".");
+    let node = data;
+    for (const part of parts.slice(0, -1)) {
+      if (node[part] === undefined || node[part] === null) {
+        if (!create) return { node: null, last: null };
+        node[part] = {};
+      }
+      node = node[part];
+    }
+    return { node, last: parts[parts.length - 1] };
+  }
+
+  return {
+    data,
+    get(key) {
+      const { node, last } = walk(key, false);
+      return node ? node[last] : undefined;
+    },
+    set(key, value) {
+      const { node, last } = walk(key, true);
+      node[last] = value;
+    },
+    delete(key) {
+      const { node, last } = walk(key, false);
+      if (node) delete node[last];
+    }
+  };
+}
+
+module.exports = {
+  electron,
+  stubModule,
+  createMemoryStore
+};
@@ -0,0 +1,17 @@
+// ============================================
+// WAIT FOR A CONDITION IN ASYNC TESTS
+// ============================================
+//   const { waitFor } = require("../helpers/wait-for");
+//   await waitFor(() => events.length === 2);
+//
+// Polls check() every 20ms; rejects after timeout ms.
+
+async function waitFor(check, timeout = 5000) {
+  const started = Date.now();
+  while (!check()) {
+    if (Date.now() - started > timeout) throw new Error("Timed out waiting");
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+module.exports = { waitFor };
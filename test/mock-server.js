@@ -0,0 +1,305 @@
+// ============================================
+// MOCK OCS SERVER
+// ============================================
+// Small local stand-in for the OCS backend used by the tests (and handy for
+// manual runs: `node test/mock-server.js` then ELECTRON_SERVER_URL=http://127.0.0.1:4100).
+//
+//   GET  /                              stub app page
+//   GET  /desktop/updates/latest.yml    update feed (stable channel)
+//   GET  /desktop/updates/beta.yml      update feed (beta channel)
+//   GET  /api/tasks/my                  tasks (Bearer token required)
+//   POST /api/tasks                     create a task
+//   PATCH /api/tasks/:id                update/complete a task
+//   POST /api/tasks/:id/attachments     multipart upload ("files" fields)
+//   POST /api/time-entries              log time on a task
+//   GET  /api/projects                  projects
+//   GET  /api/notifications/unread-count
+//   POST /api/rooms/:id/messages        chat reply
+//   GET  /api/realtime/ws               realtime events over WebSocket (?lastEventId=)
+//   GET  /api/realtime/events           realtime events as text/event-stream (Last-Event-ID)
+//   GET  /api/realtime/poll             realtime events by long-polling (?after=&timeout=)
+//
+// Every request is recorded in server.requests so tests can assert on them.
+// state.failWith = 503 (any status) makes every /api/ request fail with it.
+// server.pushEvent(type, data) sends a realtime event to connected clients,
+// server.dropRealtimeClients() cuts their connections.
+
+const http = require("http");
+const WebSocket = require("ws");
+
+const VALID_TOKEN = "test-token";
+
+function createFeed(version, options = {}) {
+  const lines = [
+    `version: ${version}`,
+    "files:",
+    `  - url: OCS-Task-Manager-Setup-${version}.exe`,
+    "    sha512: bW9jaw==",
+    "    size: 1024",
+    `path: OCS-Task-Manager-Setup-${version}.exe`,
+    "sha512: bW9jaw==",
+    `releaseDate: '${options.releaseDate || "2026-01-01T00:00:00.000Z"}'`
+  ];
+  if (options.releaseNotes) {
+    lines.push(`releaseNotes: ${JSON.stringify(options.releaseNotes)}`);
+  }
+  if (options.stagingPercentage !== undefined) {
+    lines.push(`stagingPercentage: ${options.stagingPercentage}`);
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+// options: { tasks, projects, unreadCount, versions: { latest, beta },
+//   realtime: { websocket, sse, longpoll } (false: answer 404) }
+function createMockServer(options = {}) {
+  const state = {
+    tasks: options.tasks || [
+      { id: "1", title: "Write report", dueDate: new Date().toISOString(), status: "open", updatedAt: "2026-01-01T00:00:00.000Z" },
+      { id: "2", title: "Review PR", dueDate: null, status: "open", updatedAt: "2026-01-01T00:00:00.000Z" }
+    ],
+    projects: options.projects || [{ id: "p1", name: "Website" }],
+    unreadCount: options.unreadCount !== undefined ? options.unreadCount : 3,
+    versions: { latest: "1.0.0", beta: "1.1.0-beta.1", ...(options.versions || {}) },
+    messages: [],
+    attachments: [], // { taskId, name, type, content }
+    timeEntries: [],
+    events: [],
+    failWith: null
+  };
+  const requests = [];
+  const transports = { websocket: true, sse: true, longpoll: true, ...(options.realtime || {}) };
+  const realtimeClients = {
+    websocket: new Set(), // sockets
+    sse: new Set(), // responses
+    longpoll: new Set() // { res, timer }
+  };
+
+  function eventsAfter(id) {
+    const index = id ? state.events.findIndex((event) => event.id === id) : -1;
+    return state.events.slice(index + 1);
+  }
+
+  function sendStreamEvent(res, event) {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  }
+
+  function pushEvent(type, data) {
+    const event = { id: String(state.events.length + 1), type, data };
+    state.events.push(event);
+    realtimeClients.websocket.forEach((socket) => socket.send(JSON.stringify(event)));
+    realtimeClients.sse.forEach((res) => sendStreamEvent(res, event));
+    realtimeClients.longpoll.forEach(({ res, timer }) => {
+      clearTimeout(timer);
+      send(res, 200, { events: [event] });
+    });
+    realtimeClients.longpoll.clear();
+    return event;
+  }
+
+  function dropRealtimeClients() {
+    realtimeClients.websocket.forEach((socket) => socket.terminate());
+    realtimeClients.sse.forEach((res) => res.destroy());
+    realtimeClients.longpoll.forEach(({ res, timer }) => {
+      clearTimeout(timer);
+      res.destroy();
+    });
+    Object.values(realtimeClients).forEach((clients) => clients.clear());
+  }
+
+  function send(res, status, body, contentType = "application/json") {
+    res.writeHead(status, { "Content-Type": contentType });
+    res.end(contentType === "application/json" ? JSON.stringify(body) : body);
+  }
+
+  function readBody(req) {
+    return new Promise((resolve) => {
+      let raw = "";
+      req.on("data", (chunk) => { raw += chunk; });
+      req.on("end", () => {
+        try {
+          resolve(raw ? JSON.parse(raw) : null);
+        } catch (error) {
+          resolve(raw);
+        }
+      });
+    });
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const body = await readBody(req);
+    requests.push({ method: req.method, path: url.pathname, headers: req.headers, body });
+
+    if (req.method === "GET" && url.pathname === "/") {
+      send(res, 200, "<!DOCTYPE html><html><head><title>OCS Mock</title></head><body><h1>OCS mock server</h1></body></html>", "text/html");
+      return;
+    }
+
+    const feed = url.pathname.match(/^\/desktop\/updates\/(latest|beta)(-mac|-linux)?\.yml$/);
+    if (req.method === "GET" && feed) {
+      send(res, 200, createFeed(state.versions[feed[1]], options.feed), "text/yaml");
+      return;
+    }
+
+    if (url.pathname.startsWith("/api/")) {
+      if (req.headers.authorization !== `Bearer ${VALID_TOKEN}`) {
+        send(res, 401, { message: "Unauthorized" });
+        return;
+      }
+      if (state.failWith) {
+        send(res, state.failWith, { message: `Mock failure ${state.failWith}` });
+        return;
+      }
+
+      if (req.method === "GET" && url.pathname === "/api/tasks/my") {
+        send(res, 200, { data: state.tasks });
+        return;
+      }
+      if (req.method === "POST" && url.pathname === "/api/tasks") {
+        const task = { id: String(state.tasks.length + 1), status: "open", ...body, updatedAt: new Date().toISOString() };
+        state.tasks.push(task);
+        send(res, 201, { data: task });
+        return;
+      }
+      if (req.method === "POST" && url.pathname === "/api/time-entries") {
+        if (!state.tasks.some((item) => item.id === String(body && body.taskId))) {
+          send(res, 422, { message: "Unknown task" });
+          return;
+        }
+        const entry = { id: `t${state.timeEntries.length + 1}`, ...body };
+        state.timeEntries.push(entry);
+        send(res, 201, { data: entry });
+        return;
+      }
+      const attachmentsMatch = url.pathname.match(/^\/api\/tasks\/([^/]+)\/attachments$/);
+      if (req.method === "POST" && attachmentsMatch) {
+        if (!state.tasks.some((item) => item.id === attachmentsMatch[1])) {
+          send(res, 404, { message: "Task not found" });
+          return;
+        }
+        const parts = [...String(body).matchAll(/filename="([^"]*)"\r\nContent-Type: ([^\r]*)\r\n\r\n([\s\S]*?)\r\n--/g)];
+        const added = parts.map(([, name, type, content]) => {
+          const attachment = { id: `a${state.attachments.length + 1}`, taskId: attachmentsMatch[1], name, type, content };
+          state.attachments.push(attachment);
+          return attachment;
+        });
+        send(res, 201, { data: added.map(({ id, name, type }) => ({ id, name, type })) });
+        return;
+      }
+      const taskMatch = url.pathname.match(/^\/api\/tasks\/([^/]+)$/);
+      if (taskMatch) {
+        const task = state.tasks.find((item) => item.id === taskMatch[1]);
+        if (!task) {
+          send(res, 404, { message: "Task not found" });
+          return;
+        }
+        if (req.method === "GET") {
+          send(res, 200, { data: task });
+          return;
+        }
+        if (req.method === "PATCH" || req.method === "PUT") {
+          Object.assign(task, body, { updatedAt: new Date().toISOString() });
+          send(res, 200, { data: task });
+          return;
+        }
+      }
+      if (req.method === "GET" && url.pathname === "/api/projects") {
+        send(res, 200, { data: state.projects });
+        return;
+      }
+      if (req.method === "GET" && url.pathname === "/api/notifications/unread-count") {
+        send(res, 200, { count: state.unreadCount });
+        return;
+      }
+      if (req.method === "GET" && url.pathname === "/api/realtime/events" && transports.sse) {
+        res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache" });
+        res.write(": connected\n\n");
+        eventsAfter(req.headers["last-event-id"]).forEach((event) => sendStreamEvent(res, event));
+        realtimeClients.sse.add(res);
+        req.on("close", () => realtimeClients.sse.delete(res));
+        return;
+      }
+      if (req.method === "GET" && url.pathname === "/api/realtime/poll" && transports.longpoll) {
+        const pending = eventsAfter(url.searchParams.get("after"));
+        if (pending.length > 0) {
+          send(res, 200, { events: pending });
+          return;
+        }
+        const client = { res, timer: null };
+        client.timer = setTimeout(() => {
+          realtimeClients.longpoll.delete(client);
+          send(res, 200, { events: [] });
+        }, Math.min(Number(url.searchParams.get("timeout")) || 25, 25) * 1000);
+        realtimeClients.longpoll.add(client);
+        return;
+      }
+      const roomMatch = url.pathname.match(/^\/api\/rooms\/([^/]+)\/messages$/);
+      if (req.method === "POST" && roomMatch) {
+        const message = { id: String(state.messages.length + 1), roomId: roomMatch[1], ...body };
+        state.messages.push(message);
+        send(res, 201, { data: message });
+        return;
+      }
+    }
+
+    send(res, 404, { message: "Not found" });
+  });
+
+  // WebSocket handshake for /api/realtime/ws; other upgrades are refused
+  const socketServer = new WebSocket.Server({ noServer: true });
+  server.on("upgrade", (req, socket, head) => {
+    const url = new URL(req.url, "http://localhost");
+    requests.push({ method: req.method, path: url.pathname, headers: req.headers, body: null });
+    const refuse = (status, text) => {
+      socket.end(`HTTP/1.1 ${status} ${text}\r\nContent-Length: 0\r\nConnection: close\r\n\r\n`);
+    };
+    if (url.pathname !== "/api/realtime/ws" || !transports.websocket) {
+      refuse(404, "Not Found");
+      return;
+    }
+    if (req.headers.authorization !== `Bearer ${VALID_TOKEN}`) {
+      refuse(401, "Unauthorized");
+      return;
+    }
+    socketServer.handleUpgrade(req, socket, head, (client) => {
+      realtimeClients.websocket.add(client);
+      client.on("close", () => realtimeClients.websocket.delete(client));
+      eventsAfter(url.searchParams.get("lastEventId")).forEach((event) => client.send(JSON.stringify(event)));
+    });
+  });
+
+  return {
+    server,
+    state,
+    requests,
+    pushEvent,
+    dropRealtimeClients,
+    // Resolves with the base URL, e.g. http://127.0.0.1:54321/
+    listen(port = 0) {
+      return new Promise((resolve) => {
+        server.listen(port, "127.0.0.1", () => {
+          this.url = `http://127.0.0.1:${server.address().port}/`;
+          resolve(this.url);
+        });
+      });
+    },
+    close() {
+      dropRealtimeClients();
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(() => resolve()));
+    }
+  };
+}
+
+module.exports = {
+  VALID_TOKEN,
+  createFeed,
+  createMockServer
+};
+
+if (require.main === module) {
+  const mock = createMockServer();
+  mock.listen(Number(process.env.PORT) || 4100).then((url) => {
+    console.log(`🧪 Mock OCS server running at ${url} (token: ${VALID_TOKEN})`);
+  });
+}
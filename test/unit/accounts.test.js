@@ -0,0 +1,90 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { electron, createMemoryStore } = require("../helpers/electron-stub");
+const { waitFor } = require("../helpers/wait-for");
+const secureStorage = require("../../main/secure-storage");
+const accounts = require("../../main/accounts");
+
+let store;
+let removed;
+
+beforeEach(() => {
+  electron.safeStorage.available = true;
+  electron.safeStorage.backend = "gnome_libsecret";
+  store = createMemoryStore({ secrets: {}, accounts: {}, activeAccountId: null });
+  removed = [];
+  secureStorage.init({ store });
+  secureStorage.clearSecrets();
+  accounts.init({ store, onAccountRemoved: (id) => removed.push(id) });
+});
+
+test("token save/load round-trip goes through encrypted storage", () => {
+  const account = accounts.setToken("abc123");
+  assert.equal(accounts.getToken(), "abc123");
+
+  const record = store.get(`secrets.token:${account.id}`);
+  assert.equal(record.encrypted, true);
+  assert.ok(!record.data.includes("abc123"), "token must not be stored in plain text");
+});
+
+test("user save creates the account identity", () => {
+  const account = accounts.setUser({ id: "u1", name: "Jane Doe", email: "jane@example.com", workspaceSlug: "acme", token: "t1" });
+  assert.equal(account.label, "Jane Doe - acme");
+  assert.equal(accounts.getToken(), "t1");
+  assert.equal(accounts.getUser().email, "jane@example.com");
+  assert.equal(store.get("workspaceSlug"), "acme");
+});
+
+test("removing the active account clears its secrets and session", async () => {
+  const account = accounts.setToken("abc123");
+  const { wasActive } = await accounts.removeAccount(account.id);
+
+  assert.equal(wasActive, true);
+  assert.equal(accounts.getToken(), null);
+  assert.equal(store.get(`secrets.token:${account.id}`), undefined);
+  assert.deepEqual(removed, [account.id]);
+  assert.equal(electron.session.cleared.length > 0, true);
+});
+
+test("accounts keep separate tokens", () => {
+  const first = accounts.setUser({ id: "u1", workspaceId: "w1", token: "t1" });
+  accounts.beginAddAccount();
+  const second = accounts.setUser({ id: "u2", workspaceId: "w1", token: "t2" });
+
+  assert.notEqual(first.id, second.id);
+  assert.notEqual(first.partition, second.partition);
+  assert.equal(accounts.getToken(), "t2");
+
+  accounts.setActiveAccount(first.id);
+  assert.equal(accounts.getToken(), "t1");
+  assert.equal(accounts.listAccounts().length, 2);
+});
+
+test("without a real keyring secrets stay in memory", () => {
+  electron.safeStorage.backend = "basic_text";
+  const account = accounts.setToken("abc123");
+
+  assert.equal(secureStorage.getStorageMode(), "memory");
+  assert.equal(accounts.getToken(), "abc123");
+  assert.equal(store.get(`secrets.token:${account.id}`), undefined);
+});
+
+test("saving no token clears it without creating an account", () => {
+  assert.equal(accounts.setToken(null), null);
+  assert.deepEqual(accounts.listAccounts(), []);
+
+  const account = accounts.setToken("abc123");
+  accounts.setToken(null);
+  assert.equal(accounts.getToken(), null);
+  assert.deepEqual(accounts.listAccounts().map((item) => item.id), [account.id]);
+});
+
+test("logging in again to the same identity replaces the old account", async () => {
+  const first = accounts.setUser({ id: "u1", workspaceId: "w1", token: "t1" });
+  accounts.beginAddAccount();
+  const second = accounts.setUser({ id: "u1", workspaceId: "w1", token: "t2" });
+
+  await waitFor(() => removed.length === 1);
+  assert.deepEqual(removed, [first.id]);
+  assert.deepEqual(accounts.listAccounts().map((item) => item.id), [second.id]);
+});
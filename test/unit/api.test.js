@@ -0,0 +1,52 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+require("../helpers/electron-stub");
+const { createMockServer, VALID_TOKEN } = require("../mock-server");
+const api = require("../../main/api");
+
+let mock;
+let token = VALID_TOKEN;
+
+before(async () => {
+  mock = createMockServer();
+  const url = await mock.listen();
+  api.init({ getToken: () => token, getServerURL: () => url });
+});
+
+after(() => mock.close());
+
+test("sends the stored token and unwraps lists", async () => {
+  const data = await api.request("GET", api.API_PATHS.tasks);
+  const tasks = api.unwrapList(data, "tasks");
+  assert.equal(tasks.length, 2);
+  assert.equal(mock.requests.at(-1).headers.authorization, `Bearer ${VALID_TOKEN}`);
+});
+
+test("posts JSON bodies", async () => {
+  const data = await api.request("POST", api.API_PATHS.createTask, { title: "From test" });
+  assert.equal(api.unwrapItem(data, "task").title, "From test");
+  assert.deepEqual(mock.requests.at(-1).body, { title: "From test" });
+});
+
+test("HTTP errors carry the status", async () => {
+  token = "wrong";
+  await assert.rejects(api.request("GET", api.API_PATHS.projects), (error) => error.status === 401);
+  token = VALID_TOKEN;
+});
+
+test("no token means not logged in", async () => {
+  token = null;
+  await assert.rejects(api.request("GET", api.API_PATHS.projects), /Not logged in/);
+  assert.equal(api.hasToken(), false);
+  token = VALID_TOKEN;
+});
+
+test("network failures are flagged as offline", async () => {
+  const offlineMock = createMockServer();
+  const url = await offlineMock.listen();
+  await offlineMock.close();
+
+  api.init({ getToken: () => token, getServerURL: () => url });
+  await assert.rejects(api.request("GET", api.API_PATHS.projects), (error) => error.offline === true);
+  api.init({ getToken: () => token, getServerURL: () => mock.url });
+});
@@ -0,0 +1,199 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { electron } = require("../helpers/electron-stub");
+const { createMockServer, VALID_TOKEN } = require("../mock-server");
+const { waitFor } = require("../helpers/wait-for");
+const api = require("../../main/api");
+const attachments = require("../../main/attachments");
+
+let mock;
+let directory;
+let token;
+let progress;
+let created;
+
+function file(name, content = `contents of ${name}`) {
+  const filePath = path.join(directory, name);
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+before(async () => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), "ocs-attachments-"));
+  mock = createMockServer();
+  const url = await mock.listen();
+  api.init({ getToken: () => token, getServerURL: () => url });
+  attachments.init({
+    onProgress: (update) => progress.push(update),
+    onTaskCreated: (task) => created.push(task)
+  });
+});
+
+after(async () => {
+  await mock.close();
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  token = VALID_TOKEN;
+  progress = [];
+  created = [];
+  mock.state.attachments = [];
+  attachments.setOpenTask(null);
+  electron.clipboard.image = null;
+  electron.Notification.shown = [];
+});
+
+test("creates a task named after the files and uploads them", async () => {
+  const result = await attachments.createTaskFromFiles([file("minutes.txt"), file("budget.csv", "a,b\n1,2")]);
+
+  assert.equal(result.success, true);
+  assert.equal(result.created, true);
+  assert.equal(result.task.title, "minutes and 1 more file");
+  assert.deepEqual(created.map((task) => task.id), [result.taskId]);
+  assert.deepEqual(mock.state.attachments.map(({ taskId, name, type, content }) => ({ taskId, name, type, content })), [
+    { taskId: result.taskId, name: "minutes.txt", type: "text/plain", content: "contents of minutes.txt" },
+    { taskId: result.taskId, name: "budget.csv", type: "text/csv", content: "a,b\n1,2" }
+  ]);
+  assert.equal(result.attachments.length, 2);
+
+  assert.equal(progress[0].state, "uploading");
+  const last = progress.at(-1);
+  assert.equal(last.state, "done");
+  assert.equal(last.loaded, last.total);
+  assert.deepEqual(last.fileNames, ["minutes.txt", "budget.csv"]);
+});
+
+test("attaches to the given task, or to the open one", async () => {
+  const given = await attachments.createTaskFromFiles([file("spec.pdf")], { taskId: "2" });
+  assert.equal(given.success, true);
+  assert.equal(given.created, false);
+  assert.equal(mock.state.attachments.at(-1).taskId, "2");
+
+  attachments.setOpenTask("1");
+  const open = await attachments.createTaskFromFiles([file("photo.png")], { attachToOpenTask: true });
+  assert.equal(open.taskId, "1");
+  assert.equal(mock.state.attachments.at(-1).type, "image/png");
+  assert.deepEqual(created, []);
+});
+
+test("with openTaskOnly files only go to the open task", async () => {
+  const none = await attachments.createTaskFromFiles([file("photo.png")], { openTaskOnly: true, notify: true });
+  assert.equal(none.success, false);
+  assert.equal(none.error, "Open a task to attach files to it");
+  assert.deepEqual(created, []);
+  assert.deepEqual(progress, []);
+  assert.equal(electron.Notification.shown.at(-1).title, "Couldn't attach the files");
+
+  attachments.setOpenTask("2");
+  const open = await attachments.createTaskFromFiles([file("photo.png")], { openTaskOnly: true });
+  assert.equal(open.success, true);
+  assert.equal(mock.state.attachments.at(-1).taskId, "2");
+});
+
+test("scripts and source files can be attached", async () => {
+  const result = await attachments.createTaskFromFiles([file("build.sh"), file("app.js"), file("report.py")], { taskId: "1" });
+  assert.equal(result.success, true);
+  assert.deepEqual(mock.state.attachments.map((attachment) => attachment.name), ["build.sh", "app.js", "report.py"]);
+});
+
+test("upload progress only reaches 100% once the server has answered", async () => {
+  let answer = null;
+  let received = 0;
+  const server = http.createServer((req, res) => {
+    req.on("data", (chunk) => {
+      received += chunk.length;
+    });
+    req.on("end", () => {
+      answer = () => {
+        res.writeHead(201, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ data: [] }));
+      };
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  api.init({ getToken: () => token, getServerURL: () => `http://127.0.0.1:${server.address().port}` });
+  try {
+    const upload = attachments.createTaskFromFiles([file("scan.pdf", "x".repeat(1024 * 1024))], { taskId: "1" });
+    await waitFor(() => answer);
+    const loaded = progress.map((update) => update.loaded);
+    assert.ok(Math.max(...loaded) < received, "nothing reported as fully sent before the answer");
+    assert.ok(loaded.some((bytes) => bytes > 0));
+
+    answer();
+    const result = await upload;
+    assert.equal(result.success, true);
+    const last = progress.at(-1);
+    assert.equal(last.state, "done");
+    assert.equal(last.loaded, received);
+    assert.equal(last.total, received);
+  } finally {
+    api.init({ getToken: () => token, getServerURL: () => mock.url });
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+test("refuses folders, missing and oversized files", async () => {
+  const large = path.join(directory, "video.mp4");
+  fs.writeFileSync(large, "");
+  fs.truncateSync(large, attachments.MAX_FILE_BYTES + 1);
+  const folder = path.join(directory, "folder");
+  fs.mkdirSync(folder, { recursive: true });
+
+  const result = await attachments.createTaskFromFiles([
+    folder,
+    path.join(directory, "missing.txt"),
+    large
+  ]);
+  assert.equal(result.success, false);
+  assert.deepEqual(result.rejected.map((entry) => entry.name), ["folder", "missing.txt", "video.mp4"]);
+  assert.match(result.error, /^folder: /);
+  assert.deepEqual(mock.state.attachments, []);
+});
+
+test("uploads at most MAX_FILES files at a time", async () => {
+  const paths = Array.from({ length: attachments.MAX_FILES + 2 }, (_, index) => file(`note-${index}.txt`));
+  const { files, rejected } = await attachments.readFiles(paths);
+  assert.equal(files.length, attachments.MAX_FILES);
+  assert.equal(rejected.length, 2);
+});
+
+test("pastes the clipboard image as a screenshot", async () => {
+  const empty = await attachments.createTaskFromClipboard();
+  assert.equal(empty.success, false);
+
+  electron.clipboard.image = Buffer.from("png data");
+  const result = await attachments.createTaskFromClipboard({ taskId: "1" });
+  assert.equal(result.success, true);
+  const uploaded = mock.state.attachments.at(-1);
+  assert.match(uploaded.name, /^Screenshot \d{4}-\d{2}-\d{2} \d{2}\.\d{2}\.\d{2}\.png$/);
+  assert.equal(uploaded.type, "image/png");
+  assert.equal(uploaded.content, "png data");
+});
+
+test("needs a logged in account", async () => {
+  token = null;
+  const result = await attachments.createTaskFromFiles([file("notes.txt")]);
+  assert.equal(result.success, false);
+  assert.deepEqual(progress, []);
+});
+
+test("a failed upload is reported as progress and in the result", async () => {
+  const result = await attachments.createTaskFromFiles([file("notes.txt")], { taskId: "unknown" });
+  assert.equal(result.success, false);
+  assert.equal(result.error, "Task not found");
+  assert.equal(progress.at(-1).state, "error");
+});
+
+test("drops nobody else shows end in a notification", async () => {
+  await attachments.createTaskFromFiles([file("agenda.md")], { notify: true });
+  assert.equal(electron.Notification.shown.at(-1).title, "Task created");
+
+  await attachments.createTaskFromFiles([path.join(directory, "missing.txt")], { notify: true });
+  assert.equal(electron.Notification.shown.at(-1).title, "Couldn't attach the files");
+});
@@ -0,0 +1,50 @@
+const { test, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { describeLoadError, getRetryDelay } = require("../../main/connection-errors");
+
+test("sorts Chromium net errors into what the user can do about them", () => {
+  const categories = {
+    dns: [-105, -137],
+    refused: [-102, -101, -100, -324],
+    timeout: [-7, -118],
+    offline: [-106, -21],
+    unreachable: [-109, -104],
+    tls: [-107, -113, -200, -202, -299],
+    unknown: [-3, -300, -501, 0]
+  };
+  for (const [category, codes] of Object.entries(categories)) {
+    for (const code of codes) {
+      assert.equal(describeLoadError(code).category, category, `error ${code}`);
+    }
+  }
+});
+
+test("describes the error with the original code and description", () => {
+  assert.deepEqual(describeLoadError(-105, "ERR_NAME_NOT_RESOLVED"), {
+    category: "dns",
+    title: "Server not found",
+    message: "The server name could not be resolved. Check the address in your server settings and your internet connection.",
+    errorCode: -105,
+    errorDescription: "ERR_NAME_NOT_RESOLVED"
+  });
+  assert.equal(describeLoadError(-999).errorDescription, null);
+  assert.equal(describeLoadError(-999).title, "Could not load OCS Task Manager");
+});
+
+test("retries back off exponentially up to five minutes, with up to 10% jitter", () => {
+  mock.method(Math, "random", () => 0);
+  try {
+    assert.deepEqual([0, 1, 2, 3].map(getRetryDelay), [5000, 10000, 20000, 40000]);
+    assert.equal(getRetryDelay(20), 5 * 60 * 1000);
+  } finally {
+    Math.random.mock.restore();
+  }
+
+  mock.method(Math, "random", () => 0.5);
+  try {
+    assert.equal(getRetryDelay(0), 5250);
+    assert.equal(getRetryDelay(20), 315000);
+  } finally {
+    Math.random.mock.restore();
+  }
+});
@@ -0,0 +1,90 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { electron } = require("../helpers/electron-stub");
+const crashRecovery = require("../../main/crash-recovery");
+
+let directory;
+
+before(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), "ocs-crashes-"));
+  electron.app.paths.crashDumps = directory;
+});
+
+after(() => {
+  delete electron.app.paths.crashDumps;
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test("three crashes within the window count as a crash loop", () => {
+  crashRecovery.resetCrashes();
+  const start = Date.now();
+  assert.deepEqual(crashRecovery.recordCrash({ reason: "crashed", exitCode: 11 }, start), { count: 1, crashLoop: false });
+  assert.equal(crashRecovery.recordCrash({ reason: "crashed" }, start + 1000).crashLoop, false);
+  assert.deepEqual(crashRecovery.recordCrash({ reason: "oom" }, start + 2000), { count: 3, crashLoop: true });
+
+  const info = crashRecovery.getCrashInfo();
+  assert.equal(info.lastCrash.reason, "oom");
+  assert.equal(info.recentCrashes, 3);
+  assert.equal(info.crashDumpsPath, directory);
+});
+
+test("crashes older than the window are forgotten", () => {
+  crashRecovery.resetCrashes();
+  const start = Date.now();
+  crashRecovery.recordCrash({ reason: "crashed" }, start);
+  crashRecovery.recordCrash({ reason: "crashed" }, start + 1000);
+  const later = start + crashRecovery.CRASH_LOOP_WINDOW_MS + 500;
+  assert.deepEqual(crashRecovery.recordCrash({ reason: "crashed" }, later), { count: 2, crashLoop: false });
+});
+
+test("trying again starts the count over", () => {
+  const now = Date.now();
+  for (let index = 0; index < crashRecovery.CRASH_LOOP_LIMIT; index++) {
+    crashRecovery.recordCrash({ reason: "crashed" }, now + index);
+  }
+  crashRecovery.resetCrashes();
+  assert.equal(crashRecovery.getCrashInfo().recentCrashes, 0);
+  assert.equal(crashRecovery.recordCrash({ reason: "crashed" }, now + 10).crashLoop, false);
+});
+
+test("remembers the last route", () => {
+  crashRecovery.rememberRoute("http://localhost:3000/app/#/projects/42");
+  assert.equal(crashRecovery.getLastRoute(), "http://localhost:3000/app/#/projects/42");
+});
+
+test("lists crash dumps newest first, including subfolders", () => {
+  const pending = path.join(directory, "pending");
+  fs.mkdirSync(pending, { recursive: true });
+  const older = path.join(directory, "older.dmp");
+  const newer = path.join(pending, "newer.dmp");
+  fs.writeFileSync(older, "old");
+  fs.writeFileSync(newer, "new dump");
+  fs.writeFileSync(path.join(directory, "settings.dat"), "not a dump");
+  fs.utimesSync(older, new Date(2026, 0, 1), new Date(2026, 0, 1));
+
+  const dumps = crashRecovery.listCrashDumps();
+  assert.deepEqual(dumps.map((dump) => dump.file), [newer, older]);
+  assert.equal(dumps[0].size, 8);
+  assert.equal(crashRecovery.listCrashDumps(1).length, 1);
+});
+
+test("no crash dumps folder means no dumps", () => {
+  electron.app.paths.crashDumps = path.join(directory, "missing");
+  assert.deepEqual(crashRecovery.listCrashDumps(), []);
+  electron.app.paths.crashDumps = directory;
+});
+
+test("the hang dialog reloads or waits", async () => {
+  electron.dialog.response = 0;
+  assert.equal(await crashRecovery.askAboutHang({}, undefined), "reload");
+  electron.dialog.response = 1;
+  assert.equal(await crashRecovery.askAboutHang({}, undefined), "wait");
+});
+
+test("the crash reporter keeps dumps local", () => {
+  crashRecovery.startCrashReporter();
+  assert.equal(electron.crashReporter.started.uploadToServer, false);
+});
@@ -0,0 +1,47 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+require("../helpers/electron-stub");
+const deepLinks = require("../../main/deep-links");
+
+test("parses ocs-taskmanager:// task links", () => {
+  assert.deepEqual(deepLinks.parseDeepLink("ocs-taskmanager://acme/projects/45/tasks/123"), {
+    taskId: "123",
+    projectId: "45",
+    roomId: null,
+    workspaceSlug: "acme",
+    type: "task",
+    entityType: "task",
+    entityId: "123"
+  });
+});
+
+test("parses links without a workspace and query parameters", () => {
+  const payload = deepLinks.parseDeepLink("ocs-taskmanager://task/7?workspace=acme");
+  assert.equal(payload.taskId, "7");
+  assert.equal(payload.workspaceSlug, "acme");
+
+  const room = deepLinks.parseDeepLink("ocs-taskmanager://acme/rooms/9");
+  assert.equal(room.entityType, "room");
+  assert.equal(room.roomId, "9");
+});
+
+test("parses links on the configured server only", () => {
+  const serverURL = "https://task.ocslive.com/";
+  const payload = deepLinks.parseDeepLink("https://task.ocslive.com/acme/tasks/5", { serverURL });
+  assert.equal(payload.taskId, "5");
+  assert.equal(payload.workspaceSlug, "acme");
+
+  assert.equal(deepLinks.parseDeepLink("https://example.com/acme/tasks/5", { serverURL }), null);
+  assert.equal(deepLinks.parseDeepLink("not a url"), null);
+});
+
+test("ignores links with a malformed escape", () => {
+  assert.equal(deepLinks.parseDeepLink("ocs-taskmanager://acme/tasks/%E0%A4%A"), null);
+  assert.equal(deepLinks.parseDeepLink("https://task.ocslive.com/acme/tasks/%ZZ", { serverURL: "https://task.ocslive.com/" }), null);
+});
+
+test("finds a link on the command line", () => {
+  const argv = ["/opt/OCS Task Manager/ocs", "--no-sandbox", "ocs-taskmanager://acme/tasks/1"];
+  assert.equal(deepLinks.findDeepLinkInArgv(argv, null), "ocs-taskmanager://acme/tasks/1");
+  assert.equal(deepLinks.findDeepLinkInArgv(["app"], null), null);
+});
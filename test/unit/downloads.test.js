@@ -0,0 +1,235 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { EventEmitter } = require("events");
+const { electron, createMemoryStore } = require("../helpers/electron-stub");
+const settings = require("../../main/settings");
+const accounts = require("../../main/accounts");
+const downloads = require("../../main/downloads");
+
+let directory;
+let store;
+let changes;
+let progress;
+
+// Enough of Electron's DownloadItem for main/downloads.js
+function createItem(filename, totalBytes = 100) {
+  const item = new EventEmitter();
+  Object.assign(item, {
+    savePath: "",
+    dialogOptions: null,
+    paused: false,
+    received: 0,
+    getURL: () => `https://tasks.example.com/files/${encodeURIComponent(filename)}`,
+    getFilename: () => filename,
+    getMimeType: () => "application/octet-stream",
+    getTotalBytes: () => totalBytes,
+    getReceivedBytes: () => item.received,
+    setSavePath: (savePath) => {
+      item.savePath = savePath;
+    },
+    getSavePath: () => item.savePath,
+    setSaveDialogOptions: (options) => {
+      item.dialogOptions = options;
+    },
+    isPaused: () => item.paused,
+    pause: () => {
+      item.paused = true;
+    },
+    resume: () => {
+      item.paused = false;
+    },
+    cancel: () => item.emit("done", {}, "cancelled")
+  });
+  item.progress = (bytes) => {
+    item.received = bytes;
+    item.emit("updated", {}, "progressing");
+  };
+  item.finish = () => {
+    fs.writeFileSync(item.savePath, "x".repeat(totalBytes));
+    item.received = totalBytes;
+    item.emit("done", {}, "completed");
+  };
+  return item;
+}
+
+function createSession() {
+  const fake = new EventEmitter();
+  fake.requested = [];
+  fake.downloadURL = (url) => fake.requested.push(url);
+  fake.download = (item) => fake.emit("will-download", {}, item);
+  return fake;
+}
+
+function latest() {
+  return downloads.getDownloads()[0];
+}
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+before(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), "ocs-downloads-"));
+});
+
+after(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  store = createMemoryStore({
+    settings: {},
+    activeAccountId: "a1",
+    accounts: {
+      a1: { id: "a1", partition: "persist:account-a1", workspaceSlug: "acme" }
+    }
+  });
+  changes = [];
+  progress = [];
+  settings.init({ store });
+  accounts.init({ store });
+  downloads.init({
+    store,
+    onChange: (list) => changes.push(list),
+    onProgress: (value) => progress.push(value)
+  });
+  downloads.clearDownloads();
+  settings.set("downloadsFolder", directory);
+  electron.dialog.response = 0;
+});
+
+test("saves into a workspace subfolder without overwriting existing files", async () => {
+  fs.mkdirSync(path.join(directory, "acme"), { recursive: true });
+  fs.writeFileSync(path.join(directory, "acme", "report.pdf"), "older");
+  const fake = createSession();
+  downloads.attachSession(fake, "persist:account-a1");
+
+  const item = createItem("report.pdf");
+  fake.download(item);
+  assert.equal(item.savePath, path.join(directory, "acme", "report (1).pdf"));
+  assert.equal(latest().state, "progressing");
+  assert.equal(latest().workspaceSlug, "acme");
+
+  item.progress(40);
+  await new Promise((resolve) => setTimeout(resolve, 300));
+  assert.equal(changes.at(-1)[0].receivedBytes, 40);
+  assert.equal(progress.at(-1), 0.4);
+
+  item.finish();
+  assert.equal(latest().state, "completed");
+  assert.equal(latest().exists, true);
+  assert.equal(progress.at(-1), -1);
+  assert.equal(store.get("downloads")[0].savePath, item.savePath);
+});
+
+test("the system Downloads folder and no subfolder when those settings are off", () => {
+  settings.set("downloadsFolder", null);
+  settings.set("downloadsPerWorkspace", false);
+  electron.app.paths.downloads = path.join(directory, "system");
+  assert.equal(downloads.getDownloadDirectory("acme"), path.join(directory, "system"));
+  delete electron.app.paths.downloads;
+});
+
+test("asks where to save when that setting is on", () => {
+  settings.set("downloadsAskWhereToSave", true);
+  const fake = createSession();
+  downloads.attachSession(fake, null);
+
+  const item = createItem("notes.txt");
+  fake.download(item);
+  assert.equal(item.savePath, "");
+  assert.equal(item.dialogOptions.defaultPath, path.join(directory, "notes.txt"));
+  assert.equal(latest().savePath, null);
+});
+
+test("a running download shows as indeterminate progress without a size", () => {
+  const fake = createSession();
+  downloads.attachSession(fake, null);
+  const item = createItem("stream.bin", 0);
+  fake.download(item);
+  assert.equal(downloads.getOverallProgress(), 2);
+  item.cancel();
+  assert.equal(latest().state, "cancelled");
+});
+
+test("dangerous files are only kept once confirmed", async () => {
+  const fake = createSession();
+  downloads.attachSession(fake, null);
+
+  electron.dialog.response = 0;
+  const refused = createItem("setup.exe");
+  fake.download(refused);
+  assert.equal(refused.paused, true);
+  await tick();
+  assert.equal(latest().state, "blocked");
+  assert.equal(latest().dangerous, true);
+
+  electron.dialog.response = 1;
+  const kept = createItem("install.sh");
+  fake.download(kept);
+  await tick();
+  assert.equal(kept.paused, false);
+  kept.finish();
+  assert.equal(latest().state, "completed");
+});
+
+test("open, show in folder and clear", async () => {
+  const fake = createSession();
+  downloads.attachSession(fake, null);
+  const item = createItem("plan.pdf");
+  fake.download(item);
+  item.finish();
+  const { id } = latest();
+
+  assert.deepEqual(await downloads.openDownload(id), { success: true });
+  assert.equal(electron.shell.opened.at(-1), item.savePath);
+  assert.deepEqual(downloads.showDownloadInFolder(id), { success: true });
+  assert.equal(electron.shell.shown.at(-1), item.savePath);
+
+  fs.rmSync(item.savePath);
+  assert.equal((await downloads.openDownload(id)).success, false);
+  assert.equal(latest().exists, false);
+
+  downloads.clearDownloads();
+  assert.deepEqual(downloads.getDownloads(), []);
+});
+
+test("retry downloads the URL again in the same session", () => {
+  const fake = createSession();
+  const fromPartition = electron.session.fromPartition;
+  electron.session.fromPartition = () => fake;
+  try {
+    downloads.attachSession(fake, "persist:account-a1");
+    const item = createItem("data.csv");
+    fake.download(item);
+    item.emit("done", {}, "interrupted");
+    const failed = latest();
+    assert.equal(failed.state, "interrupted");
+
+    assert.deepEqual(downloads.retryDownload(failed.id), { success: true });
+    assert.deepEqual(fake.requested, [failed.url]);
+    assert.equal(downloads.getDownloads().some((download) => download.id === failed.id), false);
+    assert.equal(downloads.retryDownload(failed.id).success, false);
+  } finally {
+    electron.session.fromPartition = fromPartition;
+  }
+});
+
+test("downloads running when the app quit read as interrupted", () => {
+  store.set("downloads", [{ id: "d1", url: "https://x/y", filename: "y", savePath: null, state: "progressing" }]);
+  downloads.init({ store });
+  assert.equal(latest().state, "interrupted");
+});
+
+test("file names and folders are sanitized", () => {
+  assert.equal(downloads.sanitizeFileName("../../etc/passwd"), "passwd");
+  assert.equal(downloads.sanitizeFileName("a:b*c?.txt"), "a_b_c_.txt");
+  assert.equal(downloads.sanitizeFileName("..."), "download");
+  assert.equal(downloads.isDangerousFile("Setup.EXE"), true);
+  assert.equal(downloads.isDangerousFile("report.pdf"), false);
+  for (const name of ["intranet.url", "installer.iso", "disk.vhd", "addin.xll", "setup.inf", "tool.py", "module.mjs"]) {
+    assert.equal(downloads.isDangerousFile(name), true, name);
+  }
+  assert.equal(settings.set("downloadsFolder", "relative/folder").success, false);
+});
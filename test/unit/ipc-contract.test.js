@@ -0,0 +1,113 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { electron } = require("../helpers/electron-stub");
+const contract = require("../../main/ipc-contract");
+const ipc = require("../../main/ipc");
+const security = require("../../main/security");
+const { generate, OUTPUT_PATH } = require("../../scripts/generate-ipc-types");
+
+const ROOT = path.join(__dirname, "..", "..");
+const read = (file) => fs.readFileSync(path.join(ROOT, file), "utf8");
+
+security.init({
+  getServerURL: () => "https://tasks.example.com",
+  localRoots: ["/app/pages"]
+});
+
+test("rejects a null user for save-user", () => {
+  assert.match(contract.validateArgs("save-user", [null]), /userData is required/);
+  assert.equal(contract.validateArgs("save-user", [{ email: "a@b.c" }]), null);
+});
+
+test("checks types, optional arguments and allowed values", () => {
+  assert.match(contract.validateArgs("save-token", [42]), /token must be string/);
+  assert.equal(contract.validateArgs("save-token", [null]), null);
+  assert.match(contract.validateArgs("save-token", []), /token is required/);
+  assert.equal(contract.validateArgs("get-notification-history", []), null);
+  assert.match(contract.validateArgs("mark-notifications-read", [{}]), /ids must be array/);
+  assert.equal(contract.validateArgs("cancel-reminder", [12]), null);
+  assert.match(contract.validateArgs("resolve-offline-conflict", ["c1", "merge"]), /one of overwrite, discard/);
+  assert.match(contract.validateArgs("no-such-channel", []), /Unknown channel/);
+});
+
+test("handlers only run with valid arguments", async () => {
+  const calls = [];
+  ipc.handle(contract.CHANNELS.SAVE_USER, (event, userData) => {
+    calls.push(userData);
+    return { success: true };
+  });
+
+  const rejected = await electron.ipcMain.invoke("save-user", null);
+  assert.equal(rejected.success, false);
+  assert.equal(rejected.code, "INVALID_ARGUMENT");
+  assert.equal(rejected.channel, "save-user");
+  assert.equal(calls.length, 0);
+
+  assert.deepEqual(await electron.ipcMain.invoke("save-user", { id: 1 }), { success: true });
+  assert.deepEqual(calls, [{ id: 1 }]);
+});
+
+test("handlers refuse frames outside the allowlist", async () => {
+  const calls = [];
+  ipc.handle(contract.CHANNELS.GET_TOKEN, () => {
+    calls.push("get-token");
+    return { success: true, token: "secret" };
+  });
+
+  for (const url of ["https://evil.example.net/", "file:///tmp/download.html", null]) {
+    const result = await electron.ipcMain.invokeFrom(url, "get-token");
+    assert.equal(result.success, false);
+    assert.equal(result.code, "UNTRUSTED_SENDER");
+    assert.equal(result.token, undefined);
+  }
+  assert.equal(calls.length, 0);
+
+  assert.equal((await electron.ipcMain.invokeFrom("https://tasks.example.com/projects/1", "get-token")).token, "secret");
+});
+
+test("sandboxed preloads can fetch the channel names", () => {
+  assert.deepEqual(electron.ipcMain.sendSync(contract.CONTRACT_CHANNEL), {
+    CHANNELS: contract.CHANNELS,
+    EVENTS: contract.EVENTS
+  });
+});
+
+test("channels outside the contract can't be registered", () => {
+  assert.throws(() => ipc.handle("made-up-channel", () => {}), /not in main\/ipc-contract.js/);
+  assert.throws(() => ipc.handle(contract.CHANNELS.SAVE_USER, () => {}), /already has a handler/);
+});
+
+test("preload.js exposes exactly the contract's electronAPI members", () => {
+  const source = read("preload.js");
+  const exposed = [...source.matchAll(/^ {2}(\w+):/gm)].map((match) => match[1]).sort();
+  const declared = [
+    ...Object.values(contract.INVOKE),
+    ...Object.values(contract.EVENT)
+  ].filter((spec) => spec.api).map((spec) => spec.api.name)
+    .concat(contract.EXTRA_API_MEMBERS.map((member) => member.name))
+    .sort();
+  assert.deepEqual(exposed, declared);
+});
+
+test("preloads only use contract channels and no local requires", () => {
+  const preloads = ["preload.js", ...fs.readdirSync(path.join(ROOT, "pages"))
+    .filter((name) => name.endsWith("-preload.js"))
+    .map((name) => path.join("pages", name))];
+  for (const file of preloads) {
+    const source = read(file);
+    assert.deepEqual([...source.matchAll(/require\('([^']+)'\)/g)].map((match) => match[1]), ["electron"], file);
+    assert.doesNotMatch(source, /(invoke|\.on)\('/, `${file}: bare channel string`);
+    for (const [, key] of source.matchAll(/CHANNELS\.(\w+)/g)) {
+      assert.ok(contract.CHANNELS[key], `${file}: CHANNELS.${key}`);
+    }
+    for (const [, key] of source.matchAll(/EVENTS\.(\w+)/g)) {
+      assert.ok(contract.EVENTS[key], `${file}: EVENTS.${key}`);
+    }
+  }
+});
+
+test("types/electron-api.d.ts is up to date", () => {
+  assert.equal(fs.readFileSync(OUTPUT_PATH, "utf8"), generate(), "run npm run generate:types");
+});
@@ -0,0 +1,82 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { electron } = require("../helpers/electron-stub");
+const settings = require("../../main/settings");
+const lifecycle = require("../../main/lifecycle");
+
+let configHome;
+
+before(() => {
+  configHome = fs.mkdtempSync(path.join(os.tmpdir(), "ocs-autostart-"));
+  process.env.XDG_CONFIG_HOME = configHome;
+  lifecycle.init();
+});
+
+after(() => {
+  electron.app.isPackaged = false;
+  fs.rmSync(configHome, { recursive: true, force: true });
+});
+
+test("builds an XDG autostart entry with a quoted Exec line", () => {
+  const entry = lifecycle.buildAutostartEntry("/opt/OCS Task Manager/ocs-taskmanager");
+  assert.match(entry, /^\[Desktop Entry\]\nType=Application\n/);
+  assert.match(entry, /^Exec="\/opt\/OCS Task Manager\/ocs-taskmanager"$/m);
+  assert.match(lifecycle.buildAutostartEntry("/usr/bin/ocs"), /^Exec=\/usr\/bin\/ocs$/m);
+  assert.match(lifecycle.buildAutostartEntry("/tmp/a$b"), /^Exec="\/tmp\/a\\\$b"$/m);
+});
+
+test("launch at login is refused outside installed builds", () => {
+  electron.app.isPackaged = false;
+  const result = settings.set("launchAtLogin", true);
+  assert.equal(result.success, false);
+  assert.match(result.error, /installed builds/);
+  assert.equal(settings.get("launchAtLogin"), false);
+});
+
+test("launch at login writes and removes the autostart entry on Linux", { skip: process.platform !== "linux" }, () => {
+  electron.app.isPackaged = true;
+  const file = lifecycle.getAutostartPath();
+  assert.equal(file, path.join(configHome, "autostart", "ocs-taskmanager.desktop"));
+
+  assert.equal(settings.set("launchAtLogin", true).success, true);
+  assert.match(fs.readFileSync(file, "utf8"), new RegExp(`^Exec=.*${path.basename(process.execPath)}`, "m"));
+
+  assert.equal(settings.set("launchAtLogin", false).success, true);
+  assert.equal(fs.existsSync(file), false);
+});
+
+test("the quitting flag is set by before-quit", () => {
+  assert.equal(lifecycle.isQuitting(), false);
+  electron.app.emit("before-quit");
+  assert.equal(lifecycle.isQuitting(), true);
+});
+
+// A fresh copy of the module, not quitting yet
+function loadLifecycle() {
+  delete require.cache[require.resolve("../../main/lifecycle")];
+  const fresh = require("../../main/lifecycle");
+  fresh.init();
+  fresh.start();
+  return fresh;
+}
+
+test("logging off or shutting down sets the quitting flag", () => {
+  const onSessionEnd = loadLifecycle();
+  assert.equal(onSessionEnd.isQuitting(), false);
+  electron.app.emit("session-end");
+  assert.equal(onSessionEnd.isQuitting(), true);
+
+  const onShutdown = loadLifecycle();
+  assert.equal(onShutdown.isQuitting(), false);
+  electron.powerMonitor.emit("shutdown");
+  assert.equal(onShutdown.isQuitting(), true);
+});
+
+test("starts hidden when the setting asks for it", () => {
+  assert.equal(lifecycle.shouldStartHidden(), false);
+  settings.set("startMinimized", true);
+  assert.equal(lifecycle.shouldStartHidden(), true);
+});
@@ -0,0 +1,84 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { EventEmitter } = require("events");
+require("../helpers/electron-stub");
+const logger = require("../../main/logger");
+
+let directory;
+
+function readEntries(file = logger.getLogFile()) {
+  return fs.readFileSync(file, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+}
+
+before(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), "ocs-logs-"));
+  logger.init({ directory, level: "info", maxSize: 2000, maxFiles: 3 });
+});
+
+after(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test("writes leveled JSON lines and skips levels below the minimum", () => {
+  logger.debug("not written");
+  logger.info("📡 Connected", { attempt: 2 });
+  const [entry] = readEntries();
+  assert.equal(entry.level, "info");
+  assert.equal(entry.source, "main");
+  assert.equal(entry.message, "📡 Connected");
+  assert.deepEqual(entry.data, { attempt: 2 });
+  assert.ok(!Number.isNaN(Date.parse(entry.time)));
+});
+
+test("console output of the main process is written to the file", () => {
+  console.warn("⚠️ Something odd:", { id: 7 });
+  const entry = readEntries().pop();
+  assert.equal(entry.level, "warn");
+  assert.equal(entry.message, "⚠️ Something odd: { id: 7 }");
+});
+
+test("tokens and secrets are redacted", () => {
+  logger.addSecret("s3cr3t-session-value");
+  assert.equal(logger.redactText("Authorization: Bearer abc.def"), "Authorization: Bearer [redacted]");
+  assert.equal(logger.redactText("GET /api?token=abc&page=2"), "GET /api?token=[redacted]&page=2");
+  assert.equal(logger.redactText("{\"password\":\"hunter2\"}"), "{\"password\":\"[redacted]\"}");
+  assert.equal(logger.redactText("jwt eyJhbGci.eyJzdWIi.c2ln"), "jwt [redacted]");
+  assert.equal(logger.redactText("❌ Error saving token: disk full"), "❌ Error saving token: disk full");
+
+  console.error("❌ Failed with s3cr3t-session-value", { user: { token: "abc", name: "Ann" } });
+  const entry = readEntries().pop();
+  assert.doesNotMatch(JSON.stringify(entry), /s3cr3t|abc/);
+  assert.match(entry.message, /Ann/);
+  assert.deepEqual(logger.redact({ user: { token: "abc", name: "Ann" } }), { user: { token: "[redacted]", name: "Ann" } });
+});
+
+test("renderer messages are attributed to their page", () => {
+  const contents = Object.assign(new EventEmitter(), { getURL: () => "file:///app/pages/settings.html?tab=1" });
+  logger.forwardConsole(contents);
+  contents.emit("console-message", {}, 2, "Deprecated option", 12, "settings.js");
+  contents.emit("console-message", {}, 3, "Uncaught TypeError: x is undefined", 3, "settings.js");
+  logger.writeFromRenderer("https://tasks.example.com/inbox", "error", "Uncaught TypeError: y", { stack: "at y" });
+
+  const [forwarded, reported] = readEntries().slice(-2);
+  assert.deepEqual(
+    { level: forwarded.level, source: forwarded.source, message: forwarded.message },
+    { level: "warn", source: "renderer:settings", message: "Deprecated option" }
+  );
+  assert.equal(reported.source, "renderer:app");
+  assert.equal(reported.message, "Uncaught TypeError: y");
+});
+
+test("files rotate by size and keep maxFiles files", () => {
+  for (let index = 0; index < 100; index++) {
+    logger.info(`line ${index} ${"x".repeat(100)}`);
+  }
+  const files = logger.listLogFiles().map((file) => path.basename(file));
+  assert.deepEqual(files, ["app.log", "app.1.log", "app.2.log"]);
+  for (const file of logger.listLogFiles()) {
+    assert.ok(fs.statSync(file).size <= 2000);
+  }
+  assert.match(readEntries().pop().message, /^line 99 /);
+});
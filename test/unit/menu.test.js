@@ -0,0 +1,62 @@
+const { test, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { electron, createMemoryStore } = require("../helpers/electron-stub");
+const settings = require("../../main/settings");
+const accounts = require("../../main/accounts");
+const menu = require("../../main/menu");
+
+function findItem(template, label) {
+  for (const item of template) {
+    if (item.label === label) return item;
+    const found = item.submenu ? findItem(item.submenu, label) : null;
+    if (found) return found;
+  }
+  return null;
+}
+
+before(() => {
+  menu.init();
+});
+
+beforeEach(() => {
+  const store = createMemoryStore({ settings: {} });
+  settings.init({ store });
+  accounts.init({ store });
+});
+
+test("accelerators compare regardless of aliases, order and case", () => {
+  assert.equal(menu.normalizeAccelerator("CmdOrCtrl+Shift+k"), menu.normalizeAccelerator("Shift+CommandOrControl+K"));
+  assert.equal(menu.normalizeAccelerator("Ctrl+Option+X"), menu.normalizeAccelerator("Alt+Control+X"));
+  assert.notEqual(menu.normalizeAccelerator("CommandOrControl+1"), menu.normalizeAccelerator("Control+1"));
+});
+
+test("shortcuts taken by another menu item are refused", () => {
+  const taken = settings.set("shortcutInbox", "cmdorctrl+1");
+  assert.equal(taken.success, false);
+  assert.match(taken.error, /Go to My tasks/);
+
+  const builtIn = settings.set("shortcutNewTask", "CmdOrCtrl+Q");
+  assert.equal(builtIn.success, false);
+  assert.match(builtIn.error, /built-in/);
+
+  // Freed up by clearing the other shortcut
+  assert.equal(settings.set("shortcutMyTasks", "").success, true);
+  assert.equal(settings.set("shortcutInbox", "CommandOrControl+1").success, true);
+});
+
+test("menu items carry the configured accelerators and are rebuilt on change", () => {
+  menu.setApplicationMenu();
+  assert.equal(findItem(electron.Menu.current, "New task").accelerator, "CommandOrControl+N");
+
+  settings.set("shortcutNewTask", "Alt+N");
+  assert.equal(findItem(electron.Menu.current, "New task").accelerator, "Alt+N");
+
+  settings.set("shortcutNewTask", null);
+  assert.equal(findItem(electron.Menu.current, "New task").accelerator, undefined);
+});
+
+test("log out is disabled without an account", () => {
+  const template = menu.buildTemplate();
+  assert.equal(findItem(template, "Log out").enabled, false);
+  assert.ok(findItem(template, "Go"));
+});
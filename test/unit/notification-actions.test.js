@@ -0,0 +1,113 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createMemoryStore } = require("../helpers/electron-stub");
+const { createMockServer, VALID_TOKEN } = require("../mock-server");
+const { waitFor } = require("../helpers/wait-for");
+const api = require("../../main/api");
+const offline = require("../../main/offline");
+const notificationCenter = require("../../main/notification-center");
+const notificationActions = require("../../main/notification-actions");
+
+let mock;
+let completed;
+let errors;
+
+function setPlatform(platform) {
+  Object.defineProperty(process, "platform", { value: platform, configurable: true });
+}
+
+function addEntry(data, actions = ["complete", "snooze", "reply"]) {
+  return notificationCenter.notify({ title: "Task assigned", body: "Write report", data, actions }).entry;
+}
+
+before(async () => {
+  mock = createMockServer();
+  const url = await mock.listen();
+  api.init({ getToken: () => VALID_TOKEN, getServerURL: () => url });
+});
+
+after(async () => {
+  offline.stop();
+  await mock.close();
+});
+
+beforeEach(() => {
+  completed = [];
+  errors = [];
+  mock.state.failWith = null;
+  mock.state.messages = [];
+  mock.state.tasks = [{ id: "1", title: "Write report", status: "open" }];
+  offline.init({ store: createMemoryStore({ outbox: [], conflicts: [] }), getServerURL: () => mock.url, getAccountId: () => "a1" });
+  notificationCenter.init({
+    store: createMemoryStore({ notificationHistory: [], notificationPreferences: {}, notificationQueue: [], snoozedNotifications: [] }),
+    show: () => {}
+  });
+  notificationActions.init({
+    onTaskCompleted: (taskId) => completed.push(taskId),
+    onError: (type, entry, error) => errors.push([type, error.message])
+  });
+});
+
+test("keeps known actions whose ids are in the data, once each", () => {
+  const actions = notificationActions.normalizeActions(
+    ["complete", { type: "snooze", label: "Later" }, "reply", "complete", "delete", null, { type: "snooze" }],
+    { taskId: "1" }
+  );
+  assert.deepEqual(actions, [
+    { type: "complete", label: "Mark complete" },
+    { type: "snooze", label: "Later" }
+  ]);
+  assert.deepEqual(notificationActions.normalizeActions("complete", { taskId: "1" }), []);
+  assert.equal(notificationActions.normalizeActions([{ type: "snooze", label: "x".repeat(60) }], {})[0].label.length, 40);
+});
+
+test("only macOS notifications get buttons and an inline reply", () => {
+  const platform = process.platform;
+  const entry = { actions: [{ type: "complete", label: "Done" }, { type: "reply", label: "Reply" }] };
+  try {
+    setPlatform("darwin");
+    const { buttons, options } = notificationActions.getNotificationOptions(entry);
+    assert.deepEqual(buttons, [{ type: "complete", label: "Done" }]);
+    assert.deepEqual(options, { actions: [{ type: "button", text: "Done" }], hasReply: true, replyPlaceholder: "Reply…" });
+
+    setPlatform("linux");
+    assert.deepEqual(notificationActions.getNotificationOptions(entry), { buttons: [], options: {} });
+  } finally {
+    setPlatform(platform);
+  }
+});
+
+test("complete marks the task complete on the server and the entry read", async () => {
+  const entry = addEntry({ taskId: "1" });
+  assert.deepEqual(await notificationActions.perform("complete", entry), { success: true });
+
+  assert.deepEqual(completed, ["1"]);
+  assert.equal(notificationCenter.getEntry(entry.id).read, true);
+  await waitFor(() => mock.state.tasks[0].status === "completed");
+});
+
+test("snooze brings the notification back later", async () => {
+  const entry = addEntry({ taskId: "1" });
+  assert.deepEqual(await notificationActions.perform("snooze", entry), { success: true });
+  assert.equal(notificationCenter.getEntry(entry.id).status, "snoozed");
+});
+
+test("reply posts the trimmed text to the room, and nothing when empty", async () => {
+  const entry = addEntry({ roomId: "r1" });
+  assert.deepEqual(await notificationActions.perform("reply", entry, "  On it  "), { success: true });
+  assert.deepEqual(mock.state.messages.map(({ roomId, content }) => [roomId, content]), [["r1", "On it"]]);
+  assert.equal(notificationCenter.getEntry(entry.id).read, true);
+
+  assert.deepEqual(await notificationActions.perform("reply", entry, "   "), { success: true });
+  assert.equal(mock.state.messages.length, 1);
+});
+
+test("failures and unknown actions are reported, not thrown", async () => {
+  const entry = addEntry({ roomId: "r1" });
+  mock.state.failWith = 500;
+  const failed = await notificationActions.perform("reply", entry, "On it");
+  assert.equal(failed.success, false);
+
+  assert.deepEqual(await notificationActions.perform("archive", entry), { success: false, error: "Unknown notification action: archive" });
+  assert.deepEqual(errors.map(([type]) => type), ["reply", "archive"]);
+});
@@ -0,0 +1,109 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createMemoryStore } = require("../helpers/electron-stub");
+const notificationCenter = require("../../main/notification-center");
+
+let shown;
+let store;
+
+beforeEach(() => {
+  shown = [];
+  store = createMemoryStore({ notificationHistory: [], notificationPreferences: {}, notificationQueue: [], snoozedNotifications: [] });
+  notificationCenter.init({
+    store,
+    show: (entry) => shown.push(entry)
+  });
+});
+
+test("drops a notification repeated within the dedup window", () => {
+  const now = 1000000;
+  assert.equal(notificationCenter.isDuplicateNotification("task-1", now), false);
+  assert.equal(notificationCenter.isDuplicateNotification("task-1", now + 500), true);
+  assert.equal(notificationCenter.isDuplicateNotification("task-2", now + 500), false);
+  // Outside the 2 second window it's a new notification
+  assert.equal(notificationCenter.isDuplicateNotification("task-1", now + 5000), false);
+  assert.equal(notificationCenter.isDuplicateNotification(null, now), false);
+});
+
+test("click payload carries the navigation ids", () => {
+  const { entry } = notificationCenter.notify({
+    title: "Task assigned",
+    body: "Write report",
+    data: { taskId: "1", projectId: "p1", workspaceSlug: "acme", type: "task_assigned", entityType: "task", entityId: "1", extra: "ignored" }
+  });
+
+  assert.deepEqual(notificationCenter.getNavigationPayload(entry), {
+    taskId: "1",
+    projectId: "p1",
+    roomId: undefined,
+    workspaceSlug: "acme",
+    type: "task_assigned",
+    entityType: "task",
+    entityId: "1"
+  });
+  assert.equal(notificationCenter.getNavigationPayload({ ...entry, digest: true }), null);
+  assert.equal(notificationCenter.getNavigationPayload({ id: "x", data: null }), null);
+});
+
+test("records shown notifications in history", () => {
+  const { status } = notificationCenter.notify({ title: "Hello", body: "World", data: { type: "chat_message" } });
+  assert.equal(status, "shown");
+  assert.equal(shown.length, 1);
+
+  const [entry] = notificationCenter.queryHistory();
+  assert.equal(entry.title, "Hello");
+  assert.equal(entry.type, "chat_message");
+  assert.equal(entry.read, false);
+
+  notificationCenter.markRead([entry.id]);
+  assert.equal(notificationCenter.queryHistory({ unreadOnly: true }).length, 0);
+});
+
+test("muted types are recorded but not shown", () => {
+  notificationCenter.setPreferences({ mutedTypes: ["chat_message"] });
+  const { status } = notificationCenter.notify({ title: "Hi", data: { type: "chat_message" } });
+  assert.equal(status, "muted");
+  assert.equal(shown.length, 0);
+  assert.equal(notificationCenter.queryHistory()[0].status, "muted");
+});
+
+test("do not disturb queues notifications and sends one digest afterwards", () => {
+  notificationCenter.setDoNotDisturbUntil(new Date(Date.now() + 60 * 60 * 1000));
+  assert.equal(notificationCenter.notify({ title: "One" }).status, "queued");
+  assert.equal(notificationCenter.notify({ title: "Two" }).status, "queued");
+  assert.equal(shown.length, 0);
+
+  notificationCenter.setDoNotDisturbUntil(null);
+  assert.equal(shown.length, 1);
+  assert.equal(shown[0].digest, true);
+  assert.match(shown[0].body, /One/);
+  assert.match(shown[0].body, /Two/);
+});
+
+test("scheduled do not disturb handles overnight windows", () => {
+  notificationCenter.setPreferences({ dnd: { scheduleEnabled: true, start: "18:00", end: "09:00", days: [1] } });
+  // Monday 2026-01-05
+  assert.equal(notificationCenter.isDndActive(new Date(2026, 0, 5, 20, 0)), true);
+  assert.equal(notificationCenter.isDndActive(new Date(2026, 0, 5, 12, 0)), false);
+  // Tuesday morning belongs to Monday's window
+  assert.equal(notificationCenter.isDndActive(new Date(2026, 0, 6, 8, 0)), true);
+  // Monday morning belongs to Sunday's window (not scheduled)
+  assert.equal(notificationCenter.isDndActive(new Date(2026, 0, 5, 8, 0)), false);
+});
+
+test("snoozed notifications are shown again when due", () => {
+  const { entry } = notificationCenter.notify({ title: "Later" });
+  notificationCenter.snooze(entry.id, 1);
+  assert.equal(notificationCenter.getEntry(entry.id).status, "snoozed");
+
+  shown = [];
+  notificationCenter.tick();
+  assert.equal(shown.length, 0);
+
+  // Pretend the snooze time has passed
+  store.set("snoozedNotifications", [{ id: entry.id, until: new Date(Date.now() - 1000).toISOString() }]);
+  notificationCenter.tick();
+  assert.equal(shown.length, 1);
+  assert.equal(shown[0].id, entry.id);
+  assert.equal(notificationCenter.getEntry(entry.id).status, "shown");
+});
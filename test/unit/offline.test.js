@@ -0,0 +1,165 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createMemoryStore } = require("../helpers/electron-stub");
+const { createMockServer, VALID_TOKEN } = require("../mock-server");
+const { waitFor } = require("../helpers/wait-for");
+const api = require("../../main/api");
+const offline = require("../../main/offline");
+
+let mock;
+let store;
+let token;
+let accountId;
+
+const idle = () => waitFor(() => !offline.getStatus().syncing);
+
+// Task changes sent to the server, in order
+function sentChanges(since) {
+  return mock.requests.slice(since)
+    .filter((request) => request.method !== "GET")
+    .map((request) => `${request.method} ${request.path}`);
+}
+
+before(async () => {
+  mock = createMockServer();
+  const url = await mock.listen();
+  api.init({ getToken: () => token, getServerURL: () => url });
+});
+
+after(async () => {
+  offline.stop();
+  await mock.close();
+});
+
+beforeEach(async () => {
+  store = createMemoryStore({ outbox: [], conflicts: [] });
+  token = VALID_TOKEN;
+  accountId = "a1";
+  mock.state.failWith = null;
+  mock.state.tasks = [
+    { id: "1", title: "Write report", status: "open", updatedAt: "2026-01-01T00:00:00.000Z" },
+    { id: "2", title: "Review PR", status: "open", updatedAt: "2026-01-01T00:00:00.000Z" }
+  ];
+  offline.init({ store, getServerURL: () => mock.url, getAccountId: () => accountId });
+  await offline.refreshCache();
+});
+
+test("a failing server keeps the outbox, which is replayed in order later", async () => {
+  mock.state.failWith = 503;
+  const created = offline.queueOperation({ type: "create", payload: { title: "Call client" } });
+  offline.queueOperation({ type: "update", taskId: created.taskId, payload: { title: "Call the client" } });
+  offline.queueOperation({ type: "complete", taskId: "2" });
+  await idle();
+  assert.equal(offline.getOutbox().length, 3);
+  assert.deepEqual(offline.getConflicts(), []);
+
+  mock.state.failWith = null;
+  const since = mock.requests.length;
+  const status = await offline.syncNow();
+  assert.deepEqual(sentChanges(since), ["POST /api/tasks", "PATCH /api/tasks/3", "PATCH /api/tasks/2"]);
+  assert.equal(status.pendingOperations, 0);
+  assert.equal(mock.state.tasks[2].title, "Call the client");
+  assert.equal(offline.getCachedTasks().find((task) => task.id === "3").title, "Call the client");
+});
+
+test("operations queued during a sync are sent too", async () => {
+  const created = offline.queueOperation({ type: "create", payload: { title: "Call client" } });
+  assert.equal(offline.getStatus().syncing, true);
+  offline.queueOperation({ type: "update", taskId: created.taskId, payload: { priority: "high" } });
+  offline.queueOperation({ type: "create", payload: { title: "Book flights" } });
+  await idle();
+
+  assert.deepEqual(offline.getOutbox(), []);
+  assert.deepEqual(mock.state.tasks.slice(2).map((task) => [task.title, task.priority]), [
+    ["Call client", "high"],
+    ["Book flights", undefined]
+  ]);
+});
+
+test("an expired token keeps the outbox instead of making conflicts", async () => {
+  token = "expired";
+  offline.queueOperation({ type: "complete", taskId: "1" });
+  await idle();
+  assert.equal(offline.getOutbox().length, 1);
+  assert.deepEqual(offline.getConflicts(), []);
+
+  token = VALID_TOKEN;
+  await offline.syncNow();
+  assert.deepEqual(offline.getOutbox(), []);
+  assert.equal(mock.state.tasks[0].status, "completed");
+});
+
+test("a task changed on the server meanwhile is a conflict", async () => {
+  mock.state.tasks[0].updatedAt = "2026-02-01T00:00:00.000Z";
+  offline.queueOperation({ type: "update", taskId: "1", payload: { title: "Write the report" } });
+  await idle();
+
+  assert.deepEqual(offline.getOutbox(), []);
+  const [conflict] = offline.getConflicts();
+  assert.equal(conflict.status, 409);
+  assert.equal(conflict.serverTask.id, "1");
+  assert.equal(mock.state.tasks[0].title, "Write report");
+});
+
+test("switching account during a sync keeps each account's outbox", async () => {
+  offline.queueOperation({ type: "create", payload: { title: "First account task" } });
+  accountId = "a2";
+  offline.queueOperation({ type: "create", payload: { title: "Second account task" } });
+  await waitFor(() => store.get("outbox").length === 0);
+  await idle();
+
+  assert.deepEqual(mock.state.tasks.slice(2).map((task) => task.title), ["First account task", "Second account task"]);
+  assert.deepEqual(store.get("conflicts"), []);
+});
+
+test("an operation started before switching account finishes with its own account's token", async () => {
+  const tokens = { a1: VALID_TOKEN, a2: "second-account-token" };
+  offline.init({ store, getServerURL: () => mock.url, getAccountId: () => accountId, getAccountToken: (id) => tokens[id] });
+  const since = mock.requests.length;
+  // Complete checks the server copy first (GET), then sends the change (PATCH)
+  offline.queueOperation({ type: "complete", taskId: "1" });
+  accountId = "a2";
+  token = tokens.a2;
+  await idle();
+
+  assert.deepEqual(mock.requests.slice(since).map((request) => `${request.method} ${request.headers.authorization}`), [
+    `GET Bearer ${VALID_TOKEN}`,
+    `PATCH Bearer ${VALID_TOKEN}`
+  ]);
+  assert.equal(mock.state.tasks[0].status, "completed");
+  assert.deepEqual(store.get("outbox"), []);
+});
+
+test("changes to a task whose create failed go with its conflict instead of to the server", async () => {
+  mock.state.failWith = 503;
+  const created = offline.queueOperation({ type: "create", payload: { title: "Call client" } });
+  offline.queueOperation({ type: "update", taskId: created.taskId, payload: { priority: "high" } });
+  offline.queueOperation({ type: "complete", taskId: created.taskId });
+  await idle();
+
+  mock.state.failWith = 422;
+  const since = mock.requests.length;
+  await offline.syncNow();
+  assert.deepEqual(mock.requests.slice(since).map((request) => `${request.method} ${request.path}`), ["POST /api/tasks"]);
+  assert.deepEqual(offline.getOutbox(), []);
+  const [conflict] = offline.getConflicts();
+  assert.deepEqual(conflict.operation.payload, { title: "Call client", priority: "high", completed: true, status: "completed" });
+
+  mock.state.failWith = null;
+  await offline.resolveConflict(conflict.id, "overwrite");
+  assert.deepEqual(mock.state.tasks.slice(2).map((task) => [task.title, task.priority, task.status]), [["Call client", "high", "completed"]]);
+});
+
+test("a change queued for a task whose create failed is never sent", async () => {
+  mock.state.failWith = 422;
+  const created = offline.queueOperation({ type: "create", payload: { title: "Call client" } });
+  await idle();
+  mock.state.failWith = null;
+
+  const since = mock.requests.length;
+  offline.queueOperation({ type: "update", taskId: created.taskId, payload: { priority: "high" } });
+  await idle();
+  assert.deepEqual(mock.requests.slice(since), []);
+  assert.deepEqual(offline.getOutbox(), []);
+  assert.equal(offline.getConflicts().length, 2);
+});
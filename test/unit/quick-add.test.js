@@ -0,0 +1,95 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { electron, createMemoryStore } = require("../helpers/electron-stub");
+const { createMockServer, VALID_TOKEN } = require("../mock-server");
+const api = require("../../main/api");
+const settings = require("../../main/settings");
+const offline = require("../../main/offline");
+const quickAdd = require("../../main/quick-add");
+const security = require("../../main/security");
+const { CHANNELS } = require("../../main/ipc-contract");
+
+let mock;
+let serverURL;
+let token;
+let shortcutChanges;
+
+// The quick add page is one of the bundled pages (the stub's default sender)
+security.init({ getServerURL: () => mock.url, localRoots: ["/app/pages"] });
+
+const submit = (task) => electron.ipcMain.invoke(CHANNELS.QUICK_ADD_SUBMIT, task);
+
+before(async () => {
+  mock = createMockServer();
+  await mock.listen();
+  api.init({ getToken: () => token, getServerURL: () => serverURL });
+  quickAdd.init({ onShortcutChange: (accelerator) => shortcutChanges.push(accelerator) });
+  quickAdd.registerIpcHandlers();
+});
+
+after(async () => {
+  offline.stop();
+  await mock.close();
+});
+
+beforeEach(() => {
+  token = VALID_TOKEN;
+  serverURL = mock.url;
+  shortcutChanges = [];
+  mock.state.failWith = null;
+  mock.state.tasks = [];
+  settings.init({ store: createMemoryStore({ settings: {} }) });
+  offline.init({ store: createMemoryStore({ outbox: [], conflicts: [] }), getServerURL: () => serverURL, getAccountId: () => "a1" });
+  electron.globalShortcut.registered.clear();
+  electron.globalShortcut.taken.clear();
+});
+
+test("creates the task with a trimmed title", async () => {
+  const result = await submit({ title: "  Call client  ", projectId: "p1", dueDate: "2026-03-02" });
+  assert.equal(result.success, true);
+  assert.equal(result.queued, false);
+  assert.deepEqual(mock.state.tasks.map(({ title, projectId, dueDate }) => ({ title, projectId, dueDate })), [
+    { title: "Call client", projectId: "p1", dueDate: "2026-03-02" }
+  ]);
+});
+
+test("refuses an empty title, a missing login and a task that isn't an object", async () => {
+  assert.deepEqual(await submit({ title: "   " }), { success: false, error: "Title is required" });
+  token = null;
+  assert.deepEqual(await submit({ title: "Call client" }), { success: false, error: "Log in to OCS Task Manager first" });
+  assert.equal((await submit("Call client")).code, "INVALID_ARGUMENT");
+  assert.deepEqual(mock.state.tasks, []);
+});
+
+test("queues the task for later when the server can't be reached", async () => {
+  serverURL = "http://127.0.0.1:1";
+  const result = await submit({ title: "Call client" });
+  assert.equal(result.success, true);
+  assert.equal(result.queued, true);
+  assert.match(result.task.id, /^local-/);
+  assert.deepEqual(offline.getOutbox().map((op) => [op.type, op.payload.title]), [["create", "Call client"]]);
+  offline.stop();
+});
+
+test("a server error is reported, not queued", async () => {
+  mock.state.failWith = 422;
+  const result = await submit({ title: "Call client" });
+  assert.equal(result.success, false);
+  assert.deepEqual(offline.getOutbox(), []);
+});
+
+test("a shortcut that can't be registered is refused and the previous one kept", async () => {
+  assert.equal(quickAdd.registerQuickAddShortcut("Alt+Space"), true);
+  electron.globalShortcut.taken.add("CommandOrControl+Shift+K");
+
+  const refused = await electron.ipcMain.invoke(CHANNELS.SET_QUICK_ADD_SHORTCUT, "CommandOrControl+Shift+K");
+  assert.equal(refused.success, false);
+  assert.match(refused.error, /used by another application/);
+  assert.equal(quickAdd.getShortcut(), "Alt+Space");
+  assert.deepEqual([...electron.globalShortcut.registered.keys()], ["Alt+Space"]);
+
+  const changed = await electron.ipcMain.invoke(CHANNELS.SET_QUICK_ADD_SHORTCUT, "CommandOrControl+Alt+T");
+  assert.deepEqual(changed, { success: true, shortcut: "CommandOrControl+Alt+T" });
+  assert.deepEqual([...electron.globalShortcut.registered.keys()], ["CommandOrControl+Alt+T"]);
+  assert.deepEqual(shortcutChanges, ["CommandOrControl+Alt+T"]);
+});
@@ -0,0 +1,216 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const netSocket = require("net");
+const { electron, createMemoryStore } = require("../helpers/electron-stub");
+const { createMockServer, VALID_TOKEN } = require("../mock-server");
+const { waitFor } = require("../helpers/wait-for");
+const realtime = require("../../main/realtime");
+const notifications = require("../../main/notifications");
+
+let mock;
+let token;
+let events;
+
+async function startWith(options) {
+  mock = createMockServer(options);
+  const url = await mock.listen();
+  realtime.init({
+    store: createMemoryStore(),
+    getToken: () => token,
+    getServerURL: () => url,
+    getAccountId: () => "account-1",
+    onEvent: (event) => events.push(event)
+  });
+  realtime.start();
+}
+
+beforeEach(() => {
+  token = VALID_TOKEN;
+  events = [];
+});
+
+afterEach(async () => {
+  realtime.stop();
+  await mock.close();
+});
+
+test("receives events over WebSocket and resumes after the last one", async () => {
+  await startWith();
+  await waitFor(() => realtime.getStatus().state === "connected");
+  assert.equal(realtime.getStatus().transport, "websocket");
+
+  mock.pushEvent("notification", { title: "Assigned to you" });
+  await waitFor(() => events.length === 1);
+  assert.deepEqual(events[0], { id: "1", type: "notification", data: { title: "Assigned to you" } });
+
+  // Events sent while disconnected arrive after the reconnect, once
+  mock.dropRealtimeClients();
+  await waitFor(() => realtime.getStatus().state === "reconnecting");
+  mock.pushEvent("task.updated", { taskId: "2" });
+  await waitFor(() => events.length === 2);
+  assert.equal(events[1].type, "task.updated");
+  const handshake = mock.requests.filter((request) => request.path === "/api/realtime/ws").at(-1);
+  assert.equal(handshake.headers.authorization, `Bearer ${VALID_TOKEN}`);
+
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  assert.equal(events.length, 2);
+});
+
+test("falls back to server-sent events without a WebSocket endpoint", async () => {
+  await startWith({ realtime: { websocket: false } });
+  await waitFor(() => realtime.getStatus().state === "connected");
+  assert.equal(realtime.getStatus().transport, "sse");
+
+  mock.pushEvent("notification", { title: "Comment" });
+  await waitFor(() => events.length === 1);
+  assert.deepEqual(events[0], { id: "1", type: "notification", data: { title: "Comment" } });
+
+  mock.dropRealtimeClients();
+  mock.pushEvent("notification", { title: "Second" });
+  await waitFor(() => events.length === 2);
+  const streams = mock.requests.filter((request) => request.path === "/api/realtime/events");
+  assert.equal(streams.at(-1).headers["last-event-id"], "1");
+});
+
+test("the WebSocket goes through the session's proxy", async () => {
+  // The mock server doubles as the proxy: it tunnels CONNECT requests to itself
+  mock = createMockServer();
+  const url = await mock.listen();
+  const tunnels = [];
+  mock.server.on("connect", (req, socket, head) => {
+    tunnels.push(req.url);
+    const [host, port] = req.url.split(":");
+    const upstream = netSocket.connect(Number(port), host, () => {
+      socket.write("HTTP/1.1 200 Connection Established\r\n\r\n");
+      upstream.write(head);
+      upstream.pipe(socket).pipe(upstream);
+    });
+    socket.on("error", () => upstream.destroy());
+    upstream.on("error", () => socket.destroy());
+  });
+  electron.session.proxy = `PROXY ${new URL(url).host}; DIRECT`;
+  try {
+    realtime.init({ store: createMemoryStore(), getToken: () => token, getServerURL: () => url, onEvent: (event) => events.push(event) });
+    realtime.start();
+    await waitFor(() => realtime.getStatus().state === "connected");
+    assert.equal(realtime.getStatus().transport, "websocket");
+    assert.deepEqual(tunnels, [new URL(url).host]);
+
+    mock.pushEvent("notification", { title: "Through the proxy" });
+    await waitFor(() => events.length === 1);
+  } finally {
+    electron.session.proxy = "DIRECT";
+  }
+});
+
+test("falls back to long-polling when nothing else is available", async () => {
+  await startWith({ realtime: { websocket: false, sse: false } });
+  mock.pushEvent("notification", { title: "Queued" });
+  await waitFor(() => events.length === 1);
+  assert.equal(realtime.getStatus().transport, "longpoll");
+
+  mock.pushEvent("notification", { title: "Live" });
+  await waitFor(() => events.length === 2);
+  assert.equal(mock.requests.filter((request) => request.path === "/api/realtime/poll").length >= 2, true);
+});
+
+test("long-polls at most once a second and backs off from early empty answers", async () => {
+  // A proxy answering every poll at once, without holding it
+  const polls = [];
+  const server = http.createServer((req, res) => {
+    const found = req.url.startsWith("/api/realtime/poll");
+    if (found) polls.push(Date.now());
+    res.writeHead(found ? 200 : 404, { "Content-Type": "application/json" });
+    res.end(found ? "{\"events\":[]}" : "{}");
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  mock = { close: () => new Promise((resolve) => server.close(resolve)) };
+  server.on("upgrade", (req, socket) => socket.end("HTTP/1.1 404 Not Found\r\n\r\n"));
+
+  realtime.init({
+    store: createMemoryStore(),
+    getToken: () => token,
+    getServerURL: () => `http://127.0.0.1:${server.address().port}/`,
+    onEvent: () => {}
+  });
+  realtime.start();
+  await waitFor(() => realtime.getStatus().transport === "longpoll" && polls.length > 0);
+  await new Promise((resolve) => setTimeout(resolve, 2500));
+  realtime.stop();
+  server.closeAllConnections();
+
+  // 1s, then 2s apart: three polls at most in 2.5s
+  assert.ok(polls.length <= 3, `${polls.length} polls`);
+  assert.equal(realtime.getLongPollDelay(200, 0), 800);
+  assert.equal(realtime.getLongPollDelay(25000, 0), 0);
+  assert.equal(realtime.getLongPollDelay(10, 3), 4000);
+  assert.equal(realtime.getLongPollDelay(10, 20), 60000);
+});
+
+test("stops retrying when the token is refused", async () => {
+  token = "expired";
+  await startWith();
+  await waitFor(() => realtime.getStatus().state === "unauthorized");
+  const attempts = mock.requests.length;
+  await new Promise((resolve) => setTimeout(resolve, 300));
+  assert.equal(mock.requests.length, attempts);
+
+  // Logging in again reconnects
+  token = VALID_TOKEN;
+  realtime.refresh();
+  await waitFor(() => realtime.getStatus().state === "connected");
+});
+
+test("disconnects while the machine sleeps", async () => {
+  await startWith();
+  await waitFor(() => realtime.getStatus().state === "connected");
+
+  electron.powerMonitor.emit("suspend");
+  assert.equal(realtime.getStatus().state, "paused");
+  mock.pushEvent("notification", { title: "While asleep" });
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  assert.equal(events.length, 0);
+
+  electron.powerMonitor.emit("resume");
+  await waitFor(() => events.length === 1);
+  assert.equal(events[0].data.title, "While asleep");
+});
+
+test("waits for the network to come back", async () => {
+  electron.net.online = false;
+  try {
+    await startWith();
+    assert.equal(realtime.getStatus().state, "offline");
+    electron.net.online = true;
+    realtime.checkNetwork();
+    await waitFor(() => realtime.getStatus().state === "connected");
+  } finally {
+    electron.net.online = true;
+  }
+});
+
+test("backoff doubles up to a minute, with jitter", () => {
+  assert.equal(realtime.getBackoffDelay(0, 1), 1000);
+  assert.equal(realtime.getBackoffDelay(0, 0), 500);
+  assert.equal(realtime.getBackoffDelay(3, 1), 8000);
+  assert.equal(realtime.getBackoffDelay(20, 1), 60000);
+});
+
+test("parses event streams split across chunks", () => {
+  const messages = [];
+  let comments = 0;
+  const push = realtime.createEventStreamParser((message) => messages.push(message), () => comments++);
+  push(": hello\n\nid: 7\nevent: notif");
+  push("ication\ndata: {\"a\":1}\r\ndata: more\n\n");
+  assert.equal(comments, 1);
+  assert.deepEqual(messages, [{ id: "7", event: "notification", data: "{\"a\":1}\nmore" }]);
+});
+
+test("a server notification is shown once, whichever side delivers it first", () => {
+  const now = Date.now();
+  assert.equal(notifications.isDeliveredServerNotification({ notificationId: 42 }, now), false);
+  assert.equal(notifications.isDeliveredServerNotification({ notificationId: "42" }, now + 1000), true);
+  assert.equal(notifications.isDeliveredServerNotification({ taskId: 1 }, now), false);
+  assert.equal(notifications.isDeliveredServerNotification({ notificationId: 42 }, now + 11 * 60 * 1000), false);
+});
@@ -0,0 +1,131 @@
+const { test, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { electron, createMemoryStore } = require("../helpers/electron-stub");
+const reminders = require("../../main/reminders");
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const NOW = new Date("2026-03-02T09:00:00.000Z").getTime();
+
+let store;
+let accountId;
+let notified;
+
+const at = (ms) => new Date(NOW + ms).toISOString();
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ["setTimeout", "Date"], now: NOW });
+  store = createMemoryStore({ reminders: [] });
+  accountId = "a1";
+  notified = [];
+  reminders.init({
+    store,
+    getAccountId: () => accountId,
+    notify: (notification) => notified.push(notification)
+  });
+  reminders.start();
+  reminders.check();
+});
+
+afterEach(() => {
+  // Disarm the timer while the fake timers that armed it are still there
+  store.set("reminders", []);
+  reminders.check();
+  mock.timers.reset();
+});
+
+test("reminds the lead time before the due date", () => {
+  assert.equal(reminders.scheduleReminder({ taskId: 1, dueAt: at(HOUR) }).remindAt, at(45 * MINUTE));
+  assert.equal(reminders.scheduleReminder({ taskId: 2, dueAt: at(HOUR), leadMinutes: 60 }).remindAt, at(0));
+  assert.equal(reminders.scheduleReminder({ taskId: 3, dueAt: at(HOUR), leadMinutes: 0 }).remindAt, at(HOUR));
+  assert.equal(reminders.scheduleReminder({ taskId: 4, dueAt: at(HOUR), leadMinutes: -5 }).leadMinutes, 15);
+
+  assert.throws(() => reminders.scheduleReminder({ dueAt: at(HOUR) }), /taskId is required/);
+  assert.throws(() => reminders.scheduleReminder({ taskId: 5, dueAt: "someday" }), /dueAt must be a valid date/);
+});
+
+test("one reminder per task and account, the latest one wins", () => {
+  reminders.scheduleReminder({ taskId: 1, title: "Write report", dueAt: at(HOUR) });
+  reminders.scheduleReminder({ taskId: "1", title: "Write the report", dueAt: at(2 * HOUR) });
+  accountId = "a2";
+  reminders.scheduleReminder({ taskId: 1, title: "Other account", dueAt: at(HOUR) });
+
+  assert.deepEqual(reminders.listReminders().map((item) => item.title), ["Other account"]);
+  accountId = "a1";
+  assert.deepEqual(reminders.listReminders().map((item) => [item.taskId, item.title, item.dueAt]), [["1", "Write the report", at(2 * HOUR)]]);
+  assert.equal(store.get("reminders").length, 2);
+});
+
+test("fires when the reminder is due and forgets it", () => {
+  reminders.scheduleReminder({ taskId: 7, title: "Call client", dueAt: at(20 * MINUTE), projectId: "p1" });
+
+  mock.timers.tick(5 * MINUTE - 1);
+  assert.deepEqual(notified, []);
+  mock.timers.tick(1);
+  assert.equal(notified.length, 1);
+  assert.equal(notified[0].title, "Call client");
+  assert.equal(notified[0].body, "Due in 15 min");
+  assert.deepEqual([notified[0].data.taskId, notified[0].data.projectId], ["7", "p1"]);
+  assert.deepEqual(reminders.listReminders(), []);
+});
+
+test("a cancelled reminder never fires", () => {
+  reminders.scheduleReminder({ taskId: 7, dueAt: at(20 * MINUTE) });
+  assert.equal(reminders.cancelReminder(7), true);
+  mock.timers.tick(HOUR);
+  assert.deepEqual(notified, []);
+});
+
+test("reminders further away than the longest timer are re-armed until due", () => {
+  reminders.scheduleReminder({ taskId: 7, dueAt: at(3 * 24 * HOUR), leadMinutes: 0 });
+
+  for (let hour = 1; hour < 3 * 24; hour++) {
+    mock.timers.tick(HOUR);
+  }
+  assert.deepEqual(notified, []);
+  mock.timers.tick(HOUR);
+  assert.equal(notified.length, 1);
+});
+
+test("reminders missed while asleep fire on resume", () => {
+  reminders.scheduleReminder({ taskId: 7, title: "Call client", dueAt: at(30 * MINUTE), leadMinutes: 0 });
+
+  // Timers don't run while the machine sleeps, only the clock moves on
+  mock.timers.setTime(NOW + 2 * HOUR);
+  assert.deepEqual(notified, []);
+  electron.powerMonitor.emit("resume");
+  assert.equal(notified.length, 1);
+  assert.match(notified[0].body, /^Was due /);
+});
+
+test("reminders missed while the app wasn't running fire on startup", () => {
+  reminders.scheduleReminder({ taskId: 7, dueAt: at(30 * MINUTE) });
+  const saved = store.get("reminders");
+
+  mock.timers.setTime(NOW + HOUR);
+  store = createMemoryStore({ reminders: saved });
+  reminders.init({ store, getAccountId: () => accountId, notify: (notification) => notified.push(notification) });
+  reminders.check();
+  assert.equal(notified.length, 1);
+});
+
+test("only the active account's reminders fire", () => {
+  reminders.scheduleReminder({ taskId: 7, title: "First account", dueAt: at(20 * MINUTE) });
+  accountId = "a2";
+  reminders.check();
+
+  mock.timers.tick(HOUR);
+  assert.deepEqual(notified, []);
+
+  accountId = "a1";
+  reminders.check();
+  assert.deepEqual(notified.map((item) => item.title), ["First account"]);
+});
+
+test("removing an account drops its reminders", () => {
+  reminders.scheduleReminder({ taskId: 7, dueAt: at(20 * MINUTE) });
+  reminders.clearAccountData("a1");
+  mock.timers.tick(HOUR);
+  assert.deepEqual(notified, []);
+  assert.deepEqual(store.get("reminders"), []);
+});
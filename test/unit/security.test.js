@@ -0,0 +1,133 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { fileURLToPath, pathToFileURL } = require("url");
+const { EventEmitter } = require("events");
+const { electron } = require("../helpers/electron-stub");
+const security = require("../../main/security");
+
+let serverURL = "https://tasks.example.com/";
+let devURL = null;
+security.init({
+  getServerURL: () => serverURL,
+  getDevURL: () => devURL,
+  localRoots: ["/opt/app/build", "/opt/app/electron/pages"]
+});
+
+test("allows the configured server, the dev server and our own files", () => {
+  assert.ok(security.isAllowedURL("https://tasks.example.com/acme/tasks/1"));
+  assert.ok(!security.isAllowedURL("http://tasks.example.com/"));
+  assert.ok(!security.isAllowedURL("https://tasks.example.com.evil.net/"));
+  assert.ok(!security.isAllowedURL("http://localhost:3000/"));
+
+  devURL = "http://localhost:3000";
+  assert.ok(security.isAllowedURL("http://localhost:3000/projects"));
+  devURL = null;
+
+  assert.ok(security.isAllowedURL("file:///opt/app/build/index.html"));
+  assert.ok(security.isAllowedURL("file:///opt/app/electron/pages/updates.html"));
+  assert.ok(!security.isAllowedURL("file:///opt/app/build-other/index.html"));
+  assert.ok(!security.isAllowedURL("file:///opt/app/build/../secrets.html"));
+  assert.ok(!security.isAllowedURL("file:///home/user/Downloads/page.html"));
+  assert.ok(!security.isAllowedURL("javascript:alert(1)"));
+  assert.ok(!security.isAllowedURL("not a url"));
+});
+
+test("follows the active server profile", () => {
+  serverURL = "https://other.example.org";
+  assert.ok(security.isAllowedURL("https://other.example.org/"));
+  assert.ok(!security.isAllowedURL("https://tasks.example.com/"));
+  serverURL = "https://tasks.example.com/";
+});
+
+test("trusts IPC only from frames showing allowed content", () => {
+  assert.ok(security.isTrustedSender({ senderFrame: { url: "https://tasks.example.com/" } }));
+  assert.ok(!security.isTrustedSender({ senderFrame: { url: "https://ads.example.net/frame" } }));
+  assert.ok(!security.isTrustedSender({ senderFrame: null }));
+  assert.ok(!security.isTrustedSender({}));
+});
+
+test("opens only http, https and mailto URLs externally", () => {
+  electron.shell.opened = [];
+  assert.equal(security.openExternal("https://example.com/docs"), true);
+  assert.equal(security.openExternal("mailto:support@example.com"), true);
+  assert.equal(security.openExternal("file:///etc/passwd"), false);
+  assert.equal(security.openExternal("smb://host/share"), false);
+  assert.equal(security.openExternal("javascript:alert(1)"), false);
+  assert.equal(security.openExternal("ms-msdt:/id"), false);
+  assert.deepEqual(electron.shell.opened, ["https://example.com/docs", "mailto:support@example.com"]);
+});
+
+test("keeps navigation inside the allowlist", () => {
+  const contents = Object.assign(new EventEmitter(), {
+    setWindowOpenHandler(handler) {
+      this.openHandler = handler;
+    }
+  });
+  security.guardWebContents(contents);
+  electron.shell.opened = [];
+
+  const navigate = (url) => {
+    let prevented = false;
+    contents.emit("will-navigate", { preventDefault: () => { prevented = true; } }, url);
+    return prevented;
+  };
+  assert.equal(navigate("https://tasks.example.com/acme"), false);
+  assert.equal(navigate("https://phishing.example.net/login"), true);
+  assert.equal(navigate("file:///tmp/evil.html"), true);
+  assert.deepEqual(electron.shell.opened, ["https://phishing.example.net/login"]);
+
+  assert.deepEqual(contents.openHandler({ url: "https://example.com/" }), { action: "deny" });
+
+  let webviewPrevented = false;
+  contents.emit("will-attach-webview", { preventDefault: () => { webviewPrevented = true; } });
+  assert.ok(webviewPrevented);
+});
+
+test("builds a CSP that only lets scripts come from the app", () => {
+  const csp = security.buildContentSecurityPolicy("https://tasks.example.com/api");
+  const directives = Object.fromEntries(csp.split("; ").map((directive) => {
+    const [name, ...sources] = directive.split(" ");
+    return [name, sources];
+  }));
+  assert.deepEqual(directives["script-src"], ["'self'", "file:"]);
+  assert.deepEqual(directives["object-src"], ["'none'"]);
+  assert.deepEqual(directives["connect-src"], ["'self'", "https://tasks.example.com", "wss://tasks.example.com"]);
+  assert.ok(directives["img-src"].includes("https://tasks.example.com"));
+  assert.deepEqual(directives["frame-ancestors"], ["'none'"]);
+
+  assert.doesNotMatch(security.buildContentSecurityPolicy(null), /undefined|null/);
+});
+
+test("the built index.html gets a CSP that lets its inline runtime chunk run", async () => {
+  // Shaped like a Create React App production build (INLINE_RUNTIME_CHUNK on)
+  const runtime = "!function(e){var r=window.webpackJsonp=[];r.push=e}([])";
+  const html = "<!doctype html><html><head><script defer=\"defer\" src=\"./static/js/main.1a2b.js\"></script></head>" +
+    `<body><div id="root"></div><script>${runtime}</script></body></html>`;
+  const buildRoot = fs.mkdtempSync(path.join(os.tmpdir(), "ocs-build-"));
+  fs.writeFileSync(path.join(buildRoot, "index.html"), html);
+  fs.writeFileSync(path.join(buildRoot, "main.js"), "console.log(1)");
+
+  let handler = null;
+  const fakeSession = {
+    protocol: { handle: (scheme, callback) => { handler = callback; } },
+    fetch: async (request) => new Response(fs.readFileSync(fileURLToPath(request.url)))
+  };
+  try {
+    security.protectSession(fakeSession, buildRoot);
+    const page = await handler({ url: pathToFileURL(path.join(buildRoot, "index.html")).href });
+    assert.equal(await page.text(), html);
+    const scriptSrc = page.headers.get("Content-Security-Policy").match(/script-src ([^;]*)/)[1].split(" ");
+    const hash = `'sha256-${crypto.createHash("sha256").update(runtime).digest("base64")}'`;
+    assert.deepEqual(scriptSrc, ["'self'", "file:", hash]);
+
+    // Other build files: no inline scripts allowed
+    const script = await handler({ url: pathToFileURL(path.join(buildRoot, "main.js")).href });
+    assert.match(script.headers.get("Content-Security-Policy"), /script-src 'self' file:;/);
+  } finally {
+    fs.rmSync(buildRoot, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,108 @@
+const { test, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createMemoryStore } = require("../helpers/electron-stub");
+const { createMockServer } = require("../mock-server");
+const serverProfiles = require("../../main/server-profiles");
+
+const ENV_KEYS = [
+  "ELECTRON_SERVER_URL",
+  "ELECTRON_SERVER_DOMAIN",
+  "ELECTRON_SERVER_IP",
+  "ELECTRON_SERVER_PORT",
+  "ELECTRON_SERVER_PROTOCOL"
+];
+const savedEnv = Object.fromEntries(ENV_KEYS.map((key) => [key, process.env[key]]));
+
+beforeEach(() => {
+  for (const key of ENV_KEYS) delete process.env[key];
+  serverProfiles.init({ store: createMemoryStore({ serverProfiles: [], activeServerProfileId: null }) });
+});
+
+after(() => {
+  for (const [key, value] of Object.entries(savedEnv)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+});
+
+test("falls back to the default LAN server when nothing is configured", () => {
+  assert.equal(serverProfiles.getServerURL(), "http://192.168.90.177:5000/");
+  assert.equal(serverProfiles.needsSetup(), true);
+});
+
+test("active profile wins over the default", () => {
+  serverProfiles.saveProfile({ name: "Production", url: "task.ocslive.com" });
+  assert.equal(serverProfiles.getServerURL(), "https://task.ocslive.com/");
+  assert.equal(serverProfiles.needsSetup(), false);
+});
+
+test("environment variables win over profiles, in priority order", () => {
+  serverProfiles.saveProfile({ name: "Production", url: "https://task.ocslive.com" });
+
+  process.env.ELECTRON_SERVER_IP = "10.0.0.5";
+  process.env.ELECTRON_SERVER_PORT = "8080";
+  assert.equal(serverProfiles.getServerURL(), "http://10.0.0.5:8080/");
+  assert.equal(serverProfiles.getEnvOverrideName(), "ELECTRON_SERVER_IP");
+
+  process.env.ELECTRON_SERVER_DOMAIN = "https://staging.ocslive.com";
+  assert.equal(serverProfiles.getServerURL(), "https://staging.ocslive.com/");
+  assert.equal(serverProfiles.getEnvOverrideName(), "ELECTRON_SERVER_DOMAIN");
+
+  process.env.ELECTRON_SERVER_URL = "https://override.example.com";
+  assert.equal(serverProfiles.getServerURL(), "https://override.example.com/");
+  assert.equal(serverProfiles.getEnvOverrideName(), "ELECTRON_SERVER_URL");
+});
+
+test("removing the active profile activates the next one", () => {
+  const first = serverProfiles.saveProfile({ name: "A", url: "https://a.example.com" });
+  const second = serverProfiles.saveProfile({ name: "B", url: "https://b.example.com" });
+  assert.equal(serverProfiles.getActiveProfile().id, first.id);
+
+  serverProfiles.removeProfile(first.id);
+  assert.equal(serverProfiles.getActiveProfile().id, second.id);
+});
+
+test("rejects invalid profiles", () => {
+  assert.throws(() => serverProfiles.saveProfile({ name: "", url: "https://a.example.com" }), /name is required/);
+  assert.throws(() => serverProfiles.saveProfile({ name: "Bad", url: "http://" }), /not valid/);
+});
+
+test("normalizes server URLs", () => {
+  assert.equal(serverProfiles.normalizeServerURL("task.ocslive.com"), "https://task.ocslive.com/");
+  assert.equal(serverProfiles.normalizeServerURL("http://10.0.0.5:5000"), "http://10.0.0.5:5000/");
+  assert.equal(serverProfiles.normalizeServerURL(""), null);
+});
+
+test("a bare local or private-range host defaults to http", () => {
+  for (const host of ["localhost:5000", "192.168.90.177:5000", "10.0.0.5", "172.20.1.2", "127.0.0.1:3000", "nas.local", "[::1]:5000", "[fd12::1]"]) {
+    assert.equal(serverProfiles.normalizeServerURL(host), `http://${host}/`, host);
+  }
+  for (const host of ["172.32.0.1", "8.8.8.8", "task.ocslive.com", "localhost.example.com"]) {
+    assert.equal(serverProfiles.normalizeServerURL(host), `https://${host}/`, host);
+  }
+  // An explicit protocol is kept
+  assert.equal(serverProfiles.normalizeServerURL("https://192.168.1.10"), "https://192.168.1.10/");
+});
+
+test("validates a reachable server", async () => {
+  const mock = createMockServer();
+  const url = await mock.listen();
+  try {
+    const result = await serverProfiles.validateServerURL(url);
+    assert.equal(result.reachable, true);
+    assert.equal(result.secure, false);
+    assert.equal(result.statusCode, 200);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("reports an unreachable server", async () => {
+  const mock = createMockServer();
+  const url = await mock.listen();
+  await mock.close();
+
+  const result = await serverProfiles.validateServerURL(url);
+  assert.equal(result.reachable, false);
+  assert.ok(result.error);
+});
@@ -0,0 +1,107 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createMemoryStore } = require("../helpers/electron-stub");
+const settings = require("../../main/settings");
+const contract = require("../../main/ipc-contract");
+
+let store;
+let changes;
+
+beforeEach(() => {
+  store = createMemoryStore({ settings: {} });
+  changes = [];
+  settings.init({ store, onChange: (key, value, previous) => changes.push({ key, value, previous }) });
+});
+
+test("migrates the old top-level preferences into versioned settings", () => {
+  const legacy = createMemoryStore({
+    quickAddShortcut: "Alt+Space",
+    openServerLinksInApp: false,
+    mirrorTokenToLocalStorage: false,
+    updates: { channel: "beta", skippedVersion: "1.2.0", deferredUntil: null }
+  });
+  settings.init({ store: legacy });
+
+  assert.equal(legacy.get("settingsVersion"), settings.SCHEMA_VERSION);
+  assert.deepEqual(legacy.get("settings"), {
+    quickAddShortcut: "Alt+Space",
+    openServerLinksInApp: false,
+    mirrorTokenToLocalStorage: false,
+    updateChannel: "beta"
+  });
+  assert.equal(legacy.get("quickAddShortcut"), undefined);
+  assert.deepEqual(legacy.get("updates"), { skippedVersion: "1.2.0", deferredUntil: null });
+  assert.equal(settings.get("updateChannel"), "beta");
+  assert.equal(settings.get("notificationSound"), true);
+
+  // Already current: nothing runs again
+  legacy.set("quickAddShortcut", "Alt+Q");
+  settings.init({ store: legacy });
+  assert.equal(settings.get("quickAddShortcut"), "Alt+Space");
+});
+
+test("reads defaults for missing or invalid stored values", () => {
+  store.set("settings", { updateChannel: "nightly", notificationSound: "yes" });
+  assert.equal(settings.get("updateChannel"), "stable");
+  assert.equal(settings.get("notificationSound"), true);
+  assert.equal(settings.get("devServerURL"), null);
+  assert.equal(settings.get("noSuchSetting"), undefined);
+});
+
+test("refuses invalid values", () => {
+  assert.match(settings.set("notificationSound", "no").error, /must be boolean/);
+  assert.match(settings.set("updateChannel", "nightly").error, /one of stable, beta/);
+  assert.match(settings.set("quickAddShortcut", "   ").error, /can't be empty/);
+  assert.match(settings.set("devServerURL", "file:///etc").error, /invalid format/);
+  assert.match(settings.set("madeUp", true).error, /Unknown setting/);
+  assert.deepEqual(changes, []);
+});
+
+test("saves valid values and reports the change", () => {
+  const watched = [];
+  settings.watch("notificationSound", (value, previous) => watched.push([value, previous]));
+
+  assert.deepEqual(settings.set("notificationSound", false), { success: true, key: "notificationSound", value: false });
+  assert.equal(store.get("settings").notificationSound, false);
+  assert.deepEqual(watched, [[false, true]]);
+  assert.deepEqual(changes, [{ key: "notificationSound", value: false, previous: true }]);
+
+  // Unchanged: no event
+  settings.set("notificationSound", false);
+  assert.equal(changes.length, 1);
+});
+
+test("blank text clears a nullable setting", () => {
+  settings.set("devServerURL", " http://localhost:5173 ");
+  assert.equal(settings.get("devServerURL"), "http://localhost:5173");
+  settings.set("devServerURL", "");
+  assert.equal(settings.get("devServerURL"), null);
+});
+
+test("a guard can refuse a value", () => {
+  settings.guard("quickAddShortcut", (accelerator) => (accelerator === "Taken+Key" ? "in use" : null));
+  assert.deepEqual(settings.set("quickAddShortcut", "Taken+Key"), { success: false, error: "in use" });
+  assert.equal(settings.get("quickAddShortcut"), "CommandOrControl+Shift+Space");
+  assert.equal(settings.set("quickAddShortcut", "Alt+Space").success, true);
+});
+
+test("reset restores defaults", () => {
+  settings.set("notificationsEnabled", false);
+  settings.set("updateChannel", "beta");
+  settings.reset("updateChannel");
+  assert.equal(settings.get("updateChannel"), "stable");
+  assert.equal(settings.get("notificationsEnabled"), false);
+  settings.reset();
+  assert.equal(settings.get("notificationsEnabled"), true);
+});
+
+test("the schema sent to the renderer is plain data", () => {
+  const schema = settings.getSchema();
+  assert.deepEqual(JSON.parse(JSON.stringify(schema)), schema);
+  assert.equal(schema.devServerURL.devOnly, true);
+});
+
+test("the Settings typings list exactly the schema keys", () => {
+  const typed = [...contract.TYPES.Settings.matchAll(/^ {2}(\w+):/gm)].map((match) => match[1]).sort();
+  assert.deepEqual(typed, Object.keys(settings.SCHEMA).sort());
+});
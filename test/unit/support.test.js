@@ -0,0 +1,64 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const { createMemoryStore } = require("../helpers/electron-stub");
+const logger = require("../../main/logger");
+const settings = require("../../main/settings");
+const zip = require("../../main/zip");
+const support = require("../../main/support");
+
+let directory;
+
+// Read the entries back through the central directory
+function readZip(buffer) {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = {};
+  for (let index = 0; index < count; index++) {
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString("utf8", offset + 46, offset + 46 + nameLength);
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26);
+    const data = zlib.inflateRawSync(buffer.subarray(dataStart, dataStart + compressedSize));
+    assert.equal(zip.crc32(data), buffer.readUInt32LE(offset + 16));
+    entries[name] = data.toString();
+    offset += 46 + nameLength;
+  }
+  return entries;
+}
+
+before(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), "ocs-support-"));
+  logger.init({ directory: path.join(directory, "logs"), captureConsole: false });
+  settings.init({ store: createMemoryStore({ settings: {} }) });
+});
+
+after(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test("crc32 matches the standard check value", () => {
+  assert.equal(zip.crc32(Buffer.from("123456789")), 0xcbf43926);
+});
+
+test("the report bundles the logs and an environment summary", () => {
+  logger.info("🔔 Notification shown");
+  const file = path.join(directory, "report.zip");
+  support.writeReport(file);
+
+  const entries = readZip(fs.readFileSync(file));
+  assert.deepEqual(Object.keys(entries).sort(), ["environment.json", "logs/app.log"]);
+  assert.match(entries["logs/app.log"], /Notification shown/);
+
+  const environment = JSON.parse(entries["environment.json"]);
+  assert.equal(environment.app.version, "1.0.0");
+  assert.equal(environment.platform.os, process.platform);
+  assert.equal(typeof environment.connection.serverURL, "string");
+  assert.equal(environment.settings.updateChannel, "stable");
+  assert.ok("status" in environment.updater);
+});
@@ -0,0 +1,201 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { electron, createMemoryStore } = require("../helpers/electron-stub");
+const { createMockServer, VALID_TOKEN } = require("../mock-server");
+const { waitFor } = require("../helpers/wait-for");
+const api = require("../../main/api");
+const settings = require("../../main/settings");
+const timeTracker = require("../../main/time-tracker");
+
+const MINUTE = 60 * 1000;
+
+let mock;
+let store;
+let accountId;
+let statuses;
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+function entries() {
+  return store.get("timeTracking.entries") || [];
+}
+
+before(async () => {
+  mock = createMockServer();
+  const url = await mock.listen();
+  api.init({ getToken: () => (accountId ? VALID_TOKEN : null), getServerURL: () => url });
+});
+
+after(async () => {
+  await mock.close();
+});
+
+beforeEach(() => {
+  store = createMemoryStore({ settings: {} });
+  accountId = "a1";
+  statuses = [];
+  mock.state.timeEntries = [];
+  mock.state.failWith = null;
+  electron.powerMonitor.idleSeconds = 0;
+  electron.dialog.response = 0;
+  settings.init({ store });
+  timeTracker.init({ store, getAccountId: () => accountId, onChange: (status) => statuses.push(status) });
+});
+
+test("stopping the timer records an entry and syncs it", async () => {
+  const start = Date.now() - 90 * MINUTE;
+  assert.equal(timeTracker.startTimer("1", { taskTitle: "Write report" }, start).success, true);
+  assert.equal(statuses.at(-1).running, true);
+  assert.equal(timeTracker.getStatus(start + 5 * MINUTE).elapsedSeconds, 300);
+
+  const { entry } = timeTracker.stopTimer(start + 90 * MINUTE);
+  assert.equal(entry.durationSeconds, 90 * 60);
+  assert.equal(entry.taskTitle, "Write report");
+  assert.equal(timeTracker.getStatus().running, false);
+
+  await waitFor(() => entries()[0].syncedAt);
+  assert.equal(mock.state.timeEntries.length, 1);
+  assert.equal(mock.state.timeEntries[0].durationSeconds, 5400);
+  assert.equal(entries()[0].serverId, "t1");
+  assert.equal(timeTracker.getStatus().pendingEntries, 0);
+});
+
+test("starting another task stops the running timer", async () => {
+  const start = Date.now() - 30 * MINUTE;
+  timeTracker.startTimer("1", {}, start);
+  timeTracker.startTimer("2", {}, start + 20 * MINUTE);
+  assert.equal(timeTracker.getStatus().taskId, "2");
+  assert.deepEqual(entries().map((entry) => [entry.taskId, entry.durationSeconds]), [["1", 1200]]);
+  timeTracker.stopTimer(start + 30 * MINUTE);
+  await waitFor(() => mock.state.timeEntries.length === 2);
+  assert.deepEqual(timeTracker.listEntries("2").map((entry) => entry.durationSeconds), [600]);
+});
+
+test("needs a logged in account", () => {
+  accountId = null;
+  assert.equal(timeTracker.startTimer("1").success, false);
+});
+
+test("discarding idle time ends the entry where it started and goes on", async () => {
+  const start = Date.now() - 60 * MINUTE;
+  timeTracker.startTimer("1", {}, start);
+
+  electron.powerMonitor.idleSeconds = 15 * 60;
+  timeTracker.tick(start + 40 * MINUTE);
+  assert.equal(timeTracker.getStatus().idleSince, new Date(start + 25 * MINUTE).toISOString());
+
+  electron.dialog.response = 1; // Discard
+  electron.powerMonitor.idleSeconds = 0;
+  timeTracker.tick(start + 50 * MINUTE);
+  await tick();
+
+  assert.deepEqual(entries().map((entry) => [entry.durationSeconds, entry.idle]), [[25 * 60, false]]);
+  const status = timeTracker.getStatus();
+  assert.equal(status.startedAt, new Date(start + 50 * MINUTE).toISOString());
+  assert.equal(status.idleSince, null);
+  timeTracker.stopTimer(start + 50 * MINUTE);
+});
+
+test("splitting idle time makes it its own entry", () => {
+  const start = Date.now() - 60 * MINUTE;
+  timeTracker.startTimer("1", {}, start);
+  timeTracker.resolveIdle("split", start + 20 * MINUTE, start + 45 * MINUTE);
+
+  assert.deepEqual(entries().map((entry) => [entry.durationSeconds, entry.idle]), [[25 * 60, true], [20 * 60, false]]);
+  assert.equal(timeTracker.getStatus().startedAt, new Date(start + 45 * MINUTE).toISOString());
+  timeTracker.stopTimer(start + 45 * MINUTE);
+});
+
+test("keeping idle time changes nothing", () => {
+  const start = Date.now() - 60 * MINUTE;
+  timeTracker.startTimer("1", {}, start);
+  timeTracker.resolveIdle("keep", start + 20 * MINUTE, start + 45 * MINUTE);
+  assert.deepEqual(entries(), []);
+  assert.equal(timeTracker.getStatus().startedAt, new Date(start).toISOString());
+  timeTracker.stopTimer(start + 45 * MINUTE);
+});
+
+test("a short screen lock isn't asked about, a long one is", async () => {
+  const start = Date.now() - 60 * MINUTE;
+  timeTracker.startTimer("1", {}, start);
+
+  timeTracker.markIdle(start + 10 * MINUTE);
+  timeTracker.markActive(start + 12 * MINUTE);
+  assert.equal(timeTracker.getStatus().idleSince, null);
+
+  electron.dialog.response = 1;
+  timeTracker.markIdle(start + 20 * MINUTE);
+  timeTracker.markActive(start + 40 * MINUTE);
+  await tick();
+  assert.deepEqual(entries().map((entry) => entry.durationSeconds), [20 * 60]);
+  timeTracker.stopTimer(start + 40 * MINUTE);
+});
+
+test("idle detection can be turned off", () => {
+  settings.set("idleDetection", false);
+  const start = Date.now() - 60 * MINUTE;
+  timeTracker.startTimer("1", {}, start);
+  electron.powerMonitor.idleSeconds = 30 * 60;
+  timeTracker.tick(start + 40 * MINUTE);
+  assert.equal(timeTracker.getStatus().idleSince, null);
+  timeTracker.stopTimer(start + 40 * MINUTE);
+  assert.equal(settings.set("idleThresholdMinutes", 0).success, false);
+});
+
+test("a timer survives a restart; the time the app was closed counts as idle", async () => {
+  const start = Date.now() - 3 * 60 * MINUTE;
+  timeTracker.startTimer("1", {}, start);
+  timeTracker.stop(start + 60 * MINUTE); // quit an hour in
+
+  // Next launch, two hours later
+  timeTracker.init({ store, getAccountId: () => accountId });
+  assert.equal(timeTracker.getStatus().running, true);
+  electron.dialog.response = 1; // Discard
+  const now = start + 3 * 60 * MINUTE;
+  timeTracker.start(now);
+  timeTracker.stop(now);
+  await tick();
+
+  assert.deepEqual(entries().map((entry) => entry.durationSeconds), [60 * 60]);
+  assert.equal(timeTracker.getStatus().startedAt, new Date(now).toISOString());
+  timeTracker.stopTimer(now);
+});
+
+test("unsynced entries wait for the server; refused ones keep the reason", async () => {
+  const start = Date.now() - 10 * MINUTE;
+  timeTracker.startTimer("unknown-task", {}, start);
+  timeTracker.stopTimer(start + 5 * MINUTE);
+  await waitFor(() => entries()[0].syncError);
+  assert.equal(entries()[0].syncError, "Unknown task");
+
+  accountId = "a2";
+  timeTracker.startTimer("1", {}, start);
+  accountId = null; // signed out before the sync
+  timeTracker.stopTimer(start + 5 * MINUTE);
+  assert.equal((await timeTracker.syncEntries()).success, false);
+  accountId = "a2";
+  const result = await timeTracker.syncEntries();
+  assert.equal(result.synced, 1);
+  assert.deepEqual(timeTracker.listEntries().map((entry) => entry.accountId), ["a2"]);
+});
+
+test("a busy server or a timeout leaves entries for the next sync", async () => {
+  const start = Date.now() - 10 * MINUTE;
+  timeTracker.startTimer("1", {}, start);
+  accountId = null; // no sync in the background
+  timeTracker.stopTimer(start + 5 * MINUTE);
+  accountId = "a1";
+  for (const status of [429, 408, 503]) {
+    mock.state.failWith = status;
+    assert.equal((await timeTracker.syncEntries()).synced, 0);
+    assert.equal(entries()[0].syncError, null);
+  }
+  mock.state.failWith = null;
+  assert.equal((await timeTracker.syncEntries()).synced, 1);
+});
+
+test("formats durations as hours and minutes", () => {
+  assert.equal(timeTracker.formatDuration(59), "0:00");
+  assert.equal(timeTracker.formatDuration(5 * 60), "0:05");
+  assert.equal(timeTracker.formatDuration(102 * 60 + 30), "1:42");
+});
@@ -0,0 +1,105 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+require("../helpers/electron-stub");
+const { createMockServer, VALID_TOKEN } = require("../mock-server");
+const api = require("../../main/api");
+const trayState = require("../../main/tray-state");
+
+// Local noon, so "today" doesn't depend on the time zone
+const NOW = new Date(2026, 2, 2, 12, 0, 0);
+const day = (offset, hours = 12) => new Date(2026, 2, 2 + offset, hours, 0, 0).toISOString();
+
+let mock;
+let token;
+let changes;
+
+before(async () => {
+  mock = createMockServer();
+  const url = await mock.listen();
+  api.init({ getToken: () => token, getServerURL: () => url });
+});
+
+after(async () => {
+  await mock.close();
+});
+
+beforeEach(() => {
+  token = VALID_TOKEN;
+  changes = 0;
+  trayState.init({ onChange: () => changes++ });
+  trayState.clear();
+});
+
+test("keeps today's and overdue open tasks only", () => {
+  const tasks = trayState.summarizeTasks([
+    { id: 1, title: "Overdue", dueDate: day(-2) },
+    { id: 2, title: "Tonight", due_date: day(0, 23) },
+    { id: 3, title: "Tomorrow", dueDate: day(1, 0) },
+    { id: 4, title: "No due date" },
+    { id: 5, title: "Done", dueDate: day(-1), status: "completed" },
+    { id: 6, title: "Also done", dueDate: day(0), completed: true },
+    { id: 7, title: "Bad date", dueDate: "soon" }
+  ], NOW);
+
+  assert.deepEqual(tasks.map((task) => [task.id, task.overdue]), [["1", true], ["2", false]]);
+});
+
+test("counts overdue tasks and lists them first", () => {
+  const state = trayState.update({
+    unreadCount: "4",
+    tasks: [
+      { id: "a", title: "Later today", dueDate: day(0, 18) },
+      { id: "b", title: "Overdue", dueDate: day(-1), overdue: true },
+      { title: "No id" },
+      { id: "c", title: "Earlier today", dueDate: day(0, 9) }
+    ]
+  }, "renderer");
+
+  assert.equal(state.unreadCount, 4);
+  assert.equal(state.overdueCount, 1);
+  assert.deepEqual(state.tasks.map((task) => task.id), ["b", "c", "a"]);
+  assert.equal(state.source, "renderer");
+  assert.equal(changes, 2); // clear() and update()
+});
+
+test("bad counts become zero and missing fields keep their last value", () => {
+  trayState.update({ unreadCount: 3, overdueCount: 2, tasks: [{ id: "a", overdue: true }] }, "renderer");
+  const state = trayState.update({ unreadCount: -1 }, "renderer");
+  assert.equal(state.unreadCount, 0);
+  assert.deepEqual(state.tasks.map((task) => [task.id, task.title]), [["a", "Untitled task"]]);
+
+  assert.equal(trayState.update({ overdueCount: "many" }, "renderer").overdueCount, 0);
+});
+
+test("the list is capped for the menu", () => {
+  const tasks = Array.from({ length: 15 }, (_, index) => ({ id: index, title: `Task ${index}` }));
+  assert.equal(trayState.update({ tasks }, "renderer").tasks.length, 10);
+});
+
+test("removing a completed overdue task lowers the overdue count", () => {
+  trayState.update({ tasks: [{ id: "a", overdue: true }, { id: "b", overdue: true }, { id: "c" }] }, "renderer");
+  trayState.removeTask("a");
+  const state = trayState.getState();
+  assert.equal(state.overdueCount, 1);
+  assert.deepEqual(state.tasks.map((task) => task.id), ["b", "c"]);
+
+  const before = changes;
+  trayState.removeTask("missing");
+  assert.equal(changes, before);
+});
+
+test("polling fills counts and tasks from the server", async () => {
+  mock.state.unreadCount = 7;
+  mock.state.tasks = [
+    { id: "1", title: "Overdue", dueDate: "2020-01-01T12:00:00.000Z", status: "open" },
+    { id: "2", title: "Someday", dueDate: "2999-01-01T12:00:00.000Z", status: "open" }
+  ];
+  const state = await trayState.poll();
+  assert.equal(state.source, "poll");
+  assert.equal(state.unreadCount, 7);
+  assert.equal(state.overdueCount, 1);
+  assert.deepEqual(state.tasks.map((task) => task.id), ["1"]);
+
+  token = null;
+  assert.equal(await trayState.poll(), trayState.getState());
+});
@@ -0,0 +1,149 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("events");
+const { electron, stubModule, createMemoryStore } = require("../helpers/electron-stub");
+const { createMockServer } = require("../mock-server");
+const { waitFor } = require("../helpers/wait-for");
+
+// Fake electron-updater: reads the channel's yml from the mock server and
+// emits the same events as the real autoUpdater
+let mock;
+const autoUpdater = Object.assign(new EventEmitter(), {
+  channel: null,
+  feed: null,
+  downloads: 0,
+  installs: 0,
+  setFeedURL(options) {
+    this.feed = options;
+  },
+  async checkForUpdates() {
+    this.emit("checking-for-update");
+    const response = await fetch(`${mock.url}desktop/updates/${this.channel || "latest"}.yml`);
+    const version = (await response.text()).match(/^version: (.+)$/m)[1];
+    const info = { version, releaseNotes: "<p>Faster sync</p><ul><li>Bug fixes</li></ul>" };
+    this.emit(version === electron.app.getVersion() ? "update-not-available" : "update-available", info);
+  },
+  async downloadUpdate() {
+    this.downloads++;
+    this.emit("download-progress", { percent: 50, transferred: 512, total: 1024, bytesPerSecond: 100 });
+    this.emit("update-downloaded", { version: this.lastVersion || "1.0.0" });
+  },
+  quitAndInstall() {
+    this.installs++;
+  }
+});
+autoUpdater.on("update-available", (info) => { autoUpdater.lastVersion = info.version; });
+stubModule("electron-updater", { autoUpdater });
+
+const updater = require("../../main/updater");
+
+let serverURL;
+let states;
+
+before(async () => {
+  mock = createMockServer({ versions: { latest: "1.2.0", beta: "1.3.0-beta.1" } });
+  await mock.listen();
+  electron.app.isPackaged = true;
+  states = [];
+  updater.init({
+    store: createMemoryStore({ updates: { channel: "stable", skippedVersion: null, deferredUntil: null } }),
+    getServerURL: () => serverURL,
+    onStateChange: (state) => states.push(state.status)
+  });
+});
+
+after(() => mock.close());
+
+beforeEach(() => {
+  serverURL = "https://task.ocslive.com/";
+  updater.configureFeed();
+});
+
+test("refuses to check an HTTP feed and explains why", async () => {
+  serverURL = "http://192.168.90.177:5000/";
+  updater.configureFeed();
+
+  const result = await updater.checkForUpdates();
+  assert.equal(result.success, false);
+  assert.match(updater.getState().feedWarning, /HTTPS/);
+});
+
+test("points the feed at the server and channel", () => {
+  assert.equal(autoUpdater.feed.url, "https://task.ocslive.com/desktop/updates");
+  assert.equal(autoUpdater.channel, "latest");
+});
+
+test("downloads an available update and exposes progress and notes", async () => {
+  await updater.checkForUpdates();
+  const state = updater.getState();
+
+  assert.equal(state.status, "downloaded");
+  assert.equal(state.availableVersion, "1.2.0");
+  assert.equal(state.releaseNotes, "Faster sync\n• Bug fixes");
+  assert.ok(states.includes("checking"));
+  assert.ok(states.includes("downloading"));
+
+  assert.equal(updater.installUpdate().success, true);
+  assert.equal(autoUpdater.installs, 1);
+});
+
+test("a skipped version isn't downloaded again", async () => {
+  updater.skipVersion("1.2.0");
+  const downloads = autoUpdater.downloads;
+
+  await updater.checkForUpdates();
+  assert.equal(updater.getState().status, "skipped");
+  assert.equal(autoUpdater.downloads, downloads);
+});
+
+test("switching to beta offers the beta build", async () => {
+  updater.setChannel("beta");
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(autoUpdater.channel, "beta");
+  await updater.checkForUpdates();
+  assert.equal(updater.getState().availableVersion, "1.3.0-beta.1");
+  assert.equal(updater.setChannel("nightly").success, false);
+});
+
+test("leaving a channel drops the build downloaded from it", async () => {
+  assert.equal(updater.getState().status, "downloaded");
+  assert.equal(autoUpdater.autoInstallOnAppQuit, true);
+
+  updater.setChannel("stable");
+  assert.equal(autoUpdater.autoInstallOnAppQuit, false);
+  assert.equal(updater.getState().availableVersion, null);
+
+  // The stable build is offered (and downloaded) instead
+  await waitFor(() => updater.getState().status === "downloaded");
+  assert.equal(updater.getState().availableVersion, "1.2.0");
+});
+
+test("a download from the channel just left is never installed", async () => {
+  // Downloads finish when the test says so
+  const realDownload = autoUpdater.downloadUpdate;
+  autoUpdater.downloadUpdate = async () => {};
+  try {
+    updater.setChannel("beta");
+    await waitFor(() => updater.getState().status === "downloading");
+    assert.equal(updater.getState().availableVersion, "1.3.0-beta.1");
+
+    updater.setChannel("stable");
+    await waitFor(() => updater.getState().status === "downloading" && updater.getState().availableVersion === "1.2.0");
+
+    autoUpdater.emit("update-downloaded", { version: "1.3.0-beta.1" });
+    assert.equal(autoUpdater.autoInstallOnAppQuit, false);
+    assert.equal(updater.getState().status, "downloading");
+
+    autoUpdater.emit("update-downloaded", { version: "1.2.0" });
+    assert.equal(autoUpdater.autoInstallOnAppQuit, true);
+    assert.equal(updater.getState().status, "downloaded");
+  } finally {
+    autoUpdater.downloadUpdate = realDownload;
+  }
+});
+
+test("deferring remembers until when", () => {
+  const { deferredUntil } = updater.deferUpdate(2);
+  assert.ok(new Date(deferredUntil) > new Date());
+  assert.equal(updater.isDeferred(), true);
+});
@@ -0,0 +1,71 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { electron, createMemoryStore } = require("../helpers/electron-stub");
+const windowState = require("../../main/window-state");
+
+const DEFAULTS = { width: 1200, height: 800 };
+const PRIMARY = { id: 1, workArea: { x: 0, y: 0, width: 1920, height: 1080 } };
+const RIGHT = { id: 2, workArea: { x: 1920, y: 0, width: 2560, height: 1440 } };
+
+let store;
+
+function saveState(state) {
+  store.set("windowState", state);
+}
+
+// Just enough of a BrowserWindow for save()
+function fakeWindow({ bounds, normalBounds = bounds, maximized = false }) {
+  return {
+    isDestroyed: () => false,
+    isMaximized: () => maximized,
+    isFullScreen: () => false,
+    isMinimized: () => false,
+    getBounds: () => bounds,
+    getNormalBounds: () => normalBounds
+  };
+}
+
+beforeEach(() => {
+  electron.screen.displays = [PRIMARY, RIGHT];
+  store = createMemoryStore({});
+  windowState.init({ store });
+});
+
+test("without a saved state the window is centered on the primary display", () => {
+  assert.deepEqual(windowState.getRestoreState(DEFAULTS), {
+    bounds: { x: 360, y: 140, width: 1200, height: 800 },
+    isMaximized: false,
+    isFullScreen: false
+  });
+});
+
+test("comes back where it was on a display that is still there", () => {
+  saveState({ bounds: { x: 2100, y: 100, width: 1400, height: 900 }, displayId: 2 });
+  assert.deepEqual(windowState.getRestoreState(DEFAULTS).bounds, { x: 2100, y: 100, width: 1400, height: 900 });
+});
+
+test("a window on a disconnected display comes back centered on the primary one", () => {
+  saveState({ bounds: { x: 2100, y: 100, width: 1400, height: 900 }, displayId: 2 });
+  electron.screen.displays = [PRIMARY];
+  assert.deepEqual(windowState.getRestoreState(DEFAULTS).bounds, { x: 260, y: 90, width: 1400, height: 900 });
+});
+
+test("a window larger than its now smaller display is shrunk and kept on it", () => {
+  saveState({ bounds: { x: 2000, y: 200, width: 2400, height: 1300 }, displayId: 2 });
+  electron.screen.displays = [PRIMARY, { id: 2, workArea: { x: 1920, y: 0, width: 1280, height: 1024 } }];
+  assert.deepEqual(windowState.getRestoreState(DEFAULTS).bounds, { x: 1920, y: 0, width: 1280, height: 1024 });
+});
+
+test("a window hanging off the edge of its display is pulled back on screen", () => {
+  saveState({ bounds: { x: 1500, y: -50, width: 800, height: 600 }, displayId: 1 });
+  electron.screen.displays = [PRIMARY];
+  assert.deepEqual(windowState.getRestoreState(DEFAULTS).bounds, { x: 1120, y: 0, width: 800, height: 600 });
+});
+
+test("a maximized window keeps its normal bounds and comes back maximized", () => {
+  const normalBounds = { x: 100, y: 100, width: 1000, height: 700 };
+  windowState.save(fakeWindow({ bounds: PRIMARY.workArea, normalBounds, maximized: true }));
+  assert.deepEqual(store.get("windowState"), { bounds: normalBounds, isMaximized: true, isFullScreen: false, displayId: 1 });
+
+  assert.deepEqual(windowState.getRestoreState(DEFAULTS), { bounds: normalBounds, isMaximized: true, isFullScreen: false });
+});
@@ -0,0 +1,588 @@
+// Generated by scripts/generate-ipc-types.js from main/ipc-contract.js - do not edit.
+// Run `npm run generate:types` after changing the contract.
+
+export type IpcErrorCode = "INVALID_ARGUMENT" | "UNTRUSTED_SENDER";
+
+export type IpcResult = {
+  success: boolean;
+  error?: string;
+  /** Set when the main process rejected the arguments */
+  code?: IpcErrorCode;
+  channel?: string;
+};
+
+export type UserData = {
+  id?: string | number;
+  _id?: string;
+  userId?: string | number;
+  email?: string;
+  name?: string;
+  token?: string;
+  workspaceId?: string | number;
+  workspaceSlug?: string;
+  [key: string]: unknown;
+};
+
+export type StorageResult = IpcResult & { mirrorToLocalStorage?: boolean };
+
+export type StorageStatus = {
+  success: boolean;
+  mode: "encrypted" | "plaintext" | "memory";
+  encryptionAvailable: boolean;
+  mirrorToLocalStorage: boolean;
+};
+
+export type Account = {
+  id: string;
+  label: string;
+  userId: string | number | null;
+  email: string | null;
+  workspaceId: string | number | null;
+  workspaceSlug: string | null;
+  createdAt: string;
+  lastUsedAt: string;
+  active: boolean;
+};
+
+export type AccountList = IpcResult & { accounts: Account[]; activeId: string | null };
+
+export type NavigationPayload = {
+  taskId?: string | null;
+  projectId?: string | null;
+  roomId?: string | null;
+  workspaceSlug?: string | null;
+  type?: string;
+  entityType?: string;
+  entityId?: string | null;
+  source?: "deep-link" | string;
+  [key: string]: unknown;
+};
+
+export type NotificationActionType = "complete" | "snooze" | "reply";
+
+export type NotificationData = {
+  tag?: string;
+  /** Server notification id - shown once even if the realtime connection delivered it too */
+  notificationId?: string | number;
+  type?: string;
+  taskId?: string | number;
+  projectId?: string | number;
+  roomId?: string | number;
+  workspaceSlug?: string;
+  entityType?: string;
+  entityId?: string | number;
+  [key: string]: unknown;
+};
+
+export type DesktopNotificationInput = {
+  title: string;
+  body?: string;
+  data?: NotificationData | null;
+  /** 'complete' needs data.taskId, 'reply' needs data.roomId */
+  actions?: NotificationActionType[];
+};
+
+export type LegacyNotificationOptions = {
+  title: string;
+  body?: string;
+  tag?: string;
+  silent?: boolean;
+  urgency?: "normal" | "critical" | "low";
+  data?: NotificationData | null;
+  actions?: NotificationActionType[];
+};
+
+export type NotificationEntry = {
+  id: string;
+  title: string;
+  body: string;
+  tag: string | null;
+  type: string;
+  data: NotificationData | null;
+  actions: { type: NotificationActionType; label: string }[];
+  status: "shown" | "muted" | "queued" | "digested" | "snoozed";
+  read: boolean;
+  receivedAt: string;
+};
+
+export type NotificationHistoryQuery = { limit?: number; unreadOnly?: boolean; type?: string };
+
+export type NotificationPreferences = {
+  mutedTypes: string[];
+  dnd: {
+    scheduleEnabled: boolean;
+    /** "HH:MM" */
+    start: string;
+    end: string;
+    /** 0 (Sunday) - 6 */
+    days: number[];
+    until: string | null;
+  };
+};
+
+export type NotificationPreferencesChanges = { mutedTypes?: string[]; dnd?: Partial<NotificationPreferences["dnd"]> };
+
+export type ReminderInput = {
+  taskId: string | number;
+  title?: string;
+  dueAt: string;
+  leadMinutes?: number;
+  projectId?: string | number;
+  workspaceSlug?: string;
+};
+
+export type Reminder = {
+  id: string;
+  accountId: string;
+  taskId: string;
+  title: string;
+  dueAt: string;
+  leadMinutes: number;
+  remindAt: string;
+  projectId: string | number | null;
+  workspaceSlug: string | null;
+  createdAt: string;
+};
+
+export type UpdateChannel = "stable" | "beta";
+
+export type UpdateState = {
+  status: "disabled" | "idle" | "checking" | "not-available" | "available" | "downloading" | "downloaded" | "skipped" | "error";
+  currentVersion: string;
+  channel: UpdateChannel;
+  availableVersion: string | null;
+  releaseNotes: string | null;
+  releaseDate: string | null;
+  progress: { percent: number; transferred: number; total: number; bytesPerSecond: number } | null;
+  error: string | null;
+  feedURL: string | null;
+  feedWarning: string | null;
+  skippedVersion: string | null;
+  deferredUntil: string | null;
+  lastCheckedAt: string | null;
+};
+
+export type DownloadInfo = {
+  id: string;
+  url: string;
+  filename: string;
+  /** null until the user picked a location (downloadsAskWhereToSave) */
+  savePath: string | null;
+  mimeType: string | null;
+  state: "progressing" | "paused" | "completed" | "cancelled" | "interrupted" | "blocked";
+  receivedBytes: number;
+  /** 0 when the server didn't send a size */
+  totalBytes: number;
+  workspaceSlug: string | null;
+  /** Program, script or installer - only kept once the user confirmed */
+  dangerous: boolean;
+  startedAt: string;
+  endedAt: string | null;
+  /** The file is still at savePath */
+  exists: boolean;
+};
+
+export type AttachFilesOptions = {
+  /** Attach to this task instead of creating one */
+  taskId?: string | number;
+  /** Without taskId: attach to the task given to setOpenTask, if any */
+  attachToOpenTask?: boolean;
+  /** Like attachToOpenTask, but fail instead of creating a task when none is open */
+  openTaskOnly?: boolean;
+  /** New task title (default: from the file names) */
+  title?: string;
+  projectId?: string | number | null;
+  /** Also report the outcome in a desktop notification */
+  notify?: boolean;
+};
+
+export type AttachFilesResult = IpcResult & {
+  taskId?: string | number;
+  task?: Task | null;
+  /** A new task was created for the files */
+  created?: boolean;
+  attachments?: Array<{ id?: string | number; name?: string; [key: string]: unknown }>;
+  /** Files left out: not found, a folder, a program or script, too large or too many */
+  rejected?: Array<{ name: string; reason: string }>;
+};
+
+export type UploadProgress = {
+  uploadId: string;
+  taskId: string | number;
+  fileNames: string[];
+  /** Bytes sent so far and in total (including the multipart framing) */
+  loaded: number;
+  total: number;
+  state: "uploading" | "done" | "error";
+  error: string | null;
+};
+
+export type TimerStatus = {
+  running: boolean;
+  taskId: string | null;
+  taskTitle: string | null;
+  startedAt: string | null;
+  elapsedSeconds: number;
+  /** Idle time not decided about yet (keep / discard / split) */
+  idleSince: string | null;
+  /** Time entries not synced to the server yet */
+  pendingEntries: number;
+};
+
+export type TimerResult = IpcResult & { status?: TimerStatus };
+
+export type TimeEntry = {
+  id: string;
+  accountId: string;
+  taskId: string;
+  taskTitle: string | null;
+  startedAt: string;
+  endedAt: string;
+  durationSeconds: number;
+  /** Idle time split off into its own entry */
+  idle: boolean;
+  syncedAt: string | null;
+  serverId: string | number | null;
+  /** Why the server refused the entry (not retried) */
+  syncError: string | null;
+};
+
+export type TrayTask = {
+  id: string | number;
+  title: string;
+  dueDate?: string | null;
+  projectId?: string | number | null;
+  projectName?: string | null;
+  workspaceSlug?: string | null;
+  overdue?: boolean;
+};
+
+export type TrayStateInput = { unreadCount?: number; overdueCount?: number; tasks?: TrayTask[] };
+
+export type Task = { id?: string | number; _id?: string; title?: string; [key: string]: unknown };
+
+export type Project = { id?: string | number; _id?: string; name?: string; [key: string]: unknown };
+
+export type TaskOperationInput = {
+  type: "create" | "update" | "complete";
+  taskId?: string | number;
+  payload?: Record<string, unknown>;
+};
+
+export type TaskOperation = {
+  id: string;
+  accountId: string;
+  type: "create" | "update" | "complete";
+  /** "local-<uuid>" for tasks created offline */
+  taskId: string;
+  payload: Record<string, unknown>;
+  baseUpdatedAt: string | null;
+  queuedAt: string;
+  attempts: number;
+};
+
+export type OfflineStatus = {
+  online: boolean;
+  syncing: boolean;
+  pendingOperations: number;
+  conflicts: number;
+  cachedAt: string | null;
+};
+
+export type OfflineConflict = {
+  id: string;
+  accountId: string;
+  operation: TaskOperation;
+  reason: string;
+  status: number | null;
+  serverTask: Task | null;
+  detectedAt: string;
+};
+
+export type OfflineSyncResult = { sent: number; conflicts: number; failed: number };
+
+export type TaskCompletedEvent = { taskId: string | number; source: "tray" | "notification" | string };
+
+export type TaskCreatedEvent = { task: Task; source: "quick-add" | "attachments" | string };
+
+export type Settings = {
+  closeToTray: boolean;
+  startMinimized: boolean;
+  launchAtLogin: boolean;
+  openServerLinksInApp: boolean;
+  notificationsEnabled: boolean;
+  notificationSound: boolean;
+  quickAddShortcut: string;
+  shortcutNewTask: string | null;
+  shortcutSwitchWorkspace: string | null;
+  shortcutMyTasks: string | null;
+  shortcutInbox: string | null;
+  shortcutProjects: string | null;
+  downloadsFolder: string | null;
+  downloadsPerWorkspace: boolean;
+  downloadsAskWhereToSave: boolean;
+  idleDetection: boolean;
+  idleThresholdMinutes: number;
+  updateChannel: UpdateChannel;
+  mirrorTokenToLocalStorage: boolean;
+  devServerURL: string | null;
+};
+
+export type SettingKey = keyof Settings;
+
+export type SettingSpec = {
+  type: "boolean" | "string" | "number";
+  default: unknown;
+  values?: string[];
+  nullable?: boolean;
+  section: string;
+  label: string;
+  description?: string;
+  devOnly?: boolean;
+};
+
+export type SettingsSnapshot = IpcResult & { settings: Settings; schema: Record<SettingKey, SettingSpec>; version: number; devMode: boolean };
+
+export type SettingResult = IpcResult & { key?: SettingKey; value?: unknown; settings?: Settings };
+
+export type SettingsChange = { key: SettingKey; value: unknown; previous: unknown; settings: Settings };
+
+export type MenuCommand = "new-task" | "switch-workspace" | "go-my-tasks" | "go-inbox" | "go-projects";
+
+export type MenuCommandEvent = { command: MenuCommand };
+
+export type ConnectionDiagnostics = {
+  failure: {
+    url: string;
+    errorCode: number;
+    errorDescription: string;
+    category: string;
+    title: string;
+    message: string;
+    attempt: number;
+    failedAt: number;
+    nextRetryAt: number;
+  } | null;
+  serverURL: string;
+  serverProfile: string | null;
+  appVersion: string;
+  electronVersion: string;
+  chromeVersion: string;
+  platform: string;
+  networkOnline: boolean;
+  offline: OfflineStatus;
+  time: string;
+};
+
+export type CrashInfo = {
+  lastCrash: { reason: string; exitCode: number | null; at: string } | null;
+  recentCrashes: number;
+  crashLoopLimit: number;
+  crashLoopMinutes: number;
+  crashDumpsPath: string;
+};
+
+export type RealtimeEvent = { id: string | null; type: string; data: unknown };
+
+export type RealtimeStatus = {
+  state: "stopped" | "connecting" | "connected" | "reconnecting" | "offline" | "paused" | "signed-out" | "unauthorized";
+  transport: "websocket" | "sse" | "longpoll" | null;
+  connectedAt: string | null;
+  lastEventAt: string | null;
+  lastEventId: string | null;
+  retryAt: string | null;
+  error: string | null;
+};
+
+export type LogLevel = "debug" | "info" | "warn" | "error";
+
+export type ProblemReportResult = IpcResult & { canceled?: boolean; filePath?: string };
+
+export interface ElectronAPI {
+  /** Open an http(s) or mailto: URL in the default browser (other schemes are refused) */
+  openExternal(url: string): void;
+  /** Tell the main process navigation listeners are registered. Links that opened the app before this call are delivered right after it */
+  signalRendererReady(): Promise<boolean>;
+  /** Open links to the configured server in-app (true) or in the browser (false) */
+  setOpenServerLinksInApp(enabled?: boolean): Promise<IpcResult & { enabled?: boolean }>;
+  /** Show a desktop notification. Resolves true when it was shown right away (false when muted, held back by do-not-disturb or a duplicate) */
+  sendDesktopNotification(notification: DesktopNotificationInput): Promise<boolean | IpcResult>;
+  /** Legacy notification API - kept for backward compatibility */
+  showNotification(options: LegacyNotificationOptions, onClick?: () => void): Promise<boolean | IpcResult>;
+  /** Save the active account's token to persistent (encrypted) storage */
+  saveToken(token: string | null): Promise<StorageResult>;
+  /** Token of the active account (falls back to localStorage) */
+  getToken(): Promise<string | null>;
+  /** Save the active account's user to persistent (encrypted) storage */
+  saveUser(userData: UserData): Promise<StorageResult>;
+  /** User of the active account (falls back to localStorage) */
+  getUser(): Promise<UserData | null>;
+  /** Stop (or resume) copying the token into localStorage. When disabled, the token only lives in the encrypted store and must be read via getToken() */
+  setTokenMirroring(enabled?: boolean): Promise<StorageResult>;
+  /** Where credentials are stored */
+  getStorageStatus(): Promise<StorageStatus>;
+  /** Log out of the active account (other accounts stay logged in) */
+  clearStorage(): Promise<IpcResult>;
+  /** Logged-in accounts, most recently used first */
+  listAccounts(): Promise<AccountList>;
+  /** Switch the window to another account */
+  switchAccount(accountId: string): Promise<IpcResult & { accountId?: string }>;
+  /** Remove an account and its stored session */
+  removeAccount(accountId: string): Promise<IpcResult>;
+  /** Open a fresh session to log in to an additional account */
+  addAccount(): Promise<IpcResult>;
+  /** Notification history, newest first */
+  getNotificationHistory(query?: NotificationHistoryQuery): Promise<NotificationEntry[]>;
+  /** Mark entries read (all when ids is omitted) */
+  markNotificationsRead(ids?: string[]): Promise<IpcResult>;
+  clearNotificationHistory(): Promise<IpcResult>;
+  getNotificationPreferences(): Promise<NotificationPreferences & { dndActive: boolean }>;
+  /** Partial update, e.g. { mutedTypes: ['chat_message'] } or { dnd: { scheduleEnabled: true } } */
+  setNotificationPreferences(changes: NotificationPreferencesChanges): Promise<IpcResult & { preferences?: NotificationPreferences }>;
+  /** Pause notifications until an ISO timestamp, or resume with null */
+  setDoNotDisturb(until?: string | number | null): Promise<IpcResult & { preferences?: NotificationPreferences }>;
+  /** Show a notification again after `minutes` (default 60) */
+  snoozeNotification(id: string, minutes?: number): Promise<IpcResult & { entry?: NotificationEntry }>;
+  /** Remind about a task leadMinutes (default 15) before dueAt; replaces an existing reminder for the same task */
+  scheduleReminder(reminder: ReminderInput): Promise<IpcResult & { reminder?: Reminder }>;
+  cancelReminder(taskId: string | number): Promise<IpcResult & { cancelled?: boolean }>;
+  /** Pending reminders of the active account, soonest first */
+  listReminders(): Promise<Reminder[]>;
+  getUpdateState(): Promise<UpdateState>;
+  checkForUpdates(): Promise<IpcResult & { state?: UpdateState }>;
+  downloadUpdate(): Promise<IpcResult & { state?: UpdateState }>;
+  /** Restart and install a downloaded update */
+  installUpdate(): Promise<IpcResult>;
+  /** Remind later (hours, default 24) - the update still installs on quit */
+  deferUpdate(hours?: number): Promise<IpcResult & { deferredUntil?: string }>;
+  /** Don't install this version (defaults to the available one) */
+  skipUpdateVersion(version?: string): Promise<IpcResult & { skippedVersion?: string }>;
+  setUpdateChannel(channel: UpdateChannel): Promise<IpcResult & { channel?: UpdateChannel }>;
+  /** Open the updates window (release notes, channel, install/skip) */
+  openUpdates(): Promise<boolean>;
+  /** Recent downloads, newest first */
+  getDownloads(): Promise<DownloadInfo[]>;
+  /** Open a downloaded file with its default application */
+  openDownload(id: string): Promise<IpcResult>;
+  showDownloadInFolder(id: string): Promise<IpcResult>;
+  /** Download the file again (the new download replaces the entry) */
+  retryDownload(id: string): Promise<IpcResult>;
+  cancelDownload(id: string): Promise<IpcResult>;
+  /** Forget finished downloads (the files are kept) */
+  clearDownloads(): Promise<IpcResult>;
+  /** Open the downloads window */
+  openDownloads(): Promise<boolean>;
+  /** Upload files (e.g. from a drop event) to a new task, or to options.taskId. Progress arrives through onUploadProgress */
+  createTaskFromFiles(files: File[] | FileList, options?: AttachFilesOptions): Promise<AttachFilesResult>;
+  /** Upload the image on the clipboard as a screenshot, like createTaskFromFiles */
+  createTaskFromClipboard(options?: AttachFilesOptions): Promise<AttachFilesResult>;
+  /** The task the user has open (null: none). Files dropped on the tray icon or left unhandled by the page are attached to it */
+  setOpenTask(taskId: string | number | null): Promise<boolean>;
+  /** Start the timer on a task (a timer on another task is stopped first). taskTitle is shown in the tray */
+  startTimer(taskId: string | number, options?: { taskTitle?: string }): Promise<TimerResult>;
+  /** Stop the timer and record its time entry */
+  stopTimer(): Promise<TimerResult & { entry?: TimeEntry | null }>;
+  getTimerStatus(): Promise<TimerStatus>;
+  /** Time entries of the active account, newest first (optionally of one task) */
+  listTimeEntries(taskId?: string | number): Promise<TimeEntry[]>;
+  /** Send unsynced time entries to the server now */
+  syncTimeEntries(): Promise<IpcResult & { synced?: number; pending?: number }>;
+  /** Push badge counts and today's/overdue tasks to the tray */
+  updateTrayState(state?: TrayStateInput): Promise<IpcResult>;
+  /** Open the quick add window */
+  openQuickAdd(): Promise<boolean>;
+  /** Change the global quick add shortcut, e.g. 'CommandOrControl+Shift+Space' */
+  setQuickAddShortcut(accelerator: string): Promise<IpcResult & { shortcut?: string }>;
+  getOfflineStatus(): Promise<OfflineStatus>;
+  getCachedTasks(filter?: { projectId?: string | number }): Promise<IpcResult & { tasks: Task[]; status?: OfflineStatus }>;
+  getCachedProjects(): Promise<IpcResult & { projects: Project[]; status?: OfflineStatus }>;
+  /** Queue a task change - sent now if online, later otherwise */
+  queueTaskOperation(operation: TaskOperationInput): Promise<IpcResult & { operation?: TaskOperation }>;
+  getOfflineOutbox(): Promise<IpcResult & { operations: TaskOperation[]; conflicts: OfflineConflict[] }>;
+  /** Replay queued operations now */
+  syncOfflineOutbox(): Promise<IpcResult & { status?: OfflineStatus }>;
+  /** Re-download tasks and projects into the cache */
+  refreshOfflineCache(): Promise<IpcResult & { status?: OfflineStatus }>;
+  resolveOfflineConflict(conflictId: string, resolution: "overwrite" | "discard"): Promise<IpcResult & { status?: OfflineStatus }>;
+  /** Current settings with their schema (see main/settings.js) */
+  getSettings(): Promise<SettingsSnapshot>;
+  /** Change one setting. Invalid values are refused with an error; changes are broadcast to onSettingsChanged */
+  setSetting(key: SettingKey, value: Settings[SettingKey] | null): Promise<SettingResult>;
+  /** Restore the default of one setting, or of all of them */
+  resetSettings(key?: SettingKey): Promise<SettingResult>;
+  /** Open the settings window */
+  openSettings(): Promise<boolean>;
+  /** Server URL the app is currently using */
+  getServerURL(): Promise<string>;
+  /** Open the server settings window (add, test and switch servers) */
+  openServerSettings(): Promise<boolean>;
+  /** What failed, which server is used, app/platform versions */
+  getConnectionDiagnostics(): Promise<ConnectionDiagnostics>;
+  /** Copy the diagnostics as text to the clipboard */
+  copyConnectionDiagnostics(): Promise<boolean>;
+  /** Try loading the app again right away */
+  retryConnection(): Promise<boolean>;
+  /** Recent renderer crashes and where crash dumps are kept */
+  getCrashInfo(): Promise<CrashInfo>;
+  /** Reset the crash loop guard and reload at the last route */
+  recoverFromCrash(): Promise<boolean>;
+  /** State of the main process realtime connection */
+  getRealtimeStatus(): Promise<RealtimeStatus>;
+  /** Write to the app log file (tokens are redacted). Uncaught errors are logged automatically */
+  log(level: LogLevel, message: string, data?: Record<string, unknown>): Promise<boolean>;
+  /** Save the logs and an environment summary as a zip for support (asks where) */
+  reportProblem(): Promise<ProblemReportResult>;
+  /** Navigate: notification clicks, deep links and tray entries */
+  onNotificationClicked(callback: (payload: NavigationPayload) => void): void;
+  /** History/preference changes (refetch with getNotificationHistory) */
+  onNotificationHistoryChanged(callback: () => void): void;
+  /** Tasks completed outside the renderer (tray, notification buttons) */
+  onTaskCompleted(callback: (payload: TaskCompletedEvent) => void): void;
+  /** Tasks created outside the renderer (quick add) */
+  onTaskCreated(callback: (payload: TaskCreatedEvent) => void): void;
+  /** Update state changes (same shape as getUpdateState) */
+  onUpdateStateChanged(callback: (payload: UpdateState) => void): void;
+  /** Downloads started, progressed or finished (same shape as getDownloads) */
+  onDownloadsChanged(callback: (payload: DownloadInfo[]) => void): void;
+  /** Attachment uploads started, progressed, finished or failed */
+  onUploadProgress(callback: (payload: UploadProgress) => void): void;
+  /** The timer started, stopped or ticked (every 30 seconds), or time entries changed */
+  onTimerChanged(callback: (payload: TimerStatus) => void): void;
+  /** Online/offline and outbox changes */
+  onOfflineStatusChanged(callback: (payload: OfflineStatus) => void): void;
+  /** Conflicts found while replaying the outbox */
+  onOfflineConflict(callback: (payload: OfflineConflict) => void): void;
+  /** Finished outbox replays */
+  onOfflineSyncResult(callback: (payload: OfflineSyncResult) => void): void;
+  /** A setting changed (settings window, tray or another API call) */
+  onSettingsChanged(callback: (payload: SettingsChange) => void): void;
+  /** Application menu commands the renderer carries out (new task, Go menu, switch workspace) */
+  onMenuCommand(callback: (payload: MenuCommandEvent) => void): void;
+  /** Server events received by the main process realtime connection */
+  onRealtimeEvent(callback: (payload: RealtimeEvent) => void): void;
+  /** Realtime connection state changes (same shape as getRealtimeStatus) */
+  onRealtimeStatusChanged(callback: (payload: RealtimeStatus) => void): void;
+  /** Remove onNotificationClicked listeners */
+  removeNotificationClickedListener(): void;
+  /** Remove offline listeners */
+  removeOfflineListeners(): void;
+  /** Remove onMenuCommand listeners */
+  removeMenuCommandListener(): void;
+  /** Remove onDownloadsChanged listeners */
+  removeDownloadsListener(): void;
+  /** Remove onUploadProgress listeners */
+  removeUploadProgressListener(): void;
+  /** Remove onTimerChanged listeners */
+  removeTimerListener(): void;
+  /** Remove onRealtimeEvent and onRealtimeStatusChanged listeners */
+  removeRealtimeListeners(): void;
+  /** Always true inside the desktop app */
+  isElectron: true;
+}
+
+declare global {
+  interface Window {
+    /** Only present inside the desktop app */
+    electronAPI?: ElectronAPI;
+  }
+}